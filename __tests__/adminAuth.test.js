@@ -0,0 +1,213 @@
+/**
+ * Admin Authentication Tests
+ *
+ * Tests that the database administration routes require an admin API key with
+ * the right scope, and that destructive operations only execute with a
+ * confirmation token from a matching dry run.
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+
+const respondWith = (name) => jest.fn((req, res) => res.json({
+    handler: name,
+    dryRun: req.dryRun,
+    params: req.confirmedParams,
+    confirmation: req.confirmation
+}));
+
+const mockDatabaseController = {
+    checkDatabaseHealth: respondWith('health'),
+    validateDataConsistency: respondWith('consistency'),
+    performDatabaseCleanup: respondWith('cleanup'),
+    getProjectAnalytics: respondWith('analytics'),
+    getDatabasePerformance: respondWith('performance'),
+    getMigrationStatus: respondWith('migrationStatus'),
+    runMigrations: respondWith('runMigrations'),
+    rollbackLastMigration: respondWith('rollback')
+};
+
+const mockDatabaseMigration = {
+    getCurrentMigrationVersion: jest.fn()
+};
+
+await jest.unstable_mockModule('../controllers/databaseController.js', () => mockDatabaseController);
+await jest.unstable_mockModule('../utils/databaseMigration.js', () => mockDatabaseMigration);
+await jest.unstable_mockModule('../middleware/routeLogger.js', () => ({
+    logRoute: jest.fn(() => (req, res, next) => next())
+}));
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { default: databaseRoutes } = await import('../routes/databaseRoutes.js');
+const { loadAdminApiKeys } = await import('../middleware/adminAuth.js');
+
+const OPS_SECRET = 'a'.repeat(64);
+const READER_SECRET = 'b'.repeat(64);
+
+describe('admin database routes', () => {
+    let app;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockDatabaseMigration.getCurrentMigrationVersion.mockResolvedValue('1.6.0');
+        process.env.ADMIN_API_KEYS = [
+            `ops:${OPS_SECRET}:database:read+database:write+database:migrate`,
+            `reader:${READER_SECRET}:database:read`
+        ].join(',');
+
+        app = express();
+        app.use(express.json());
+        app.use('/', databaseRoutes);
+    });
+
+    afterAll(() => {
+        delete process.env.ADMIN_API_KEYS;
+    });
+
+    describe('loadAdminApiKeys', () => {
+        test('should parse keys with their scopes', () => {
+            expect(loadAdminApiKeys()).toEqual([
+                { keyId: 'ops', secret: OPS_SECRET, scopes: ['database:read', 'database:write', 'database:migrate'] },
+                { keyId: 'reader', secret: READER_SECRET, scopes: ['database:read'] }
+            ]);
+        });
+
+        test('should reject short secrets, unknown scopes and duplicate IDs', () => {
+            expect(() => loadAdminApiKeys({ ADMIN_API_KEYS: 'ops:short:database:read' })).toThrow('at least 32 characters');
+            expect(() => loadAdminApiKeys({ ADMIN_API_KEYS: `ops:${OPS_SECRET}:database:drop` })).toThrow('unknown scope "database:drop"');
+            expect(() => loadAdminApiKeys({ ADMIN_API_KEYS: `ops:${OPS_SECRET}:database:read,ops:${READER_SECRET}:database:read` }))
+                .toThrow('defined more than once');
+        });
+    });
+
+    describe('API key', () => {
+        test('should reject requests without a valid key', async () => {
+            const missing = await request(app).get('/api/admin/database/health');
+            const invalid = await request(app).get('/api/admin/database/health').set('X-Admin-Api-Key', 'c'.repeat(64));
+
+            expect(missing.status).toBe(401);
+            expect(invalid.status).toBe(401);
+            expect(invalid.body.authType).toBe('admin-api-key');
+            expect(mockDatabaseController.checkDatabaseHealth).not.toHaveBeenCalled();
+        });
+
+        test('should answer 503 when no keys are configured', async () => {
+            delete process.env.ADMIN_API_KEYS;
+
+            const response = await request(app).get('/api/admin/database/health').set('X-Admin-Api-Key', OPS_SECRET);
+
+            expect(response.status).toBe(503);
+        });
+
+        test('should allow routes within the key scopes', async () => {
+            const response = await request(app).get('/api/admin/database/health').set('X-Admin-Api-Key', READER_SECRET);
+
+            expect(response.status).toBe(200);
+            expect(response.body.handler).toBe('health');
+        });
+
+        test('should reject routes outside the key scopes', async () => {
+            const response = await request(app).post('/api/admin/database/cleanup').set('X-Admin-Api-Key', READER_SECRET).send({});
+
+            expect(response.status).toBe(403);
+            expect(response.body.requiredScope).toBe('database:write');
+            expect(mockDatabaseController.performDatabaseCleanup).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('confirmation', () => {
+        const dryRun = (body = {}) => request(app)
+            .post('/api/admin/database/cleanup')
+            .set('X-Admin-Api-Key', OPS_SECRET)
+            .send(body);
+
+        test('should return a confirmation token from a dry run', async () => {
+            const response = await dryRun({ cleanInvalidData: true });
+
+            expect(response.status).toBe(200);
+            expect(response.body.confirmation).toMatchObject({ action: 'database.cleanup', token: expect.any(String) });
+        });
+
+        test('should treat any dryRun other than false as a dry run', async () => {
+            for (const value of [null, 0, 'false']) {
+                const response = await dryRun({ dryRun: value, cleanInvalidData: null });
+
+                expect(response.status).toBe(200);
+                expect(response.body).toMatchObject({
+                    dryRun: true,
+                    params: { cleanOrphanedMappings: true, cleanInvalidData: false },
+                    confirmation: { action: 'database.cleanup' }
+                });
+            }
+        });
+
+        test('should require a token to execute', async () => {
+            const response = await dryRun({ dryRun: false });
+
+            expect(response.status).toBe(428);
+            expect(response.body.confirmationRequired).toBe(true);
+            expect(mockDatabaseController.performDatabaseCleanup).not.toHaveBeenCalled();
+        });
+
+        test('should execute once with the token of a matching dry run', async () => {
+            const { body } = await dryRun({ cleanInvalidData: true });
+            const execute = { cleanOrphanedMappings: true, cleanInvalidData: true, dryRun: false, confirmationToken: body.confirmation.token };
+
+            const first = await dryRun(execute);
+            const replay = await dryRun(execute);
+
+            expect(first.status).toBe(200);
+            expect(first.body).toMatchObject({ handler: 'cleanup', dryRun: false });
+            expect(replay.status).toBe(403);
+            expect(replay.body.error).toContain('already been used');
+        });
+
+        test('should reject a token for other options or another action', async () => {
+            const { body } = await dryRun({ cleanInvalidData: false });
+
+            const otherOptions = await dryRun({ cleanInvalidData: true, dryRun: false, confirmationToken: body.confirmation.token });
+            const otherAction = await request(app)
+                .post('/api/admin/database/migration/rollback')
+                .set('X-Admin-Api-Key', OPS_SECRET)
+                .send({ dryRun: false, confirmationToken: body.confirmation.token });
+
+            expect(otherOptions.status).toBe(403);
+            expect(otherOptions.body.error).toContain('Parameters differ');
+            expect(otherAction.status).toBe(403);
+            expect(mockDatabaseController.rollbackLastMigration).not.toHaveBeenCalled();
+        });
+
+        test('should bind a rollback token to the migration the dry run would roll back', async () => {
+            const rollback = (body) => request(app)
+                .post('/api/admin/database/migration/rollback')
+                .set('X-Admin-Api-Key', OPS_SECRET)
+                .send(body);
+
+            const { body } = await rollback({});
+            expect(body.params).toEqual({ version: '1.6.0', force: false });
+
+            mockDatabaseMigration.getCurrentMigrationVersion.mockResolvedValue('1.7.0');
+            const response = await rollback({ dryRun: false, confirmationToken: body.confirmation.token });
+
+            expect(response.status).toBe(403);
+            expect(response.body.error).toContain('Parameters differ');
+            expect(mockDatabaseController.rollbackLastMigration).toHaveBeenCalledTimes(1);
+        });
+
+        test('should reject an expired token', async () => {
+            const { body } = await dryRun();
+            jest.useFakeTimers({ now: Date.now() + 10 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate'] });
+
+            try {
+                const response = await dryRun({ dryRun: false, confirmationToken: body.confirmation.token });
+                expect(response.status).toBe(403);
+                expect(response.body.error).toContain('expired');
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+    });
+});
@@ -0,0 +1,280 @@
+/**
+ * Audit Log Tests
+ *
+ * Tests for recording writes to Xero and Pipedrive as audit events: the actor
+ * and deal taken from the request, payload redaction, failures, and the query
+ * filters of the audit log API.
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+const mockAuditEventDao = {
+    insertAuditEvent: jest.fn(),
+    findAuditEvents: jest.fn()
+};
+
+const mockProjectSequenceDao = {
+    findProjectMappingByNumber: jest.fn()
+};
+
+const mockAxios = {
+    get: jest.fn(),
+    put: jest.fn(),
+    post: jest.fn()
+};
+
+await jest.unstable_mockModule('../models/auditEventDao.js', () => mockAuditEventDao);
+await jest.unstable_mockModule('../models/projectSequenceDao.js', () => mockProjectSequenceDao);
+await jest.unstable_mockModule('axios', () => ({ default: mockAxios }));
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const auditService = await import('../services/auditService.js');
+const xeroApiService = await import('../services/xeroApiService.js');
+const { attachAuditContext } = await import('../middleware/auditContext.js');
+
+const recordedEvents = () => mockAuditEventDao.insertAuditEvent.mock.calls.map(([event]) => event);
+
+describe('audit log', () => {
+    const req = {
+        id: 'req-1',
+        method: 'POST',
+        originalUrl: '/api/xero/create-partial-invoice?x=1',
+        operationName: 'Create Partial Invoice',
+        body: { dealId: 77, pipedriveCompanyId: 'ignored' },
+        query: {},
+        params: {},
+        pipedriveIdentity: { companyId: '123', userId: '42' },
+        actingUser: { companyId: '123', userId: '42', name: 'Fran Finance' }
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockAuditEventDao.insertAuditEvent.mockResolvedValue({});
+        mockAuditEventDao.findAuditEvents.mockResolvedValue([]);
+        mockProjectSequenceDao.findProjectMappingByNumber.mockResolvedValue(null);
+    });
+
+    describe('auditedWrite', () => {
+        const createThing = auditService.auditedWrite({
+            service: 'xero',
+            action: 'thing.create',
+            describe: (accessToken, tenantId, payload) => ({ tenantId, target: { parentId: payload.parentId }, payload }),
+            remoteIds: (thing) => ({ thingId: thing.ThingID, missing: undefined })
+        }, async (accessToken, tenantId, payload) => {
+            if (payload.fail) {
+                const error = new Error('Xero said no');
+                error.response = { status: 400 };
+                throw error;
+            }
+            return { ThingID: 'thing-1' };
+        });
+
+        test('should record a successful write with the actor and deal of the request', async () => {
+            const result = await auditService.runWithAuditContext({ req }, () =>
+                createThing('access-token', 'tenant-1', { parentId: 'p-1', Reference: 'Deal 77' })
+            );
+
+            expect(result).toEqual({ ThingID: 'thing-1' });
+            expect(recordedEvents()).toEqual([expect.objectContaining({
+                companyId: '123',
+                userId: '42',
+                userName: 'Fran Finance',
+                requestId: 'req-1',
+                operation: 'Create Partial Invoice',
+                route: 'POST /api/xero/create-partial-invoice',
+                service: 'xero',
+                action: 'thing.create',
+                dealId: '77',
+                projectNumber: null,
+                tenantId: 'tenant-1',
+                target: { parentId: 'p-1' },
+                payload: { parentId: 'p-1', Reference: 'Deal 77' },
+                remoteIds: { thingId: 'thing-1' },
+                outcome: 'success',
+                error: null,
+                createdAt: expect.any(Date)
+            })]);
+        });
+
+        test('should record a failed write and rethrow its error', async () => {
+            await expect(auditService.runWithAuditContext({ req }, () =>
+                createThing('access-token', 'tenant-1', { parentId: 'p-1', fail: true })
+            )).rejects.toThrow('Xero said no');
+
+            expect(recordedEvents()).toEqual([expect.objectContaining({
+                outcome: 'failure',
+                remoteIds: {},
+                error: { message: 'Xero said no', status: 400 }
+            })]);
+        });
+
+        test('should return the result when the event cannot be saved', async () => {
+            mockAuditEventDao.insertAuditEvent.mockRejectedValue(new Error('database down'));
+
+            await expect(createThing('access-token', 'tenant-1', { parentId: 'p-1' })).resolves.toEqual({ ThingID: 'thing-1' });
+        });
+
+        test('should record writes made outside a request without an actor', async () => {
+            await createThing('access-token', 'tenant-1', { parentId: 'p-1' });
+
+            expect(recordedEvents()[0]).toEqual(expect.objectContaining({
+                companyId: null,
+                userId: null,
+                requestId: null,
+                route: null,
+                outcome: 'success'
+            }));
+        });
+
+        test('should use fields added to the context part way through the request', async () => {
+            await auditService.runWithAuditContext({ req }, async () => {
+                auditService.addAuditContext({ projectNumber: 'NY25001' });
+                await createThing('access-token', 'tenant-1', { parentId: 'p-1' });
+            });
+
+            expect(recordedEvents()[0].projectNumber).toBe('NY25001');
+        });
+
+        test('should not record calls it is told to skip', async () => {
+            const setStatus = auditService.auditedWrite({
+                service: 'xero',
+                action: 'quote.status.update',
+                skip: (status) => status === 'ACCEPTED'
+            }, async (status) => status);
+
+            await setStatus('ACCEPTED');
+            await setStatus('SENT');
+
+            expect(recordedEvents()).toEqual([expect.objectContaining({ action: 'quote.status.update' })]);
+        });
+    });
+
+    describe('summarizeAuditPayload', () => {
+        test('should redact secrets and contact details', () => {
+            expect(auditService.summarizeAuditPayload({
+                Name: 'Acme',
+                EmailAddress: 'ops@acme.test',
+                Phones: [{ PhoneNumber: '555' }],
+                accessToken: 'secret-token',
+                nested: { client_secret: 'shh', 'a.b': 1, $set: 2 }
+            })).toEqual({
+                Name: 'Acme',
+                EmailAddress: '[REDACTED]',
+                Phones: '[REDACTED]',
+                accessToken: '[REDACTED]',
+                nested: { client_secret: '[REDACTED]', a_b: 1, _set: 2 }
+            });
+        });
+
+        test('should shorten long strings, large arrays and file contents', () => {
+            const summary = auditService.summarizeAuditPayload({
+                Description: 'x'.repeat(500),
+                LineItems: Array.from({ length: 25 }, (_, i) => ({ LineAmount: i })),
+                buffer: Buffer.alloc(2048)
+            });
+
+            expect(summary.Description).toBe(`${'x'.repeat(200)}… (500 chars)`);
+            expect(summary.LineItems).toHaveLength(21);
+            expect(summary.LineItems[20]).toBe('… 5 more');
+            expect(summary.buffer).toBe('[2048 bytes]');
+        });
+    });
+
+    describe('Xero API writes', () => {
+        test('should record the invoice created for a request with its remote IDs', async () => {
+            mockAxios.put.mockResolvedValue({
+                data: { Invoices: [{ InvoiceID: 'inv-1', InvoiceNumber: 'INV-0123', Status: 'DRAFT' }] }
+            });
+
+            const app = express();
+            app.use(express.json());
+            app.use(attachAuditContext);
+            app.post('/api/invoices', async (req, res) => {
+                req.pipedriveIdentity = { companyId: '123', userId: '42' };
+                req.operationName = 'Create Invoice';
+                await new Promise(resolve => setTimeout(resolve, 1));
+                const invoice = await xeroApiService.createInvoice('access-token', 'tenant-1', req.body.invoice);
+                res.json(invoice);
+            });
+
+            const response = await request(app)
+                .post('/api/invoices')
+                .set('X-Request-ID', 'client-req-9')
+                .send({ dealId: 5, invoice: { Type: 'ACCREC', Contact: { ContactID: 'c-1', EmailAddress: 'a@b.test' } } });
+
+            expect(response.status).toBe(200);
+            expect(response.headers['x-request-id']).toBe('client-req-9');
+            expect(recordedEvents()).toEqual([expect.objectContaining({
+                companyId: '123',
+                userId: '42',
+                requestId: 'client-req-9',
+                operation: 'Create Invoice',
+                action: 'invoice.create',
+                dealId: '5',
+                payload: { Type: 'ACCREC', Contact: { ContactID: 'c-1', EmailAddress: '[REDACTED]' } },
+                remoteIds: { invoiceId: 'inv-1', invoiceNumber: 'INV-0123' },
+                outcome: 'success'
+            })]);
+        });
+
+        test('should give requests without a usable request ID a new one', async () => {
+            const app = express();
+            app.use(attachAuditContext);
+            app.get('/ping', (req, res) => res.json({ id: req.id }));
+
+            const response = await request(app).get('/ping').set('X-Request-ID', 'not a valid id');
+
+            expect(response.body.id).toMatch(/^[0-9a-f-]{36}$/);
+            expect(response.headers['x-request-id']).toBe(response.body.id);
+        });
+    });
+
+    describe('listAuditEvents', () => {
+        test('should include the events of deals linked to a project number', async () => {
+            mockProjectSequenceDao.findProjectMappingByNumber.mockResolvedValue({ projectNumber: 'NY25001', pipedriveDealIds: [7, 8] });
+            mockAuditEventDao.findAuditEvents.mockResolvedValue([{ _id: 'abc', action: 'invoice.create' }]);
+
+            const events = await auditService.listAuditEvents('123', {
+                projectNumber: 'NY25001',
+                userId: 42,
+                from: '2026-10-01',
+                to: '2026-10-31T23:59:59Z',
+                limit: '1000'
+            });
+
+            expect(events).toEqual([{ id: 'abc', action: 'invoice.create' }]);
+            expect(mockProjectSequenceDao.findProjectMappingByNumber).toHaveBeenCalledWith('123', 'NY25001');
+            expect(mockAuditEventDao.findAuditEvents).toHaveBeenCalledWith('123', {
+                dealId: null,
+                projectNumber: 'NY25001',
+                projectDealIds: [7, 8],
+                userId: '42',
+                from: new Date('2026-10-01'),
+                to: new Date('2026-10-31T23:59:59Z')
+            }, 200);
+        });
+
+        test('should include the whole day when to is a date without a time', async () => {
+            mockAuditEventDao.findAuditEvents.mockResolvedValue([]);
+
+            await auditService.listAuditEvents('123', { from: '2026-10-19', to: '2026-10-19' });
+
+            expect(mockAuditEventDao.findAuditEvents).toHaveBeenCalledWith('123', expect.objectContaining({
+                from: new Date('2026-10-19T00:00:00.000Z'),
+                to: new Date('2026-10-19T23:59:59.999Z')
+            }), 50);
+        });
+
+        test('should reject invalid dates and reversed ranges', async () => {
+            await expect(auditService.listAuditEvents('123', { from: 'yesterday' }))
+                .rejects.toMatchObject({ statusCode: 400, message: 'from must be an ISO 8601 date' });
+            await expect(auditService.listAuditEvents('123', { from: '2026-10-02', to: '2026-10-01' }))
+                .rejects.toMatchObject({ statusCode: 400 });
+            expect(mockAuditEventDao.findAuditEvents).not.toHaveBeenCalled();
+        });
+    });
+});
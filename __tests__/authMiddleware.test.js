@@ -104,6 +104,27 @@ describe('Authentication Middleware', () => {
             expect(next).toHaveBeenCalled();
         });
 
+        test('should bind company and user from the signed identity', async () => {
+            req.pipedriveIdentity = { companyId: 'signed-company', userId: '42', source: 'session' };
+            req.query.companyId = 'signed-company';
+            mockSecureTokenService.getAuthToken.mockResolvedValue({
+                accessToken: 'valid-token',
+                apiDomain: 'test.pipedrive.com',
+                tokenExpiresAt: Date.now() + 3600000
+            });
+
+            await authMiddleware.requirePipedriveAuth(req, res, next);
+
+            expect(mockSecureTokenService.getAuthToken).toHaveBeenCalledWith('signed-company', 'pipedrive');
+            expect(req.pipedriveAuth).toEqual({
+                accessToken: 'valid-token',
+                apiDomain: 'test.pipedrive.com',
+                companyId: 'signed-company',
+                userId: '42'
+            });
+            expect(next).toHaveBeenCalled();
+        });
+
         test('should refresh expired token and continue', async () => {
             req.body.companyId = 'test-company';
             const expiredToken = {
@@ -182,7 +203,7 @@ describe('Authentication Middleware', () => {
                 authRequired: true,
                 authType: 'xero',
                 companyId: 'test-company',
-                authUrl: `${process.env.API_BASE_URL || 'http://localhost:3000'}/auth/connect-xero?pipedriveCompanyId=test-company`
+                authUrl: `${process.env.API_BASE_URL || 'http://localhost:3000'}/auth/connect-xero`
             });
             expect(next).not.toHaveBeenCalled();
         });
@@ -253,12 +274,89 @@ describe('Authentication Middleware', () => {
                 authRequired: true,
                 authType: 'xero',
                 companyId: 'test-company',
-                authUrl: `${process.env.API_BASE_URL || 'http://localhost:3000'}/auth/connect-xero?pipedriveCompanyId=test-company`
+                authUrl: `${process.env.API_BASE_URL || 'http://localhost:3000'}/auth/connect-xero`
             });
             expect(next).not.toHaveBeenCalled();
         });
     });
 
+    describe('Xero tenant resolution', () => {
+        const multiTenantToken = {
+            accessToken: 'valid-xero-token',
+            tenantId: 'tenant-a',
+            defaultTenantId: 'tenant-a',
+            tenants: [{ tenantId: 'tenant-a' }, { tenantId: 'tenant-b' }],
+            tokenExpiresAt: Date.now() + 3600000
+        };
+
+        test('should use the tenant requested in the body when it is authorised', async () => {
+            req.body = { companyId: 'test-company', xeroTenantId: 'tenant-b' };
+            mockSecureTokenService.getAuthToken.mockResolvedValue(multiTenantToken);
+
+            await authMiddleware.requireXeroAuth(req, res, next);
+
+            expect(req.xeroAuth).toEqual({
+                accessToken: 'valid-xero-token',
+                tenantId: 'tenant-b',
+                companyId: 'test-company'
+            });
+            expect(next).toHaveBeenCalled();
+        });
+
+        test('should fall back to the company default tenant', async () => {
+            req.body.companyId = 'test-company';
+            mockSecureTokenService.getAuthToken.mockResolvedValue(multiTenantToken);
+
+            await authMiddleware.requireXeroAuth(req, res, next);
+
+            expect(req.xeroAuth.tenantId).toBe('tenant-a');
+            expect(next).toHaveBeenCalled();
+        });
+
+        test('should return 403 for a tenant that was not authorised', async () => {
+            req.body = { companyId: 'test-company', xeroTenantId: 'tenant-x' };
+            mockSecureTokenService.getAuthToken.mockResolvedValue(multiTenantToken);
+
+            await authMiddleware.requireXeroAuth(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json.mock.calls[0][0]).toMatchObject({
+                success: false,
+                tenantSelectionRequired: true,
+                tenants: multiTenantToken.tenants
+            });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        test('should return 409 when several tenants exist and none is the default', async () => {
+            req.body.companyId = 'test-company';
+            mockSecureTokenService.getAuthToken.mockResolvedValue({
+                ...multiTenantToken,
+                tenantId: undefined,
+                defaultTenantId: null
+            });
+
+            await authMiddleware.requireXeroAuth(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        test('should continue without Xero in optionalXeroAuth when the tenant is ambiguous', async () => {
+            req.body.companyId = 'test-company';
+            mockSecureTokenService.getAuthToken.mockResolvedValue({
+                ...multiTenantToken,
+                tenantId: undefined,
+                defaultTenantId: null
+            });
+
+            await authMiddleware.optionalXeroAuth(req, res, next);
+
+            expect(req.xeroAuth).toBeNull();
+            expect(next).toHaveBeenCalled();
+        });
+    });
+
     describe('optionalXeroAuth', () => {
         test('should continue without auth if no company ID', async () => {
             await authMiddleware.optionalXeroAuth(req, res, next);
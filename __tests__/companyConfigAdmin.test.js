@@ -0,0 +1,180 @@
+/**
+ * Company Config Admin Tests
+ *
+ * Tests for validating, patching and resetting a company's configuration,
+ * keeping client secrets out of it, and recording each change in the config
+ * history.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockCompanyConfigDao = {
+    findCompanyConfig: jest.fn(),
+    upsertCompanyConfig: jest.fn()
+};
+
+const mockHistoryDao = {
+    insertConfigHistory: jest.fn(),
+    findConfigHistory: jest.fn()
+};
+
+await jest.unstable_mockModule('../models/companyConfigDao.js', () => mockCompanyConfigDao);
+await jest.unstable_mockModule('../models/companyConfigHistoryDao.js', () => mockHistoryDao);
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const configService = await import('../services/configService.js');
+const adminService = await import('../services/companyConfigAdminService.js');
+
+describe('company config admin', () => {
+    const originalEnv = { ...process.env };
+    const actor = { userId: '42', name: 'Ada Admin', roles: ['admin'] };
+    const storedConfig = {
+        pipedrive: { clientId: 'pd-client', clientSecret: 'pd-secret', redirectUri: 'https://app.test/callback', apiDomain: null },
+        xero: { clientId: 'xero-client', clientSecret: 'xero-secret', redirectUri: 'https://app.test/xero-callback' },
+        frontend: { baseUrl: 'https://app.test' },
+        customFields: { quoteNumber: 'quote_hash', department: 'dept_hash' }
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        configService.clearConfigCache();
+        process.env.FRONTEND_BASE_URL = 'https://default.test';
+        process.env.PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY = 'env_quote_hash';
+        delete process.env.PIPEDRIVE_QUOTE_CUSTOM_DEPARTMENT;
+        mockCompanyConfigDao.findCompanyConfig.mockResolvedValue({ companyId: '123', config: storedConfig, updatedAt: new Date('2026-10-01') });
+        mockCompanyConfigDao.upsertCompanyConfig.mockImplementation(async (companyId, config) => ({ companyId, config }));
+        mockHistoryDao.insertConfigHistory.mockResolvedValue({});
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    describe('getCompanyConfigForAdmin', () => {
+        test('should leave out client secrets stored by older versions', async () => {
+            const { config, stored } = await adminService.getCompanyConfigForAdmin('123');
+
+            expect(stored).toBe(true);
+            expect(config.pipedrive).not.toHaveProperty('clientSecret');
+            expect(config.xero).toEqual({ clientId: 'xero-client', redirectUri: 'https://app.test/xero-callback' });
+            expect(config.customFields.vesselName).toBeNull();
+        });
+
+        test('should return the defaults when the company has no stored config', async () => {
+            mockCompanyConfigDao.findCompanyConfig.mockResolvedValue(null);
+
+            const { config, stored } = await adminService.getCompanyConfigForAdmin('123');
+
+            expect(stored).toBe(false);
+            expect(config.frontend.baseUrl).toBe('https://default.test');
+        });
+    });
+
+    describe('patchCompanyConfig', () => {
+        test('should merge the patch, record the diff and update the cache', async () => {
+            const { config, changes } = await adminService.patchCompanyConfig('123', {
+                frontend: { baseUrl: 'https://new.app.test' },
+                customFields: { vesselName: 'vessel_hash', department: null }
+            }, actor);
+
+            expect(changes).toEqual([
+                { path: 'frontend.baseUrl', before: 'https://app.test', after: 'https://new.app.test' },
+                { path: 'customFields.department', before: 'dept_hash', after: null },
+                { path: 'customFields.vesselName', before: null, after: 'vessel_hash' }
+            ]);
+            expect(config.customFields.quoteNumber).toBe('quote_hash');
+            expect(mockHistoryDao.insertConfigHistory).toHaveBeenCalledWith({
+                companyId: '123',
+                action: 'patch',
+                sections: ['frontend', 'customFields'],
+                changes,
+                changedBy: { userId: '42', name: 'Ada Admin' }
+            });
+
+            mockCompanyConfigDao.findCompanyConfig.mockClear();
+            await expect(configService.getCustomFieldKey('123', 'vesselName')).resolves.toBe('vessel_hash');
+            expect(mockCompanyConfigDao.findCompanyConfig).not.toHaveBeenCalled();
+        });
+
+        test('should reject client secrets and drop stored ones when saving', async () => {
+            const error = await adminService.patchCompanyConfig('123', { pipedrive: { clientSecret: 'rotated-secret' } }, actor).catch(e => e);
+            expect(error.details.errors).toEqual([{ path: 'pipedrive.clientSecret', error: 'Unknown setting' }]);
+
+            await adminService.patchCompanyConfig('123', { pipedrive: { clientId: 'pd-client-2' } }, actor);
+
+            const saved = mockCompanyConfigDao.upsertCompanyConfig.mock.calls[0][1];
+            expect(saved.pipedrive).toEqual({ clientId: 'pd-client-2', redirectUri: 'https://app.test/callback', apiDomain: null });
+            expect(saved.xero).not.toHaveProperty('clientSecret');
+        });
+
+        test('should reject unknown sections, unknown keys and invalid values without saving', async () => {
+            const error = await adminService.patchCompanyConfig('123', {
+                billing: { plan: 'pro' },
+                frontend: { baseUrl: 'not a url', theme: 'dark' },
+                customFields: { quoteNumber: 'has spaces' }
+            }, actor).catch(e => e);
+
+            expect(error.statusCode).toBe(400);
+            expect(error.details.errors.map(e => e.path)).toEqual(['billing', 'frontend.baseUrl', 'frontend.theme', 'customFields.quoteNumber']);
+            expect(mockCompanyConfigDao.upsertCompanyConfig).not.toHaveBeenCalled();
+            expect(mockHistoryDao.insertConfigHistory).not.toHaveBeenCalled();
+        });
+
+        test('should not save or record a patch that changes nothing', async () => {
+            const { changes } = await adminService.patchCompanyConfig('123', { frontend: { baseUrl: 'https://app.test' } }, actor);
+
+            expect(changes).toEqual([]);
+            expect(mockCompanyConfigDao.upsertCompanyConfig).not.toHaveBeenCalled();
+            expect(mockHistoryDao.insertConfigHistory).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('resetCompanyConfig', () => {
+        test('should reset only the requested sections to the defaults', async () => {
+            const { config, changes } = await adminService.resetCompanyConfig('123', ['customFields'], actor);
+
+            expect(config.customFields.quoteNumber).toBe('env_quote_hash');
+            expect(config.customFields.department).toBeNull();
+            expect(config.frontend.baseUrl).toBe('https://app.test');
+            expect(changes.map(c => c.path)).toEqual(['customFields.department', 'customFields.quoteNumber']);
+            expect(mockHistoryDao.insertConfigHistory).toHaveBeenCalledWith(expect.objectContaining({ action: 'reset', sections: ['customFields'] }));
+        });
+
+        test('should not copy client secrets from the environment', async () => {
+            process.env.CLIENT_SECRET = 'env-pd-secret';
+            process.env.XERO_CLIENT_SECRET = 'env-xero-secret';
+
+            await adminService.resetCompanyConfig('123', undefined, actor);
+
+            const saved = mockCompanyConfigDao.upsertCompanyConfig.mock.calls[0][1];
+            expect(JSON.stringify(saved)).not.toContain('secret');
+            expect(JSON.stringify(mockHistoryDao.insertConfigHistory.mock.calls[0][0])).not.toContain('secret');
+            expect(JSON.stringify(configService.getDefaultCompanyConfig())).not.toContain('secret');
+        });
+
+        test('should reject unknown sections with 400', async () => {
+            await expect(adminService.resetCompanyConfig('123', ['billing'], actor))
+                .rejects.toMatchObject({ statusCode: 400, details: { unknownSections: ['billing'] } });
+        });
+    });
+
+    describe('config cache', () => {
+        test('should reload a cached config after CONFIG_CACHE_TTL_SECONDS', async () => {
+            process.env.CONFIG_CACHE_TTL_SECONDS = '1';
+            const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+
+            await configService.getCompanyConfig('123');
+            await configService.getCompanyConfig('123');
+            expect(mockCompanyConfigDao.findCompanyConfig).toHaveBeenCalledTimes(1);
+
+            now.mockReturnValue(1_001_500);
+            await configService.getCompanyConfig('123');
+            expect(mockCompanyConfigDao.findCompanyConfig).toHaveBeenCalledTimes(2);
+
+            now.mockRestore();
+            delete process.env.CONFIG_CACHE_TTL_SECONDS;
+        });
+    });
+});
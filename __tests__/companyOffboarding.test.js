@@ -0,0 +1,191 @@
+/**
+ * Company Offboarding Tests
+ *
+ * Tests for revoking provider tokens and purging company data on logout and
+ * on the Pipedrive app-uninstall callback.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockTokenService = {
+    getValidAccessToken: jest.fn(),
+    revokeXeroToken: jest.fn(),
+    revokePipedriveToken: jest.fn(),
+    purgeCompanyTokens: jest.fn()
+};
+
+const mockXeroApiService = {
+    getXeroConnections: jest.fn(),
+    deleteXeroConnection: jest.fn()
+};
+
+const mockRouteDao = {
+    deleteTenantRoutesByCompany: jest.fn()
+};
+
+const mockUserRoleDao = {
+    deleteUserRolesByCompany: jest.fn()
+};
+
+const mockConfigDao = {
+    deleteCompanyConfig: jest.fn()
+};
+
+const mockConfigHistoryDao = {
+    deleteConfigHistoryByCompany: jest.fn()
+};
+
+const mockDepartmentDao = {
+    deleteDepartmentsByCompany: jest.fn()
+};
+
+const mockTaxRateMappingDao = {
+    deleteTaxRateMappingsByCompany: jest.fn()
+};
+
+const mockAccountCodeRuleDao = {
+    deleteAccountCodeRulesByCompany: jest.fn()
+};
+
+const mockTaskTemplateDao = {
+    deleteTaskTemplatesByCompany: jest.fn()
+};
+
+const mockConfigService = {
+    clearConfigCache: jest.fn()
+};
+
+await jest.unstable_mockModule('../services/secureTokenService.js', () => mockTokenService);
+await jest.unstable_mockModule('../services/xeroApiService.js', () => mockXeroApiService);
+await jest.unstable_mockModule('../services/pipedriveApiService.js', () => ({}));
+await jest.unstable_mockModule('../models/xeroTenantRouteDao.js', () => mockRouteDao);
+await jest.unstable_mockModule('../models/companyUserRoleDao.js', () => mockUserRoleDao);
+await jest.unstable_mockModule('../models/companyConfigDao.js', () => mockConfigDao);
+await jest.unstable_mockModule('../models/companyConfigHistoryDao.js', () => mockConfigHistoryDao);
+await jest.unstable_mockModule('../models/departmentDao.js', () => mockDepartmentDao);
+await jest.unstable_mockModule('../models/xeroTaxRateMappingDao.js', () => mockTaxRateMappingDao);
+await jest.unstable_mockModule('../models/xeroAccountCodeRuleDao.js', () => mockAccountCodeRuleDao);
+await jest.unstable_mockModule('../models/projectTaskTemplateDao.js', () => mockTaskTemplateDao);
+await jest.unstable_mockModule('../services/configService.js', () => mockConfigService);
+await jest.unstable_mockModule('../services/permissionService.js', () => ({ clearActingUserCache: jest.fn() }));
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+process.env.CLIENT_ID = 'pd-client';
+process.env.CLIENT_SECRET = 'pd-secret';
+
+const { offboardCompany } = await import('../services/companyOffboardingService.js');
+const authController = await import('../controllers/authController.js');
+
+const basicAuth = (id, secret) => `Basic ${Buffer.from(`${id}:${secret}`).toString('base64')}`;
+
+describe('company offboarding', () => {
+    let res;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockTokenService.getValidAccessToken.mockResolvedValue('xero-access');
+        mockTokenService.revokeXeroToken.mockResolvedValue(true);
+        mockTokenService.revokePipedriveToken.mockResolvedValue(true);
+        mockTokenService.purgeCompanyTokens.mockResolvedValue(2);
+        mockXeroApiService.getXeroConnections.mockResolvedValue([{ id: 'conn-1', tenantId: 't1' }, { id: 'conn-2', tenantId: 't2' }]);
+        mockXeroApiService.deleteXeroConnection.mockResolvedValue();
+        mockRouteDao.deleteTenantRoutesByCompany.mockResolvedValue(1);
+        mockUserRoleDao.deleteUserRolesByCompany.mockResolvedValue(3);
+        mockConfigDao.deleteCompanyConfig.mockResolvedValue(true);
+        mockConfigHistoryDao.deleteConfigHistoryByCompany.mockResolvedValue(4);
+        mockDepartmentDao.deleteDepartmentsByCompany.mockResolvedValue(6);
+        mockTaxRateMappingDao.deleteTaxRateMappingsByCompany.mockResolvedValue(2);
+        mockAccountCodeRuleDao.deleteAccountCodeRulesByCompany.mockResolvedValue(1);
+        mockTaskTemplateDao.deleteTaskTemplatesByCompany.mockResolvedValue(2);
+        res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    });
+
+    describe('offboardCompany', () => {
+        test('should remove Xero connections before revoking tokens, then purge local data', async () => {
+            const summary = await offboardCompany('123', { reason: 'logout' });
+
+            expect(mockXeroApiService.deleteXeroConnection).toHaveBeenCalledWith('xero-access', 'conn-1');
+            expect(mockXeroApiService.deleteXeroConnection).toHaveBeenCalledWith('xero-access', 'conn-2');
+            expect(mockXeroApiService.deleteXeroConnection.mock.invocationCallOrder[1])
+                .toBeLessThan(mockTokenService.revokeXeroToken.mock.invocationCallOrder[0]);
+            expect(mockTokenService.purgeCompanyTokens).toHaveBeenCalledWith('123');
+            expect(mockRouteDao.deleteTenantRoutesByCompany).toHaveBeenCalledWith('123');
+            expect(mockUserRoleDao.deleteUserRolesByCompany).toHaveBeenCalledWith('123');
+            expect(mockConfigDao.deleteCompanyConfig).toHaveBeenCalledWith('123');
+            expect(mockConfigService.clearConfigCache).toHaveBeenCalledWith('123');
+            expect(mockConfigHistoryDao.deleteConfigHistoryByCompany).toHaveBeenCalledWith('123');
+            expect(mockDepartmentDao.deleteDepartmentsByCompany).toHaveBeenCalledWith('123');
+            expect(mockTaxRateMappingDao.deleteTaxRateMappingsByCompany).toHaveBeenCalledWith('123');
+            expect(mockAccountCodeRuleDao.deleteAccountCodeRulesByCompany).toHaveBeenCalledWith('123');
+            expect(mockTaskTemplateDao.deleteTaskTemplatesByCompany).toHaveBeenCalledWith('123');
+            expect(summary).toEqual({
+                companyId: '123',
+                reason: 'logout',
+                pipedrive: { revoked: true },
+                xero: { revoked: true, connectionsRemoved: 2 },
+                purged: { tokens: 2, tenantRoutes: 1, userRoles: 3, companyConfig: true, configHistory: 4, departments: 6, taxRateMappings: 2, accountCodeRules: 1, taskTemplates: 2 },
+                errors: []
+            });
+        });
+
+        test('should still purge local data when provider revocation fails', async () => {
+            mockTokenService.getValidAccessToken.mockResolvedValue(null);
+            const rejected = new Error('Request failed with status code 400');
+            rejected.response = { data: { error: 'invalid_grant' } };
+            mockTokenService.revokePipedriveToken.mockRejectedValue(rejected);
+
+            const summary = await offboardCompany('123', { reason: 'uninstall' });
+
+            expect(mockXeroApiService.getXeroConnections).not.toHaveBeenCalled();
+            expect(summary.pipedrive.revoked).toBe(false);
+            expect(summary.errors).toEqual([{ step: 'pipedrive-revoke', error: 'invalid_grant' }]);
+            expect(mockTokenService.purgeCompanyTokens).toHaveBeenCalledWith('123');
+        });
+    });
+
+    describe('logout', () => {
+        test('should offboard the company from the signed identity', async () => {
+            const req = { pipedriveIdentity: { companyId: '123', userId: '9' }, body: { companyId: '123' } };
+
+            await authController.logout(req, res);
+
+            expect(mockTokenService.purgeCompanyTokens).toHaveBeenCalledWith('123');
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                success: true,
+                revoked: { pipedrive: true, xero: true, xeroConnectionsRemoved: 2 }
+            }));
+        });
+    });
+
+    describe('handlePipedriveUninstall', () => {
+        const uninstallRequest = (authorization, body = { company_id: 123, user_id: 9 }) => ({
+            body,
+            ip: '127.0.0.1',
+            get: (header) => (header === 'Authorization' ? authorization : undefined)
+        });
+
+        test('should offboard the company for a request with the app credentials', async () => {
+            await authController.handlePipedriveUninstall(uninstallRequest(basicAuth('pd-client', 'pd-secret')), res);
+
+            expect(mockTokenService.purgeCompanyTokens).toHaveBeenCalledWith('123');
+            expect(res.json).toHaveBeenCalledWith({ success: true });
+        });
+
+        test('should reject requests without valid app credentials', async () => {
+            await authController.handlePipedriveUninstall(uninstallRequest(basicAuth('pd-client', 'wrong')), res);
+            await authController.handlePipedriveUninstall(uninstallRequest(undefined), res);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.status).toHaveBeenCalledTimes(2);
+            expect(mockTokenService.purgeCompanyTokens).not.toHaveBeenCalled();
+        });
+
+        test('should require the company ID', async () => {
+            await authController.handlePipedriveUninstall(uninstallRequest(basicAuth('pd-client', 'pd-secret'), {}), res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+    });
+});
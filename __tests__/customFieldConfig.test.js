@@ -0,0 +1,75 @@
+/**
+ * Custom Field Configuration Tests
+ *
+ * Tests that Pipedrive custom field keys come from the company's config,
+ * with environment variables used only as a fallback.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockCompanyConfigDao = {
+    findCompanyConfig: jest.fn(),
+    upsertCompanyConfig: jest.fn()
+};
+
+await jest.unstable_mockModule('../models/companyConfigDao.js', () => mockCompanyConfigDao);
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const configService = await import('../services/configService.js');
+
+describe('custom field configuration', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        configService.clearConfigCache('123');
+        process.env.PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY = 'env_quote_key';
+        process.env.PIPEDRIVE_QUOTE_CUSTOM_DEPARTMENT = 'env_department_key';
+        delete process.env.PIPEDRIVE_INVOICENUMBER;
+        process.env.PIPEDRIVE_INVOICE_CUSTOM_FIELD_KEY = 'env_invoice_key';
+        delete process.env.PIPEDRIVE_PROJECT_NUMBER_CUSTOM_FIELD_KEY;
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    test('should prefer company config keys over environment variables', async () => {
+        mockCompanyConfigDao.findCompanyConfig.mockResolvedValue({
+            config: { customFields: { quoteNumber: 'company_quote_key', projectNumber: 'company_project_key' } }
+        });
+
+        const fieldKeys = await configService.getCustomFieldKeys('123');
+
+        expect(mockCompanyConfigDao.findCompanyConfig).toHaveBeenCalledWith('123');
+        expect(fieldKeys.quoteNumber).toBe('company_quote_key');
+        expect(fieldKeys.projectNumber).toBe('company_project_key');
+        expect(fieldKeys.department).toBe('env_department_key');
+    });
+
+    test('should fall back to environment variables when the company has no config', async () => {
+        mockCompanyConfigDao.findCompanyConfig.mockResolvedValue(null);
+
+        const fieldKeys = await configService.getCustomFieldKeys('123');
+
+        expect(fieldKeys.quoteNumber).toBe('env_quote_key');
+        expect(fieldKeys.invoiceNumber).toBe('env_invoice_key');
+        expect(fieldKeys.projectNumber).toBeUndefined();
+    });
+
+    test('should use environment variables without a company', async () => {
+        const fieldKeys = await configService.getCustomFieldKeys(undefined);
+
+        expect(mockCompanyConfigDao.findCompanyConfig).not.toHaveBeenCalled();
+        expect(fieldKeys).toEqual(configService.getEnvCustomFieldKeys());
+    });
+
+    test('should return a single key with getCustomFieldKey', async () => {
+        mockCompanyConfigDao.findCompanyConfig.mockResolvedValue({ config: { customFields: { vesselName: 'company_vessel_key' } } });
+
+        await expect(configService.getCustomFieldKey('123', 'vesselName')).resolves.toBe('company_vessel_key');
+        await expect(configService.getCustomFieldKey('123', 'invoiceId')).resolves.toBeNull();
+    });
+});
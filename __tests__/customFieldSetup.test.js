@@ -0,0 +1,138 @@
+/**
+ * Custom Field Setup Tests
+ *
+ * Tests for proposing Pipedrive deal fields by name, validating field types,
+ * creating missing fields and saving the confirmed mapping into company config.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockPipedriveApiService = {
+    getDealFields: jest.fn(),
+    createDealField: jest.fn()
+};
+
+const mockConfigService = {
+    getCustomFieldKeys: jest.fn()
+};
+
+const mockConfigAdminService = {
+    patchCompanyConfig: jest.fn()
+};
+
+await jest.unstable_mockModule('../services/pipedriveApiService.js', () => mockPipedriveApiService);
+await jest.unstable_mockModule('../services/configService.js', () => mockConfigService);
+await jest.unstable_mockModule('../services/companyConfigAdminService.js', () => mockConfigAdminService);
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const customFieldSetupService = await import('../services/customFieldSetupService.js');
+
+describe('custom field setup', () => {
+    const auth = { apiDomain: 'https://acme.pipedrive.com', accessToken: 'pd-token' };
+    const dealFields = [
+        { key: 'title', name: 'Title', field_type: 'varchar', edit_flag: false },
+        { key: 'dept_hash', name: 'Department', field_type: 'varchar', edit_flag: true },
+        { key: 'vessel_hash', name: 'Vessel name', field_type: 'varchar', edit_flag: true },
+        { key: 'quote_no_hash', name: 'Xero Quote Number', field_type: 'double', edit_flag: true },
+        { key: 'quote_id_hash', name: 'Xero Quote ID', field_type: 'varchar', edit_flag: true },
+        { key: 'old_project_hash', name: 'Project No.', field_type: 'varchar', edit_flag: true }
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockPipedriveApiService.getDealFields.mockResolvedValue(dealFields);
+        mockConfigService.getCustomFieldKeys.mockResolvedValue({ projectNumber: 'old_project_hash', invoiceId: 'deleted_hash' });
+    });
+
+    describe('discoverCustomFields', () => {
+        test('should propose custom fields by name and keep valid configured fields', async () => {
+            const { fields } = await customFieldSetupService.discoverCustomFields('123', auth);
+            const byField = Object.fromEntries(fields.map(f => [f.field, f]));
+
+            expect(mockPipedriveApiService.getDealFields).toHaveBeenCalledWith(auth.apiDomain, auth.accessToken);
+            expect(byField.department).toMatchObject({ status: 'proposed', proposed: { key: 'dept_hash', match: 'exact' } });
+            expect(byField.vesselName.proposed.key).toBe('vessel_hash');
+            expect(byField.quoteId.proposed.key).toBe('quote_id_hash');
+            expect(byField.projectNumber).toMatchObject({ status: 'configured', proposed: { key: 'old_project_hash' } });
+        });
+
+        test('should not propose fields with an unusable type', async () => {
+            const { fields } = await customFieldSetupService.discoverCustomFields('123', auth);
+            const quoteNumber = fields.find(f => f.field === 'quoteNumber');
+
+            expect(quoteNumber.status).toBe('missing');
+            expect(quoteNumber.proposed).toBeNull();
+            expect(quoteNumber.candidates).toEqual([
+                expect.objectContaining({ key: 'quote_no_hash', fieldType: 'double', validType: false })
+            ]);
+        });
+
+        test('should flag configured keys that no longer exist', async () => {
+            const { fields } = await customFieldSetupService.discoverCustomFields('123', auth);
+            const invoiceId = fields.find(f => f.field === 'invoiceId');
+
+            expect(invoiceId).toMatchObject({ status: 'invalid', current: { key: 'deleted_hash', exists: false } });
+        });
+    });
+
+    describe('createMissingCustomFields', () => {
+        test('should create fields that are not configured and skip configured ones', async () => {
+            mockPipedriveApiService.createDealField.mockResolvedValue({ key: 'new_quote_hash', name: 'Quote Number', field_type: 'varchar' });
+
+            const result = await customFieldSetupService.createMissingCustomFields('123', auth, ['quoteNumber', 'projectNumber']);
+
+            expect(mockPipedriveApiService.createDealField).toHaveBeenCalledTimes(1);
+            expect(mockPipedriveApiService.createDealField).toHaveBeenCalledWith(auth.apiDomain, auth.accessToken, 'Quote Number', 'varchar');
+            expect(result.created).toEqual([{ field: 'quoteNumber', key: 'new_quote_hash', name: 'Quote Number', fieldType: 'varchar' }]);
+            expect(result.skipped).toEqual([{ field: 'projectNumber', key: 'old_project_hash', reason: 'Already configured' }]);
+        });
+
+        test('should explain when Pipedrive refuses to create fields', async () => {
+            const forbidden = new Error('Request failed with status code 403');
+            forbidden.response = { status: 403 };
+            mockPipedriveApiService.createDealField.mockRejectedValue(forbidden);
+
+            await expect(customFieldSetupService.createMissingCustomFields('123', auth, ['quoteNumber']))
+                .rejects.toMatchObject({ statusCode: 403 });
+        });
+
+        test('should reject unknown fields with 400', async () => {
+            await expect(customFieldSetupService.createMissingCustomFields('123', auth, ['colour']))
+                .rejects.toMatchObject({ statusCode: 400, details: { unknownFields: ['colour'] } });
+            expect(mockPipedriveApiService.createDealField).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('saveCustomFieldMapping', () => {
+        test('should patch the mapping into the company config as the acting user', async () => {
+            const saved = { projectNumber: 'old_project_hash', department: 'dept_hash', quoteId: 'quote_id_hash' };
+            mockConfigAdminService.patchCompanyConfig.mockResolvedValue({ config: { customFields: saved }, changes: [] });
+            const actor = { userId: '42', name: 'Ada Admin' };
+
+            const customFields = await customFieldSetupService.saveCustomFieldMapping('123', auth, {
+                department: 'dept_hash',
+                quoteId: 'quote_id_hash'
+            }, actor);
+
+            expect(customFields).toEqual(saved);
+            expect(mockConfigAdminService.patchCompanyConfig).toHaveBeenCalledWith('123', {
+                customFields: { department: 'dept_hash', quoteId: 'quote_id_hash' }
+            }, actor);
+        });
+
+        test('should reject missing fields, wrong types and duplicate keys', async () => {
+            const error = await customFieldSetupService.saveCustomFieldMapping('123', auth, {
+                quoteNumber: 'quote_no_hash',
+                invoiceId: 'deleted_hash',
+                quoteId: 'dept_hash',
+                department: 'dept_hash'
+            }).catch(e => e);
+
+            expect(error.statusCode).toBe(400);
+            expect(error.details.errors.map(e => e.field)).toEqual(['quoteNumber', 'invoiceId', 'department']);
+            expect(mockConfigAdminService.patchCompanyConfig).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,275 @@
+/**
+ * Database Migration Tests
+ *
+ * Tests loading migrations from files, checksums of applied migrations,
+ * dry runs, per-migration locks and rollback, plus the project number
+ * normalization of migration 1.5.0.
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtemp, writeFile, appendFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const migrationRecords = [];
+
+const migrationVersions = {
+    findOne: jest.fn(async (filter, options) => {
+        if (filter.version) {
+            return migrationRecords.find(record => record.version === filter.version) || null;
+        }
+        return options?.sort ? migrationRecords[migrationRecords.length - 1] || null : migrationRecords[0] || null;
+    }),
+    find: jest.fn(() => ({ sort: () => ({ toArray: async () => [...migrationRecords] }) })),
+    insertOne: jest.fn(async (record) => { migrationRecords.push(record); }),
+    deleteOne: jest.fn(async ({ version }) => {
+        const index = migrationRecords.findIndex(record => record.version === version);
+        if (index >= 0) {
+            migrationRecords.splice(index, 1);
+        }
+    }),
+    updateOne: jest.fn(async ({ version }, { $set }) => {
+        Object.assign(migrationRecords.find(record => record.version === version), $set);
+    }),
+    createIndex: jest.fn()
+};
+
+const mockDb = {
+    listCollections: jest.fn(({ name }) => ({ toArray: async () => [{ name }] })),
+    createCollection: jest.fn(),
+    command: jest.fn(),
+    collection: jest.fn(() => migrationVersions)
+};
+
+const mockMigrationLockDao = {
+    acquireMigrationLock: jest.fn(),
+    releaseMigrationLock: jest.fn()
+};
+
+await jest.unstable_mockModule('../services/mongoService.js', () => ({
+    withDatabase: jest.fn(async (operation) => operation(mockDb))
+}));
+await jest.unstable_mockModule('../models/migrationLockDao.js', () => mockMigrationLockDao);
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const databaseMigration = await import('../utils/databaseMigration.js');
+const normalizeProjectNumbers = await import('../migrations/1.5.0-normalize-project-numbers.js');
+const removeConfigClientSecrets = await import('../migrations/1.6.0-remove-config-client-secrets.js');
+
+/**
+ * Source of a test migration that records its calls in globalThis.migrationCalls
+ */
+const migrationSource = (version) => `
+export const version = '${version}';
+export const description = 'Migration ${version}';
+export async function up(db, { dryRun }) {
+  globalThis.migrationCalls.push(['up', '${version}', dryRun]);
+  return [{ collection: 'things', description: 'Add field', count: 2 }];
+}
+export async function down(db, { dryRun }) {
+  globalThis.migrationCalls.push(['down', '${version}', dryRun]);
+  return [];
+}
+`;
+
+describe('databaseMigration', () => {
+    let directory;
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        migrationRecords.length = 0;
+        globalThis.migrationCalls = [];
+        mockMigrationLockDao.acquireMigrationLock.mockResolvedValue(true);
+        mockMigrationLockDao.releaseMigrationLock.mockResolvedValue(true);
+
+        directory = await mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+        await writeFile(path.join(directory, '1.10.0-later.js'), migrationSource('1.10.0'));
+        await writeFile(path.join(directory, '1.2.0-earlier.js'), migrationSource('1.2.0'));
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    describe('loadMigrations', () => {
+        test('should load migrations in version order with checksums', async () => {
+            const migrations = await databaseMigration.loadMigrations(directory);
+
+            expect(migrations.map(m => m.version)).toEqual(['1.2.0', '1.10.0']);
+            expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+        });
+
+        test('should reject a file not named after its version', async () => {
+            await writeFile(path.join(directory, '1.3.0-misnamed.js'), migrationSource('1.4.0'));
+
+            await expect(databaseMigration.loadMigrations(directory)).rejects.toThrow('must be named after its version');
+        });
+
+        test('should load the migrations directory', async () => {
+            const migrations = await databaseMigration.loadMigrations();
+
+            expect(migrations.map(m => m.version)).toEqual(['1.0.0', '1.1.0', '1.2.0', '1.3.0', '1.4.0', '1.5.0', '1.6.0']);
+        });
+    });
+
+    describe('runMigrations', () => {
+        test('should apply pending migrations in order and record their checksums', async () => {
+            const results = await databaseMigration.runMigrations({ directory });
+            const again = await databaseMigration.runMigrations({ directory });
+
+            expect(results.errors).toEqual([]);
+            expect(globalThis.migrationCalls).toEqual([['up', '1.2.0', false], ['up', '1.10.0', false]]);
+            expect(migrationRecords.map(record => record.version)).toEqual(['1.2.0', '1.10.0']);
+            expect(migrationRecords[0]).toMatchObject({
+                checksum: expect.stringMatching(/^[0-9a-f]{64}$/),
+                changes: [{ collection: 'things', description: 'Add field', count: 2 }]
+            });
+            expect(mockMigrationLockDao.releaseMigrationLock).toHaveBeenCalledTimes(2);
+            expect(again.appliedMigrations).toEqual([]);
+        });
+
+        test('should stop at the target version', async () => {
+            await databaseMigration.runMigrations({ directory, targetVersion: '1.2.0' });
+
+            expect(migrationRecords.map(record => record.version)).toEqual(['1.2.0']);
+        });
+
+        test('should report intended changes in a dry run without applying', async () => {
+            const results = await databaseMigration.runMigrations({ directory, dryRun: true });
+
+            expect(results.appliedMigrations).toEqual([
+                expect.objectContaining({ version: '1.2.0', status: 'would_apply', changes: [{ collection: 'things', description: 'Add field', count: 2 }] }),
+                expect.objectContaining({ version: '1.10.0', status: 'would_apply' })
+            ]);
+            expect(globalThis.migrationCalls).toEqual([['up', '1.2.0', true], ['up', '1.10.0', true]]);
+            expect(migrationRecords).toEqual([]);
+            expect(mockMigrationLockDao.acquireMigrationLock).not.toHaveBeenCalled();
+        });
+
+        test('should refuse to run when an applied migration was edited', async () => {
+            await databaseMigration.runMigrations({ directory, targetVersion: '1.2.0' });
+            await appendFile(path.join(directory, '1.2.0-earlier.js'), '// edited\n');
+
+            const status = await databaseMigration.getMigrationStatus({ directory });
+            const refused = await databaseMigration.runMigrations({ directory });
+
+            expect(status.modifiedMigrations.map(m => m.version)).toEqual(['1.2.0']);
+            expect(refused.errors).toEqual([expect.objectContaining({ version: '1.2.0', code: 'checksum_mismatch' })]);
+            expect(migrationRecords.map(record => record.version)).toEqual(['1.2.0']);
+
+            const forced = await databaseMigration.runMigrations({ directory, force: true });
+            expect(forced.appliedMigrations.map(m => m.version)).toEqual(['1.10.0']);
+        });
+
+        test('should record checksums of migrations applied before checksums were stored', async () => {
+            migrationRecords.push({ version: '1.2.0', description: 'Migration 1.2.0', appliedAt: new Date() });
+
+            const before = await databaseMigration.getMigrationStatus({ directory });
+            await databaseMigration.runMigrations({ directory });
+
+            expect(before.migrations.find(m => m.version === '1.2.0').status).toBe('unverified');
+            expect(migrationRecords[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+            expect(globalThis.migrationCalls).toEqual([['up', '1.10.0', false]]);
+        });
+
+        test('should not run a migration locked by another instance', async () => {
+            mockMigrationLockDao.acquireMigrationLock.mockResolvedValue(false);
+
+            const results = await databaseMigration.runMigrations({ directory });
+
+            expect(results.errors).toEqual([expect.objectContaining({ version: '1.2.0', code: 'locked' })]);
+            expect(globalThis.migrationCalls).toEqual([]);
+            expect(migrationRecords).toEqual([]);
+        });
+    });
+
+    describe('rollbackLastMigration', () => {
+        test('should roll back the last applied migration', async () => {
+            await databaseMigration.runMigrations({ directory });
+            globalThis.migrationCalls = [];
+
+            const dryRun = await databaseMigration.rollbackLastMigration({ directory, dryRun: true });
+            const results = await databaseMigration.rollbackLastMigration({ directory });
+
+            expect(dryRun.rolledBackMigrations).toEqual([expect.objectContaining({ version: '1.10.0', status: 'would_rollback' })]);
+            expect(results.rolledBackMigrations).toEqual([expect.objectContaining({ version: '1.10.0', status: 'rolled_back' })]);
+            expect(globalThis.migrationCalls).toEqual([['down', '1.10.0', true], ['down', '1.10.0', false]]);
+            expect(migrationRecords.map(record => record.version)).toEqual(['1.2.0']);
+        });
+
+        test('should refuse when the last applied migration is not the expected one', async () => {
+            await databaseMigration.runMigrations({ directory });
+            globalThis.migrationCalls = [];
+
+            const results = await databaseMigration.rollbackLastMigration({ directory, expectedVersion: '1.2.0' });
+
+            expect(results.rolledBackMigrations).toEqual([]);
+            expect(results.errors).toEqual([expect.objectContaining({ version: '1.10.0', code: 'version_mismatch' })]);
+            expect(globalThis.migrationCalls).toEqual([]);
+            expect(migrationRecords.map(record => record.version)).toEqual(['1.2.0', '1.10.0']);
+        });
+    });
+
+    describe('1.5.0 normalize project numbers', () => {
+        const mappings = [
+            { _id: 1, companyId: '123', projectNumber: ' ny25001' },
+            { _id: 2, companyId: '123', projectNumber: 'NY25002' },
+            { _id: 3, companyId: '123', projectNumber: 'ny25002' },
+            { _id: 4, companyId: '123', projectNumber: 'not-a-number' }
+        ];
+        const collection = {
+            find: jest.fn(() => ({ toArray: async () => mappings })),
+            updateOne: jest.fn()
+        };
+        const db = { collection: () => collection };
+
+        test('should report fixable and unfixable numbers in a dry run', async () => {
+            const changes = await normalizeProjectNumbers.up(db, { dryRun: true });
+
+            expect(changes.map(change => change.count)).toEqual([1, 2]);
+            expect(collection.updateOne).not.toHaveBeenCalled();
+        });
+
+        test('should normalize numbers that do not collide and keep the original', async () => {
+            await normalizeProjectNumbers.up(db, { dryRun: false });
+
+            expect(collection.updateOne).toHaveBeenCalledTimes(1);
+            expect(collection.updateOne).toHaveBeenCalledWith(
+                { _id: 1 },
+                { $set: { projectNumber: 'NY25001', normalizedFrom: ' ny25001', lastUpdatedAt: expect.any(Date) } }
+            );
+        });
+    });
+
+    describe('1.6.0 remove config client secrets', () => {
+        const collection = {
+            countDocuments: jest.fn().mockResolvedValue(2),
+            updateMany: jest.fn().mockResolvedValue({ modifiedCount: 2 })
+        };
+        const db = { collection: () => collection };
+        const filter = {
+            $or: [{ 'config.pipedrive.clientSecret': { $exists: true } }, { 'config.xero.clientSecret': { $exists: true } }]
+        };
+
+        test('should only count configs with secrets in a dry run', async () => {
+            const changes = await removeConfigClientSecrets.up(db, { dryRun: true });
+
+            expect(changes).toEqual([expect.objectContaining({ collection: 'company_configs', count: 2 })]);
+            expect(collection.countDocuments).toHaveBeenCalledWith(filter);
+            expect(collection.updateMany).not.toHaveBeenCalled();
+        });
+
+        test('should unset the stored secrets', async () => {
+            await removeConfigClientSecrets.up(db, { dryRun: false });
+
+            expect(collection.updateMany).toHaveBeenCalledWith(filter, {
+                $unset: { 'config.pipedrive.clientSecret': '', 'config.xero.clientSecret': '' }
+            });
+        });
+    });
+});
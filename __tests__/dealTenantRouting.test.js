@@ -0,0 +1,133 @@
+/**
+ * Deal Tenant Routing Tests
+ *
+ * Tests that deal-scoped Xero handlers use the tenant routed for the deal's
+ * department rather than the company's default tenant.
+ */
+
+import { jest } from '@jest/globals';
+
+const actualPipedriveApiService = await import('../services/pipedriveApiService.js');
+const actualXeroApiService = await import('../services/xeroApiService.js');
+const actualRoutingService = await import('../services/xeroTenantRoutingService.js');
+const actualConfigService = await import('../services/configService.js');
+
+const mockPipedriveApiService = {
+    ...actualPipedriveApiService,
+    getDealDetails: jest.fn(),
+    updateDealCustomField: jest.fn()
+};
+
+const mockXeroApiService = {
+    ...actualXeroApiService,
+    findXeroQuoteByNumber: jest.fn(),
+    createXeroProject: jest.fn()
+};
+
+const mockRoutingService = {
+    ...actualRoutingService,
+    resolveTenantForDeal: jest.fn(),
+    resolveTenantForDepartment: jest.fn()
+};
+
+await jest.unstable_mockModule('../services/pipedriveApiService.js', () => mockPipedriveApiService);
+await jest.unstable_mockModule('../services/xeroApiService.js', () => mockXeroApiService);
+await jest.unstable_mockModule('../services/xeroTenantRoutingService.js', () => mockRoutingService);
+await jest.unstable_mockModule('../services/configService.js', () => ({
+    ...actualConfigService,
+    getCustomFieldKeys: jest.fn().mockResolvedValue({ quoteNumber: 'quote_field', invoiceNumber: 'invoice_field' })
+}));
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const xeroController = await import('../controllers/xeroController.js');
+
+describe('deal tenant routing', () => {
+    const createRequest = (body) => ({
+        body,
+        pipedriveAuth: { apiDomain: 'https://test.pipedrive.com', accessToken: 'pd-token' },
+        xeroAuth: { accessToken: 'xero-token', tenantId: 'default-tenant' }
+    });
+
+    const createResponse = () => ({
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn()
+    });
+
+    const routingError = () => Object.assign(new Error('No Xero organisation is mapped to department "Navy"'), {
+        statusCode: 422,
+        details: { department: 'Navy' }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockPipedriveApiService.getDealDetails.mockResolvedValue({ id: 7, title: 'Deal', quote_field: 'QU-0007' });
+    });
+
+    test('should look up the quote of an invoice in the tenant routed for the deal', async () => {
+        mockRoutingService.resolveTenantForDeal.mockResolvedValue('navy-tenant');
+        mockXeroApiService.findXeroQuoteByNumber.mockResolvedValue(null);
+        const req = createRequest({ dealId: 7, pipedriveCompanyId: '123' });
+        const res = createResponse();
+
+        await xeroController.createInvoiceFromQuote(req, res);
+
+        expect(mockRoutingService.resolveTenantForDeal).toHaveBeenCalledWith(
+            '123', expect.objectContaining({ id: 7 }), req.xeroAuth);
+        expect(mockXeroApiService.findXeroQuoteByNumber).toHaveBeenCalledWith('xero-token', 'navy-tenant', 'QU-0007');
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should respond with the routing error without calling Xero', async () => {
+        mockRoutingService.resolveTenantForDeal.mockRejectedValue(routingError());
+        const res = createResponse();
+
+        await xeroController.acceptXeroQuote(createRequest({ dealId: 7, pipedriveCompanyId: '123' }), res);
+
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(res.json).toHaveBeenCalledWith({
+            error: 'No Xero organisation is mapped to department "Navy"',
+            details: { department: 'Navy' }
+        });
+        expect(mockXeroApiService.findXeroQuoteByNumber).not.toHaveBeenCalled();
+    });
+
+    test('should route a project by the department of its deal', async () => {
+        mockRoutingService.resolveTenantForDeal.mockRejectedValue(routingError());
+        const res = createResponse();
+
+        await xeroController.createXeroProject(createRequest({
+            pipedriveCompanyId: '123',
+            contactId: 'contact-1',
+            name: 'Refit',
+            vesselName: 'Endeavour',
+            dealId: 7,
+            department: 'Machining'
+        }), res);
+
+        expect(mockPipedriveApiService.getDealDetails).toHaveBeenCalledWith('https://test.pipedrive.com', 'pd-token', 7);
+        expect(mockRoutingService.resolveTenantForDeal).toHaveBeenCalledWith(
+            '123', expect.objectContaining({ id: 7 }), expect.objectContaining({ tenantId: 'default-tenant' }));
+        expect(mockRoutingService.resolveTenantForDepartment).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(422);
+        expect(mockXeroApiService.createXeroProject).not.toHaveBeenCalled();
+    });
+
+    test('should not create a project for a deal that does not exist', async () => {
+        mockPipedriveApiService.getDealDetails.mockResolvedValue(null);
+        const res = createResponse();
+
+        await xeroController.createXeroProject(createRequest({
+            pipedriveCompanyId: '123',
+            contactId: 'contact-1',
+            name: 'Refit',
+            vesselName: 'Endeavour',
+            dealId: 7
+        }), res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(mockRoutingService.resolveTenantForDeal).not.toHaveBeenCalled();
+        expect(mockXeroApiService.createXeroProject).not.toHaveBeenCalled();
+    });
+});
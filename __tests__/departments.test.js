@@ -0,0 +1,130 @@
+/**
+ * Department Tests
+ *
+ * Tests for listing a company's departments (falling back to the defaults),
+ * adding departments and updating their names, aliases and active flag.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockDepartmentDao = {
+    findDepartmentsByCompany: jest.fn(),
+    insertDepartments: jest.fn(),
+    updateDepartment: jest.fn()
+};
+
+await jest.unstable_mockModule('../models/departmentDao.js', () => mockDepartmentDao);
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const departmentService = await import('../services/departmentService.js');
+
+describe('departments', () => {
+    const storedDepartments = [
+        { companyId: '123', name: 'Navy', code: 'NY', aliases: ['Naval Works'], isActive: true },
+        { companyId: '123', name: 'Electrical', code: 'EL', aliases: [], isActive: true }
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockDepartmentDao.findDepartmentsByCompany.mockResolvedValue([]);
+        mockDepartmentDao.insertDepartments.mockImplementation(async (companyId, departments) => departments);
+        mockDepartmentDao.updateDepartment.mockImplementation(async (companyId, code, updates) => {
+            const current = storedDepartments.find(department => department.code === code)
+                || departmentService.DEFAULT_DEPARTMENTS.find(department => department.code === code);
+            return { ...current, isActive: true, ...updates };
+        });
+    });
+
+    describe('listDepartments', () => {
+        test('should return the defaults when the company has none stored', async () => {
+            const { departments, stored } = await departmentService.listDepartments('123');
+
+            expect(stored).toBe(false);
+            expect(departments.map(d => d.code)).toEqual(['NY', 'EL', 'MC', 'AF', 'ED', 'LC']);
+            expect(departments[0]).toEqual({ name: 'Navy', code: 'NY', aliases: [], isActive: true });
+        });
+
+        test('should return the stored departments without internal fields', async () => {
+            mockDepartmentDao.findDepartmentsByCompany.mockResolvedValue(storedDepartments);
+
+            const { departments, stored } = await departmentService.listDepartments('123');
+
+            expect(stored).toBe(true);
+            expect(departments).toEqual([
+                { name: 'Navy', code: 'NY', aliases: ['Naval Works'], isActive: true },
+                { name: 'Electrical', code: 'EL', aliases: [], isActive: true }
+            ]);
+        });
+    });
+
+    describe('createDepartment', () => {
+        test('should store the defaults along with the first department', async () => {
+            const department = await departmentService.createDepartment('123', { name: ' Hydraulics ', code: 'HY', aliases: ['Hydro', 'Hydro'] });
+
+            expect(department).toEqual({ name: 'Hydraulics', code: 'HY', aliases: ['Hydro'], isActive: true });
+            const [companyId, inserted] = mockDepartmentDao.insertDepartments.mock.calls[0];
+            expect(companyId).toBe('123');
+            expect(inserted.map(d => d.code)).toEqual(['NY', 'EL', 'MC', 'AF', 'ED', 'LC', 'HY']);
+        });
+
+        test('should store only the new department once the company has its own', async () => {
+            mockDepartmentDao.findDepartmentsByCompany.mockResolvedValue(storedDepartments);
+
+            await departmentService.createDepartment('123', { name: 'Hydraulics', code: 'HY' });
+
+            expect(mockDepartmentDao.insertDepartments).toHaveBeenCalledWith('123', [
+                { name: 'Hydraulics', code: 'HY', aliases: [], isActive: true }
+            ]);
+        });
+
+        test('should reject invalid fields with 400', async () => {
+            const error = await departmentService.createDepartment('123', { name: '', code: 'hyd', aliases: [''], colour: 'red' }).catch(e => e);
+
+            expect(error.statusCode).toBe(400);
+            expect(error.details.errors.map(e => e.path)).toEqual(['colour', 'name', 'code', 'aliases']);
+            expect(mockDepartmentDao.insertDepartments).not.toHaveBeenCalled();
+        });
+
+        test('should reject a code, name or alias that is already used with 409', async () => {
+            mockDepartmentDao.findDepartmentsByCompany.mockResolvedValue(storedDepartments);
+
+            await expect(departmentService.createDepartment('123', { name: 'Naval', code: 'NY' }))
+                .rejects.toMatchObject({ statusCode: 409, message: 'Department code NY is already used' });
+            await expect(departmentService.createDepartment('123', { name: 'Hydraulics', code: 'HY', aliases: ['Naval Works'] }))
+                .rejects.toMatchObject({ statusCode: 409, details: { conflicts: ['Naval Works'] } });
+            expect(mockDepartmentDao.insertDepartments).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('updateDepartment', () => {
+        test('should store the defaults before changing one of them', async () => {
+            const department = await departmentService.updateDepartment('123', 'AF', { isActive: false });
+
+            expect(department).toEqual({ name: 'Afloat', code: 'AF', aliases: [], isActive: false });
+            expect(mockDepartmentDao.insertDepartments.mock.calls[0][1]).toHaveLength(6);
+            expect(mockDepartmentDao.updateDepartment).toHaveBeenCalledWith('123', 'AF', { isActive: false });
+        });
+
+        test('should rename a stored department and keep its code', async () => {
+            mockDepartmentDao.findDepartmentsByCompany.mockResolvedValue(storedDepartments);
+
+            const department = await departmentService.updateDepartment('123', 'EL', { name: 'Electrical Services', aliases: ['Electrical'] });
+
+            expect(department.code).toBe('EL');
+            expect(mockDepartmentDao.insertDepartments).not.toHaveBeenCalled();
+            expect(mockDepartmentDao.updateDepartment).toHaveBeenCalledWith('123', 'EL', { name: 'Electrical Services', aliases: ['Electrical'] });
+        });
+
+        test('should refuse to change the code and reject unknown departments', async () => {
+            mockDepartmentDao.findDepartmentsByCompany.mockResolvedValue(storedDepartments);
+
+            await expect(departmentService.updateDepartment('123', 'EL', { code: 'EE' }))
+                .rejects.toMatchObject({ statusCode: 400, details: { errors: [{ path: 'code', error: 'Department codes cannot be changed' }] } });
+            await expect(departmentService.updateDepartment('123', 'ZZ', { isActive: false }))
+                .rejects.toMatchObject({ statusCode: 404 });
+            expect(mockDepartmentDao.updateDepartment).not.toHaveBeenCalled();
+        });
+    });
+});
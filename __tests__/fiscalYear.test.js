@@ -0,0 +1,38 @@
+import { getFiscalYear, isValidTimezone, resolveFiscalYearSettings } from '../utils/fiscalYearUtils.js';
+
+describe('Fiscal Year', () => {
+  describe('getFiscalYear', () => {
+    test('should use the calendar year in UTC by default', () => {
+      expect(getFiscalYear(new Date('2025-12-31T23:59:59Z'))).toBe(2025);
+      expect(getFiscalYear(new Date('2026-01-01T00:00:00Z'))).toBe(2026);
+    });
+
+    test('should name a fiscal year after the year it starts in', () => {
+      const settings = { startMonth: 4, timezone: 'UTC' };
+
+      expect(getFiscalYear(new Date('2026-03-31T12:00:00Z'), settings)).toBe(2025);
+      expect(getFiscalYear(new Date('2026-04-01T12:00:00Z'), settings)).toBe(2026);
+    });
+
+    test('should take the month from the company timezone', () => {
+      const settings = { startMonth: 4, timezone: 'Asia/Singapore' };
+
+      // 2026-03-31 20:00 UTC is already 1 April in Singapore
+      expect(getFiscalYear(new Date('2026-03-31T20:00:00Z'), settings)).toBe(2026);
+      expect(getFiscalYear(new Date('2026-03-31T20:00:00Z'), { startMonth: 4, timezone: 'America/New_York' })).toBe(2025);
+    });
+  });
+
+  describe('settings', () => {
+    test('should fill unset parts with January and UTC', () => {
+      expect(resolveFiscalYearSettings(null)).toEqual({ startMonth: 1, timezone: 'UTC' });
+      expect(resolveFiscalYearSettings({ startMonth: 4, timezone: null })).toEqual({ startMonth: 4, timezone: 'UTC' });
+    });
+
+    test('should recognise IANA timezones', () => {
+      expect(isValidTimezone('Asia/Singapore')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * MongoDB Service Tests
+ *
+ * Tests that every database operation shares one lazily connected client, that
+ * failed or lost connections are replaced, and that pool metrics and shutdown work.
+ */
+
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+
+const createdClients = [];
+let failNextConnect = false;
+
+class MockMongoClient extends EventEmitter {
+    constructor(uri, options) {
+        super();
+        this.uri = uri;
+        this.options = options;
+        this.database = { databaseName: 'app' };
+        this.connect = jest.fn(async () => {
+            if (failNextConnect) {
+                failNextConnect = false;
+                throw new Error('connect ECONNREFUSED');
+            }
+        });
+        this.close = jest.fn(async () => { this.emit('topologyClosed'); });
+        createdClients.push(this);
+    }
+
+    db() {
+        return this.database;
+    }
+}
+
+await jest.unstable_mockModule('mongodb', () => ({ MongoClient: MockMongoClient }));
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mongoService = await import('../services/mongoService.js');
+const { getDatabase } = await import('../lib/database.js');
+
+describe('mongoService shared client', () => {
+    beforeEach(async () => {
+        process.env.MONGODB_URI = 'mongodb://localhost:27017/app';
+        delete process.env.MONGODB_MAX_POOL_SIZE;
+        await mongoService.closeDatabase();
+        createdClients.length = 0;
+        failNextConnect = false;
+    });
+
+    afterAll(async () => {
+        await mongoService.closeDatabase();
+        delete process.env.MONGODB_URI;
+    });
+
+    test('should connect once on first use and share the client', async () => {
+        expect(createdClients).toHaveLength(0);
+
+        const [first, second] = await Promise.all([
+            mongoService.withDatabase(async (db, client) => ({ db, client })),
+            mongoService.withDatabase(async (db, client) => ({ db, client }))
+        ]);
+        const tokenDb = await getDatabase();
+
+        expect(createdClients).toHaveLength(1);
+        expect(createdClients[0].connect).toHaveBeenCalledTimes(1);
+        expect(second.client).toBe(first.client);
+        expect(tokenDb).toBe(first.db);
+        expect(createdClients[0].close).not.toHaveBeenCalled();
+    });
+
+    test('should size the pool from MONGODB_MAX_POOL_SIZE', async () => {
+        process.env.MONGODB_MAX_POOL_SIZE = '25';
+
+        await mongoService.getClient();
+
+        expect(createdClients[0].options.maxPoolSize).toBe(25);
+    });
+
+    test('should retry a failed connect on the next call', async () => {
+        failNextConnect = true;
+
+        await expect(mongoService.withDatabase(async () => 'never')).rejects.toThrow('ECONNREFUSED');
+        await expect(mongoService.withDatabase(async () => 'ok')).resolves.toBe('ok');
+        expect(createdClients).toHaveLength(2);
+    });
+
+    test('should replace a client that was closed unexpectedly', async () => {
+        const first = await mongoService.getClient();
+        const { reconnects } = mongoService.getPoolMetrics();
+
+        first.emit('topologyClosed');
+        const second = await mongoService.getClient();
+
+        expect(second).not.toBe(first);
+        expect(mongoService.getPoolMetrics().reconnects).toBe(reconnects + 1);
+    });
+
+    test('should report pool metrics from driver events', async () => {
+        const client = await mongoService.getClient();
+        const before = mongoService.getPoolMetrics();
+
+        client.emit('connectionCreated');
+        client.emit('connectionCreated');
+        client.emit('connectionCheckedOut');
+        client.emit('connectionClosed');
+
+        const metrics = mongoService.getPoolMetrics();
+        expect(metrics.connected).toBe(true);
+        expect(metrics.maxPoolSize).toBe(10);
+        expect(metrics.openConnections).toBe(before.openConnections + 1);
+        expect(metrics.checkedOut).toBe(before.checkedOut + 1);
+    });
+
+    test('should close the shared client on shutdown', async () => {
+        const client = await mongoService.getClient();
+
+        await mongoService.closeDatabase();
+
+        expect(client.close).toHaveBeenCalledTimes(1);
+        expect(mongoService.getPoolMetrics().connected).toBe(false);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * OAuth State Tests
+ *
+ * Tests for creating and consuming the MongoDB-backed OAuth state records that
+ * protect the Pipedrive and Xero authorization flows.
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+
+const storedStates = new Map();
+
+const mockOAuthStateDao = {
+    insertOAuthState: jest.fn(async (stateData) => {
+        const doc = { ...stateData, createdAt: new Date() };
+        storedStates.set(`${stateData.service}:${stateData.state}`, doc);
+        return doc;
+    }),
+    consumeOAuthState: jest.fn(async (state, service) => {
+        const key = `${service}:${state}`;
+        const doc = storedStates.get(key) || null;
+        storedStates.delete(key);
+        return doc;
+    })
+};
+
+await jest.unstable_mockModule('../models/oauthStateDao.js', () => mockOAuthStateDao);
+await jest.unstable_mockModule('../lib/database.js', () => ({ getDatabase: jest.fn() }));
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const tokenService = await import('../services/secureTokenService.js');
+
+describe('OAuth state', () => {
+    beforeEach(() => {
+        storedStates.clear();
+        jest.clearAllMocks();
+    });
+
+    test('should persist the initiating company and return URL', async () => {
+        const { state, codeChallenge } = await tokenService.createOAuthState('pipedrive', {
+            companyId: 123,
+            returnUrl: 'http://localhost:3001/settings'
+        });
+
+        expect(state).toMatch(/^[0-9a-f]{48}$/);
+        expect(codeChallenge).toBeNull();
+        expect(mockOAuthStateDao.insertOAuthState).toHaveBeenCalledWith({
+            state,
+            service: 'pipedrive',
+            companyId: '123',
+            returnUrl: 'http://localhost:3001/settings',
+            codeVerifier: null
+        });
+    });
+
+    test('should store a PKCE verifier whose S256 hash is the returned challenge', async () => {
+        const { codeChallenge } = await tokenService.createOAuthState('xero', { companyId: '123', usePkce: true });
+
+        const { codeVerifier } = mockOAuthStateDao.insertOAuthState.mock.calls[0][0];
+        expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+        expect(codeChallenge).toBe(crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+    });
+
+    test('should honour a state only once', async () => {
+        const { state } = await tokenService.createOAuthState('xero', { companyId: '123', usePkce: true });
+
+        const first = await tokenService.consumeOAuthState(state, 'xero');
+        const second = await tokenService.consumeOAuthState(state, 'xero');
+
+        expect(first).toMatchObject({ companyId: '123', service: 'xero' });
+        expect(second).toBeNull();
+    });
+
+    test('should not accept a state issued for the other service', async () => {
+        const { state } = await tokenService.createOAuthState('pipedrive');
+
+        await expect(tokenService.consumeOAuthState(state, 'xero')).resolves.toBeNull();
+    });
+
+    test('should reject a missing state without querying the database', async () => {
+        await expect(tokenService.consumeOAuthState(undefined, 'pipedrive')).resolves.toBeNull();
+        await expect(tokenService.consumeOAuthState(['a', 'b'], 'pipedrive')).resolves.toBeNull();
+        expect(mockOAuthStateDao.consumeOAuthState).not.toHaveBeenCalled();
+    });
+});
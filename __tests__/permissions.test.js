@@ -0,0 +1,237 @@
+/**
+ * Role-Based Permission Tests
+ *
+ * Tests for resolving the acting Pipedrive user, mapping their roles to
+ * permissions, and rejecting requests with a structured 403.
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+const mockTokenService = {
+    getAuthToken: jest.fn(),
+    getValidAccessToken: jest.fn()
+};
+
+const mockPipedriveApiService = {
+    getPipedriveUser: jest.fn()
+};
+
+const mockUserRoleDao = {
+    findUserRoles: jest.fn(),
+    findUserRolesByCompany: jest.fn(),
+    upsertUserRoles: jest.fn(),
+    deleteUserRoles: jest.fn()
+};
+
+const respondOk = (req, res) => res.json({ success: true });
+const mockAuthController = Object.fromEntries([
+    'initiatePipedriveAuth', 'handlePipedriveCallback', 'handlePipedriveUninstall', 'getPipedriveAuthUrl',
+    'checkAuthStatus', 'logout', 'initiateXeroAuth', 'handleXeroCallback', 'listXeroTenants', 'setDefaultXeroTenant'
+].map(name => [name, jest.fn(respondOk)]));
+
+await jest.unstable_mockModule('../services/secureTokenService.js', () => mockTokenService);
+await jest.unstable_mockModule('../controllers/authController.js', () => mockAuthController);
+await jest.unstable_mockModule('../services/pipedriveApiService.js', () => mockPipedriveApiService);
+await jest.unstable_mockModule('../models/companyUserRoleDao.js', () => mockUserRoleDao);
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const permissionService = await import('../services/permissionService.js');
+const { requirePermission } = await import('../middleware/permissionMiddleware.js');
+const { PERMISSIONS } = permissionService;
+const { issueSessionToken } = await import('../middleware/pipedriveJwtAuth.js');
+const { default: authRoutes } = await import('../routes/authRoutes.js');
+
+describe('permissions', () => {
+    const identity = { companyId: '123', userId: '42', source: 'session' };
+    let res;
+    let next;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        permissionService.clearActingUserCache('123');
+        delete process.env.DEFAULT_USER_ROLES;
+        mockTokenService.getAuthToken.mockResolvedValue({ accessToken: 'pd-token', apiDomain: 'https://acme.pipedrive.com' });
+        mockTokenService.getValidAccessToken.mockResolvedValue('pd-token');
+        mockPipedriveApiService.getPipedriveUser.mockResolvedValue({ id: 42, name: 'Sam Seller', email: 'sam@acme.test', is_admin: false, active_flag: true });
+        mockUserRoleDao.findUserRoles.mockResolvedValue(null);
+        res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+        next = jest.fn();
+    });
+
+    describe('resolveActingUser', () => {
+        test('should give users without an assignment the default roles', async () => {
+            const user = await permissionService.resolveActingUser(identity);
+
+            expect(mockPipedriveApiService.getPipedriveUser).toHaveBeenCalledWith('https://acme.pipedrive.com', 'pd-token', '42');
+            expect(user).toMatchObject({ userId: '42', name: 'Sam Seller', roles: ['sales'], isPipedriveAdmin: false });
+            expect(user.permissions).toContain(PERMISSIONS.QUOTE_CREATE);
+            expect(user.permissions).not.toContain(PERMISSIONS.INVOICE_CREATE);
+        });
+
+        test('should use the stored assignment and always add admin for Pipedrive admins', async () => {
+            mockUserRoleDao.findUserRoles.mockResolvedValue({ roles: ['finance'] });
+            mockPipedriveApiService.getPipedriveUser.mockResolvedValue({ id: 42, name: 'Fay', is_admin: true, active_flag: true });
+
+            const user = await permissionService.resolveActingUser(identity);
+
+            expect(user.roles).toEqual(['finance', 'admin']);
+            expect(user.permissions).toContain(PERMISSIONS.ROLES_MANAGE);
+        });
+
+        test('should grant nothing to deactivated Pipedrive users', async () => {
+            mockUserRoleDao.findUserRoles.mockResolvedValue({ roles: ['finance'] });
+            mockPipedriveApiService.getPipedriveUser.mockResolvedValue({ id: 42, is_admin: false, active_flag: false });
+
+            const user = await permissionService.resolveActingUser(identity);
+
+            expect(user.active).toBe(false);
+            expect(user.permissions).toEqual([]);
+        });
+
+        test('should fall back to stored roles when the Pipedrive profile cannot be loaded', async () => {
+            mockUserRoleDao.findUserRoles.mockResolvedValue({ roles: ['project_manager'] });
+            mockPipedriveApiService.getPipedriveUser.mockRejectedValue(new Error('Request failed with status code 500'));
+
+            const user = await permissionService.resolveActingUser(identity);
+
+            expect(user.roles).toEqual(['project_manager']);
+            expect(user.permissions).toContain(PERMISSIONS.PROJECT_LINK);
+        });
+
+        test('should not cache a user whose Pipedrive profile could not be loaded', async () => {
+            mockPipedriveApiService.getPipedriveUser.mockRejectedValueOnce(new Error('Request failed with status code 500'));
+
+            const fallback = await permissionService.resolveActingUser(identity);
+            const user = await permissionService.resolveActingUser(identity);
+
+            expect(fallback.name).toBeNull();
+            expect(user.name).toBe('Sam Seller');
+            expect(mockPipedriveApiService.getPipedriveUser).toHaveBeenCalledTimes(2);
+        });
+
+        test('should cache the acting user until roles change', async () => {
+            await permissionService.resolveActingUser(identity);
+            await permissionService.resolveActingUser(identity);
+            expect(mockUserRoleDao.findUserRoles).toHaveBeenCalledTimes(1);
+
+            mockUserRoleDao.upsertUserRoles.mockResolvedValue({ userId: '42', roles: ['finance'] });
+            await permissionService.assignRoles('123', '42', ['finance'], '1');
+            mockUserRoleDao.findUserRoles.mockResolvedValue({ roles: ['finance'] });
+
+            const user = await permissionService.resolveActingUser(identity);
+            expect(mockUserRoleDao.findUserRoles).toHaveBeenCalledTimes(2);
+            expect(user.roles).toEqual(['finance']);
+        });
+    });
+
+    describe('assignRoles', () => {
+        test('should reject unknown roles with 400', async () => {
+            await expect(permissionService.assignRoles('123', '42', ['finance', 'owner'], '1'))
+                .rejects.toMatchObject({ statusCode: 400, details: { unknownRoles: ['owner'] } });
+            expect(mockUserRoleDao.upsertUserRoles).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('requirePermission', () => {
+        test('should attach the acting user and continue when the permission is granted', async () => {
+            const req = { pipedriveIdentity: identity, body: {} };
+
+            await requirePermission(PERMISSIONS.QUOTE_CREATE)(req, res, next);
+
+            expect(next).toHaveBeenCalled();
+            expect(req.actingUser).toMatchObject({ userId: '42', roles: ['sales'] });
+        });
+
+        test('should return a structured 403 when the permission is missing', async () => {
+            const req = { pipedriveIdentity: identity, body: {}, originalUrl: '/api/xero/create-invoice-from-deal' };
+
+            await requirePermission(PERMISSIONS.INVOICE_CREATE)(req, res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                error: 'Your role does not allow this action (invoice:create required)',
+                permissionDenied: true,
+                requiredPermission: 'invoice:create',
+                userId: '42',
+                roles: ['sales']
+            });
+        });
+
+        test('should resolve the required permission from the request', async () => {
+            mockUserRoleDao.findUserRoles.mockResolvedValue({ roles: ['sales'] });
+            const check = requirePermission(req => req.body.existingProjectNumberToLink ? PERMISSIONS.PROJECT_LINK : PERMISSIONS.PROJECT_CREATE);
+
+            await check({ pipedriveIdentity: identity, body: { existingProjectNumberToLink: 'NY25001' } }, res, next);
+
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ requiredPermission: 'project:link' }));
+        });
+
+        test('should require a signed identity', async () => {
+            await requirePermission(PERMISSIONS.DEAL_READ)({ body: {} }, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('auth routes', () => {
+        const app = express();
+        app.use(express.json());
+        app.use('/auth', authRoutes);
+
+        beforeEach(() => {
+            process.env.SESSION_TOKEN_SECRET = 'test-session-secret';
+        });
+
+        const sessionHeader = () => `Bearer ${issueSessionToken({ companyId: '123', userId: '42' }).sessionToken}`;
+
+        test.each([
+            ['post', '/auth/logout', 'logout'],
+            ['put', '/auth/xero/tenants/default', 'setDefaultXeroTenant']
+        ])('should only let admins %s %s', async (method, path, handler) => {
+            mockUserRoleDao.findUserRoles.mockResolvedValue({ roles: ['finance'] });
+
+            const denied = await request(app)[method](path).set('Authorization', sessionHeader()).send({});
+
+            expect(denied.status).toBe(403);
+            expect(denied.body.requiredPermission).toBe(PERMISSIONS.SETTINGS_MANAGE);
+            expect(mockAuthController[handler]).not.toHaveBeenCalled();
+
+            permissionService.clearActingUserCache('123');
+            mockUserRoleDao.findUserRoles.mockResolvedValue({ roles: ['admin'] });
+
+            const allowed = await request(app)[method](path).set('Authorization', sessionHeader()).send({});
+
+            expect(allowed.status).toBe(200);
+            expect(mockAuthController[handler]).toHaveBeenCalledTimes(1);
+        });
+
+        test.each([
+            ['get', '/auth/status', 'checkAuthStatus'],
+            ['post', '/auth/check-auth', 'checkAuthStatus'],
+            ['get', '/auth/checkAuth', 'checkAuthStatus'],
+            ['get', '/auth/connect-xero', 'initiateXeroAuth']
+        ])('should only %s %s for the signed-in company', async (method, path, handler) => {
+            const unsigned = await request(app)[method](`${path}?companyId=123`).send({});
+
+            expect(unsigned.status).toBe(401);
+
+            const otherCompany = await request(app)[method](`${path}?pipedriveCompanyId=999`)
+                .set('Authorization', sessionHeader()).send({});
+
+            expect(otherCompany.status).toBe(403);
+            expect(mockAuthController[handler]).not.toHaveBeenCalled();
+
+            const signed = await request(app)[method](path).set('Authorization', sessionHeader()).send({});
+
+            expect(signed.status).toBe(200);
+            expect(mockAuthController[handler].mock.calls[0][0].pipedriveIdentity).toMatchObject({ companyId: '123' });
+        });
+    });
+});
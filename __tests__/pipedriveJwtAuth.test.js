@@ -0,0 +1,219 @@
+/**
+ * Pipedrive Signed Identity Middleware Tests
+ *
+ * Tests for JWT verification of Pipedrive App Extension requests, session
+ * token issuance, and binding of the verified company to the request.
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+
+const mockLogger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+};
+
+await jest.unstable_mockModule('../lib/logger.js', () => ({ default: mockLogger }));
+
+const {
+    signJwt,
+    verifyJwt,
+    issueSessionToken,
+    verifySessionToken,
+    requirePipedriveSignature
+} = await import('../middleware/pipedriveJwtAuth.js');
+
+const CLIENT_SECRET = 'test-client-secret';
+
+const pipedriveToken = (claims, secret = CLIENT_SECRET) => signJwt({
+    iat: Math.floor(Date.now() / 1000),
+    exp: Math.floor(Date.now() / 1000) + 300,
+    ...claims
+}, secret);
+
+describe('Pipedrive signed identity middleware', () => {
+    let req, res, next;
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        process.env.CLIENT_SECRET = CLIENT_SECRET;
+        delete process.env.PIPEDRIVE_JWT_SECRET;
+        delete process.env.SESSION_TOKEN_SECRET;
+        delete process.env.SESSION_TOKEN_TTL_SECONDS;
+
+        req = { headers: {}, body: {}, query: {} };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn()
+        };
+        next = jest.fn();
+        jest.clearAllMocks();
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    describe('verifyJwt', () => {
+        test('should return claims for a correctly signed token', () => {
+            const exp = Math.floor(Date.now() / 1000) + 60;
+            const token = signJwt({ companyId: 1, userId: 2, exp }, CLIENT_SECRET);
+            expect(verifyJwt(token, CLIENT_SECRET)).toEqual({ companyId: 1, userId: 2, exp });
+        });
+
+        test('should reject a token without an expiry', () => {
+            const token = signJwt({ companyId: 1, userId: 2 }, CLIENT_SECRET);
+            expect(() => verifyJwt(token, CLIENT_SECRET)).toThrow('Token has no expiry');
+        });
+
+        test('should allow a little clock skew past the expiry', () => {
+            const token = signJwt({ exp: Math.floor(Date.now() / 1000) - 10 }, CLIENT_SECRET);
+            expect(() => verifyJwt(token, CLIENT_SECRET)).not.toThrow();
+        });
+
+        test('should reject a token signed with another secret', () => {
+            const token = signJwt({ companyId: 1 }, 'other-secret');
+            expect(() => verifyJwt(token, CLIENT_SECRET)).toThrow('Token signature is invalid');
+        });
+
+        test('should reject an expired token', () => {
+            const token = signJwt({ exp: Math.floor(Date.now() / 1000) - 120 }, CLIENT_SECRET);
+            expect(() => verifyJwt(token, CLIENT_SECRET)).toThrow('Token has expired');
+        });
+
+        test('should reject unsigned tokens using alg none', () => {
+            const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+            const payload = Buffer.from(JSON.stringify({ companyId: 1 })).toString('base64url');
+            expect(() => verifyJwt(`${header}.${payload}.`, CLIENT_SECRET)).toThrow('Unsupported token algorithm: none');
+        });
+
+        test('should reject a tampered payload', () => {
+            const token = signJwt({ companyId: 1 }, CLIENT_SECRET);
+            const [header, , signature] = token.split('.');
+            const forged = Buffer.from(JSON.stringify({ companyId: 2 })).toString('base64url');
+            expect(() => verifyJwt(`${header}.${forged}.${signature}`, CLIENT_SECRET)).toThrow('Token signature is invalid');
+        });
+    });
+
+    describe('session tokens', () => {
+        test('should round-trip the verified identity', () => {
+            const { sessionToken, expiresAt } = issueSessionToken({ companyId: 123, userId: 456 });
+
+            expect(verifySessionToken(sessionToken)).toEqual({ companyId: '123', userId: '456' });
+            expect(expiresAt).toBeGreaterThan(Date.now());
+        });
+
+        test('should not accept a Pipedrive JWT as a session token', () => {
+            const token = pipedriveToken({ companyId: 123, userId: 456 });
+            expect(() => verifySessionToken(token)).toThrow('Token is not a session token');
+        });
+
+        test('should use SESSION_TOKEN_SECRET when configured', () => {
+            process.env.SESSION_TOKEN_SECRET = 'session-secret';
+            const { sessionToken } = issueSessionToken({ companyId: 1, userId: 2 });
+
+            expect(() => verifyJwt(sessionToken, CLIENT_SECRET)).toThrow('Token signature is invalid');
+            expect(verifySessionToken(sessionToken)).toEqual({ companyId: '1', userId: '2' });
+        });
+    });
+
+    describe('requirePipedriveSignature', () => {
+        test('should return 401 when no signed identity is present', () => {
+            req.query.companyId = '123';
+
+            requirePipedriveSignature(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                error: 'Signed Pipedrive identity is required',
+                authRequired: true,
+                authType: 'pipedrive-signature'
+            });
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        test('should bind identity from a Pipedrive App Extension JWT', () => {
+            req.query = { token: pipedriveToken({ companyId: 123, userId: 456 }), companyId: '123' };
+
+            requirePipedriveSignature(req, res, next);
+
+            expect(req.pipedriveIdentity).toEqual({ companyId: '123', userId: '456', source: 'pipedrive-jwt' });
+            expect(next).toHaveBeenCalled();
+        });
+
+        test('should prefer PIPEDRIVE_JWT_SECRET over CLIENT_SECRET', () => {
+            process.env.PIPEDRIVE_JWT_SECRET = 'jwt-secret';
+            req.query = { token: pipedriveToken({ companyId: 123, userId: 456 }) };
+
+            requirePipedriveSignature(req, res, next);
+            expect(res.status).toHaveBeenCalledWith(401);
+
+            req.query = { token: pipedriveToken({ companyId: 123, userId: 456 }, 'jwt-secret') };
+            requirePipedriveSignature(req, res, next);
+            expect(next).toHaveBeenCalled();
+        });
+
+        test('should bind identity from a Bearer session token', () => {
+            const { sessionToken } = issueSessionToken({ companyId: 123, userId: 456 });
+            req.headers.authorization = `Bearer ${sessionToken}`;
+            req.body.pipedriveCompanyId = '123';
+
+            requirePipedriveSignature(req, res, next);
+
+            expect(req.pipedriveIdentity).toEqual({ companyId: '123', userId: '456', source: 'session' });
+            expect(next).toHaveBeenCalled();
+        });
+
+        test('should return 401 for a forged token', () => {
+            req.query.token = pipedriveToken({ companyId: 123, userId: 456 }, 'attacker-secret');
+
+            requirePipedriveSignature(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        test('should return 401 when the Pipedrive JWT lacks identity claims', () => {
+            req.query.token = pipedriveToken({ companyId: 123 });
+
+            requirePipedriveSignature(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json.mock.calls[0][0].error).toBe('Invalid identity token: Token is missing companyId or userId claims');
+        });
+
+        test('should return 401 for a Pipedrive JWT without an expiry', () => {
+            req.query.token = pipedriveToken({ companyId: 123, userId: 456, exp: undefined });
+
+            requirePipedriveSignature(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json.mock.calls[0][0].error).toBe('Invalid identity token: Token has no expiry');
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        test('should return 403 when the requested company differs from the signed identity', () => {
+            const { sessionToken } = issueSessionToken({ companyId: 123, userId: 456 });
+            req.headers.authorization = `Bearer ${sessionToken}`;
+            req.body.companyId = '999';
+
+            requirePipedriveSignature(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(req.pipedriveIdentity).toBeUndefined();
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        test('should return 401 for a malformed Bearer token', () => {
+            const forged = crypto.randomBytes(16).toString('hex');
+            req.headers.authorization = `Bearer ${forged}`;
+
+            requirePipedriveSignature(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+        });
+    });
+});
@@ -31,7 +31,8 @@ const mockProjectSequenceModel = {
 const mockLogger = {
     info: jest.fn(),
     error: jest.fn(),
-    warn: jest.fn()
+    warn: jest.fn(),
+    debug: jest.fn()
 };
 
 // Mock all modules
@@ -161,6 +162,7 @@ describe('Project Helpers - Business Logic Tests', () => {
             mockProjectSequenceModel.getNextProjectNumber.mockResolvedValue(mockProjectNumber);
 
             const result = await projectHelpers.generateProjectNumber(
+                'company-123',
                 '12345',
                 'Navy',
                 null,
@@ -169,6 +171,7 @@ describe('Project Helpers - Business Logic Tests', () => {
 
             expect(result).toBe(mockProjectNumber);
             expect(mockProjectSequenceModel.getNextProjectNumber).toHaveBeenCalledWith(
+                'company-123',
                 '12345',
                 'Navy',
                 null
@@ -180,6 +183,7 @@ describe('Project Helpers - Business Logic Tests', () => {
             mockProjectSequenceModel.getNextProjectNumber.mockResolvedValue(existingNumber);
 
             const result = await projectHelpers.generateProjectNumber(
+                'company-123',
                 '12345',
                 'Navy',
                 existingNumber,
@@ -188,6 +192,7 @@ describe('Project Helpers - Business Logic Tests', () => {
 
             expect(result).toBe(existingNumber);
             expect(mockProjectSequenceModel.getNextProjectNumber).toHaveBeenCalledWith(
+                'company-123',
                 '12345',
                 'Navy',
                 existingNumber
@@ -198,6 +203,7 @@ describe('Project Helpers - Business Logic Tests', () => {
             mockProjectSequenceModel.getNextProjectNumber.mockRejectedValue(new Error('Database error'));
 
             await expect(projectHelpers.generateProjectNumber(
+                'company-123',
                 '12345',
                 'Navy',
                 null,
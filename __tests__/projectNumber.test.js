@@ -1,4 +1,4 @@
-import { validateProjectNumber, generateProjectNumber, parseProjectNumber } from '../utils/projectNumberUtils.js';
+import { validateProjectNumber, generateProjectNumber, parseProjectNumber, getMaxSequence, isProjectNumber } from '../utils/projectNumberUtils.js';
 
 describe('Project Number Validation', () => {
   describe('validateProjectNumber', () => {
@@ -109,4 +109,36 @@ describe('Project Number Validation', () => {
       });
     });
   });
-}); 
\ No newline at end of file
+
+  describe('configured formats', () => {
+    const format = { prefix: 'P-', separator: '-', sequenceWidth: 4, suffix: '' };
+
+    test('should generate, validate and parse numbers of the format', () => {
+      const projectNumber = generateProjectNumber('NY', 12, format, 25);
+
+      expect(projectNumber).toBe('P-NY-25-0012');
+      expect(validateProjectNumber(projectNumber, format)).toBe(true);
+      expect(validateProjectNumber('NY25012', format)).toBe(false);
+      expect(validateProjectNumber('P-NY-25-012', format)).toBe(false);
+      expect(parseProjectNumber(projectNumber, format)).toEqual({ departmentCode: 'NY', year: 25, sequence: 12 });
+    });
+
+    test('should fill unset parts with the default format', () => {
+      expect(generateProjectNumber('NY', 7, { prefix: null, separator: '/', sequenceWidth: null }, 25)).toBe('NY/25/007');
+    });
+
+    test('should refuse sequences that do not fit the width', () => {
+      expect(getMaxSequence()).toBe(999);
+      expect(getMaxSequence(format)).toBe(9999);
+      expect(() => generateProjectNumber('NY', 1000, undefined, 25)).toThrow('Sequence 1000 does not fit in 3 digits');
+      expect(generateProjectNumber('NY', 1000, format, 25)).toBe('P-NY-25-1000');
+    });
+
+    test('should recognise numbers of any format', () => {
+      expect(isProjectNumber('NY25001')).toBe(true);
+      expect(isProjectNumber('P-NY-25-0012')).toBe(true);
+      expect(isProjectNumber('NY2501')).toBe(false);
+      expect(isProjectNumber('ny25001')).toBe(false);
+    });
+  });
+});
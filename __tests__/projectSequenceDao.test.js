@@ -0,0 +1,92 @@
+/**
+ * Project Sequence DAO Tests
+ *
+ * Tests for the company-scoped sequence and mapping writes, including stopping
+ * a sequence at its maximum and the error reported while migration 1.4.0 has
+ * not dropped the legacy indexes.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockCollection = {
+    findOneAndUpdate: jest.fn(),
+    insertOne: jest.fn()
+};
+
+await jest.unstable_mockModule('../services/mongoService.js', () => ({
+    withDatabase: jest.fn(async (operation) => operation({}))
+}));
+await jest.unstable_mockModule('../models/mongoSchemas.js', () => ({
+    ensureCollection: jest.fn(async () => mockCollection)
+}));
+
+const projectDao = await import('../models/projectSequenceDao.js');
+
+const duplicateKeyError = (keyPattern) => Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern });
+
+describe('projectSequenceDao', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('getNextSequenceNumber', () => {
+        test('should increment the sequence of the company, department and year', async () => {
+            mockCollection.findOneAndUpdate.mockResolvedValue({ lastSequenceNumber: 7 });
+
+            await expect(projectDao.getNextSequenceNumber(123, 'NY', 25, 999)).resolves.toBe(7);
+            expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
+                { companyId: '123', departmentCode: 'NY', year: 25, lastSequenceNumber: { $lt: 999 } },
+                expect.objectContaining({ $inc: { lastSequenceNumber: 1 } }),
+                expect.objectContaining({ upsert: true })
+            );
+        });
+
+        test('should return null without incrementing an exhausted sequence', async () => {
+            // The filter does not match the full sequence, so the upsert collides with it
+            mockCollection.findOneAndUpdate
+                .mockRejectedValueOnce(duplicateKeyError({ companyId: 1, departmentCode: 1, year: 1 }))
+                .mockResolvedValueOnce(null);
+
+            await expect(projectDao.getNextSequenceNumber('123', 'NY', 25, 999)).resolves.toBeNull();
+            expect(mockCollection.findOneAndUpdate).toHaveBeenLastCalledWith(
+                expect.objectContaining({ lastSequenceNumber: { $lt: 999 } }),
+                expect.anything(),
+                expect.objectContaining({ upsert: false })
+            );
+        });
+
+        test('should increment a sequence another request created at the same time', async () => {
+            mockCollection.findOneAndUpdate
+                .mockRejectedValueOnce(duplicateKeyError({ companyId: 1, departmentCode: 1, year: 1 }))
+                .mockResolvedValueOnce({ lastSequenceNumber: 2 });
+
+            await expect(projectDao.getNextSequenceNumber('123', 'NY', 25, 999)).resolves.toBe(2);
+        });
+
+        test('should report a pending migration when the legacy unique index rejects the upsert', async () => {
+            mockCollection.findOneAndUpdate.mockRejectedValue(duplicateKeyError({ departmentCode: 1, year: 1 }));
+
+            await expect(projectDao.getNextSequenceNumber('123', 'NY', 25)).rejects.toMatchObject({
+                statusCode: 503,
+                code: 'MIGRATION_PENDING',
+                message: expect.stringContaining('run database migration 1.4.0')
+            });
+        });
+    });
+
+    describe('createProjectMapping', () => {
+        test('should report a pending migration when the legacy project number index rejects the insert', async () => {
+            mockCollection.insertOne.mockRejectedValue(duplicateKeyError({ projectNumber: 1 }));
+
+            await expect(projectDao.createProjectMapping({ companyId: '123', projectNumber: 'NY25001' }))
+                .rejects.toMatchObject({ code: 'MIGRATION_PENDING' });
+        });
+
+        test('should pass on duplicates of the company-scoped index for the caller to retry', async () => {
+            const error = duplicateKeyError({ companyId: 1, projectNumber: 1 });
+            mockCollection.insertOne.mockRejectedValue(error);
+
+            await expect(projectDao.createProjectMapping({ companyId: '123', projectNumber: 'NY25001' })).rejects.toBe(error);
+        });
+    });
+});
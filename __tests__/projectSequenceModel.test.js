@@ -1,53 +1,90 @@
-import { 
-    getDepartmentCode, 
-    getAllDepartmentMappings, 
-    isValidProjectNumberFormat, 
-    parseProjectNumber 
-} from '../models/projectSequenceModel.js';
+import { jest } from '@jest/globals';
+
+const mockDepartmentDao = {
+    findDepartmentsByCompany: jest.fn()
+};
+
+const mockProjectDao = {
+    findProjectMappingByDealId: jest.fn(),
+    addDealToProject: jest.fn(),
+    getNextSequenceNumber: jest.fn(),
+    createProjectMapping: jest.fn()
+};
+
+const mockCompanyConfigDao = {
+    findCompanyConfig: jest.fn(),
+    upsertCompanyConfig: jest.fn()
+};
+
+await jest.unstable_mockModule('../models/departmentDao.js', () => mockDepartmentDao);
+await jest.unstable_mockModule('../models/companyConfigDao.js', () => mockCompanyConfigDao);
+await jest.unstable_mockModule('../models/projectSequenceDao.js', () => mockProjectDao);
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const {
+    getDepartmentCode,
+    getAllDepartmentMappings,
+    getNextProjectNumber,
+    isValidProjectNumberFormat,
+    linkDealToProject,
+    parseProjectNumber
+} = await import('../models/projectSequenceModel.js');
+const { clearConfigCache } = await import('../services/configService.js');
 
 describe('Project Sequence Model - Pure Business Logic Tests', () => {
 
+    beforeEach(() => {
+        jest.clearAllMocks();
+        clearConfigCache();
+        // No stored departments: the company uses the defaults
+        mockDepartmentDao.findDepartmentsByCompany.mockResolvedValue([]);
+        // No stored config: the company uses the default project number format
+        mockCompanyConfigDao.findCompanyConfig.mockResolvedValue(null);
+    });
+
     describe('getDepartmentCode', () => {
         
-        test('should return correct department code for valid department names', () => {
-            expect(getDepartmentCode('Navy')).toBe('NY');
-            expect(getDepartmentCode('Electrical')).toBe('EL');
-            expect(getDepartmentCode('Machining')).toBe('MC');
-            expect(getDepartmentCode('Afloat')).toBe('AF');
-            expect(getDepartmentCode('Engine Recon')).toBe('ED');
-            expect(getDepartmentCode('Laser Cladding')).toBe('LC');
+        test('should return correct department code for valid department names', async () => {
+            expect(await getDepartmentCode('123', 'Navy')).toBe('NY');
+            expect(await getDepartmentCode('123', 'Electrical')).toBe('EL');
+            expect(await getDepartmentCode('123', 'Machining')).toBe('MC');
+            expect(await getDepartmentCode('123', 'Afloat')).toBe('AF');
+            expect(await getDepartmentCode('123', 'Engine Recon')).toBe('ED');
+            expect(await getDepartmentCode('123', 'Laser Cladding')).toBe('LC');
         });
 
-        test('should return null for invalid department names', () => {
-            expect(getDepartmentCode('Unknown Department')).toBeNull();
-            expect(getDepartmentCode('Sales')).toBeNull();
-            expect(getDepartmentCode('Marketing')).toBeNull();
-            expect(getDepartmentCode('')).toBeNull();
+        test('should return null for invalid department names', async () => {
+            expect(await getDepartmentCode('123', 'Unknown Department')).toBeNull();
+            expect(await getDepartmentCode('123', 'Sales')).toBeNull();
+            expect(await getDepartmentCode('123', 'Marketing')).toBeNull();
+            expect(await getDepartmentCode('123', '')).toBeNull();
         });
 
-        test('should be case sensitive', () => {
-            expect(getDepartmentCode('navy')).toBeNull();
-            expect(getDepartmentCode('NAVY')).toBeNull();
-            expect(getDepartmentCode('Navy')).toBe('NY');
+        test('should be case sensitive', async () => {
+            expect(await getDepartmentCode('123', 'navy')).toBeNull();
+            expect(await getDepartmentCode('123', 'NAVY')).toBeNull();
+            expect(await getDepartmentCode('123', 'Navy')).toBe('NY');
         });
 
-        test('should handle null and undefined inputs', () => {
-            expect(getDepartmentCode(null)).toBeNull();
-            expect(getDepartmentCode(undefined)).toBeNull();
+        test('should handle null and undefined inputs', async () => {
+            expect(await getDepartmentCode('123', null)).toBeNull();
+            expect(await getDepartmentCode('123', undefined)).toBeNull();
         });
 
-        test('should handle non-string inputs', () => {
-            expect(getDepartmentCode(123)).toBeNull();
-            expect(getDepartmentCode({})).toBeNull();
-            expect(getDepartmentCode([])).toBeNull();
-            expect(getDepartmentCode(true)).toBeNull();
+        test('should handle non-string inputs', async () => {
+            expect(await getDepartmentCode('123', 123)).toBeNull();
+            expect(await getDepartmentCode('123', {})).toBeNull();
+            expect(await getDepartmentCode('123', [])).toBeNull();
+            expect(await getDepartmentCode('123', true)).toBeNull();
         });
     });
 
     describe('getAllDepartmentMappings', () => {
         
-        test('should return all department mappings', () => {
-            const mappings = getAllDepartmentMappings();
+        test('should return all department mappings', async () => {
+            const mappings = await getAllDepartmentMappings('123');
             
             expect(mappings).toEqual({
                 'Navy': 'NY',
@@ -59,9 +96,9 @@ describe('Project Sequence Model - Pure Business Logic Tests', () => {
             });
         });
 
-        test('should return a copy (not reference to original)', () => {
-            const mappings1 = getAllDepartmentMappings();
-            const mappings2 = getAllDepartmentMappings();
+        test('should return a copy (not reference to original)', async () => {
+            const mappings1 = await getAllDepartmentMappings('123');
+            const mappings2 = await getAllDepartmentMappings('123');
             
             // Should have same content
             expect(mappings1).toEqual(mappings2);
@@ -74,13 +111,13 @@ describe('Project Sequence Model - Pure Business Logic Tests', () => {
             expect(mappings2).not.toHaveProperty('New Department');
         });
 
-        test('should have exactly 6 departments', () => {
-            const mappings = getAllDepartmentMappings();
+        test('should have exactly 6 departments', async () => {
+            const mappings = await getAllDepartmentMappings('123');
             expect(Object.keys(mappings)).toHaveLength(6);
         });
 
-        test('should have unique department codes', () => {
-            const mappings = getAllDepartmentMappings();
+        test('should have unique department codes', async () => {
+            const mappings = await getAllDepartmentMappings('123');
             const codes = Object.values(mappings);
             const uniqueCodes = [...new Set(codes)];
             
@@ -88,6 +125,140 @@ describe('Project Sequence Model - Pure Business Logic Tests', () => {
         });
     });
 
+    describe('stored departments', () => {
+        const storedDepartments = [
+            { companyId: '123', name: 'Navy', code: 'NY', aliases: ['Naval Works'], isActive: true },
+            { companyId: '123', name: 'Hydraulics', code: 'HY', aliases: [], isActive: true },
+            { companyId: '123', name: 'Afloat', code: 'AF', aliases: [], isActive: false }
+        ];
+
+        beforeEach(() => {
+            mockDepartmentDao.findDepartmentsByCompany.mockResolvedValue(storedDepartments);
+        });
+
+        test('should use the company departments instead of the defaults', async () => {
+            expect(await getAllDepartmentMappings('123')).toEqual({ 'Navy': 'NY', 'Hydraulics': 'HY' });
+            expect(mockDepartmentDao.findDepartmentsByCompany).toHaveBeenCalledWith('123');
+        });
+
+        test('should match aliases and ignore inactive departments', async () => {
+            expect(await getDepartmentCode('123', 'Naval Works')).toBe('NY');
+            expect(await getDepartmentCode('123', 'Hydraulics')).toBe('HY');
+            expect(await getDepartmentCode('123', 'Afloat')).toBeNull();
+            expect(await getDepartmentCode('123', 'Electrical')).toBeNull();
+        });
+
+        test('getNextProjectNumber should number projects with the stored code and name', async () => {
+            mockProjectDao.findProjectMappingByDealId.mockResolvedValue(null);
+            mockProjectDao.getNextSequenceNumber.mockResolvedValue(7);
+            mockProjectDao.createProjectMapping.mockResolvedValue({});
+
+            const projectNumber = await getNextProjectNumber('123', 42, 'Naval Works');
+
+            const year = new Date().getFullYear() % 100;
+            expect(projectNumber).toBe(`NY${String(year).padStart(2, '0')}007`);
+            expect(mockProjectDao.createProjectMapping).toHaveBeenCalledWith(expect.objectContaining({
+                department: 'Navy',
+                departmentCode: 'NY'
+            }));
+        });
+
+        test('getNextProjectNumber should use the company project number format', async () => {
+            mockCompanyConfigDao.findCompanyConfig.mockResolvedValue({
+                config: { projectNumber: { prefix: 'P', separator: '-', sequenceWidth: 4, suffix: null } }
+            });
+            mockProjectDao.findProjectMappingByDealId.mockResolvedValue(null);
+            mockProjectDao.getNextSequenceNumber.mockResolvedValue(1000);
+            mockProjectDao.createProjectMapping.mockResolvedValue({});
+
+            const projectNumber = await getNextProjectNumber('123', 42, 'Navy');
+
+            const year = String(new Date().getFullYear() % 100).padStart(2, '0');
+            expect(projectNumber).toBe(`PNY-${year}-1000`);
+            expect(mockProjectDao.createProjectMapping).toHaveBeenCalledWith(expect.objectContaining({
+                sequence: 1000,
+                numberFormat: { prefix: 'P', separator: '-', sequenceWidth: 4, suffix: '' }
+            }));
+        });
+
+        test('getNextProjectNumber should number and sequence by the company fiscal year', async () => {
+            jest.useFakeTimers({ now: new Date('2026-03-31T20:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+            try {
+                mockCompanyConfigDao.findCompanyConfig.mockResolvedValue({
+                    config: { fiscalYear: { startMonth: 4, timezone: 'Asia/Singapore' } }
+                });
+                mockProjectDao.findProjectMappingByDealId.mockResolvedValue(null);
+                mockProjectDao.getNextSequenceNumber.mockResolvedValue(1);
+                mockProjectDao.createProjectMapping.mockResolvedValue({});
+
+                // Already 1 April in Singapore: the first project of fiscal year 2026
+                await expect(getNextProjectNumber('123', 42, 'Navy')).resolves.toBe('NY26001');
+                expect(mockProjectDao.getNextSequenceNumber).toHaveBeenCalledWith('123', 'NY', 26, 999);
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        test('getNextProjectNumber should keep sequences and mappings within the company', async () => {
+            mockProjectDao.findProjectMappingByDealId.mockResolvedValue(null);
+            mockProjectDao.getNextSequenceNumber.mockResolvedValue(3);
+            mockProjectDao.createProjectMapping.mockResolvedValue({});
+
+            await getNextProjectNumber(123, 42, 'Navy');
+
+            expect(mockProjectDao.findProjectMappingByDealId).toHaveBeenCalledWith('123', 42);
+            expect(mockProjectDao.getNextSequenceNumber).toHaveBeenCalledWith('123', 'NY', expect.any(Number), 999);
+            expect(mockProjectDao.createProjectMapping).toHaveBeenCalledWith(expect.objectContaining({ companyId: '123', sequence: 3 }));
+        });
+
+        test('getNextProjectNumber should not link to a project of another company', async () => {
+            mockProjectDao.findProjectMappingByDealId.mockResolvedValue(null);
+            // The project number exists only for another company, so the scoped update finds nothing
+            mockProjectDao.addDealToProject.mockResolvedValue(null);
+            mockProjectDao.getNextSequenceNumber.mockResolvedValue(8);
+            mockProjectDao.createProjectMapping.mockResolvedValue({});
+
+            const projectNumber = await getNextProjectNumber('123', 42, 'Navy', 'NY25001');
+
+            expect(mockProjectDao.addDealToProject).toHaveBeenCalledWith('123', 'NY25001', 42);
+            expect(projectNumber).toMatch(/^NY\d{2}008$/);
+        });
+
+        test('getNextProjectNumber should require a company ID', async () => {
+            await expect(getNextProjectNumber(null, 42, 'Navy')).rejects.toThrow('Pipedrive company ID is required');
+            expect(mockProjectDao.findProjectMappingByDealId).not.toHaveBeenCalled();
+        });
+
+        test('linkDealToProject should only link within the company', async () => {
+            mockProjectDao.findProjectMappingByDealId.mockResolvedValue(null);
+            mockProjectDao.addDealToProject.mockResolvedValue(null);
+
+            await expect(linkDealToProject('456', 'NY25001', 42)).resolves.toBe(false);
+            expect(mockProjectDao.findProjectMappingByDealId).toHaveBeenCalledWith('456', 42);
+            expect(mockProjectDao.addDealToProject).toHaveBeenCalledWith('456', 'NY25001', 42);
+        });
+
+        test('getNextProjectNumber should fail with 409 when the sequence outgrows the format', async () => {
+            mockProjectDao.findProjectMappingByDealId.mockResolvedValue(null);
+            mockProjectDao.getNextSequenceNumber.mockResolvedValue(null);
+
+            await expect(getNextProjectNumber('123', 42, 'Navy')).rejects.toMatchObject({
+                statusCode: 409,
+                code: 'PROJECT_SEQUENCE_EXHAUSTED'
+            });
+            expect(mockProjectDao.getNextSequenceNumber).toHaveBeenCalledWith('123', 'NY', expect.any(Number), 999);
+            expect(mockProjectDao.createProjectMapping).not.toHaveBeenCalled();
+        });
+
+        test('getNextProjectNumber should reject an unknown department with 400 and list the active ones', async () => {
+            await expect(getNextProjectNumber('123', 42, 'Electrical')).rejects.toMatchObject({
+                statusCode: 400,
+                message: 'Department code not found for: "Electrical". Available departments: Navy, Hydraulics'
+            });
+            expect(mockProjectDao.getNextSequenceNumber).not.toHaveBeenCalled();
+        });
+    });
+
     describe('isValidProjectNumberFormat', () => {
         
         test('should validate correct project number formats', () => {
@@ -245,16 +416,16 @@ describe('Project Sequence Model - Pure Business Logic Tests', () => {
 
     describe('Integration Tests - Business Logic Consistency', () => {
         
-        test('getDepartmentCode should work with all mappings from getAllDepartmentMappings', () => {
-            const allMappings = getAllDepartmentMappings();
+        test('getDepartmentCode should work with all mappings from getAllDepartmentMappings', async () => {
+            const allMappings = await getAllDepartmentMappings('123');
             
-            Object.entries(allMappings).forEach(([departmentName, expectedCode]) => {
-                expect(getDepartmentCode(departmentName)).toBe(expectedCode);
-            });
+            for (const [departmentName, expectedCode] of Object.entries(allMappings)) {
+                expect(await getDepartmentCode('123', departmentName)).toBe(expectedCode);
+            }
         });
 
-        test('parseProjectNumber should handle all valid department codes', () => {
-            const allMappings = getAllDepartmentMappings();
+        test('parseProjectNumber should handle all valid department codes', async () => {
+            const allMappings = await getAllDepartmentMappings('123');
             const departmentCodes = Object.values(allMappings);
             
             departmentCodes.forEach(code => {
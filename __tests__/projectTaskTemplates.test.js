@@ -0,0 +1,120 @@
+/**
+ * Project Task Template Tests
+ *
+ * Tests for choosing the tasks of a new Xero project by department, validating
+ * templates, and creating template tasks in batch.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockTaskTemplateDao = {
+    findTaskTemplatesByCompany: jest.fn(),
+    upsertTaskTemplate: jest.fn(),
+    deleteTaskTemplate: jest.fn()
+};
+
+const mockDepartmentService = {
+    listDepartments: jest.fn(),
+    findDepartmentByName: jest.fn()
+};
+
+const mockXeroApiService = {
+    createXeroTask: jest.fn()
+};
+
+await jest.unstable_mockModule('../models/projectTaskTemplateDao.js', () => mockTaskTemplateDao);
+await jest.unstable_mockModule('../services/departmentService.js', () => mockDepartmentService);
+await jest.unstable_mockModule('../services/xeroApiService.js', () => mockXeroApiService);
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const taskTemplateService = await import('../services/projectTaskTemplateService.js');
+const { batchOperations } = await import('../services/batchOperationsService.js');
+
+describe('project task templates', () => {
+    const navy = { name: 'Navy', code: 'NY', aliases: ['Naval Works'], isActive: true };
+    const navyTasks = [
+        { name: 'Welding', chargeType: 'TIME', rate: { value: 85, currency: 'SGD' }, estimateMinutes: 480 },
+        { name: 'Site visit', chargeType: 'NON_CHARGEABLE', rate: { value: 0, currency: 'SGD' } }
+    ];
+    const defaultTemplateTasks = [
+        { name: 'Labour', chargeType: 'FIXED', rate: { value: 500, currency: 'SGD' }, estimateMinutes: 60 }
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockTaskTemplateDao.findTaskTemplatesByCompany.mockResolvedValue([
+            { companyId: '123', departmentCode: 'DEFAULT', tasks: defaultTemplateTasks },
+            { companyId: '123', departmentCode: 'NY', tasks: navyTasks }
+        ]);
+        mockDepartmentService.listDepartments.mockResolvedValue({ departments: [navy], stored: true });
+        mockDepartmentService.findDepartmentByName.mockImplementation(async (companyId, label) =>
+            label === 'Navy' || label === 'Naval Works' ? navy : null);
+        mockTaskTemplateDao.upsertTaskTemplate.mockImplementation(async (companyId, departmentCode, tasks) => ({ departmentCode, tasks, updatedAt: new Date() }));
+        mockXeroApiService.createXeroTask.mockImplementation(async (accessToken, tenantId, projectId, name) => ({ TaskID: `task-${name}` }));
+    });
+
+    describe('getTasksForDepartment', () => {
+        test('should use the built-in tasks when the company has no templates', async () => {
+            mockTaskTemplateDao.findTaskTemplatesByCompany.mockResolvedValue([]);
+
+            const tasks = await taskTemplateService.getTasksForDepartment('123', 'Navy');
+
+            expect(tasks.map(task => task.name)).toEqual(['Manhour', 'Overtime', 'Transport', 'Supply Labour']);
+            expect(tasks[0]).toEqual({ name: 'Manhour', chargeType: 'FIXED', rate: { value: 1, currency: 'USD' }, estimateMinutes: 1 });
+        });
+
+        test('should use the template of the department matched by name or alias', async () => {
+            await expect(taskTemplateService.getTasksForDepartment('123', 'Naval Works')).resolves.toEqual(navyTasks);
+        });
+
+        test('should fall back to the DEFAULT template for other departments', async () => {
+            await expect(taskTemplateService.getTasksForDepartment('123', 'Electrical')).resolves.toEqual(defaultTemplateTasks);
+            await expect(taskTemplateService.getTasksForDepartment('123', null)).resolves.toEqual(defaultTemplateTasks);
+        });
+    });
+
+    describe('setTaskTemplate', () => {
+        test('should save a department template', async () => {
+            const template = await taskTemplateService.setTaskTemplate('123', 'NY', [{ ...navyTasks[0], name: ' Welding ' }]);
+
+            expect(template.tasks).toEqual([navyTasks[0]]);
+            expect(mockTaskTemplateDao.upsertTaskTemplate).toHaveBeenCalledWith('123', 'NY', [navyTasks[0]]);
+        });
+
+        test('should reject invalid tasks with 400', async () => {
+            const error = await taskTemplateService.setTaskTemplate('123', 'DEFAULT', [
+                { name: 'Labour', chargeType: 'HOURLY', rate: { value: -1, currency: 'sgd' }, estimateMinutes: 1.5 },
+                { name: 'labour', chargeType: 'FIXED', colour: 'red' }
+            ]).catch(e => e);
+
+            expect(error.statusCode).toBe(400);
+            expect(error.details.errors.map(e => e.path)).toEqual([
+                'tasks[0].chargeType', 'tasks[0].rate.value', 'tasks[0].rate.currency', 'tasks[0].estimateMinutes',
+                'tasks[1].colour', 'tasks[1].name', 'tasks[1].rate'
+            ]);
+            expect(mockTaskTemplateDao.upsertTaskTemplate).not.toHaveBeenCalled();
+        });
+
+        test('should reject an unknown department with 404', async () => {
+            await expect(taskTemplateService.setTaskTemplate('123', 'ZZ', navyTasks)).rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+
+    describe('batchCreateXeroTasks', () => {
+        test('should create the tasks of the matching template with their settings', async () => {
+            const results = await batchOperations.batchCreateXeroTasks({
+                auth: { accessToken: 'xero-token', tenantId: 'tenant-1' },
+                projectId: 'project-1',
+                companyId: '123',
+                department: 'Navy'
+            });
+
+            expect(results.map(result => result.taskName)).toEqual(['Welding', 'Site visit']);
+            expect(mockXeroApiService.createXeroTask).toHaveBeenCalledWith('xero-token', 'tenant-1', 'project-1', 'Welding', {
+                chargeType: 'TIME', rate: { value: 85, currency: 'SGD' }, estimateMinutes: 480
+            });
+        });
+    });
+});
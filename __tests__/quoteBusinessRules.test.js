@@ -1,4 +1,4 @@
-import { validateQuoteCreation, mapProductsToLineItems, validateQuoteNumber } from '../utils/quoteBusinessRules.js';
+import { validateQuoteCreation, mapProductsToLineItems, validateQuoteNumber, toTaxRateKey, resolveAccountCode } from '../utils/quoteBusinessRules.js';
 
 describe('Quote Creation Business Rules', () => {
   describe('validateQuoteCreation', () => {
@@ -185,6 +185,76 @@ describe('Quote Creation Business Rules', () => {
           .toThrow('Invalid product data');
       });
     });
+
+    test('should use the tax type mapped to the product tax rate', () => {
+      const products = [
+        { name: 'Taxed Product', quantity: 1, item_price: 100, tax: 20 },
+        { name: 'Reduced Product', quantity: 1, item_price: 100, tax: '12.50' }
+      ];
+
+      const lineItems = mapProductsToLineItems(products, { taxTypesByRate: { '20': 'OUTPUT2', '12.5': 'RROUTPUT' } });
+
+      expect(lineItems[0]).toMatchObject({ TaxType: 'OUTPUT2', TaxRate: 20 });
+      expect(lineItems[1]).toMatchObject({ TaxType: 'RROUTPUT', TaxRate: 12.5 });
+    });
+
+    test('should throw instead of quoting tax-free when a tax rate has no mapping', () => {
+      const products = [{ name: 'Taxed Product', quantity: 1, item_price: 100, tax: 15 }];
+
+      expect(() => mapProductsToLineItems(products, { taxTypesByRate: { '20': 'OUTPUT2' } }))
+        .toThrow('No Xero tax type is mapped for 15% tax (product "Taxed Product")');
+      expect(() => mapProductsToLineItems([{ ...products[0], tax: 'abc' }]))
+        .toThrow("Invalid tax value 'abc' for product \"Taxed Product\"");
+    });
+
+    test('should quote 0% tax as NONE unless 0% is mapped', () => {
+      const products = [{ name: 'Exempt Product', quantity: 1, item_price: 100, tax: 0 }];
+
+      expect(mapProductsToLineItems(products)[0]).toMatchObject({ TaxType: 'NONE', TaxRate: 0 });
+      expect(mapProductsToLineItems(products, { taxTypesByRate: { '0': 'EXEMPTOUTPUT' } })[0].TaxType).toBe('EXEMPTOUTPUT');
+    });
+  });
+
+  describe('resolveAccountCode', () => {
+    const rules = [
+      { type: 'department', value: 'NY', accountCode: '230', departmentNames: ['Navy', 'Naval Works'] },
+      { type: 'category', value: '7', accountCode: '220' },
+      { type: 'productCodePrefix', value: 'SRV', accountCode: '210' },
+      { type: 'productCodePrefix', value: 'SRV-ENG', accountCode: '215' },
+      { type: 'product', value: '42', accountCode: '250' }
+    ];
+
+    test('should prefer product ID, then the longest code prefix, then category, then department', () => {
+      const product = { product_id: 42, product_code: 'SRV-ENG-1', product: { category: '7' } };
+
+      expect(resolveAccountCode(product, rules, 'Navy')).toBe('250');
+      expect(resolveAccountCode({ ...product, product_id: 1 }, rules, 'Navy')).toBe('215');
+      expect(resolveAccountCode({ ...product, product_id: 1, product_code: 'SRV-1' }, rules, 'Navy')).toBe('210');
+      expect(resolveAccountCode({ product_id: 1, product: { category: '7' } }, rules, 'Navy')).toBe('220');
+      expect(resolveAccountCode({ product_id: 1 }, rules, 'Naval Works')).toBe('230');
+    });
+
+    test('should fall back to the product account code, then the default', () => {
+      expect(resolveAccountCode({ product_id: 1, account_code: '400' }, rules, 'Electrical', '200')).toBe('400');
+      expect(resolveAccountCode({ product_id: 1 }, rules, null, '200')).toBe('200');
+      expect(resolveAccountCode({ product_id: 1, product: { code: 'SRV-9' } }, [], null, '200')).toBe('200');
+    });
+
+    test('should set the resolved account code on line items', () => {
+      const products = [{ name: 'Engine service', quantity: 1, item_price: 100, product_id: 5, product: { code: 'SRV-2' } }];
+
+      expect(mapProductsToLineItems(products, { accountCodeRules: rules })[0].AccountCode).toBe('210');
+      expect(mapProductsToLineItems([{ ...products[0], product: {} }], { accountCodeRules: rules, department: 'Navy' })[0].AccountCode).toBe('230');
+    });
+  });
+
+  describe('toTaxRateKey', () => {
+    test('should normalise tax percentages to 2 decimals', () => {
+      expect(toTaxRateKey(20)).toBe('20');
+      expect(toTaxRateKey('20.0000')).toBe('20');
+      expect(toTaxRateKey(12.5)).toBe('12.5');
+      expect(toTaxRateKey(7.125)).toBe('7.13');
+    });
   });
 
   describe('validateQuoteNumber', () => {
@@ -161,13 +161,14 @@ describe('Route Authentication Tests', () => {
     });
 
     describe('POST /api/xero/create-project', () => {
-        test('should require Xero authentication only', async () => {
+        test('should require both Pipedrive and Xero authentication', async () => {
             mockSecureTokenService.getAuthToken.mockResolvedValue(null);
 
             const response = await request(app)
                 .post('/api/xero/create-project')
                 .send({
                     pipedriveCompanyId: 'test-company',
+                    dealId: '12345',
                     contactId: 'contact-123',
                     name: 'Test Project',
                     vesselName: 'Test Vessel'
@@ -176,14 +177,14 @@ describe('Route Authentication Tests', () => {
 
             expect(response.body).toMatchObject({
                 success: false,
-                authType: 'xero',
+                authType: 'pipedrive',
                 authRequired: true
             });
 
             expect(mockXeroController.createXeroProject).not.toHaveBeenCalled();
         });
 
-        test('should succeed with valid Xero authentication', async () => {
+        test('should succeed with valid Pipedrive and Xero authentication', async () => {
             const xeroToken = {
                 accessToken: 'xero-token',
                 tenantId: 'tenant-123',
@@ -196,6 +197,7 @@ describe('Route Authentication Tests', () => {
                 .post('/api/xero/create-project')
                 .send({
                     pipedriveCompanyId: 'test-company',
+                    dealId: '12345',
                     contactId: 'contact-123',
                     name: 'Test Project',
                     vesselName: 'Test Vessel'
@@ -0,0 +1,274 @@
+/**
+ * Token Encryption Tests
+ *
+ * Tests for loading versioned encryption keys, authenticated encryption of
+ * stored tokens, and reading, writing and re-encrypting tokens across a key
+ * rotation or format upgrade.
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+
+const KEY_A = crypto.randomBytes(32).toString('hex');
+const KEY_B = crypto.randomBytes(32).toString('hex');
+
+const tokenDocs = [];
+const mockCollection = {
+    replaceOne: jest.fn(async (filter, doc) => {
+        const index = tokenDocs.findIndex(d => d.companyId === filter.companyId && d.service === filter.service);
+        const stored = { _id: index >= 0 ? tokenDocs[index]._id : tokenDocs.length + 1, ...doc };
+        if (index >= 0) tokenDocs[index] = stored; else tokenDocs.push(stored);
+    }),
+    findOne: jest.fn(async (filter) => tokenDocs.find(d => d.companyId === filter.companyId && d.service === filter.service) || null),
+    updateOne: jest.fn(async (filter, update) => {
+        const doc = tokenDocs.find(d => d._id === filter._id &&
+            (filter.encryptedAccessToken === undefined || d.encryptedAccessToken === filter.encryptedAccessToken));
+        if (!doc) return { modifiedCount: 0 };
+        Object.assign(doc, update.$set);
+        return { modifiedCount: 1 };
+    }),
+    find: jest.fn(() => tokenDocs.map(d => ({ ...d }))),
+    updateMany: jest.fn(async () => ({ modifiedCount: 0 })),
+    deleteMany: jest.fn(async () => ({ deletedCount: 0 }))
+};
+
+await jest.unstable_mockModule('../lib/database.js', () => ({
+    getDatabase: jest.fn(async () => ({ collection: () => mockCollection }))
+}));
+await jest.unstable_mockModule('../models/oauthStateDao.js', () => ({
+    insertOAuthState: jest.fn(),
+    consumeOAuthState: jest.fn()
+}));
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const keyring = await import('../lib/tokenKeyring.js');
+const tokenService = await import('../services/secureTokenService.js');
+
+const originalEnv = { ...process.env };
+
+const setKeys = (env) => {
+    delete process.env.TOKEN_ENCRYPTION_KEY;
+    delete process.env.TOKEN_ENCRYPTION_KEYS;
+    delete process.env.TOKEN_ENCRYPTION_PRIMARY_KEY_ID;
+    Object.assign(process.env, env);
+    keyring.resetKeyring();
+};
+
+const storeToken = (companyId, accessToken) => tokenService.storeAuthToken(companyId, 'pipedrive', {
+    accessToken,
+    refreshToken: `${accessToken}-refresh`,
+    apiDomain: 'https://example.pipedrive.com',
+    tokenExpiresAt: Date.now() + 3600000
+});
+
+// Reads a stored document back through getAuthToken after clearing the token cache
+const readStoredToken = async (doc) => {
+    await tokenService.cleanupExpiredTokens();
+    return tokenService.getAuthToken(doc.companyId, doc.service);
+};
+
+describe('tokenKeyring', () => {
+    afterAll(() => {
+        process.env = originalEnv;
+        keyring.resetKeyring();
+    });
+
+    describe('loadKeyring', () => {
+        test('should load keyed entries and default the primary to the first one', () => {
+            const { primaryKeyId, keys } = keyring.loadKeyring({ TOKEN_ENCRYPTION_KEYS: `2026-10:${KEY_B}, 2026-01:${KEY_A}` });
+
+            expect(primaryKeyId).toBe('2026-10');
+            expect([...keys.keys()]).toEqual(['2026-10', '2026-01']);
+        });
+
+        test('should load TOKEN_ENCRYPTION_KEY under the legacy key ID', () => {
+            const { primaryKeyId, keys } = keyring.loadKeyring({
+                TOKEN_ENCRYPTION_KEY: KEY_A,
+                TOKEN_ENCRYPTION_KEYS: `new:${KEY_B}`,
+                TOKEN_ENCRYPTION_PRIMARY_KEY_ID: 'new'
+            });
+
+            expect(primaryKeyId).toBe('new');
+            expect(keys.get(keyring.LEGACY_KEY_ID).toString('hex')).toBe(KEY_A);
+        });
+
+        test('should refuse to run in production without a key', () => {
+            expect(() => keyring.loadKeyring({ NODE_ENV: 'production' }))
+                .toThrow('Token encryption is not configured. Set TOKEN_ENCRYPTION_KEY or TOKEN_ENCRYPTION_KEYS.');
+        });
+
+        test('should fall back to an ephemeral key outside production', () => {
+            const { primaryKeyId, ephemeral } = keyring.loadKeyring({ NODE_ENV: 'development' });
+
+            expect(primaryKeyId).toBe('ephemeral');
+            expect(ephemeral).toBe(true);
+        });
+
+        test('should reject malformed keys', () => {
+            expect(() => keyring.loadKeyring({ TOKEN_ENCRYPTION_KEY: '12345678901234567890123456789012' }))
+                .toThrow('Token encryption key "default" must be 64 hex characters (32 bytes)');
+            expect(() => keyring.loadKeyring({ TOKEN_ENCRYPTION_KEYS: KEY_A }))
+                .toThrow('TOKEN_ENCRYPTION_KEYS entries must look like keyId:hexKey');
+        });
+
+        test('should reject a primary key ID that is not loaded', () => {
+            expect(() => keyring.loadKeyring({ TOKEN_ENCRYPTION_KEY: KEY_A, TOKEN_ENCRYPTION_PRIMARY_KEY_ID: 'missing' }))
+                .toThrow('Primary token encryption key "missing" is not loaded');
+        });
+    });
+
+    describe('key rotation', () => {
+        beforeEach(() => {
+            tokenDocs.length = 0;
+            jest.clearAllMocks();
+        });
+
+        test('should record the key ID and keep old tokens readable after rotation', async () => {
+            setKeys({ TOKEN_ENCRYPTION_KEY: KEY_A });
+            await storeToken('1', 'old-access');
+            expect(tokenDocs[0].encryptionKeyId).toBe('default');
+
+            setKeys({ TOKEN_ENCRYPTION_KEY: KEY_A, TOKEN_ENCRYPTION_KEYS: `k2:${KEY_B}`, TOKEN_ENCRYPTION_PRIMARY_KEY_ID: 'k2' });
+            await storeToken('2', 'new-access');
+            expect(tokenDocs[1].encryptionKeyId).toBe('k2');
+
+            await expect(readStoredToken(tokenDocs[0])).resolves.toMatchObject({ accessToken: 'old-access' });
+            await expect(readStoredToken(tokenDocs[1])).resolves.toMatchObject({ accessToken: 'new-access' });
+        });
+
+        test('should decrypt legacy documents without a key ID using the legacy key', async () => {
+            setKeys({ TOKEN_ENCRYPTION_KEY: KEY_A });
+            await storeToken('10', 'legacy-access');
+            delete tokenDocs[0].encryptionKeyId;
+
+            setKeys({ TOKEN_ENCRYPTION_KEY: KEY_A, TOKEN_ENCRYPTION_KEYS: `k2:${KEY_B}`, TOKEN_ENCRYPTION_PRIMARY_KEY_ID: 'k2' });
+            const summary = await tokenService.reencryptAuthTokens();
+
+            expect(summary).toEqual({ total: 1, reencrypted: 1, skipped: 0, failed: 0, primaryKeyId: 'k2' });
+            expect(tokenDocs[0].encryptionKeyId).toBe('k2');
+
+            setKeys({ TOKEN_ENCRYPTION_KEYS: `k2:${KEY_B}` });
+            await expect(readStoredToken(tokenDocs[0])).resolves.toMatchObject({ accessToken: 'legacy-access' });
+        });
+
+        test('should re-encrypt tokens so the old key can be removed', async () => {
+            setKeys({ TOKEN_ENCRYPTION_KEYS: `k1:${KEY_A}` });
+            await storeToken('20', 'access-20');
+            await storeToken('21', 'access-21');
+
+            setKeys({ TOKEN_ENCRYPTION_KEYS: `k2:${KEY_B},k1:${KEY_A}` });
+            await storeToken('22', 'access-22');
+
+            const summary = await tokenService.reencryptAuthTokens();
+            expect(summary).toEqual({ total: 3, reencrypted: 2, skipped: 1, failed: 0, primaryKeyId: 'k2' });
+
+            // Without k1, every token must still decrypt
+            setKeys({ TOKEN_ENCRYPTION_KEYS: `k2:${KEY_B}` });
+            const token = await readStoredToken(tokenDocs[0]);
+            expect(token.accessToken).toBe('access-20');
+            expect(token.refreshToken).toBe('access-20-refresh');
+        });
+
+        test('should report tokens whose key is not loaded without changing them', async () => {
+            setKeys({ TOKEN_ENCRYPTION_KEYS: `k1:${KEY_A}` });
+            await storeToken('30', 'access-30');
+            const before = tokenDocs[0].encryptedAccessToken;
+
+            setKeys({ TOKEN_ENCRYPTION_KEYS: `k2:${KEY_B}` });
+            const summary = await tokenService.reencryptAuthTokens();
+
+            expect(summary.failed).toBe(1);
+            expect(tokenDocs[0].encryptedAccessToken).toBe(before);
+        });
+
+        test('should not write anything on a dry run', async () => {
+            setKeys({ TOKEN_ENCRYPTION_KEYS: `k1:${KEY_A}` });
+            await storeToken('40', 'access-40');
+
+            setKeys({ TOKEN_ENCRYPTION_KEYS: `k2:${KEY_B},k1:${KEY_A}` });
+            const summary = await tokenService.reencryptAuthTokens({ dryRun: true });
+
+            expect(summary.reencrypted).toBe(1);
+            expect(tokenDocs[0].encryptionKeyId).toBe('k1');
+        });
+    });
+
+    describe('authenticated encryption', () => {
+        const legacyCiphertext = (text, hexKey) => {
+            const iv = crypto.randomBytes(16);
+            const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(hexKey, 'hex'), iv);
+            return JSON.stringify({ encrypted: cipher.update(text, 'utf8', 'hex') + cipher.final('hex'), iv: iv.toString('hex') });
+        };
+
+        beforeEach(() => {
+            tokenDocs.length = 0;
+            jest.clearAllMocks();
+            setKeys({ TOKEN_ENCRYPTION_KEY: KEY_A });
+        });
+
+        test('should store tokens as AES-256-GCM with an auth tag', async () => {
+            await storeToken('50', 'access-50');
+
+            const stored = JSON.parse(tokenDocs[0].encryptedAccessToken);
+            expect(stored.algorithm).toBe('aes-256-gcm');
+            expect(stored.iv).toMatch(/^[0-9a-f]{24}$/);
+            expect(stored.tag).toMatch(/^[0-9a-f]{32}$/);
+        });
+
+        test('should reject tampered ciphertext', async () => {
+            await storeToken('51', 'access-51');
+            const stored = JSON.parse(tokenDocs[0].encryptedAccessToken);
+            const flipped = (parseInt(stored.encrypted[0], 16) ^ 1).toString(16);
+            tokenDocs[0].encryptedAccessToken = JSON.stringify({ ...stored, encrypted: flipped + stored.encrypted.slice(1) });
+
+            const token = await readStoredToken(tokenDocs[0]);
+            expect(token.accessToken).toBeNull();
+        });
+
+        test('should not decrypt a token moved to another company', async () => {
+            await storeToken('52', 'access-52');
+            tokenDocs.push({ ...tokenDocs[0], _id: 'moved', companyId: '99' });
+
+            const token = await tokenService.getAuthToken('99', 'pipedrive');
+            expect(token.accessToken).toBeNull();
+        });
+
+        test('should read legacy CBC tokens and rewrite them as GCM on use', async () => {
+            tokenDocs.push({
+                _id: 'legacy',
+                companyId: '53',
+                service: 'pipedrive',
+                encryptedAccessToken: legacyCiphertext('legacy-53', KEY_A),
+                encryptedRefreshToken: legacyCiphertext('legacy-53-refresh', KEY_A),
+                apiDomain: 'https://example.pipedrive.com',
+                tokenExpiresAt: new Date(Date.now() + 3600000),
+                isActive: true
+            });
+
+            const token = await tokenService.getAuthToken('53', 'pipedrive');
+
+            expect(token).toMatchObject({ accessToken: 'legacy-53', refreshToken: 'legacy-53-refresh' });
+            expect(JSON.parse(tokenDocs[0].encryptedAccessToken).algorithm).toBe('aes-256-gcm');
+            expect(JSON.parse(tokenDocs[0].encryptedRefreshToken).algorithm).toBe('aes-256-gcm');
+            expect(tokenDocs[0].encryptionKeyId).toBe('default');
+            await expect(readStoredToken(tokenDocs[0])).resolves.toMatchObject({ accessToken: 'legacy-53' });
+        });
+
+        test('should upgrade legacy CBC tokens already on the primary key when re-encrypting', async () => {
+            tokenDocs.push({
+                _id: 'legacy',
+                companyId: '54',
+                service: 'xero',
+                encryptionKeyId: 'default',
+                encryptedAccessToken: legacyCiphertext('legacy-54', KEY_A)
+            });
+
+            const summary = await tokenService.reencryptAuthTokens();
+
+            expect(summary).toMatchObject({ total: 1, reencrypted: 1, failed: 0 });
+            expect(JSON.parse(tokenDocs[0].encryptedAccessToken).algorithm).toBe('aes-256-gcm');
+        });
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * Token Refresh Lock Tests
+ *
+ * Tests for serialising token refreshes across instances with a lease-based
+ * MongoDB lock, so a rotated Xero refresh token is only used once, and for how
+ * a failed refresh is recorded.
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+
+process.env.TOKEN_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+process.env.TOKEN_REFRESH_LOCK_POLL_MS = '5';
+process.env.TOKEN_REFRESH_LOCK_WAIT_MS = '200';
+
+const tokenDocs = [];
+const mockCollection = {
+    replaceOne: jest.fn(async (filter, doc) => {
+        const index = tokenDocs.findIndex(d => d.companyId === filter.companyId && d.service === filter.service);
+        const stored = { _id: `${filter.companyId}:${filter.service}`, ...doc };
+        if (index >= 0) tokenDocs[index] = stored; else tokenDocs.push(stored);
+    }),
+    findOne: jest.fn(async (filter) => tokenDocs.find(d => d.companyId === filter.companyId && d.service === filter.service) || null),
+    updateOne: jest.fn(async () => ({ modifiedCount: 1 })),
+    findOneAndUpdate: jest.fn(async () => null)
+};
+
+const mockLockDao = {
+    acquireRefreshLock: jest.fn(),
+    releaseRefreshLock: jest.fn(async () => true)
+};
+
+const mockAxios = { post: jest.fn() };
+
+await jest.unstable_mockModule('../lib/database.js', () => ({
+    getDatabase: jest.fn(async () => ({ collection: () => mockCollection }))
+}));
+await jest.unstable_mockModule('../models/tokenRefreshLockDao.js', () => mockLockDao);
+await jest.unstable_mockModule('../models/oauthStateDao.js', () => ({
+    insertOAuthState: jest.fn(),
+    consumeOAuthState: jest.fn()
+}));
+await jest.unstable_mockModule('axios', () => ({ default: mockAxios }));
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const tokenService = await import('../services/secureTokenService.js');
+
+const storeXeroToken = (accessToken, refreshToken, tokenExpiresAt) => tokenService.storeAuthToken('1', 'xero', {
+    accessToken,
+    refreshToken,
+    tenantId: 'tenant-1',
+    tokenExpiresAt
+});
+
+describe('token refresh lock', () => {
+    beforeEach(async () => {
+        tokenDocs.length = 0;
+        jest.clearAllMocks();
+        await storeXeroToken('old-access', 'old-refresh', Date.now() - 1000);
+        mockAxios.post.mockResolvedValue({
+            data: { access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 1800 }
+        });
+    });
+
+    test('should refresh while holding the lock and release it afterwards', async () => {
+        mockLockDao.acquireRefreshLock.mockResolvedValue(true);
+
+        const token = await tokenService.refreshXeroToken('1');
+
+        expect(token.accessToken).toBe('new-access');
+        expect(mockAxios.post.mock.calls[0][1].get('refresh_token')).toBe('old-refresh');
+        const owner = mockLockDao.acquireRefreshLock.mock.calls[0][2];
+        expect(mockLockDao.releaseRefreshLock).toHaveBeenCalledWith('1', 'xero', owner);
+    });
+
+    test('should release the lock when the refresh fails', async () => {
+        mockLockDao.acquireRefreshLock.mockResolvedValue(true);
+        mockAxios.post.mockRejectedValue(new Error('network down'));
+
+        await expect(tokenService.refreshXeroToken('1')).rejects.toThrow('Failed to refresh Xero token for company 1');
+        expect(mockLockDao.releaseRefreshLock).toHaveBeenCalled();
+    });
+
+    test('should use the token stored by the lock holder instead of refreshing again', async () => {
+        mockLockDao.acquireRefreshLock.mockImplementation(async () => {
+            // Another instance holds the lock and stores its result while we wait
+            if (mockLockDao.acquireRefreshLock.mock.calls.length === 1) {
+                setTimeout(() => storeXeroToken('peer-access', 'peer-refresh', Date.now() + 1800000), 10);
+            }
+            return false;
+        });
+
+        const token = await tokenService.refreshXeroToken('1');
+
+        expect(token.accessToken).toBe('peer-access');
+        expect(mockAxios.post).not.toHaveBeenCalled();
+        expect(mockLockDao.releaseRefreshLock).not.toHaveBeenCalled();
+    });
+
+    test('should refresh with the latest stored refresh token once a lapsed lease is taken over', async () => {
+        // Lease held by a crashed instance until it lapses
+        mockLockDao.acquireRefreshLock
+            .mockResolvedValueOnce(false)
+            .mockResolvedValueOnce(false)
+            .mockResolvedValue(true);
+        // Refresh token rotated elsewhere, but this process still has the old one cached
+        tokenDocs.length = 0;
+        await storeXeroToken('old-access', 'old-refresh', Date.now() - 1000);
+        const rotated = { ...tokenDocs[0] };
+        await storeXeroToken('stale-cache', 'stale-refresh', Date.now() - 1000);
+        tokenDocs[0] = rotated;
+
+        const token = await tokenService.refreshXeroToken('1');
+
+        expect(token.accessToken).toBe('new-access');
+        expect(mockAxios.post).toHaveBeenCalledTimes(1);
+        expect(mockAxios.post.mock.calls[0][1].get('refresh_token')).toBe('old-refresh');
+    });
+
+    test('should give up when the lock is not released in time', async () => {
+        mockLockDao.acquireRefreshLock.mockResolvedValue(false);
+
+        await expect(tokenService.refreshXeroToken('1'))
+            .rejects.toThrow('Timed out waiting for xero token refresh for company 1');
+        expect(mockAxios.post).not.toHaveBeenCalled();
+    });
+
+    describe('failed refreshes', () => {
+        const httpError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), {
+            response: { status, data }
+        });
+        const setCalls = () => mockCollection.updateOne.mock.calls.map(([, update]) => update.$set);
+
+        beforeEach(() => {
+            mockLockDao.acquireRefreshLock.mockResolvedValue(true);
+        });
+
+        test('should flag the company for re-authentication when the grant is rejected', async () => {
+            mockAxios.post.mockRejectedValue(httpError(400, { error: 'invalid_grant' }));
+            mockCollection.findOneAndUpdate.mockResolvedValue({ refreshFailureCount: 1 });
+
+            await expect(tokenService.refreshXeroToken('1')).rejects.toThrow('Failed to refresh Xero token for company 1');
+
+            expect(setCalls()).toContainEqual(expect.objectContaining({ isActive: false }));
+            expect(setCalls()).toContainEqual({ reauthRequired: true, nextRefreshAttemptAt: null });
+        });
+
+        test.each([
+            ['a network error', new Error('network down')],
+            ['a server error', httpError(503, { error: 'temporarily_unavailable' })],
+            ['a rejected client', httpError(401, { error: 'invalid_client' })]
+        ])('should back off and retry after %s, however often it fails', async (cause, error) => {
+            mockAxios.post.mockRejectedValue(error);
+            mockCollection.findOneAndUpdate.mockResolvedValue({ refreshFailureCount: 5 });
+            const before = Date.now();
+
+            await expect(tokenService.refreshXeroToken('1')).rejects.toThrow('Failed to refresh Xero token for company 1');
+
+            expect(setCalls()).not.toContainEqual(expect.objectContaining({ reauthRequired: true }));
+            expect(setCalls()).not.toContainEqual(expect.objectContaining({ isActive: false }));
+            const { nextRefreshAttemptAt } = setCalls().find(update => update.nextRefreshAttemptAt);
+            // 60s doubled for each failure after the first
+            expect(nextRefreshAttemptAt.getTime() - before).toBeGreaterThanOrEqual(16 * 60000);
+            expect(nextRefreshAttemptAt.getTime() - Date.now()).toBeLessThanOrEqual(16 * 60000);
+        });
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * Token Refresh Scheduler Tests
+ *
+ * Tests for the background scan that refreshes tokens ahead of expiry.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockTokenService = {
+    findTokensDueForRefresh: jest.fn(),
+    refreshPipedriveToken: jest.fn(),
+    refreshXeroToken: jest.fn()
+};
+
+const mockRefreshManager = {
+    refreshToken: jest.fn((companyId, service, refreshFunction) => refreshFunction())
+};
+
+await jest.unstable_mockModule('../services/secureTokenService.js', () => mockTokenService);
+await jest.unstable_mockModule('../services/tokenRefreshManager.js', () => ({ default: mockRefreshManager }));
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { default: scheduler } = await import('../services/tokenRefreshScheduler.js');
+
+describe('tokenRefreshScheduler', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.TOKEN_REFRESH_LEAD_MINUTES;
+        delete process.env.TOKEN_REFRESH_BATCH_SIZE;
+        delete process.env.TOKEN_REFRESH_SCHEDULER_ENABLED;
+        mockTokenService.refreshPipedriveToken.mockResolvedValue({ accessToken: 'new-pipedrive' });
+        mockTokenService.refreshXeroToken.mockResolvedValue({ accessToken: 'new-xero' });
+    });
+
+    afterEach(() => {
+        scheduler.stop();
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    test('should refresh tokens expiring within the lead window', async () => {
+        process.env.TOKEN_REFRESH_LEAD_MINUTES = '15';
+        process.env.TOKEN_REFRESH_BATCH_SIZE = '20';
+        mockTokenService.findTokensDueForRefresh.mockResolvedValue([
+            { companyId: '1', service: 'pipedrive' },
+            { companyId: '2', service: 'xero' }
+        ]);
+
+        const before = Date.now();
+        const summary = await scheduler.runOnce();
+
+        const { expiresBefore, limit } = mockTokenService.findTokensDueForRefresh.mock.calls[0][0];
+        expect(expiresBefore.getTime()).toBeGreaterThanOrEqual(before + 15 * 60 * 1000);
+        expect(limit).toBe(20);
+        expect(mockRefreshManager.refreshToken).toHaveBeenCalledWith('1', 'pipedrive', expect.any(Function));
+        expect(mockTokenService.refreshPipedriveToken).toHaveBeenCalledWith('1');
+        expect(mockTokenService.refreshXeroToken).toHaveBeenCalledWith('2');
+        expect(summary).toMatchObject({ due: 2, refreshed: 2, skipped: 0, failed: 0 });
+    });
+
+    test('should keep going when one refresh fails and report it', async () => {
+        mockTokenService.findTokensDueForRefresh.mockResolvedValue([
+            { companyId: '1', service: 'xero' },
+            { companyId: '2', service: 'xero' }
+        ]);
+        mockTokenService.refreshXeroToken
+            .mockRejectedValueOnce(new Error('Failed to refresh Xero token for company 1'))
+            .mockResolvedValueOnce({ accessToken: 'new-xero' });
+
+        const summary = await scheduler.runOnce();
+
+        expect(summary).toMatchObject({
+            refreshed: 1,
+            failed: 1,
+            failures: [{ companyId: '1', service: 'xero', error: 'Failed to refresh Xero token for company 1' }]
+        });
+        expect(scheduler.getStatus().lastRun).toBe(summary);
+    });
+
+    test('should treat a token refreshed moments ago by a request as skipped', async () => {
+        mockTokenService.findTokensDueForRefresh.mockResolvedValue([{ companyId: '1', service: 'pipedrive' }]);
+        mockRefreshManager.refreshToken.mockRejectedValueOnce(
+            new Error('Token refresh rate limit exceeded. Please wait 3 seconds.')
+        );
+
+        const summary = await scheduler.runOnce();
+
+        expect(summary).toMatchObject({ refreshed: 0, skipped: 1, failed: 0 });
+    });
+
+    test('should not start overlapping scans', async () => {
+        let finishScan;
+        mockTokenService.findTokensDueForRefresh.mockReturnValue(new Promise(resolve => { finishScan = resolve; }));
+
+        const first = scheduler.runOnce();
+        await expect(scheduler.runOnce()).resolves.toBeNull();
+
+        finishScan([]);
+        await expect(first).resolves.toMatchObject({ due: 0 });
+    });
+
+    test('should not start when disabled', () => {
+        process.env.TOKEN_REFRESH_SCHEDULER_ENABLED = 'false';
+
+        expect(scheduler.start()).toBe(false);
+        expect(scheduler.getStatus().running).toBe(false);
+    });
+
+    test('should start once and stop', () => {
+        mockTokenService.findTokensDueForRefresh.mockResolvedValue([]);
+
+        expect(scheduler.start()).toBe(true);
+        expect(scheduler.start()).toBe(false);
+        expect(scheduler.getStatus().running).toBe(true);
+
+        scheduler.stop();
+        expect(scheduler.getStatus().running).toBe(false);
+    });
+});
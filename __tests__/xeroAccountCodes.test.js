@@ -0,0 +1,124 @@
+/**
+ * Xero Account Code Tests
+ *
+ * Tests for validating a company's account code rules against the tenant's
+ * chart of accounts, and checking line item accounts before sending to Xero.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockXeroApiService = {
+    getXeroAccounts: jest.fn()
+};
+
+const mockAccountCodeRuleDao = {
+    findAccountCodeRules: jest.fn(),
+    upsertAccountCodeRules: jest.fn()
+};
+
+const mockDepartmentService = {
+    listDepartments: jest.fn()
+};
+
+await jest.unstable_mockModule('../services/xeroApiService.js', () => mockXeroApiService);
+await jest.unstable_mockModule('../models/xeroAccountCodeRuleDao.js', () => mockAccountCodeRuleDao);
+await jest.unstable_mockModule('../services/departmentService.js', () => mockDepartmentService);
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const accountCodeService = await import('../services/xeroAccountCodeService.js');
+
+describe('Xero account codes', () => {
+    const xeroAccounts = [
+        { Code: '200', Name: 'Sales', Type: 'REVENUE', Class: 'REVENUE', Status: 'ACTIVE' },
+        { Code: '210', Name: 'Service Revenue', Type: 'REVENUE', Class: 'REVENUE', Status: 'ACTIVE' },
+        { Code: '220', Name: 'Old Sales', Type: 'REVENUE', Class: 'REVENUE', Status: 'ARCHIVED' },
+        { Code: '400', Name: 'Advertising', Type: 'EXPENSE', Class: 'EXPENSE', Status: 'ACTIVE' }
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        accountCodeService.clearAccountCache();
+        mockXeroApiService.getXeroAccounts.mockResolvedValue(xeroAccounts);
+        mockDepartmentService.listDepartments.mockResolvedValue({
+            departments: [{ name: 'Navy', code: 'NY', aliases: ['Naval Works'], isActive: true }],
+            stored: true
+        });
+        mockAccountCodeRuleDao.upsertAccountCodeRules.mockImplementation(async (companyId, tenantId, rules) => ({ companyId, tenantId, rules }));
+    });
+
+    describe('setAccountCodeRules', () => {
+        test('should save rules that use active revenue accounts', async () => {
+            const rules = await accountCodeService.setAccountCodeRules('123', 'xero-token', 'tenant-1', [
+                { type: 'product', value: ' 42 ', accountCode: '210' },
+                { type: 'department', value: 'NY', accountCode: '200' }
+            ]);
+
+            expect(rules).toEqual([
+                { type: 'product', value: '42', accountCode: '210' },
+                { type: 'department', value: 'NY', accountCode: '200' }
+            ]);
+            expect(mockAccountCodeRuleDao.upsertAccountCodeRules).toHaveBeenCalledWith('123', 'tenant-1', rules);
+        });
+
+        test('should reject archived, expense and unknown accounts, unknown departments and duplicates without saving', async () => {
+            const error = await accountCodeService.setAccountCodeRules('123', 'xero-token', 'tenant-1', [
+                { type: 'category', value: '7', accountCode: '220' },
+                { type: 'productCodePrefix', value: 'SRV', accountCode: '400' },
+                { type: 'department', value: 'ZZ', accountCode: '999' },
+                { type: 'category', value: '7', accountCode: '200' },
+                { type: 'customer', value: 'Acme', accountCode: '200' }
+            ]).catch(e => e);
+
+            expect(error.statusCode).toBe(400);
+            expect(error.details.errors).toEqual([
+                { path: 'rules[0].accountCode', error: '220 is not an active revenue account in this Xero organisation' },
+                { path: 'rules[1].accountCode', error: '400 is not an active revenue account in this Xero organisation' },
+                { path: 'rules[2].value', error: 'ZZ is not a department code of this company' },
+                { path: 'rules[2].accountCode', error: '999 is not an active revenue account in this Xero organisation' },
+                { path: 'rules[3].value', error: 'category 7 has more than one rule' },
+                { path: 'rules[4].type', error: 'must be one of: product, productCodePrefix, category, department' }
+            ]);
+            expect(error.details.availableAccounts.map(account => account.code)).toEqual(['200', '210']);
+            expect(mockAccountCodeRuleDao.upsertAccountCodeRules).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getLineItemAccountCodeRules', () => {
+        test('should list the department names and aliases on department rules', async () => {
+            mockAccountCodeRuleDao.findAccountCodeRules.mockResolvedValue({
+                rules: [{ type: 'department', value: 'NY', accountCode: '210' }, { type: 'product', value: '42', accountCode: '200' }]
+            });
+
+            await expect(accountCodeService.getLineItemAccountCodeRules('123', 'tenant-1')).resolves.toEqual([
+                { type: 'department', value: 'NY', accountCode: '210', departmentNames: ['Navy', 'Naval Works'] },
+                { type: 'product', value: '42', accountCode: '200' }
+            ]);
+        });
+    });
+
+    describe('assertRevenueAccountCodes', () => {
+        test('should accept line items on active revenue accounts from the cached chart', async () => {
+            await accountCodeService.assertRevenueAccountCodes('xero-token', 'tenant-1', [{ AccountCode: '200' }, { AccountCode: '210' }]);
+            await accountCodeService.assertRevenueAccountCodes('xero-token', 'tenant-1', [{}]);
+
+            expect(mockXeroApiService.getXeroAccounts).toHaveBeenCalledTimes(1);
+        });
+
+        test('should reload the chart once before rejecting other accounts', async () => {
+            await accountCodeService.getTenantAccounts('xero-token', 'tenant-1');
+
+            const error = await accountCodeService.assertRevenueAccountCodes('xero-token', 'tenant-1', [
+                { AccountCode: '200' },
+                { AccountCode: '220' }
+            ]).catch(e => e);
+
+            expect(mockXeroApiService.getXeroAccounts).toHaveBeenCalledTimes(2);
+            expect(error.statusCode).toBe(400);
+            expect(error.details.errors).toEqual([
+                { path: 'LineItems[1].AccountCode', error: '220 is not an active revenue account in this Xero organisation' }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Xero Tax Rate Tests
+ *
+ * Tests for caching a tenant's TaxRates and validating a company's mappings
+ * from Pipedrive tax percentages to Xero TaxType codes.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockXeroApiService = {
+    getXeroTaxRates: jest.fn()
+};
+
+const mockTaxRateMappingDao = {
+    findTaxRateMapping: jest.fn(),
+    upsertTaxRateMapping: jest.fn()
+};
+
+await jest.unstable_mockModule('../services/xeroApiService.js', () => mockXeroApiService);
+await jest.unstable_mockModule('../models/xeroTaxRateMappingDao.js', () => mockTaxRateMappingDao);
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const taxRateService = await import('../services/xeroTaxRateService.js');
+
+describe('Xero tax rates', () => {
+    const xeroTaxRates = [
+        { Name: '20% (VAT on Income)', TaxType: 'OUTPUT2', Status: 'ACTIVE', EffectiveRate: '20.0000', CanApplyToRevenue: true },
+        { Name: '5% (VAT on Income)', TaxType: 'RROUTPUT', Status: 'ACTIVE', EffectiveRate: '5.0000', CanApplyToRevenue: true },
+        { Name: 'No VAT', TaxType: 'NONE', Status: 'ACTIVE', EffectiveRate: '0.0000', CanApplyToRevenue: true },
+        { Name: '20% (VAT on Expenses)', TaxType: 'INPUT2', Status: 'ACTIVE', EffectiveRate: '20.0000', CanApplyToRevenue: false },
+        { Name: 'Old rate', TaxType: 'OUTPUT', Status: 'DELETED', EffectiveRate: '17.5000', CanApplyToRevenue: true }
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        taxRateService.clearTaxRateCache();
+        mockXeroApiService.getXeroTaxRates.mockResolvedValue(xeroTaxRates);
+        mockTaxRateMappingDao.upsertTaxRateMapping.mockImplementation(async (companyId, tenantId, mappings) => ({ companyId, tenantId, mappings }));
+    });
+
+    describe('getTenantTaxRates', () => {
+        test('should cache a tenant\'s tax rates until refreshed', async () => {
+            const taxRates = await taxRateService.getTenantTaxRates('xero-token', 'tenant-1');
+            await taxRateService.getTenantTaxRates('xero-token', 'tenant-1');
+
+            expect(taxRates[0]).toEqual({ name: '20% (VAT on Income)', taxType: 'OUTPUT2', rate: 20, status: 'ACTIVE', canApplyToRevenue: true });
+            expect(mockXeroApiService.getXeroTaxRates).toHaveBeenCalledTimes(1);
+
+            await taxRateService.getTenantTaxRates('xero-token', 'tenant-1', { refresh: true });
+            expect(mockXeroApiService.getXeroTaxRates).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('getTaxTypesByRate', () => {
+        test('should key the stored mappings by tax rate', async () => {
+            mockTaxRateMappingDao.findTaxRateMapping.mockResolvedValue({
+                mappings: [{ rate: 5, taxType: 'RROUTPUT' }, { rate: 20, taxType: 'OUTPUT2' }]
+            });
+
+            await expect(taxRateService.getTaxTypesByRate('123', 'tenant-1')).resolves.toEqual({ '5': 'RROUTPUT', '20': 'OUTPUT2' });
+            expect(mockTaxRateMappingDao.findTaxRateMapping).toHaveBeenCalledWith('123', 'tenant-1');
+        });
+
+        test('should return no mappings when none are stored', async () => {
+            mockTaxRateMappingDao.findTaxRateMapping.mockResolvedValue(null);
+
+            await expect(taxRateService.getTaxTypesByRate('123', 'tenant-1')).resolves.toEqual({});
+        });
+    });
+
+    describe('setTaxRateMappings', () => {
+        test('should save mappings to active revenue tax types with a matching rate', async () => {
+            const mappings = await taxRateService.setTaxRateMappings('123', 'xero-token', 'tenant-1', [
+                { rate: 20, taxType: 'OUTPUT2' },
+                { rate: 0, taxType: 'NONE' }
+            ]);
+
+            expect(mappings).toEqual([{ rate: 0, taxType: 'NONE' }, { rate: 20, taxType: 'OUTPUT2' }]);
+            expect(mockTaxRateMappingDao.upsertTaxRateMapping).toHaveBeenCalledWith('123', 'tenant-1', mappings);
+        });
+
+        test('should reject unknown, inactive, expense-only and mismatched tax types without saving', async () => {
+            const error = await taxRateService.setTaxRateMappings('123', 'xero-token', 'tenant-1', [
+                { rate: 20, taxType: 'INPUT2' },
+                { rate: 17.5, taxType: 'OUTPUT' },
+                { rate: 10, taxType: 'RROUTPUT' },
+                { rate: 15, taxType: 'GST' },
+                { rate: 10, taxType: 'NONE' },
+                { rate: 120, taxType: 'OUTPUT2' }
+            ]).catch(e => e);
+
+            expect(error.statusCode).toBe(400);
+            expect(error.details.errors).toEqual([
+                { path: 'mappings[0].taxType', error: 'INPUT2 is not an active revenue tax rate in this Xero organisation' },
+                { path: 'mappings[1].taxType', error: 'OUTPUT is not an active revenue tax rate in this Xero organisation' },
+                { path: 'mappings[2].taxType', error: 'RROUTPUT (5% (VAT on Income)) is 5%, not 10%' },
+                { path: 'mappings[3].taxType', error: 'GST is not an active revenue tax rate in this Xero organisation' },
+                { path: 'mappings[4].rate', error: '10% is mapped more than once' },
+                { path: 'mappings[5].rate', error: 'must be a number from 0 to 100' }
+            ]);
+            expect(error.details.availableTaxRates.map(t => t.taxType)).toEqual(['OUTPUT2', 'RROUTPUT', 'NONE']);
+            expect(mockTaxRateMappingDao.upsertTaxRateMapping).not.toHaveBeenCalled();
+        });
+    });
+});
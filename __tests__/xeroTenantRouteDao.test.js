@@ -0,0 +1,93 @@
+/**
+ * Xero Tenant Route DAO Tests
+ *
+ * Tests for saving one route per department code, including routes saved by
+ * department name before routes recorded the code.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockCollection = {
+    updateOne: jest.fn(),
+    deleteOne: jest.fn(),
+    deleteMany: jest.fn(),
+    findOneAndUpdate: jest.fn()
+};
+
+await jest.unstable_mockModule('../services/mongoService.js', () => ({
+    withDatabase: jest.fn(async (operation) => operation({}))
+}));
+await jest.unstable_mockModule('../models/mongoSchemas.js', () => ({
+    ensureCollection: jest.fn(async () => mockCollection)
+}));
+
+const routeDao = await import('../models/xeroTenantRouteDao.js');
+
+const duplicateKeyError = (keyPattern) => Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern });
+
+describe('xeroTenantRouteDao', () => {
+    const nameOnlyFilter = { companyId: '123', departmentKey: 'navy', departmentCode: { $exists: false } };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockCollection.updateOne.mockResolvedValue({ modifiedCount: 0 });
+        mockCollection.findOneAndUpdate.mockResolvedValue({ department: 'Navy', departmentCode: 'NY', tenantId: 'navy-tenant' });
+    });
+
+    describe('upsertTenantRoute', () => {
+        test('should upsert on the department code alone', async () => {
+            await routeDao.upsertTenantRoute(123, ' Navy ', 'NY', 'navy-tenant', 'Navy Ltd');
+
+            expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
+                { companyId: '123', departmentCode: 'NY' },
+                expect.objectContaining({
+                    $set: expect.objectContaining({ department: 'Navy', departmentKey: 'navy', tenantId: 'navy-tenant', tenantName: 'Navy Ltd' })
+                }),
+                expect.objectContaining({ upsert: true })
+            );
+        });
+
+        test('should give a route saved by name the department code first', async () => {
+            await routeDao.upsertTenantRoute('123', 'Navy', 'NY', 'navy-tenant');
+
+            expect(mockCollection.updateOne).toHaveBeenCalledWith(nameOnlyFilter, { $set: { departmentCode: 'NY' } });
+            expect(mockCollection.updateOne.mock.invocationCallOrder[0])
+                .toBeLessThan(mockCollection.findOneAndUpdate.mock.invocationCallOrder[0]);
+        });
+
+        test('should remove the route saved by name when the code already has a route', async () => {
+            mockCollection.updateOne.mockRejectedValue(duplicateKeyError({ companyId: 1, departmentCode: 1 }));
+
+            await routeDao.upsertTenantRoute('123', 'Navy', 'NY', 'navy-tenant');
+
+            expect(mockCollection.deleteOne).toHaveBeenCalledWith(nameOnlyFilter);
+            expect(mockCollection.findOneAndUpdate).toHaveBeenCalled();
+        });
+
+        test('should pass on other errors', async () => {
+            mockCollection.updateOne.mockRejectedValue(new Error('connection lost'));
+
+            await expect(routeDao.upsertTenantRoute('123', 'Navy', 'NY', 'navy-tenant')).rejects.toThrow('connection lost');
+            expect(mockCollection.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('deleteTenantRoute', () => {
+        test('should delete the coded route and any route saved under the name', async () => {
+            mockCollection.deleteMany.mockResolvedValue({ deletedCount: 2 });
+
+            await expect(routeDao.deleteTenantRoute('123', 'Navy', 'NY')).resolves.toBe(true);
+            expect(mockCollection.deleteMany).toHaveBeenCalledWith({
+                companyId: '123',
+                $or: [{ departmentCode: 'NY' }, { departmentKey: 'navy' }]
+            });
+        });
+
+        test('should delete by name when the department is unknown', async () => {
+            mockCollection.deleteMany.mockResolvedValue({ deletedCount: 0 });
+
+            await expect(routeDao.deleteTenantRoute('123', 'Laser Cladding')).resolves.toBe(false);
+            expect(mockCollection.deleteMany).toHaveBeenCalledWith({ companyId: '123', departmentKey: 'laser cladding' });
+        });
+    });
+});
@@ -0,0 +1,183 @@
+/**
+ * Xero Tenant Routing Service Tests
+ *
+ * Tests for routing a deal's department to the Xero tenant configured for it,
+ * matching the department by name or alias and the route by department code.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockTokenService = {
+    getAuthToken: jest.fn()
+};
+
+const mockRouteDao = {
+    findTenantRoutesByCompany: jest.fn(),
+    upsertTenantRoute: jest.fn(),
+    deleteTenantRoute: jest.fn(),
+    toDepartmentKey: (department) => String(department).trim().toLowerCase()
+};
+
+const departments = [
+    { name: 'Navy', code: 'NY', aliases: ['Naval'] },
+    { name: 'Engine Recon', code: 'ED', aliases: ['Engine Dept'] },
+    { name: 'Machining', code: 'MC', aliases: [] }
+];
+
+const mockDepartmentService = {
+    findDepartmentByName: jest.fn(async (companyId, label) =>
+        departments.find(d => d.name === label || d.aliases.includes(label)) || null)
+};
+
+await jest.unstable_mockModule('../services/secureTokenService.js', () => mockTokenService);
+await jest.unstable_mockModule('../services/departmentService.js', () => mockDepartmentService);
+await jest.unstable_mockModule('../models/xeroTenantRouteDao.js', () => mockRouteDao);
+await jest.unstable_mockModule('../lib/logger.js', () => ({
+    default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const routingService = await import('../services/xeroTenantRoutingService.js');
+
+describe('xeroTenantRoutingService', () => {
+    const xeroAuth = { accessToken: 'xero-token', tenantId: 'default-tenant' };
+    const routes = [
+        { department: 'Navy', departmentKey: 'navy', departmentCode: 'NY', tenantId: 'navy-tenant' },
+        { department: 'Engine Recon', departmentKey: 'engine recon', departmentCode: 'ED', tenantId: 'recon-tenant' }
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        process.env.PIPEDRIVE_QUOTE_CUSTOM_DEPARTMENT = 'dept_field';
+        mockTokenService.getAuthToken.mockResolvedValue({
+            accessToken: 'xero-token',
+            tenants: [{ tenantId: 'navy-tenant', tenantName: 'Navy Ltd' }, { tenantId: 'recon-tenant' }, { tenantId: 'default-tenant' }]
+        });
+    });
+
+    describe('resolveTenantForDeal', () => {
+        test('should use the middleware tenant when the company has no routes', async () => {
+            mockRouteDao.findTenantRoutesByCompany.mockResolvedValue([]);
+
+            const tenantId = await routingService.resolveTenantForDeal('123', { dept_field: 'Navy' }, xeroAuth);
+
+            expect(tenantId).toBe('default-tenant');
+        });
+
+        test('should route the deal department to its mapped tenant', async () => {
+            mockRouteDao.findTenantRoutesByCompany.mockResolvedValue(routes);
+
+            const tenantId = await routingService.resolveTenantForDeal('123', { dept_field: 'Engine Recon' }, xeroAuth);
+
+            expect(tenantId).toBe('recon-tenant');
+        });
+
+        test('should route a department alias to the tenant mapped to its department', async () => {
+            mockRouteDao.findTenantRoutesByCompany.mockResolvedValue(routes);
+
+            const tenantId = await routingService.resolveTenantForDeal('123', { dept_field: 'Engine Dept' }, xeroAuth);
+
+            expect(tenantId).toBe('recon-tenant');
+        });
+
+        test('should match on the department code after the department is renamed', async () => {
+            mockRouteDao.findTenantRoutesByCompany.mockResolvedValue([
+                { department: 'Navy Old', departmentKey: 'navy old', departmentCode: 'NY', tenantId: 'navy-tenant' }
+            ]);
+
+            await expect(routingService.resolveTenantForDeal('123', { dept_field: 'Naval' }, xeroAuth)).resolves.toBe('navy-tenant');
+        });
+
+        test('should match a route saved without a department code on the department name', async () => {
+            mockRouteDao.findTenantRoutesByCompany.mockResolvedValue([
+                { department: 'Navy', departmentKey: 'navy', tenantId: 'navy-tenant' }
+            ]);
+
+            await expect(routingService.resolveTenantForDeal('123', { dept_field: 'Naval' }, xeroAuth)).resolves.toBe('navy-tenant');
+        });
+
+        test('should prefer the route with the department code over a route saved under its name', async () => {
+            mockRouteDao.findTenantRoutesByCompany.mockResolvedValue([
+                { department: 'Navy', departmentKey: 'navy', tenantId: 'default-tenant' },
+                { department: 'Navy Old', departmentKey: 'navy old', departmentCode: 'NY', tenantId: 'navy-tenant' }
+            ]);
+
+            await expect(routingService.resolveTenantForDeal('123', { dept_field: 'Naval' }, xeroAuth)).resolves.toBe('navy-tenant');
+        });
+
+        test('should fail with 422 when the department label is not a known department', async () => {
+            mockRouteDao.findTenantRoutesByCompany.mockResolvedValue(routes);
+
+            await expect(routingService.resolveTenantForDeal('123', { dept_field: 'Navy Yard' }, xeroAuth))
+                .rejects.toMatchObject({ statusCode: 422, details: { department: 'Navy Yard', departmentCode: null } });
+        });
+
+        test('should fail with 422 when the department has no mapping', async () => {
+            mockRouteDao.findTenantRoutesByCompany.mockResolvedValue(routes);
+
+            await expect(routingService.resolveTenantForDeal('123', { dept_field: 'Machining' }, xeroAuth))
+                .rejects.toMatchObject({
+                    statusCode: 422,
+                    message: 'No Xero organisation is mapped to department "Machining". Add a tenant route for this department.',
+                    details: { department: 'Machining', departmentCode: 'MC', mappedDepartments: ['Navy', 'Engine Recon'] }
+                });
+        });
+
+        test('should fail with 422 when the deal has no department', async () => {
+            mockRouteDao.findTenantRoutesByCompany.mockResolvedValue(routes);
+
+            await expect(routingService.resolveTenantForDeal('123', {}, xeroAuth))
+                .rejects.toMatchObject({ statusCode: 422, missingField: 'department' });
+        });
+
+        test('should fail with 409 when the mapped tenant is no longer authorised', async () => {
+            mockRouteDao.findTenantRoutesByCompany.mockResolvedValue(routes);
+            mockTokenService.getAuthToken.mockResolvedValue({ accessToken: 'xero-token', tenants: [{ tenantId: 'recon-tenant' }] });
+
+            await expect(routingService.resolveTenantForDeal('123', { dept_field: 'Navy' }, xeroAuth))
+                .rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+
+    describe('setTenantRoute', () => {
+        test('should save a route for an authorised tenant under the department code', async () => {
+            mockRouteDao.upsertTenantRoute.mockResolvedValue({ department: 'Navy', tenantId: 'navy-tenant' });
+
+            await routingService.setTenantRoute('123', 'Naval', 'navy-tenant');
+
+            expect(mockRouteDao.upsertTenantRoute).toHaveBeenCalledWith('123', 'Navy', 'NY', 'navy-tenant', 'Navy Ltd');
+        });
+
+        test('should reject a department that is not one of the company\'s departments', async () => {
+            await expect(routingService.setTenantRoute('123', 'Navy Yard', 'navy-tenant'))
+                .rejects.toMatchObject({ statusCode: 400 });
+            expect(mockRouteDao.upsertTenantRoute).not.toHaveBeenCalled();
+        });
+
+        test('should reject a tenant that is not authorised for the company', async () => {
+            await expect(routingService.setTenantRoute('123', 'Navy', 'unknown-tenant'))
+                .rejects.toMatchObject({ statusCode: 404 });
+            expect(mockRouteDao.upsertTenantRoute).not.toHaveBeenCalled();
+        });
+
+        test('should require department and tenantId', async () => {
+            await expect(routingService.setTenantRoute('123', '  ', 'navy-tenant'))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+
+    describe('removeTenantRoute', () => {
+        test('should remove the route of the department an alias belongs to', async () => {
+            mockRouteDao.deleteTenantRoute.mockResolvedValue(true);
+
+            await expect(routingService.removeTenantRoute('123', 'Naval')).resolves.toBe(true);
+            expect(mockRouteDao.deleteTenantRoute).toHaveBeenCalledWith('123', 'Navy', 'NY');
+        });
+
+        test('should remove a route by name when the department is no longer active', async () => {
+            mockRouteDao.deleteTenantRoute.mockResolvedValue(true);
+
+            await routingService.removeTenantRoute('123', 'Laser Cladding');
+            expect(mockRouteDao.deleteTenantRoute).toHaveBeenCalledWith('123', 'Laser Cladding');
+        });
+    });
+});
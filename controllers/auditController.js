@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Audit Controller for the audit log API.
+ * Lists the writes made to Xero and Pipedrive for the signed-in company.
+ */
+
+import * as auditService from '../services/auditService.js';
+import { logSuccess, logWarning } from '../middleware/routeLogger.js';
+
+/**
+ * Returns the company's audit events, newest first.
+ *
+ * @param {Object} req - Express request object with req.pipedriveIdentity; query may hold
+ *   dealId, projectNumber, userId, from, to (ISO 8601) and limit (1-200, default 50)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the matching events
+ */
+export const getAuditEvents = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const { dealId, projectNumber, userId, from, to, limit } = req.query;
+
+    try {
+        const events = await auditService.listAuditEvents(companyId, { dealId, projectNumber, userId, from, to, limit });
+        logSuccess(req, 'Audit events retrieved', { companyId, events: events.length });
+        res.json({ success: true, data: { companyId, events } });
+    } catch (error) {
+        logWarning(req, 'Error retrieving audit events', { companyId, error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+};
@@ -1,7 +1,7 @@
 /**
  * @fileoverview Authentication controller handling OAuth flows for Pipedrive and Xero integrations.
- * Manages CSRF tokens, authorization redirects, and token exchange for both platforms.
- * Exports functions for initiating auth flows and handling OAuth callbacks.
+ * Manages OAuth state, authorization redirects, and token exchange for both platforms.
+ * Exports functions for initiating auth flows, handling OAuth callbacks, logout and app uninstall.
  */
 
 import 'dotenv/config';
@@ -9,6 +9,7 @@ import crypto from 'crypto';
 import axios from 'axios';
 import * as tokenService from '../services/secureTokenService.js';
 import * as pipedriveApiService from '../services/pipedriveApiService.js';
+import { offboardCompany } from '../services/companyOffboardingService.js';
 import logger from '../lib/logger.js';
 
 const pipedriveClientId = process.env.CLIENT_ID;
@@ -26,70 +27,126 @@ const xeroSuccessPageUrl = `${frontendBaseUrl}/auth/xero/success`;
 const xeroErrorPageUrl = `${frontendBaseUrl}/auth/xero/error`;
 
 /**
- * Initiates the Pipedrive OAuth authorization flow by generating a CSRF token
+ * Accepts a caller-supplied return URL only if it points at the frontend origin,
+ * so the OAuth callback cannot be used as an open redirect.
+ * 
+ * @param {string} [returnUrl] - Requested return URL
+ * @returns {string|null} Safe absolute URL or null
+ */
+const sanitizeReturnUrl = (returnUrl) => {
+    if (!returnUrl || typeof returnUrl !== 'string') return null;
+    try {
+        const url = new URL(returnUrl, frontendBaseUrl);
+        return url.origin === new URL(frontendBaseUrl).origin ? url.toString() : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Builds a redirect URL with query parameters appended.
+ * 
+ * @param {string} baseUrl - Absolute URL
+ * @param {Object} params - Query parameters to add
+ * @returns {string} URL with parameters
+ */
+const withQueryParams = (baseUrl, params) => {
+    const url = new URL(baseUrl);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+};
+
+/**
+ * Builds the Pipedrive authorization URL for a stored OAuth state.
+ * 
+ * @param {string} state - OAuth state value
+ * @returns {{authorizationUrl: string, scopes: string[]}}
+ */
+const buildPipedriveAuthorizationUrl = (state) => {
+    const scopes = [
+        'deals:full',
+        'users:read'
+    ];
+    const authorizationUrl = `https://oauth.pipedrive.com/oauth/authorize?client_id=${pipedriveClientId}&redirect_uri=${encodeURIComponent(redirectUri)}&state=${state}&scope=${encodeURIComponent(scopes.join(' '))}`;
+    return { authorizationUrl, scopes };
+};
+
+/**
+ * Initiates the Pipedrive OAuth authorization flow by storing an OAuth state record
  * and redirecting the user to the frontend auth page with the authorization URL.
  * 
- * @param {Object} req - Express request object
+ * @param {Object} req - Express request object (optional query parameters companyId, returnUrl)
  * @param {Object} res - Express response object
- * @returns {void} Redirects to frontend auth page with authorization URL
+ * @returns {Promise<void>} Redirects to frontend auth page with authorization URL
  */
-export const initiatePipedriveAuth = (req, res) => {
+export const initiatePipedriveAuth = async (req, res) => {
     logger.info({
         operation: 'Initiate Pipedrive Auth',
         userAgent: req.get('User-Agent'),
         remoteAddress: req.ip
     }, '🚀 Initiating Pipedrive OAuth flow');
 
-    const csrfToken = crypto.randomBytes(18).toString('hex');
-    tokenService.setCsrfTokenStore(csrfToken);
-
-    const scopes = [
-        'deals:full',
-        'users:read'
-    ].join(' ');
+    try {
+        const { state } = await tokenService.createOAuthState('pipedrive', {
+            companyId: req.query.companyId,
+            returnUrl: sanitizeReturnUrl(req.query.returnUrl)
+        });
+        const { authorizationUrl, scopes } = buildPipedriveAuthorizationUrl(state);
 
-    const authorizationUrl = `https://oauth.pipedrive.com/oauth/authorize?client_id=${pipedriveClientId}&redirect_uri=${encodeURIComponent(redirectUri)}&state=${csrfToken}&scope=${encodeURIComponent(scopes)}`;
-    
-    logger.info({
-        operation: 'Pipedrive Auth URL Generated',
-        csrfToken,
-        scopes: scopes.split(' '),
-        redirectUri
-    }, '🔗 Pipedrive OAuth URL generated');
-    
-    // Redirect to frontend auth page with the authorization URL
-    const frontendAuthUrl = `${pipedriveAuthPageUrl}?authUrl=${encodeURIComponent(authorizationUrl)}`;
-    res.redirect(frontendAuthUrl);
+        logger.info({
+            operation: 'Pipedrive Auth URL Generated',
+            scopes,
+            redirectUri
+        }, '🔗 Pipedrive OAuth URL generated');
+
+        // Redirect to frontend auth page with the authorization URL
+        const frontendAuthUrl = `${pipedriveAuthPageUrl}?authUrl=${encodeURIComponent(authorizationUrl)}`;
+        res.redirect(frontendAuthUrl);
+    } catch (error) {
+        logger.error({
+            operation: 'Initiate Pipedrive Auth Error',
+            error: error.message
+        }, `❌ Failed to start Pipedrive OAuth flow: ${error.message}`);
+        res.redirect(`${pipedriveErrorPageUrl}?error=${encodeURIComponent('Could not start authentication. Please try again.')}`);
+    }
 };
 
 /**
  * Handles the OAuth callback from Pipedrive after user authorization.
- * Validates CSRF token, exchanges authorization code for access tokens,
- * and stores tokens for the authenticated company.
+ * Consumes the stored OAuth state (once), exchanges the authorization code for
+ * access tokens, and stores tokens for the authenticated company.
  * 
  * @param {Object} req - Express request object with query parameters (code, state)
  * @param {Object} res - Express response object
  * @returns {Promise<void>} Redirects to frontend success or error page
- * @throws {Error} Redirects to error page for CSRF mismatch, missing code, or API errors
+ * @throws {Error} Redirects to error page for unknown/expired state, missing code, or API errors
  */
 export const handlePipedriveCallback = async (req, res) => {
     const { code, state } = req.query;
-    const storedCsrfToken = tokenService.getCsrfTokenStore();
 
     logger.info({
         operation: 'Handle Pipedrive Callback',
         hasCode: !!code,
-        hasState: !!state,
-        stateMatches: state === storedCsrfToken
+        hasState: !!state
     }, '🔄 Handling Pipedrive OAuth callback');
 
-    if (state !== storedCsrfToken) {
+    let oauthState;
+    try {
+        oauthState = await tokenService.consumeOAuthState(state, 'pipedrive');
+    } catch (error) {
+        logger.error({
+            operation: 'OAuth State Lookup Error',
+            error: error.message
+        }, `❌ Failed to read OAuth state: ${error.message}`);
+        return res.redirect(`${pipedriveErrorPageUrl}?error=${encodeURIComponent('Could not verify the authentication request. Please try again.')}`);
+    }
+
+    if (!oauthState) {
         logger.warn({
             operation: 'CSRF Mismatch',
-            receivedState: state,
-            expectedState: storedCsrfToken
-        }, '⚠️ CSRF token mismatch in Pipedrive callback');
-        return res.redirect(`${pipedriveErrorPageUrl}?error=${encodeURIComponent('CSRF token mismatch')}`);
+            hasState: !!state
+        }, '⚠️ Unknown, expired or already used OAuth state in Pipedrive callback');
+        return res.redirect(`${pipedriveErrorPageUrl}?error=${encodeURIComponent('CSRF token mismatch or session expired')}`);
     }
 
     if (!code) {
@@ -118,6 +175,15 @@ export const handlePipedriveCallback = async (req, res) => {
         const userData = await pipedriveApiService.getPipedriveUserMe(api_domain, access_token);
         const companyIdForTokenStorage = userData.company_id.toString();
 
+        if (oauthState.companyId && oauthState.companyId !== companyIdForTokenStorage) {
+            logger.warn({
+                operation: 'Pipedrive Company Mismatch',
+                expectedCompanyId: oauthState.companyId,
+                companyId: companyIdForTokenStorage
+            }, '⚠️ Authorised Pipedrive company differs from the one that started the flow');
+            return res.redirect(`${pipedriveErrorPageUrl}?error=${encodeURIComponent('Authorised Pipedrive company does not match the company that started authentication')}`);
+        }
+
         // Store token using the new database-backed approach
         await tokenService.storeAuthToken(companyIdForTokenStorage, 'pipedrive', {
             accessToken: access_token,
@@ -132,8 +198,8 @@ export const handlePipedriveCallback = async (req, res) => {
             apiDomain: api_domain
         }, '✅ Pipedrive authentication successful');
 
-        // Redirect to success page after successful authentication
-        res.redirect(`${pipedriveSuccessPageUrl}?companyId=${encodeURIComponent(companyIdForTokenStorage)}`);
+        // Redirect to the requested return URL (or the success page) after successful authentication
+        res.redirect(withQueryParams(oauthState.returnUrl || pipedriveSuccessPageUrl, { companyId: companyIdForTokenStorage }));
 
     } catch (error) {
         logger.error({
@@ -147,32 +213,44 @@ export const handlePipedriveCallback = async (req, res) => {
 };
 
 /**
- * Initiates the Xero OAuth authorization flow for a specific Pipedrive company.
- * Associates the Xero auth with a Pipedrive company via CSRF token mapping.
+ * Initiates the Xero OAuth authorization flow for the signed-in Pipedrive company.
+ * Associates the Xero auth with the verified company (req.pipedriveIdentity) via a
+ * stored OAuth state record, and protects the code exchange with PKCE.
  * 
- * @param {Object} req - Express request object with query parameter pipedriveCompanyId
+ * A browser opened with the Pipedrive App Extension JWT (`token` query parameter)
+ * is redirected to Xero. A call with a session token cannot follow a redirect, so
+ * it receives the authorization URL as JSON instead.
+ * 
+ * @param {Object} req - Express request object with req.pipedriveIdentity (optional query parameter returnUrl)
  * @param {Object} res - Express response object
- * @returns {void} Redirects to Xero authorization URL or returns 400 for missing company ID
+ * @returns {Promise<void>} Redirects to the Xero authorization URL, or returns it as JSON for session calls
  */
-export const initiateXeroAuth = (req, res) => {
-    const { pipedriveCompanyId } = req.query;
-
-    if (!pipedriveCompanyId) {
-        logger.warn({
-            operation: 'Xero Auth Missing Company ID'
-        }, '⚠️ Pipedrive Company ID is required to connect to Xero');
-        return res.status(400).send('Pipedrive Company ID is required to connect to Xero.');
-    }
+export const initiateXeroAuth = async (req, res) => {
+    const pipedriveCompanyId = req.pipedriveIdentity.companyId;
 
     logger.info({
         operation: 'Initiate Xero Auth',
         pipedriveCompanyId
     }, '🚀 Initiating Xero OAuth flow');
 
-    const csrfToken = crypto.randomBytes(18).toString('hex');
-    let xeroCsrfStore = tokenService.getXeroCsrfTokenStore();
-    xeroCsrfStore[csrfToken] = pipedriveCompanyId;
-    tokenService.setXeroCsrfTokenStore(xeroCsrfStore);
+    let oauthState;
+    try {
+        oauthState = await tokenService.createOAuthState('xero', {
+            companyId: pipedriveCompanyId,
+            returnUrl: sanitizeReturnUrl(req.query.returnUrl),
+            usePkce: true
+        });
+    } catch (error) {
+        logger.error({
+            operation: 'Initiate Xero Auth Error',
+            pipedriveCompanyId,
+            error: error.message
+        }, `❌ Failed to start Xero OAuth flow: ${error.message}`);
+        if (req.pipedriveIdentity.source === 'session') {
+            return res.status(500).json({ success: false, error: 'Could not start Xero authentication. Please try again.' });
+        }
+        return res.redirect(`${xeroErrorPageUrl}?error=${encodeURIComponent('Could not start Xero authentication. Please try again.')}&companyId=${encodeURIComponent(pipedriveCompanyId)}`);
+    }
 
     const scopes = [
         'openid',
@@ -184,31 +262,44 @@ export const initiateXeroAuth = (req, res) => {
         'offline_access'
     ].join(' ');
 
-    const authorizationUrl = `https://login.xero.com/identity/connect/authorize?response_type=code&client_id=${xeroClientId}&redirect_uri=${encodeURIComponent(xeroRedirectUri)}&scope=${encodeURIComponent(scopes)}&state=${csrfToken}`;
+    const authorizationUrl = `https://login.xero.com/identity/connect/authorize?response_type=code&client_id=${xeroClientId}&redirect_uri=${encodeURIComponent(xeroRedirectUri)}&scope=${encodeURIComponent(scopes)}&state=${oauthState.state}&code_challenge=${oauthState.codeChallenge}&code_challenge_method=S256`;
     
     logger.info({
         operation: 'Xero Auth URL Generated',
-        csrfToken,
         scopes: scopes.split(' ')
     }, '🔗 Xero OAuth URL generated');
     
+    if (req.pipedriveIdentity.source === 'session') {
+        return res.json({ success: true, authUrl: authorizationUrl });
+    }
     res.redirect(authorizationUrl);
 };
 
 /**
  * Handles the OAuth callback from Xero after user authorization.
- * Validates CSRF token, exchanges authorization code for access tokens,
- * retrieves tenant information, and stores tokens linked to Pipedrive company.
+ * Consumes the stored OAuth state (once), exchanges the authorization code for
+ * access tokens using the PKCE verifier, retrieves tenant information, and stores
+ * tokens linked to the Pipedrive company that started the flow.
  * 
  * @param {Object} req - Express request object with query parameters (code, state)
  * @param {Object} res - Express response object
  * @returns {Promise<void>} Redirects to frontend success or error page
- * @throws {Error} Redirects to error page for CSRF mismatch, missing code, or API errors
+ * @throws {Error} Redirects to error page for unknown/expired state, missing code, or API errors
  */
 export const handleXeroCallback = async (req, res) => {
     const { code, state } = req.query;
-    let xeroCsrfStore = tokenService.getXeroCsrfTokenStore();
-    const pipedriveCompanyId = xeroCsrfStore[state];
+
+    let oauthState;
+    try {
+        oauthState = await tokenService.consumeOAuthState(state, 'xero');
+    } catch (error) {
+        logger.error({
+            operation: 'OAuth State Lookup Error',
+            error: error.message
+        }, `❌ Failed to read OAuth state: ${error.message}`);
+        return res.redirect(`${xeroErrorPageUrl}?error=${encodeURIComponent('Could not verify the authentication request. Please try again.')}`);
+    }
+    const pipedriveCompanyId = oauthState?.companyId;
 
     logger.info({
         operation: 'Handle Xero Callback',
@@ -220,12 +311,10 @@ export const handleXeroCallback = async (req, res) => {
     if (!pipedriveCompanyId) {
         logger.error({
             operation: 'Xero CSRF Mismatch',
-            state
+            hasState: !!state
         }, '❌ CSRF token mismatch or Pipedrive Company ID not found');
         return res.redirect(`${xeroErrorPageUrl}?error=${encodeURIComponent('CSRF token mismatch or session expired')}`);
     }
-    delete xeroCsrfStore[state];
-    tokenService.setXeroCsrfTokenStore(xeroCsrfStore);
 
     if (!code) {
         logger.error({
@@ -240,6 +329,9 @@ export const handleXeroCallback = async (req, res) => {
         params.append('grant_type', 'authorization_code');
         params.append('code', code);
         params.append('redirect_uri', xeroRedirectUri);
+        if (oauthState.codeVerifier) {
+            params.append('code_verifier', oauthState.codeVerifier);
+        }
 
         const basicAuth = Buffer.from(`${process.env.XERO_CLIENT_ID}:${process.env.XERO_CLIENT_SECRET}`).toString('base64');
 
@@ -253,24 +345,47 @@ export const handleXeroCallback = async (req, res) => {
         const { access_token, refresh_token, expires_in, scope } = tokenResponse.data;
         
         const connections = await (await import('../services/xeroApiService.js')).getXeroConnections(access_token);
-        const tenantId = connections[0].tenantId;
+        const tenants = (connections || []).map(connection => ({
+            tenantId: connection.tenantId,
+            tenantName: connection.tenantName || null,
+            tenantType: connection.tenantType || null,
+            connectionId: connection.id || null
+        }));
+
+        if (tenants.length === 0) {
+            throw new Error('No Xero organisations were authorised');
+        }
+
+        // Keep the existing default if it is still authorised; otherwise only pick one
+        // automatically when there is no choice to make
+        const existingToken = await tokenService.getAuthToken(pipedriveCompanyId, 'xero');
+        const previousDefault = existingToken?.defaultTenantId;
+        const defaultTenantId = tenants.some(t => t.tenantId === previousDefault)
+            ? previousDefault
+            : (tenants.length === 1 ? tenants[0].tenantId : null);
 
         // Store Xero tokens using the secure token service
         await tokenService.storeAuthToken(pipedriveCompanyId, 'xero', {
             accessToken: access_token,
             refreshToken: refresh_token,
             tokenExpiresAt: Date.now() + (expires_in * 1000) - (5 * 60 * 1000), // 5-minute buffer before expiry
-            tenantId: tenantId
+            tenantId: defaultTenantId,
+            defaultTenantId: defaultTenantId,
+            tenants: tenants
         });
 
         logger.info({
             operation: 'Xero Auth Success',
             pipedriveCompanyId: pipedriveCompanyId,
-            tenantId: tenantId
+            tenantCount: tenants.length,
+            defaultTenantId: defaultTenantId
         }, '✅ Xero authentication successful');
 
-        // Redirect to success page with company and tenant info
-        const successUrl = `${xeroSuccessPageUrl}?companyId=${encodeURIComponent(pipedriveCompanyId)}&tenantId=${encodeURIComponent(tenantId)}`;
+        // Redirect to success page with company and tenant info; ask the user to pick
+        // an organisation when several were authorised and none is the default yet
+        const successUrl = withQueryParams(oauthState.returnUrl || xeroSuccessPageUrl, defaultTenantId
+            ? { companyId: pipedriveCompanyId, tenantId: defaultTenantId }
+            : { companyId: pipedriveCompanyId, selectTenant: 'true' });
         res.redirect(successUrl);
 
     } catch (error) {
@@ -285,6 +400,100 @@ export const handleXeroCallback = async (req, res) => {
     }
 };
 
+/**
+ * Lists the Xero organisations authorised for a company and which one is the default.
+ * 
+ * @param {Object} req - Express request object (company from req.pipedriveIdentity)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with tenants and defaultTenantId
+ */
+export const listXeroTenants = async (req, res) => {
+    const companyId = req.pipedriveIdentity?.companyId;
+
+    try {
+        const xeroToken = await tokenService.getAuthToken(companyId, 'xero');
+
+        if (!xeroToken || !xeroToken.accessToken) {
+            return res.status(404).json({
+                success: false,
+                error: `Xero not authenticated for company ${companyId}`,
+                authRequired: true,
+                authType: 'xero'
+            });
+        }
+
+        const defaultTenantId = xeroToken.defaultTenantId || null;
+        res.json({
+            success: true,
+            data: {
+                companyId,
+                defaultTenantId,
+                tenants: (xeroToken.tenants || []).map(tenant => ({
+                    ...tenant,
+                    isDefault: tenant.tenantId === defaultTenantId
+                }))
+            }
+        });
+    } catch (error) {
+        logger.error({
+            operation: 'List Xero Tenants Error',
+            companyId,
+            error: error.message
+        }, `❌ Error listing Xero tenants: ${error.message}`);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list Xero tenants'
+        });
+    }
+};
+
+/**
+ * Sets the default Xero organisation for a company.
+ * 
+ * @param {Object} req - Express request object with body parameter tenantId (company from req.pipedriveIdentity)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the selected tenant
+ */
+export const setDefaultXeroTenant = async (req, res) => {
+    const companyId = req.pipedriveIdentity?.companyId;
+    const { tenantId } = req.body || {};
+
+    if (!tenantId) {
+        return res.status(400).json({
+            success: false,
+            error: 'tenantId is required'
+        });
+    }
+
+    try {
+        const tenant = await tokenService.setDefaultXeroTenant(companyId, tenantId);
+
+        logger.info({
+            operation: 'Set Default Xero Tenant',
+            companyId,
+            tenantId
+        }, '✅ Default Xero tenant updated');
+
+        res.json({
+            success: true,
+            data: { companyId, defaultTenantId: tenantId, tenant }
+        });
+    } catch (error) {
+        logger.error({
+            operation: 'Set Default Xero Tenant Error',
+            companyId,
+            tenantId,
+            error: error.message
+        }, `❌ Error setting default Xero tenant: ${error.message}`);
+
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Failed to set default Xero tenant'
+        });
+    }
+};
+
 /**
  * Gets the Pipedrive authorization URL without redirecting.
  * Useful for frontend to get the auth URL via API call.
@@ -293,67 +502,60 @@ export const handleXeroCallback = async (req, res) => {
  * @param {Object} res - Express response object
  * @returns {void} Returns JSON with authorization URL
  */
-export const getPipedriveAuthUrl = (req, res) => {
+export const getPipedriveAuthUrl = async (req, res) => {
     logger.info({
         operation: 'Generate Pipedrive Auth URL',
         userAgent: req.get('User-Agent')
     }, '🔗 Generating Pipedrive OAuth URL for frontend');
 
-    const csrfToken = crypto.randomBytes(18).toString('hex');
-    tokenService.setCsrfTokenStore(csrfToken);
+    try {
+        const { state } = await tokenService.createOAuthState('pipedrive', {
+            companyId: req.query?.companyId || req.body?.companyId,
+            returnUrl: sanitizeReturnUrl(req.query?.returnUrl || req.body?.returnUrl)
+        });
+        const { authorizationUrl, scopes } = buildPipedriveAuthorizationUrl(state);
+
+        logger.info({
+            operation: 'Pipedrive Auth URL Generated',
+            scopes
+        }, '✅ Pipedrive OAuth URL generated for API response');
 
-    const scopes = [
-        'deals:full',
-        'users:read'
-    ].join(' ');
+        res.json({
+            success: true,
+            authUrl: authorizationUrl,
+            csrfToken: state,
+            scopes
+        });
+    } catch (error) {
+        logger.error({
+            operation: 'Generate Pipedrive Auth URL Error',
+            error: error.message
+        }, `❌ Failed to generate Pipedrive OAuth URL: ${error.message}`);
 
-    const authorizationUrl = `https://oauth.pipedrive.com/oauth/authorize?client_id=${pipedriveClientId}&redirect_uri=${encodeURIComponent(redirectUri)}&state=${csrfToken}&scope=${encodeURIComponent(scopes)}`;
-    
-    logger.info({
-        operation: 'Pipedrive Auth URL Generated',
-        csrfToken,
-        scopes: scopes.split(' ')
-    }, '✅ Pipedrive OAuth URL generated for API response');
-    
-    res.json({
-        success: true,
-        authUrl: authorizationUrl,
-        csrfToken: csrfToken,
-        scopes: scopes.split(' ')
-    });
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate authorization URL'
+        });
+    }
 };
 
 /**
- * Checks the authentication status for a specific company.
+ * Checks the authentication status of the signed-in company.
  * Returns information about Pipedrive and Xero authentication status.
  * 
- * @param {Object} req - Express request object with query parameter companyId
+ * @param {Object} req - Express request object with req.pipedriveIdentity
  * @param {Object} res - Express response object
  * @returns {Promise<void>} Returns JSON with authentication status
  */
 export const checkAuthStatus = async (req, res) => {
-    // Support companyId from query or request body for POST and GET
-    const companyId = req.query.companyId || req.body.companyId;
-
-    if (!companyId) {
-        logger.warn({
-            operation: 'Check Auth Status - Missing Company ID'
-        }, '⚠️ Company ID is required for auth status check');
-        return res.status(400).json({
-            success: false,
-            error: 'Company ID is required',
-            message: 'Please provide companyId as a query parameter (?companyId=123) or in the request body',
-            example: {
-                queryParameter: '/auth/check-auth?companyId=123',
-                requestBody: '{ "companyId": "123" }'
-            }
-        });
-    }
+    const companyId = req.pipedriveIdentity.companyId;
 
     try {
         // Get tokens from database
         const pipedriveToken = await tokenService.getAuthToken(companyId, 'pipedrive');
         const xeroToken = await tokenService.getAuthToken(companyId, 'xero');
+        const pipedriveRefresh = await tokenService.getRefreshStatus(companyId, 'pipedrive');
+        const xeroRefresh = await tokenService.getRefreshStatus(companyId, 'xero');
 
         const currentTime = Date.now();
 
@@ -362,12 +564,17 @@ export const checkAuthStatus = async (req, res) => {
             pipedrive: {
                 authenticated: !!(pipedriveToken && pipedriveToken.accessToken),
                 tokenExpired: pipedriveToken ? currentTime >= pipedriveToken.tokenExpiresAt : true,
-                apiDomain: pipedriveToken?.apiDomain || null
+                apiDomain: pipedriveToken?.apiDomain || null,
+                reauthRequired: !!pipedriveRefresh?.reauthRequired,
+                lastRefreshError: pipedriveRefresh?.lastRefreshError || null
             },
             xero: {
                 authenticated: !!(xeroToken && xeroToken.accessToken),
                 tokenExpired: xeroToken ? currentTime >= xeroToken.tokenExpiresAt : true,
-                tenantId: xeroToken?.tenantId || null
+                tenantId: xeroToken?.tenantId || null,
+                tenantCount: xeroToken?.tenants?.length || 0,
+                reauthRequired: !!xeroRefresh?.reauthRequired,
+                lastRefreshError: xeroRefresh?.lastRefreshError || null
             }
         };
 
@@ -381,7 +588,9 @@ export const checkAuthStatus = async (req, res) => {
             pipedriveAuth: authStatus.pipedrive.authenticated,
             xeroAuth: authStatus.xero.authenticated,
             pipedriveExpired: authStatus.pipedrive.tokenExpired,
-            xeroExpired: authStatus.xero.tokenExpired
+            xeroExpired: authStatus.xero.tokenExpired,
+            pipedriveReauthRequired: authStatus.pipedrive.reauthRequired,
+            xeroReauthRequired: authStatus.xero.reauthRequired
         }, '✅ Auth status checked successfully');
 
         res.json({
@@ -403,14 +612,16 @@ export const checkAuthStatus = async (req, res) => {
 };
 
 /**
- * Initiates logout by clearing tokens for a specific company.
+ * Logs a company out: revokes its Pipedrive and Xero tokens, removes its Xero
+ * tenant connections, and purges its local tokens and routing config.
+ * The company comes from the verified Pipedrive identity.
  * 
- * @param {Object} req - Express request object with body parameter companyId
+ * @param {Object} req - Express request object (req.pipedriveIdentity set by requirePipedriveSignature)
  * @param {Object} res - Express response object
- * @returns {Promise<void>} Returns JSON success response
+ * @returns {Promise<void>} Returns JSON with what was revoked and purged
  */
 export const logout = async (req, res) => {
-    const { companyId } = req.body;
+    const companyId = req.pipedriveIdentity?.companyId;
 
     if (!companyId) {
         logger.warn({
@@ -423,18 +634,24 @@ export const logout = async (req, res) => {
     }
 
     try {
-        // Deactivate tokens in database
-        await tokenService.deactivateAuthToken(companyId, 'pipedrive');
-        await tokenService.deactivateAuthToken(companyId, 'xero');
+        const summary = await offboardCompany(companyId, { reason: 'logout' });
 
         logger.info({
             operation: 'User Logout',
-            companyId
+            companyId,
+            userId: req.pipedriveIdentity.userId,
+            providerErrors: summary.errors.length
         }, '✅ User logged out successfully');
 
         res.json({
             success: true,
-            message: 'Logged out successfully'
+            message: 'Logged out successfully',
+            revoked: {
+                pipedrive: summary.pipedrive.revoked,
+                xero: summary.xero.revoked,
+                xeroConnectionsRemoved: summary.xero.connectionsRemoved
+            },
+            warnings: summary.errors
         });
 
     } catch (error) {
@@ -450,3 +667,74 @@ export const logout = async (req, res) => {
         });
     }
 };
+
+/**
+ * Checks that a request carries HTTP Basic credentials for this Pipedrive app
+ * (client ID and secret), as Pipedrive sends on app-uninstall callbacks.
+ * 
+ * @param {string} [authorizationHeader] - Authorization header value
+ * @returns {boolean} True if the credentials match
+ */
+const hasPipedriveAppCredentials = (authorizationHeader) => {
+    if (!authorizationHeader || !pipedriveClientId || !pipedriveClientSecret) {
+        return false;
+    }
+    const expected = `Basic ${Buffer.from(`${pipedriveClientId}:${pipedriveClientSecret}`).toString('base64')}`;
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(authorizationHeader), digest(expected));
+};
+
+/**
+ * Handles the Pipedrive app-uninstall callback. Pipedrive sends a DELETE request
+ * to the app's callback URL, authenticated with the app's client credentials,
+ * with the uninstalling company in the body. The company is offboarded as on
+ * logout.
+ * 
+ * @param {Object} req - Express request object with body { company_id, user_id }
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON success response
+ */
+export const handlePipedriveUninstall = async (req, res) => {
+    if (!hasPipedriveAppCredentials(req.get('Authorization'))) {
+        logger.warn({
+            operation: 'Pipedrive Uninstall Unauthorized',
+            remoteAddress: req.ip
+        }, '⚠️ Rejected app-uninstall callback with invalid credentials');
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid client credentials'
+        });
+    }
+
+    const companyId = req.body?.company_id;
+    if (!companyId) {
+        return res.status(400).json({
+            success: false,
+            error: 'company_id is required'
+        });
+    }
+
+    try {
+        const summary = await offboardCompany(String(companyId), { reason: 'uninstall' });
+
+        logger.info({
+            operation: 'Pipedrive App Uninstalled',
+            companyId: String(companyId),
+            userId: req.body.user_id,
+            providerErrors: summary.errors.length
+        }, '✅ Pipedrive app uninstalled and company data purged');
+
+        res.json({ success: true });
+    } catch (error) {
+        logger.error({
+            operation: 'Pipedrive Uninstall Error',
+            companyId: String(companyId),
+            error: error.message
+        }, `❌ Error handling app uninstall: ${error.message}`);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to process app uninstall'
+        });
+    }
+};
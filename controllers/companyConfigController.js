@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Company Config Controller for the admin configuration API.
+ * Reads, patches and resets the signed-in company's configuration and lists
+ * its change history.
+ */
+
+import * as companyConfigAdminService from '../services/companyConfigAdminService.js';
+import { logSuccess, logWarning } from '../middleware/routeLogger.js';
+
+/**
+ * Sends a config service error, including its details when present.
+ *
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error with optional statusCode and details
+ */
+const sendError = (res, error) => {
+    res.status(error.statusCode || 500).json({
+        error: error.message,
+        ...(error.details && { details: error.details })
+    });
+};
+
+/**
+ * Returns the company's configuration.
+ *
+ * @param {Object} req - Express request object with req.pipedriveIdentity
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the configuration
+ */
+export const getCompanyConfig = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+
+    try {
+        const result = await companyConfigAdminService.getCompanyConfigForAdmin(companyId);
+        logSuccess(req, 'Company config retrieved', { companyId, stored: result.stored });
+        res.json({ success: true, data: { companyId, ...result } });
+    } catch (error) {
+        logWarning(req, 'Error retrieving company config', { companyId, error: error.message });
+        sendError(res, error);
+    }
+};
+
+/**
+ * Applies a partial update to the company's configuration.
+ *
+ * @param {Object} req - Express request object with body { section: { key: value } }
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the updated configuration and the changes made
+ */
+export const patchCompanyConfig = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+
+    try {
+        const result = await companyConfigAdminService.patchCompanyConfig(companyId, req.body, req.actingUser);
+        logSuccess(req, 'Company config patched', { companyId, changes: result.changes.length });
+        res.json({ success: true, data: { companyId, ...result } });
+    } catch (error) {
+        logWarning(req, 'Error patching company config', { companyId, error: error.message });
+        sendError(res, error);
+    }
+};
+
+/**
+ * Resets sections of the company's configuration to the defaults.
+ *
+ * @param {Object} req - Express request object with optional body.sections
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the updated configuration and the changes made
+ */
+export const resetCompanyConfig = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const { sections } = req.body || {};
+
+    try {
+        const result = await companyConfigAdminService.resetCompanyConfig(companyId, sections, req.actingUser);
+        logSuccess(req, 'Company config reset', { companyId, sections, changes: result.changes.length });
+        res.json({ success: true, data: { companyId, ...result } });
+    } catch (error) {
+        logWarning(req, 'Error resetting company config', { companyId, error: error.message });
+        sendError(res, error);
+    }
+};
+
+/**
+ * Lists the company's most recent configuration changes.
+ *
+ * @param {Object} req - Express request object with optional query.limit
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the history entries, newest first
+ */
+export const getCompanyConfigHistory = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    try {
+        const history = await companyConfigAdminService.getCompanyConfigHistory(companyId, limit);
+        logSuccess(req, 'Company config history retrieved', { companyId, entries: history.length });
+        res.json({ success: true, data: { companyId, history } });
+    } catch (error) {
+        logWarning(req, 'Error retrieving company config history', { companyId, error: error.message });
+        sendError(res, error);
+    }
+};
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Custom Field Controller for the Pipedrive custom field setup wizard.
+ * Proposes which deal fields store the integration's values, creates missing
+ * fields, and saves the confirmed mapping into the company config.
+ */
+
+import * as customFieldSetupService from '../services/customFieldSetupService.js';
+import { logSuccess, logWarning } from '../middleware/routeLogger.js';
+
+/**
+ * Sends a setup service error, including its details when present.
+ *
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error with optional statusCode and details
+ */
+const sendError = (res, error) => {
+    res.status(error.statusCode || 500).json({
+        error: error.message,
+        ...(error.details && { details: error.details })
+    });
+};
+
+/**
+ * Proposes a deal field for each custom field from the company's Pipedrive deal fields.
+ *
+ * @param {Object} req - Express request object with req.pipedriveIdentity and req.pipedriveAuth
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the proposed mapping per field
+ */
+export const discoverCustomFields = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+
+    try {
+        const { fields } = await customFieldSetupService.discoverCustomFields(companyId, req.pipedriveAuth);
+        logSuccess(req, 'Custom fields discovered', { companyId, fieldsCount: fields.length });
+        res.json({ success: true, data: { companyId, fields } });
+    } catch (error) {
+        logWarning(req, 'Error discovering custom fields', { companyId, error: error.message });
+        sendError(res, error);
+    }
+};
+
+/**
+ * Creates the requested custom fields in Pipedrive. The new keys still have to be
+ * saved with saveCustomFieldMapping.
+ *
+ * @param {Object} req - Express request object with body.fields and optional body.names
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with created and skipped fields
+ */
+export const createMissingCustomFields = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const { fields, names } = req.body;
+
+    try {
+        const result = await customFieldSetupService.createMissingCustomFields(companyId, req.pipedriveAuth, fields, names);
+        logSuccess(req, 'Custom fields created', { companyId, created: result.created.length, skipped: result.skipped.length });
+        res.status(result.created.length > 0 ? 201 : 200).json({ success: true, data: result });
+    } catch (error) {
+        logWarning(req, 'Error creating custom fields', { companyId, error: error.message });
+        sendError(res, error);
+    }
+};
+
+/**
+ * Saves a confirmed custom field mapping after checking it against Pipedrive.
+ *
+ * @param {Object} req - Express request object with body.mapping ({ field: dealFieldKey })
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the saved customFields
+ */
+export const saveCustomFieldMapping = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const { mapping } = req.body;
+
+    try {
+        const customFields = await customFieldSetupService.saveCustomFieldMapping(companyId, req.pipedriveAuth, mapping, req.actingUser);
+        logSuccess(req, 'Custom field mapping saved', { companyId, fields: Object.keys(mapping) });
+        res.json({ success: true, data: { companyId, customFields } });
+    } catch (error) {
+        logWarning(req, 'Error saving custom field mapping', { companyId, error: error.message });
+        sendError(res, error);
+    }
+};
@@ -8,14 +8,16 @@
  */
 
 import * as databaseHealthDao from '../models/databaseHealthDao.js';
+import * as databaseMigration from '../utils/databaseMigration.js';
 import logger from '../lib/logger.js';
+import { getFiscalYearSettings } from '../services/configService.js';
 import { logSuccess, logWarning, logInfo } from '../middleware/routeLogger.js';
 
 /**
  * Performs comprehensive database health check
  * 
- * @route GET /api/database/health
- * @access Admin
+ * @route GET /api/admin/database/health
+ * @access Admin API key
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -45,8 +47,8 @@ export const checkDatabaseHealth = async (req, res) => {
 /**
  * Validates data consistency across database collections
  * 
- * @route GET /api/database/consistency
- * @access Admin
+ * @route GET /api/admin/database/consistency
+ * @access Admin API key
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -79,21 +81,19 @@ export const validateDataConsistency = async (req, res) => {
 /**
  * Performs database cleanup operations
  * 
- * @route POST /api/database/cleanup
- * @access Admin
+ * @route POST /api/admin/database/cleanup
+ * @access Admin API key
  * @param {Object} req - Express request object
- * @param {boolean} [req.body.dryRun=true] - If true, only report what would be cleaned
- * @param {boolean} [req.body.cleanOrphanedMappings=true] - Clean mappings without deals
- * @param {boolean} [req.body.cleanInvalidData=false] - Clean invalid data (destructive)
+ * @param {boolean} req.dryRun - If true, only report what would be cleaned (from requireConfirmation)
+ * @param {Object} req.confirmedParams - Options confirmed by requireConfirmation:
+ *   cleanOrphanedMappings (clean mappings without deals) and cleanInvalidData (clean invalid data, destructive)
+ * @param {Object} [req.confirmation] - Confirmation token for a dry run, from requireConfirmation
  * @param {Object} res - Express response object
  */
 export const performDatabaseCleanup = async (req, res) => {
   try {
-    const {
-      dryRun = true,
-      cleanOrphanedMappings = true,
-      cleanInvalidData = false
-    } = req.body;
+    const { dryRun } = req;
+    const { cleanOrphanedMappings, cleanInvalidData } = req.confirmedParams;
     
     logInfo(req, `Starting database cleanup (${dryRun ? 'dry run' : 'execute'})`, {
       cleanOrphanedMappings,
@@ -125,7 +125,10 @@ export const performDatabaseCleanup = async (req, res) => {
     });
     
     const statusCode = dryRun ? 200 : (totalActions > 0 ? 200 : 204);
-    res.status(statusCode).json(cleanupResults);
+    res.status(statusCode).json({
+      ...cleanupResults,
+      ...(req.confirmation && { confirmation: req.confirmation })
+    });
     
   } catch (error) {
     throw new Error(`Database cleanup failed: ${error.message}`);
@@ -135,19 +138,21 @@ export const performDatabaseCleanup = async (req, res) => {
 /**
  * Gets project generation analytics and trends
  * 
- * @route GET /api/database/analytics
- * @access Admin
+ * @route GET /api/admin/database/analytics
+ * @access Admin API key
  * @param {Object} req - Express request object
  * @param {number} [req.query.days=30] - Number of days to analyze
+ * @param {string} [req.query.companyId] - Only analyze this company's projects, using its fiscal year for dates and current year statistics
  * @param {Object} res - Express response object
  */
 export const getProjectAnalytics = async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 30;
+    const fiscalYear = await getFiscalYearSettings(req.query.companyId);
     
     logInfo(req, `Getting project analytics for ${days} days`);
     
-    const analytics = await databaseHealthDao.getProjectAnalytics(days);
+    const analytics = await databaseHealthDao.getProjectAnalytics({ days, companyId: req.query.companyId, fiscalYear });
     
     logSuccess(req, 'Project analytics retrieved', {
       days,
@@ -166,8 +171,8 @@ export const getProjectAnalytics = async (req, res) => {
 /**
  * Gets database performance metrics
  * 
- * @route GET /api/database/performance
- * @access Admin
+ * @route GET /api/admin/database/performance
+ * @access Admin API key
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -201,10 +206,21 @@ export const getDatabasePerformance = async (req, res) => {
 };
 
 /**
- * Gets current migration status (placeholder implementation)
+ * HTTP status for the first error of a migration run or rollback
+ */
+const MIGRATION_ERROR_STATUS = {
+  not_found: 404,
+  locked: 409,
+  checksum_mismatch: 409,
+  version_mismatch: 409,
+  failed: 500
+};
+
+/**
+ * Gets current migration status
  * 
- * @route GET /api/database/migration/status
- * @access Admin
+ * @route GET /api/admin/database/migration/status
+ * @access Admin API key
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -212,13 +228,7 @@ export const getMigrationStatus = async (req, res) => {
   try {
     logInfo(req, 'Getting migration status');
     
-    // Placeholder implementation - migration system not implemented yet
-    const migrationStatus = {
-      currentVersion: '1.0.0',
-      totalMigrations: 0,
-      appliedMigrations: [],
-      pendingMigrations: []
-    };
+    const migrationStatus = await databaseMigration.getMigrationStatus();
     
     logSuccess(req, 'Migration status retrieved', {
       currentVersion: migrationStatus.currentVersion,
@@ -226,7 +236,15 @@ export const getMigrationStatus = async (req, res) => {
     });
     
     const needsUpdate = migrationStatus.pendingMigrations.length > 0;
-    const status = needsUpdate ? 'pending' : 'up_to_date';
+    const hasChangedMigrations = migrationStatus.modifiedMigrations.length > 0 || migrationStatus.missingMigrations.length > 0;
+    const status = hasChangedMigrations ? 'changed' : (needsUpdate ? 'pending' : 'up_to_date');
+    
+    if (hasChangedMigrations) {
+      logWarning(req, 'Applied migrations were changed or removed', {
+        modified: migrationStatus.modifiedMigrations.map(m => m.version),
+        missing: migrationStatus.missingMigrations.map(m => m.version)
+      });
+    }
     
     res.status(200).json({
       success: true,
@@ -234,13 +252,20 @@ export const getMigrationStatus = async (req, res) => {
       migration: migrationStatus,
       summary: {
         currentVersion: migrationStatus.currentVersion,
+        latestVersion: migrationStatus.latestVersion,
         needsUpdate,
         pendingCount: migrationStatus.pendingMigrations.length,
-        appliedCount: migrationStatus.appliedMigrations.length
+        appliedCount: migrationStatus.appliedCount,
+        modifiedCount: migrationStatus.modifiedMigrations.length,
+        missingCount: migrationStatus.missingMigrations.length
       },
-      recommendations: needsUpdate ? [
+      recommendations: hasChangedMigrations ? [
+        'Applied migration files were changed or removed',
+        'Restore the original files from version control',
+        'Add a new migration instead of editing an applied one'
+      ] : needsUpdate ? [
         'Database migrations are pending',
-        'Review pending migrations before applying',
+        'Review pending migrations with a dry run before applying',
         'Backup database before running migrations',
         'Test migrations in development environment first'
       ] : [
@@ -257,53 +282,70 @@ export const getMigrationStatus = async (req, res) => {
 };
 
 /**
- * Runs pending database migrations (placeholder implementation)
+ * Runs pending database migrations
  * 
- * @route POST /api/database/migration/run
- * @access Admin
+ * @route POST /api/admin/database/migration/run
+ * @access Admin API key
  * @param {Object} req - Express request object
+ * @param {boolean} req.dryRun - If true, only report what each pending migration would change (from requireConfirmation)
+ * @param {Object} req.confirmedParams - Options confirmed by requireConfirmation: targetVersion (stop after
+ *   this version; null for the latest) and force (run even if applied migrations were modified since)
+ * @param {Object} [req.confirmation] - Confirmation token for a dry run, from requireConfirmation
  * @param {Object} res - Express response object
  */
 export const runMigrations = async (req, res) => {
   try {
-    const { dryRun = true, targetVersion = null, force = false } = req.body;
+    const { dryRun } = req;
+    const { targetVersion, force } = req.confirmedParams;
     
     logInfo(req, `Running migrations (${dryRun ? 'dry run' : 'execute'})`, {
       targetVersion: targetVersion || 'latest',
       force
     });
     
-    // Placeholder implementation
+    const results = await databaseMigration.runMigrations({ dryRun, targetVersion, force });
     const migrationResult = {
-      migrationsApplied: [],
-      migrationsSkipped: [],
-      newVersion: '1.0.0'
+      migrationsApplied: results.appliedMigrations.filter(m => m.status !== 'already_applied'),
+      migrationsSkipped: results.appliedMigrations.filter(m => m.status === 'already_applied'),
+      errors: results.errors,
+      newVersion: await databaseMigration.getCurrentMigrationVersion()
     };
     
     const appliedCount = migrationResult.migrationsApplied.length;
     const skippedCount = migrationResult.migrationsSkipped.length;
     
-    logSuccess(req, 'Migrations completed', {
-      mode: dryRun ? 'dry_run' : 'executed',
-      appliedCount,
-      skippedCount
-    });
+    if (results.errors.length > 0) {
+      logWarning(req, 'Migrations stopped with errors', { errors: results.errors });
+    } else {
+      logSuccess(req, 'Migrations completed', {
+        mode: dryRun ? 'dry_run' : 'executed',
+        appliedCount,
+        skippedCount
+      });
+    }
     
-    const statusCode = dryRun ? 200 : (appliedCount > 0 ? 200 : 204);
+    const statusCode = results.errors.length > 0
+      ? MIGRATION_ERROR_STATUS[results.errors[0].code] || 500
+      : (dryRun ? 200 : (appliedCount > 0 ? 200 : 204));
     
     res.status(statusCode).json({
-      success: true,
+      success: results.errors.length === 0,
       migration: migrationResult,
       summary: {
         mode: dryRun ? 'dry_run' : 'executed',
         appliedCount,
         skippedCount,
+        errorCount: results.errors.length,
         newVersion: migrationResult.newVersion,
         hasChanges: appliedCount > 0
       },
-      recommendations: dryRun && appliedCount > 0 ? [
-        'Review the proposed migrations',
-        'Run with dryRun=false to execute migrations',
+      recommendations: results.errors.length > 0 ? [
+        'Review the migration errors',
+        'Fix the cause and run the migrations again',
+        'Migrations applied before the error are kept'
+      ] : dryRun && appliedCount > 0 ? [
+        'Review the proposed migrations and their changes',
+        'Run with dryRun=false and the confirmation token to execute migrations',
         'Ensure database backup is available',
         'Monitor application after migration'
       ] : appliedCount > 0 ? [
@@ -316,6 +358,7 @@ export const runMigrations = async (req, res) => {
         'Database is already up to date',
         'Continue regular monitoring'
       ],
+      ...(req.confirmation && { confirmation: req.confirmation }),
       timestamp: new Date().toISOString()
     });
     
@@ -325,35 +368,48 @@ export const runMigrations = async (req, res) => {
 };
 
 /**
- * Rolls back the last applied migration (placeholder implementation)
+ * Rolls back the last applied migration
  * 
- * @route POST /api/database/migration/rollback
- * @access Admin
+ * @route POST /api/admin/database/migration/rollback
+ * @access Admin API key
  * @param {Object} req - Express request object
+ * @param {boolean} req.dryRun - If true, only report what the rollback would change (from requireConfirmation)
+ * @param {Object} req.confirmedParams - Options confirmed by requireConfirmation: force (roll back even if the
+ *   migration file was modified since it was applied)
+ * @param {Object} [req.confirmation] - Confirmation token for a dry run, from requireConfirmation
  * @param {Object} res - Express response object
  */
 export const rollbackLastMigration = async (req, res) => {
   try {
-    const { dryRun = true, force = false } = req.body;
+    const { dryRun } = req;
+    const { version, force } = req.confirmedParams;
     
-    logInfo(req, `Rolling back migration (${dryRun ? 'dry run' : 'execute'})`, { force });
+    logInfo(req, `Rolling back migration (${dryRun ? 'dry run' : 'execute'})`, { version, force });
     
-    // Placeholder implementation
+    const results = await databaseMigration.rollbackLastMigration({ dryRun, force, expectedVersion: version });
     const rollbackResult = {
-      rolledBackMigration: null,
-      newVersion: '1.0.0'
+      rolledBackMigration: results.rolledBackMigrations[0] || null,
+      errors: results.errors,
+      newVersion: await databaseMigration.getCurrentMigrationVersion()
     };
     
-    logSuccess(req, 'Rollback completed', {
-      mode: dryRun ? 'dry_run' : 'executed',
-      hasChanges: false
-    });
-    
     const hasChanges = rollbackResult.rolledBackMigration !== null;
-    const statusCode = dryRun ? 200 : (hasChanges ? 200 : 204);
+    
+    if (results.errors.length > 0) {
+      logWarning(req, 'Rollback failed', { errors: results.errors });
+    } else {
+      logSuccess(req, 'Rollback completed', {
+        mode: dryRun ? 'dry_run' : 'executed',
+        hasChanges
+      });
+    }
+    
+    const statusCode = results.errors.length > 0
+      ? MIGRATION_ERROR_STATUS[results.errors[0].code] || 500
+      : (dryRun ? 200 : (hasChanges ? 200 : 204));
     
     res.status(statusCode).json({
-      success: true,
+      success: results.errors.length === 0,
       rollback: rollbackResult,
       summary: {
         mode: dryRun ? 'dry_run' : 'executed',
@@ -361,9 +417,12 @@ export const rollbackLastMigration = async (req, res) => {
         rolledBackVersion: rollbackResult.rolledBackMigration?.version || null,
         newVersion: rollbackResult.newVersion
       },
-      recommendations: dryRun && hasChanges ? [
+      recommendations: results.errors.length > 0 ? [
+        'Review the rollback error',
+        'Check the database state before trying again'
+      ] : dryRun && hasChanges ? [
         'Review the proposed rollback operation',
-        'Run with dryRun=false to execute rollback',
+        'Run with dryRun=false and the confirmation token to execute rollback',
         'Ensure database backup is available',
         'Test application after rollback'
       ] : hasChanges ? [
@@ -376,6 +435,7 @@ export const rollbackLastMigration = async (req, res) => {
         'Database is at initial state',
         'Continue regular monitoring'
       ],
+      ...(req.confirmation && { confirmation: req.confirmation }),
       timestamp: new Date().toISOString()
     });
     
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Department Controller for the company's departments.
+ * Lists departments and lets company admins add, rename and deactivate them.
+ * Project numbers use the department's 2-letter code.
+ */
+
+import * as departmentService from '../services/departmentService.js';
+import { logSuccess, logWarning } from '../middleware/routeLogger.js';
+
+/**
+ * Sends a department service error, including its details when present.
+ *
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error with optional statusCode and details
+ */
+const sendError = (res, error) => {
+    res.status(error.statusCode || 500).json({
+        error: error.message,
+        ...(error.details && { details: error.details })
+    });
+};
+
+/**
+ * Lists the company's departments, active or not.
+ *
+ * @param {Object} req - Express request object with req.pipedriveIdentity
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the departments and whether they are stored or the defaults
+ */
+export const listDepartments = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+
+    try {
+        const result = await departmentService.listDepartments(companyId);
+        logSuccess(req, 'Departments retrieved', { companyId, departmentsCount: result.departments.length, stored: result.stored });
+        res.json({ success: true, data: { companyId, ...result } });
+    } catch (error) {
+        logWarning(req, 'Error retrieving departments', { companyId, error: error.message });
+        sendError(res, error);
+    }
+};
+
+/**
+ * Adds a department.
+ *
+ * @param {Object} req - Express request object with body { name, code, aliases, isActive }
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the created department
+ */
+export const createDepartment = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+
+    try {
+        const department = await departmentService.createDepartment(companyId, req.body);
+        logSuccess(req, 'Department created', { companyId, code: department.code });
+        res.status(201).json({ success: true, data: department });
+    } catch (error) {
+        logWarning(req, 'Error creating department', { companyId, error: error.message });
+        sendError(res, error);
+    }
+};
+
+/**
+ * Updates a department's name, aliases or active flag.
+ *
+ * @param {Object} req - Express request object with params.code and body { name, aliases, isActive }
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the updated department
+ */
+export const updateDepartment = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const { code } = req.params;
+
+    try {
+        const department = await departmentService.updateDepartment(companyId, code, req.body);
+        logSuccess(req, 'Department updated', { companyId, code });
+        res.json({ success: true, data: department });
+    } catch (error) {
+        logWarning(req, 'Error updating department', { companyId, code, error: error.message });
+        sendError(res, error);
+    }
+};
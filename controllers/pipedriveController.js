@@ -9,6 +9,9 @@ import * as tokenService from '../services/secureTokenService.js';
 import * as pipedriveApiService from '../services/pipedriveApiService.js';
 import { logSuccess, logWarning, logProcessing } from '../middleware/routeLogger.js';
 import { validateDealForProject } from '../utils/projectBusinessRules.js';
+import { issueSessionToken } from '../middleware/pipedriveJwtAuth.js';
+import { resolveTenantForDeal } from '../services/xeroTenantRoutingService.js';
+import { getCustomFieldKeys } from '../services/configService.js';
 
 const pipedriveClientId = process.env.CLIENT_ID;
 const pipedriveClientSecret = process.env.CLIENT_SECRET;
@@ -16,16 +19,18 @@ const pipedriveClientSecret = process.env.CLIENT_SECRET;
 /**
  * Handles Pipedrive app actions by validating authentication and redirecting to the appropriate frontend.
  * Determines the UI action (createProject or createQuote) and constructs the redirect URL with parameters.
- * Now uses authentication middleware for token management.
+ * Now uses authentication middleware for token management. The company comes from the
+ * verified Pipedrive JWT, and a short-lived session token is passed to the frontend in the
+ * URL fragment (so it never reaches server logs) for use as a Bearer token on API calls.
  * 
- * @param {Object} req - Express request object with query parameters (selectedIds, companyId, uiAction, resource)
+ * @param {Object} req - Express request object with query parameters (selectedIds, uiAction, resource) and req.pipedriveAuth
  * @param {Object} res - Express response object
  * @returns {Promise<void>} Redirects to frontend application or returns error response
  * @throws {Error} Returns 400 for missing parameters, 500 for config errors
  */
 export const handlePipedriveAction = async (req, res) => {
     const dealId = req.query.selectedIds;
-    const companyId = req.query.companyId;
+    const companyId = req.pipedriveAuth?.companyId;
     const uiAction = req.query.uiAction;
 
     logProcessing(req, 'Validating input parameters', { 
@@ -80,6 +85,9 @@ export const handlePipedriveAction = async (req, res) => {
         redirectUrl: frontendRedirectUrl 
     });
 
+    const { sessionToken } = issueSessionToken({ companyId, userId: req.pipedriveAuth.userId });
+    const sessionFragment = `#sessionToken=${encodeURIComponent(sessionToken)}`;
+
     if (dealId && companyId) {
         const redirectUrl = `${frontendRedirectUrl}?dealId=${dealId}&companyId=${companyId}&uiAction=${uiAction || 'createQuote'}`;
         logSuccess(req, 'Redirecting to frontend with deal and company', { 
@@ -88,7 +96,7 @@ export const handlePipedriveAction = async (req, res) => {
             uiAction: uiAction || 'createQuote',
             finalRedirectUrl: redirectUrl
         });
-        return res.redirect(redirectUrl);
+        return res.redirect(`${redirectUrl}${sessionFragment}`);
     } else if (companyId) {
         const redirectUrl = `${frontendRedirectUrl}?companyId=${companyId}&uiAction=${uiAction || 'createQuote'}`;
         logSuccess(req, 'Redirecting to frontend with company only', { 
@@ -96,7 +104,7 @@ export const handlePipedriveAction = async (req, res) => {
             uiAction: uiAction || 'createQuote',
             finalRedirectUrl: redirectUrl
         });
-        return res.redirect(redirectUrl);
+        return res.redirect(`${redirectUrl}${sessionFragment}`);
     } else {
         logWarning(req, 'Cannot redirect - missing critical parameters');
         return res.status(400).send('Cannot redirect: Missing critical parameters (dealId or companyId).');
@@ -134,13 +142,16 @@ export const createProject = async (req, res) => {
         hasApiDomain: !!apiDomain 
     });
     
-    const xeroQuoteCustomFieldKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY;
-    const vesselNameKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_VESSEL_NAME;
-    const salesInChargeKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_SALES_IN_CHARGE;
-    const locationKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_LOCATION;
-    const departmentKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_DEPARTMENT;
-
-    logProcessing(req, 'Environment configuration loaded', {
+    const fieldKeys = await getCustomFieldKeys(companyId);
+    const {
+        quoteNumber: xeroQuoteCustomFieldKey,
+        vesselName: vesselNameKey,
+        salesInCharge: salesInChargeKey,
+        location: locationKey,
+        department: departmentKey
+    } = fieldKeys;
+
+    logProcessing(req, 'Custom field configuration loaded', {
         hasXeroQuoteKey: !!xeroQuoteCustomFieldKey,
         hasVesselNameKey: !!vesselNameKey,
         hasSalesInChargeKey: !!salesInChargeKey,
@@ -171,7 +182,7 @@ export const createProject = async (req, res) => {
 
         // Validate deal for project creation using business rules
         try {
-            validateDealForProject(dealDetails);
+            validateDealForProject(dealDetails, fieldKeys);
         } catch (validationError) {
             logWarning(req, 'Deal validation failed', {
                 dealId,
@@ -260,11 +271,13 @@ export const createInvoice = async (req, res) => {
         hasApiDomain: !!apiDomain 
     });
     
-    const xeroQuoteCustomFieldKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY;
-    const invoiceCustomFieldKey = process.env.PIPEDRIVE_INVOICENUMBER;
-    const xeroQuoteIdKey = process.env.PIPEDRIVE_QUOTE_ID;
+    const {
+        quoteNumber: xeroQuoteCustomFieldKey,
+        invoiceNumber: invoiceCustomFieldKey,
+        quoteId: xeroQuoteIdKey
+    } = await getCustomFieldKeys(companyId);
 
-    logProcessing(req, 'Environment configuration loaded', {
+    logProcessing(req, 'Custom field configuration loaded', {
         hasXeroQuoteKey: !!xeroQuoteCustomFieldKey,
         hasInvoiceCustomFieldKey: !!invoiceCustomFieldKey,
         hasXeroQuoteIdKey: !!xeroQuoteIdKey
@@ -486,22 +499,24 @@ export const getQuotationData = async (req, res) => {
 
     // Authentication handled by middleware - tokens available in req.pipedriveAuth and req.xeroAuth
     const { accessToken, apiDomain } = req.pipedriveAuth;
-    const { accessToken: xeroAccessToken, tenantId: xeroTenantId } = req.xeroAuth;
+    // The Xero tenant is routed from the deal's department once the deal is loaded
+    const { accessToken: xeroAccessToken } = req.xeroAuth;
     
     logProcessing(req, 'Retrieved authentication tokens for quotation data', { 
         hasAccessToken: !!accessToken,
         hasApiDomain: !!apiDomain,
-        hasXeroAccessToken: !!xeroAccessToken,
-        hasXeroTenantId: !!xeroTenantId
+        hasXeroAccessToken: !!xeroAccessToken
     });
     
-    const xeroQuoteCustomFieldKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY;
-    const vesselNameKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_VESSEL_NAME;
-    const salesInChargeKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_SALES_IN_CHARGE;
-    const locationKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_LOCATION;
-    const departmentKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_DEPARTMENT;
-
-    logProcessing(req, 'Environment configuration loaded for quotation', {
+    const {
+        quoteNumber: xeroQuoteCustomFieldKey,
+        vesselName: vesselNameKey,
+        salesInCharge: salesInChargeKey,
+        location: locationKey,
+        department: departmentKey
+    } = await getCustomFieldKeys(companyId);
+
+    logProcessing(req, 'Custom field configuration loaded for quotation', {
         hasXeroQuoteKey: !!xeroQuoteCustomFieldKey,
         hasVesselNameKey: !!vesselNameKey,
         hasSalesInChargeKey: !!salesInChargeKey,
@@ -530,6 +545,15 @@ export const getQuotationData = async (req, res) => {
             hasOrgId: !!(dealDetails.org_id && dealDetails.org_id.value)
         });
 
+        let xeroTenantId;
+        try {
+            xeroTenantId = await resolveTenantForDeal(companyId, dealDetails, req.xeroAuth);
+        } catch (routingError) {
+            if (!routingError.statusCode) throw routingError;
+            logWarning(req, 'Xero tenant routing failed for quotation data', { dealId, error: routingError.message });
+            return res.status(routingError.statusCode).json({ error: routingError.message, details: routingError.details });
+        }
+
         const xeroQuoteNumber = xeroQuoteCustomFieldKey ? (dealDetails[xeroQuoteCustomFieldKey] || null) : null;
 
         const frontendDealObject = { ...dealDetails };
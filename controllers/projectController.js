@@ -21,6 +21,9 @@ import {
     updateDealWithProjectNumber,
     createEnhancedDealObject
 } from '../utils/projectHelpers.js';
+import { resolveTenantForDeal } from '../services/xeroTenantRoutingService.js';
+import { getCustomFieldKeys } from '../services/configService.js';
+import { addAuditContext } from '../services/auditService.js';
 
 /**
  * Creates a comprehensive project by orchestrating all project creation steps.
@@ -46,14 +49,15 @@ export const createFullProject = asyncHandler(async (req, res) => {
 
         // Step 2: Use authentication from middleware (req.pipedriveAuth is set by middleware)
         const { accessToken, apiDomain } = req.pipedriveAuth;
+        const fieldKeys = await getCustomFieldKeys(companyId);
 
         // Step 3: Fetch and validate deal details
-        const { dealDetails, departmentName } = await fetchAndValidateDeal(apiDomain, accessToken, dealId, req);
+        const { dealDetails, departmentName } = await fetchAndValidateDeal(apiDomain, accessToken, dealId, req, fieldKeys);
 
         // Step 3a: Apply business rules validation to the deal
         try {
-            validateProjectCreation(dealDetails);
-            validateDealForProject(dealDetails);
+            validateProjectCreation(dealDetails, fieldKeys);
+            validateDealForProject(dealDetails, fieldKeys);
         } catch (validationError) {
             logger.warn({
                 operation: 'Deal Validation Failed',
@@ -66,8 +70,12 @@ export const createFullProject = asyncHandler(async (req, res) => {
             throw error;
         }
 
+        // Step 3b: Route the deal's department to its Xero tenant before any number is consumed
+        const xeroTenantId = await resolveTenantForDeal(companyId, dealDetails, req.xeroAuth);
+
         // Step 4: Generate project number
-        const projectNumber = await generateProjectNumber(dealId, departmentName, existingProjectNumberToLink, req);
+        const projectNumber = await generateProjectNumber(companyId, dealId, departmentName, existingProjectNumberToLink, req);
+        addAuditContext({ projectNumber });
 
         // Step 5: Handle Xero integration (if available)
         const xeroResult = await handleXeroIntegration(
@@ -77,7 +85,8 @@ export const createFullProject = asyncHandler(async (req, res) => {
             dealId, 
             apiDomain, 
             accessToken, 
-            req
+            req,
+            xeroTenantId
         );
 
         // Step 6: Fetch comprehensive deal-related data
@@ -90,7 +99,7 @@ export const createFullProject = asyncHandler(async (req, res) => {
         );
 
         // Step 7: Update Pipedrive deal with project number
-        await updateDealWithProjectNumber(apiDomain, accessToken, dealId, projectNumber, req);
+        await updateDealWithProjectNumber(apiDomain, accessToken, dealId, projectNumber, req, fieldKeys);
 
         // Step 8: Create enhanced deal object
         const projectDealObject = createEnhancedDealObject(dealDetails, departmentName, projectNumber);
@@ -142,6 +151,10 @@ export const createFullProject = asyncHandler(async (req, res) => {
         if (error.details) {
             errorResponse.details = error.details;
         }
+        // Application error codes such as PROJECT_SEQUENCE_EXHAUSTED (not MongoDB's numeric codes)
+        if (typeof error.code === 'string') {
+            errorResponse.code = error.code;
+        }
 
         logger.error({
             operation: 'Project Creation Error',
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Role Controller for per-company user role assignments.
+ * Lets the signed-in user see their own roles and permissions, and lets
+ * company admins assign roles to other Pipedrive users.
+ */
+
+import * as permissionService from '../services/permissionService.js';
+import { logSuccess, logWarning } from '../middleware/routeLogger.js';
+
+/**
+ * Returns the acting user with their roles and permissions, so the frontend
+ * can hide actions the user is not allowed to take.
+ *
+ * @param {Object} req - Express request object with req.actingUser
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the acting user
+ */
+export const getMyRoles = async (req, res) => {
+    const { userId, name, email, isPipedriveAdmin, active, roles, permissions } = req.actingUser;
+    res.json({ success: true, data: { userId, name, email, isPipedriveAdmin, active, roles, permissions } });
+};
+
+/**
+ * Lists the available roles and the company's role assignments.
+ *
+ * @param {Object} req - Express request object with req.pipedriveIdentity
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with roles, default roles and assignments
+ */
+export const getRoleAssignments = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+
+    try {
+        const assignments = await permissionService.getRoleAssignments(companyId);
+        logSuccess(req, 'Role assignments retrieved', { companyId, assignmentsCount: assignments.length });
+        res.json({
+            success: true,
+            data: {
+                companyId,
+                roles: permissionService.ROLE_PERMISSIONS,
+                defaultRoles: permissionService.getDefaultRoles(),
+                assignments
+            }
+        });
+    } catch (error) {
+        logWarning(req, 'Error retrieving role assignments', { companyId, error: error.message });
+        res.status(500).json({ error: `Failed to retrieve role assignments: ${error.message}` });
+    }
+};
+
+/**
+ * Assigns roles to a Pipedrive user of the company.
+ *
+ * @param {Object} req - Express request object with params.userId and body.roles
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the saved assignment
+ */
+export const setUserRoles = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const { userId } = req.params;
+    const { roles } = req.body;
+
+    try {
+        const assignment = await permissionService.assignRoles(companyId, userId, roles, req.actingUser.userId);
+        logSuccess(req, 'User roles saved', { companyId, userId, roles: assignment.roles });
+        res.json({
+            success: true,
+            data: {
+                userId: assignment.userId,
+                roles: assignment.roles,
+                assignedBy: assignment.assignedBy,
+                updatedAt: assignment.updatedAt
+            }
+        });
+    } catch (error) {
+        logWarning(req, 'Error saving user roles', { companyId, userId, error: error.message });
+        res.status(error.statusCode || 500).json({
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+};
+
+/**
+ * Removes a user's role assignment; the user falls back to the default roles.
+ *
+ * @param {Object} req - Express request object with params.userId
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON confirmation or 404 if no assignment existed
+ */
+export const deleteUserRoles = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const { userId } = req.params;
+
+    try {
+        const removed = await permissionService.removeRoleAssignment(companyId, userId, req.actingUser.userId);
+        if (!removed) {
+            return res.status(404).json({ error: `No role assignment found for user ${userId}` });
+        }
+        logSuccess(req, 'User roles removed', { companyId, userId });
+        res.json({ success: true });
+    } catch (error) {
+        logWarning(req, 'Error removing user roles', { companyId, userId, error: error.message });
+        res.status(500).json({ error: `Failed to remove user roles: ${error.message}` });
+    }
+};
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Task Template Controller for the tasks created in new Xero projects.
+ * Lists a company's task templates and lets company admins set or remove the
+ * template of a department or the company's DEFAULT template.
+ */
+
+import * as projectTaskTemplateService from '../services/projectTaskTemplateService.js';
+import { logSuccess, logWarning } from '../middleware/routeLogger.js';
+
+/**
+ * Sends a task template service error, including its details when present.
+ *
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error with optional statusCode and details
+ */
+const sendError = (res, error) => {
+    res.status(error.statusCode || 500).json({
+        error: error.message,
+        ...(error.details && { details: error.details })
+    });
+};
+
+/**
+ * Lists the company's task templates and the built-in default tasks.
+ *
+ * @param {Object} req - Express request object with req.pipedriveIdentity
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the templates and default tasks
+ */
+export const listTaskTemplates = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+
+    try {
+        const result = await projectTaskTemplateService.listTaskTemplates(companyId);
+        logSuccess(req, 'Task templates retrieved', { companyId, templatesCount: result.templates.length });
+        res.json({ success: true, data: { companyId, ...result } });
+    } catch (error) {
+        logWarning(req, 'Error retrieving task templates', { companyId, error: error.message });
+        sendError(res, error);
+    }
+};
+
+/**
+ * Replaces the task template of a department, or the DEFAULT template.
+ *
+ * @param {Object} req - Express request object with params.departmentCode and body { tasks }
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the saved template
+ */
+export const setTaskTemplate = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const { departmentCode } = req.params;
+
+    try {
+        const template = await projectTaskTemplateService.setTaskTemplate(companyId, departmentCode, req.body.tasks);
+        logSuccess(req, 'Task template saved', { companyId, departmentCode, tasksCount: template.tasks.length });
+        res.json({ success: true, data: template });
+    } catch (error) {
+        logWarning(req, 'Error saving task template', { companyId, departmentCode, error: error.message });
+        sendError(res, error);
+    }
+};
+
+/**
+ * Removes the task template of a department, or the DEFAULT template.
+ *
+ * @param {Object} req - Express request object with params.departmentCode
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON confirming the removal
+ */
+export const deleteTaskTemplate = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const { departmentCode } = req.params;
+
+    try {
+        await projectTaskTemplateService.deleteTaskTemplate(companyId, departmentCode);
+        logSuccess(req, 'Task template removed', { companyId, departmentCode });
+        res.json({ success: true });
+    } catch (error) {
+        logWarning(req, 'Error removing task template', { companyId, departmentCode, error: error.message });
+        sendError(res, error);
+    }
+};
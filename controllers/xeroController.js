@@ -10,6 +10,11 @@ import * as xeroBusinessService from '../services/xeroBusinessService.js';
 import * as tokenService from '../services/secureTokenService.js';
 import * as pipedriveApiService from '../services/pipedriveApiService.js';
 import { batchOperations } from '../services/batchOperationsService.js';
+import * as xeroTenantRoutingService from '../services/xeroTenantRoutingService.js';
+import * as xeroTaxRateService from '../services/xeroTaxRateService.js';
+import * as xeroAccountCodeService from '../services/xeroAccountCodeService.js';
+import { getTasksForDepartment } from '../services/projectTaskTemplateService.js';
+import { getCustomFieldKeys } from '../services/configService.js';
 import logger from '../lib/logger.js';
 import { v4 as uuidv4 } from 'uuid';
 import { logSuccess, logWarning, logInfo, logProcessing } from '../middleware/routeLogger.js';
@@ -17,16 +22,63 @@ import { validateQuoteCreation, mapProductsToLineItems } from '../utils/quoteBus
 import { formatLineItem, calculateLineItemTotal } from '../utils/quoteLineItemUtils.js';
 import { validateSelectedLineItems } from '../utils/partialInvoiceBusinessRules.js';
 
+/**
+ * Checks that line items only use active revenue accounts of the tenant before
+ * they are sent to Xero, and responds with the invalid accounts if not.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} accessToken - Xero access token
+ * @param {string} tenantId - Xero tenant ID
+ * @param {Array<Object>} lineItems - Xero line items
+ * @returns {Promise<boolean>} True if the line items can be sent; false if a 400 response was sent
+ */
+async function checkLineItemAccounts(req, res, accessToken, tenantId, lineItems) {
+    try {
+        await xeroAccountCodeService.assertRevenueAccountCodes(accessToken, tenantId, lineItems);
+        return true;
+    } catch (accountError) {
+        if (!accountError.statusCode) throw accountError;
+        logWarning(req, 'Line items use invalid Xero accounts', { tenantId, error: accountError.message });
+        res.status(accountError.statusCode).json({ error: accountError.message, details: accountError.details });
+        return false;
+    }
+}
+
+/**
+ * Routes a request to the Xero tenant of its deal's department (see
+ * xeroTenantRoutingService), and responds with the routing error if it fails.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} resolveTenant - Async function returning the tenant ID
+ * @param {Object} [context] - Values to log with the outcome (e.g. { dealId })
+ * @returns {Promise<string|null>} Tenant ID, or null if an error response was sent
+ */
+async function routeXeroTenant(req, res, resolveTenant, context = {}) {
+    try {
+        const xeroTenantId = await resolveTenant();
+        logProcessing(req, 'Xero tenant routed for deal', { ...context, xeroTenantId });
+        return xeroTenantId;
+    } catch (routingError) {
+        if (!routingError.statusCode) throw routingError;
+        logWarning(req, 'Xero tenant routing failed', { ...context, error: routingError.message });
+        res.status(routingError.statusCode).json({ error: routingError.message, details: routingError.details });
+        return null;
+    }
+}
+
 /**
  * Checks the Xero connection status for a specific Pipedrive company.
  * Validates token existence and expiration status to determine if reconnection is needed.
  * 
- * @param {Object} req - Express request object with query parameter pipedriveCompanyId
+ * @param {Object} req - Express request object with the verified req.pipedriveIdentity
+ *   (query parameter pipedriveCompanyId, if sent, must match it)
  * @param {Object} res - Express response object
  * @returns {Promise<void>} Returns JSON with connection status and reconnection requirements
  */
 export const getXeroStatus = async (req, res) => {
-    const { pipedriveCompanyId } = req.query;
+    const pipedriveCompanyId = req.pipedriveIdentity?.companyId || req.query.pipedriveCompanyId;
 
     logProcessing(req, 'Validating input parameters', { 
         pipedriveCompanyId: !!pipedriveCompanyId 
@@ -50,9 +102,10 @@ export const getXeroStatus = async (req, res) => {
             currentTime
         });
 
-        if (xeroToken && xeroToken.accessToken && xeroToken.tenantId) {
+        if (xeroToken && xeroToken.accessToken && (xeroToken.tenantId || xeroToken.tenants?.length)) {
             const isConnected = true;
             const needsReconnect = currentTime >= (xeroToken.tokenExpiresAt || 0);
+            const tenantSelectionRequired = !xeroToken.tenantId;
             
             logProcessing(req, 'Connection status determined', {
                 isConnected,
@@ -64,7 +117,12 @@ export const getXeroStatus = async (req, res) => {
             const responseData = { 
                 isConnected: isConnected, 
                 needsReconnect: needsReconnect,
-                message: isConnected ? 'Xero is connected.' : 'Xero is not connected.' 
+                tenantSelectionRequired: tenantSelectionRequired,
+                defaultTenantId: xeroToken.tenantId || null,
+                tenantCount: xeroToken.tenants?.length || 1,
+                message: tenantSelectionRequired
+                    ? 'Xero is connected. Select a default organisation.'
+                    : 'Xero is connected.'
             };
 
             logSuccess(req, 'Xero status check completed', responseData);
@@ -73,7 +131,7 @@ export const getXeroStatus = async (req, res) => {
             const responseData = { 
                 isConnected: false, 
                 message: 'Xero is not connected.',
-                authUrl: `${process.env.API_BASE_URL || 'http://localhost:3000'}/auth/connect-xero?pipedriveCompanyId=${pipedriveCompanyId}`
+                authUrl: `${process.env.API_BASE_URL || 'http://localhost:3000'}/auth/connect-xero`
             };
 
             logSuccess(req, 'Xero not connected - auth URL provided', responseData);
@@ -108,6 +166,9 @@ export const createXeroQuote = async (req, res) => {
     }
 
     try {
+        // Deal custom field keys from company config (env fallback)
+        const fieldKeys = await getCustomFieldKeys(pipedriveCompanyId);
+
         // Use auth info provided by middleware
         const pdApiDomain = req.pipedriveAuth.apiDomain;
         const pdAccessToken = req.pipedriveAuth.accessToken;
@@ -117,13 +178,11 @@ export const createXeroQuote = async (req, res) => {
             hasAccessToken: !!pdAccessToken
         });
 
-        // Xero auth is guaranteed by middleware
+        // Xero auth is guaranteed by middleware; the tenant is routed by department below
         const xeroAccessToken = req.xeroAuth.accessToken;
-        const xeroTenantId = req.xeroAuth.tenantId;
 
         logProcessing(req, 'Xero authentication verified', {
-            hasAccessToken: !!xeroAccessToken,
-            hasTenantId: !!xeroTenantId
+            hasAccessToken: !!xeroAccessToken
         });
 
         // Use batch operations to fetch all required data at once
@@ -149,6 +208,11 @@ export const createXeroQuote = async (req, res) => {
 
         const { deal: dealDetails, organization: organizationDetails, person: personDetails, products, contactEmail } = dealData;
 
+        const xeroTenantId = await routeXeroTenant(req, res,
+            () => xeroTenantRoutingService.resolveTenantForDeal(pipedriveCompanyId, dealDetails, req.xeroAuth),
+            { pipedriveDealId });
+        if (!xeroTenantId) return;
+
         logProcessing(req, 'Deal data retrieved', {
             dealTitle: dealDetails.title,
             dealValue: dealDetails.value,
@@ -192,7 +256,7 @@ export const createXeroQuote = async (req, res) => {
                 products: products
             };
             
-            validateQuoteCreation(dealWithProducts);
+            validateQuoteCreation(dealWithProducts, fieldKeys);
         } catch (validationError) {
             logWarning(req, 'Quote creation validation failed', {
                 error: validationError.message,
@@ -208,12 +272,17 @@ export const createXeroQuote = async (req, res) => {
             totalProductValue: dealProducts.reduce((sum, p) => sum + ((p.item_price || 0) * (p.quantity || 1)), 0)
         });
 
-        // Build line items using test-driven utility
+        // Build line items using test-driven utility, with the tenant's tax rate mappings and account code rules
+        const taxTypesByRate = await xeroTaxRateService.getTaxTypesByRate(pipedriveCompanyId, xeroTenantId);
+        const accountCodeRules = await xeroAccountCodeService.getLineItemAccountCodeRules(pipedriveCompanyId, xeroTenantId);
         let lineItems;
         try {
             const mappingOptions = {
                 defaultTaxType: process.env.XERO_DEFAULT_TAX_TYPE || 'NONE',
-                defaultAccountCode: process.env.XERO_DEFAULT_ACCOUNT_CODE || '200'
+                defaultAccountCode: process.env.XERO_DEFAULT_ACCOUNT_CODE || '200',
+                taxTypesByRate,
+                accountCodeRules,
+                department: xeroTenantRoutingService.getDealDepartment(dealDetails, fieldKeys.department)
             };
             lineItems = mapProductsToLineItems(dealProducts, mappingOptions);
         } catch (mappingError) {
@@ -232,7 +301,10 @@ export const createXeroQuote = async (req, res) => {
                     TaxType: process.env.XERO_DEFAULT_TAX_TYPE || "NONE"
                 }];
             } else {
-                return res.status(400).json({ error: 'Cannot create a Xero quote with no valid line items.' });
+                return res.status(400).json({
+                    error: 'Cannot create a Xero quote with no valid line items.',
+                    details: mappingError.message
+                });
             }
         }
 
@@ -240,6 +312,10 @@ export const createXeroQuote = async (req, res) => {
             lineItemsCount: lineItems.length,
             totalAmount: lineItems.reduce((sum, item) => sum + (item.UnitAmount * item.Quantity), 0)
         });
+
+        if (!await checkLineItemAccounts(req, res, xeroAccessToken, xeroTenantId, lineItems)) {
+            return;
+        }
         
         // Use business service to create quote
         const idempotencyKey = uuidv4();
@@ -258,7 +334,8 @@ export const createXeroQuote = async (req, res) => {
                 contactId: xeroContactID,
                 lineItems,
                 idempotencyKey,
-                pipedriveDealReference
+                pipedriveDealReference,
+                fieldKeys
             }
         );
         
@@ -276,15 +353,15 @@ export const createXeroQuote = async (req, res) => {
                 });
                 
                 // Update deal with quote number
-                await pipedriveApiService.updateDealWithQuoteNumber(pdApiDomain, pdAccessToken, pipedriveDealId, createdQuote.QuoteNumber);
+                await pipedriveApiService.updateDealWithQuoteNumber(pdApiDomain, pdAccessToken, pipedriveDealId, createdQuote.QuoteNumber, fieldKeys.quoteNumber);
                 
                 // Update deal with Xero quote ID if configured
-                const quoteIdCustomFieldKey = process.env.PIPEDRIVE_QUOTE_ID;
+                const quoteIdCustomFieldKey = fieldKeys.quoteId;
                 if (quoteIdCustomFieldKey && createdQuote.QuoteID) {
                     await pipedriveApiService.updateDealCustomField(pdApiDomain, pdAccessToken, pipedriveDealId, quoteIdCustomFieldKey, createdQuote.QuoteID);
                     logProcessing(req, 'Deal updated with quote ID', { quoteId: createdQuote.QuoteID });
                 } else if (!quoteIdCustomFieldKey) {
-                    logWarning(req, 'PIPEDRIVE_QUOTE_ID not configured - skipping quote ID update');
+                    logWarning(req, 'Quote ID custom field not configured - skipping quote ID update');
                 }
                 
                 const responseData = { 
@@ -333,88 +410,13 @@ export const createXeroQuote = async (req, res) => {
             stack: error.stack?.split('\n')[0] // Only first line of stack for conciseness
         });
 
-        // Handle specific Xero API validation errors
+        // Xero rejected a line item's tax type; quoting tax-free instead would silently drop tax
         if (error.message.includes('Tax Rate') || error.message.includes('tax')) {
-            logProcessing(req, 'Tax rate validation error detected, attempting retry with default tax settings');
-            
-            try {
-                // Retry with safe default tax settings
-                const safeLineItems = lineItems.map(item => ({
-                    ...item,
-                    TaxType: 'NONE', // Use 'NONE' as safest default
-                    TaxRate: 0 // Explicitly set tax rate to 0
-                }));
-
-                logProcessing(req, 'Retrying quote creation with safe tax defaults', {
-                    lineItemsCount: safeLineItems.length
-                });
-
-                const retriedQuote = await xeroBusinessService.createQuoteFromDeal(
-                    { xeroAccessToken, xeroTenantId },
-                    {
-                        dealDetails,
-                        contactId: xeroContactID,
-                        lineItems: safeLineItems,
-                        idempotencyKey: uuidv4(), // New idempotency key for retry
-                        pipedriveDealReference
-                    }
-                );
-
-                if (retriedQuote && retriedQuote.QuoteNumber) {
-                    logProcessing(req, 'Quote created successfully on retry with default tax settings', {
-                        quoteNumber: retriedQuote.QuoteNumber,
-                        quoteId: retriedQuote.QuoteID
-                    });
-
-                    // Update Pipedrive with the successful quote
-                    try {
-                        await pipedriveApiService.updateDealWithQuoteNumber(pdApiDomain, pdAccessToken, pipedriveDealId, retriedQuote.QuoteNumber);
-                        
-                        const quoteIdCustomFieldKey = process.env.PIPEDRIVE_QUOTE_ID;
-                        if (quoteIdCustomFieldKey && retriedQuote.QuoteID) {
-                            await pipedriveApiService.updateDealCustomField(pdApiDomain, pdAccessToken, pipedriveDealId, quoteIdCustomFieldKey, retriedQuote.QuoteID);
-                        }
-                        
-                        const responseData = {
-                            message: 'Xero quote created successfully with default tax settings (0% tax rate)!',
-                            quoteNumber: retriedQuote.QuoteNumber,
-                            quoteId: retriedQuote.QuoteID,
-                            xeroContactID: xeroContactID,
-                            status: retriedQuote.Status,
-                            warning: 'Tax rate validation failed initially, used 0% tax rate as default'
-                        };
-
-                        logSuccess(req, 'Quote creation successful on retry', responseData);
-                        return res.status(201).json(responseData);
-                        
-                    } catch (updateError) {
-                        const responseData = {
-                            message: 'Xero quote created with default tax settings, but failed to update Pipedrive deal.',
-                            quoteNumber: retriedQuote.QuoteNumber,
-                            quoteId: retriedQuote.QuoteID,
-                            xeroContactID: xeroContactID,
-                            status: retriedQuote.Status,
-                            warning: 'Tax rate validation failed initially, used 0% tax rate as default',
-                            pipedriveUpdateError: updateError.message
-                        };
-
-                        logSuccess(req, 'Quote created on retry with Pipedrive update warning', responseData);
-                        return res.status(201).json(responseData);
-                    }
-                }
-
-            } catch (retryError) {
-                logWarning(req, 'Quote creation failed on retry attempt', {
-                    retryError: retryError.message
-                });
-                
-                // Fall through to generic error handling
-                return res.status(400).json({
-                    error: 'Failed to create Xero quote due to tax rate validation issues',
-                    details: `Initial error: ${error.message}. Retry with default tax settings also failed: ${retryError.message}`,
-                    suggestion: 'Please check your Xero tax rate configuration or contact system administrator'
-                });
-            }
+            return res.status(400).json({
+                error: 'Xero rejected the tax rate of one or more line items',
+                details: error.message,
+                suggestion: 'Check the tax rate mappings for this Xero organisation (GET /api/xero/tax-rates)'
+            });
         }
 
         // Handle other specific error types
@@ -492,11 +494,10 @@ export const acceptXeroQuote = async (req, res) => {
         const pdApiDomain = req.pipedriveAuth.apiDomain;
         const pdAccessToken = req.pipedriveAuth.accessToken;
         const xeroAccessToken = req.xeroAuth.accessToken;
-        const xeroTenantId = req.xeroAuth.tenantId;
 
         logProcessing(req, 'Authentication verified', {
             hasPipedriveAuth: !!pdApiDomain && !!pdAccessToken,
-            hasXeroAuth: !!xeroAccessToken && !!xeroTenantId
+            hasXeroAuth: !!xeroAccessToken
         });
 
         // Fetch deal details to get the Xero quote ID from custom field
@@ -510,14 +511,19 @@ export const acceptXeroQuote = async (req, res) => {
             });
         }
 
+        const xeroTenantId = await routeXeroTenant(req, res,
+            () => xeroTenantRoutingService.resolveTenantForDeal(pipedriveCompanyId, dealDetails, req.xeroAuth),
+            { dealId });
+        if (!xeroTenantId) return;
+
         // Get the Xero quote ID from the Pipedrive custom field
-        const quoteIdCustomFieldKey = process.env.PIPEDRIVE_QUOTE_ID;
+        const quoteIdCustomFieldKey = (await getCustomFieldKeys(pipedriveCompanyId)).quoteId;
         
         if (!quoteIdCustomFieldKey) {
-            logWarning(req, 'PIPEDRIVE_QUOTE_ID environment variable not configured');
+            logWarning(req, 'Quote ID custom field not configured', { pipedriveCompanyId });
             return res.status(500).json({ 
                 error: 'Quote ID custom field not configured. Please contact system administrator.',
-                details: 'PIPEDRIVE_QUOTE_ID environment variable is required'
+                details: 'customFields.quoteId company config (or PIPEDRIVE_QUOTE_ID environment variable) is required'
             });
         }
 
@@ -610,13 +616,14 @@ export const acceptXeroQuote = async (req, res) => {
 };
 
 /**
- * Creates a Xero project with specified contact, name, and optional parameters.
- * Optionally updates the associated Pipedrive deal with project information.
+ * Creates a Xero project for a deal with specified contact, name, and optional parameters.
+ * The Xero tenant and the task template (or the company's default) follow the
+ * deal's department. Updates the Pipedrive deal with project information.
  * 
- * @param {Object} req - Express request object with body containing pipedriveCompanyId, contactId, name, and optional estimateAmount, deadline, quoteId, dealId
+ * @param {Object} req - Express request object with body containing pipedriveCompanyId, dealId, contactId, name, and optional estimateAmount, deadline, quoteId
  * @param {Object} res - Express response object
  * @returns {Promise<void>} Returns JSON with created project details or error response
- * @throws {Error} Returns 400 for missing params, 401 for auth issues, 500 for API errors
+ * @throws {Error} Returns 400 for missing params, 401 for auth issues, 404 for a missing deal, 500 for API errors
  */
 export const createXeroProject = async (req, res) => {
     const { pipedriveCompanyId, contactId, name, vesselName, estimateAmount, deadline, quoteId, dealId } = req.body;
@@ -624,6 +631,9 @@ export const createXeroProject = async (req, res) => {
     if (!pipedriveCompanyId) {
         return res.status(400).json({ error: 'Pipedrive Company ID is required.' });
     }
+    if (!dealId) {
+        return res.status(400).json({ error: 'Deal ID is required.' });
+    }
     if (!contactId) {
         return res.status(400).json({ error: 'Xero Contact ID is required.' });
     }
@@ -635,9 +645,17 @@ export const createXeroProject = async (req, res) => {
     }
 
     try {
-        // Xero auth is guaranteed by middleware
+        // Auth is guaranteed by middleware; the tenant is routed by the deal's department
         const xeroAccessToken = req.xeroAuth.accessToken;
-        const xeroTenantId = req.xeroAuth.tenantId;
+        const dealDetails = await pipedriveApiService.getDealDetails(req.pipedriveAuth.apiDomain, req.pipedriveAuth.accessToken, dealId);
+        if (!dealDetails) {
+            return res.status(404).json({ error: `Deal with ID ${dealId} not found.` });
+        }
+
+        const xeroTenantId = await routeXeroTenant(req, res,
+            () => xeroTenantRoutingService.resolveTenantForDeal(pipedriveCompanyId, dealDetails, req.xeroAuth),
+            { dealId });
+        if (!xeroTenantId) return;
 
         // Format project name with vessel name
         const formattedProjectName = `IPC - ${vesselName}`;
@@ -680,25 +698,23 @@ export const createXeroProject = async (req, res) => {
             projectName: formattedProjectName 
         });
 
-        // Create default tasks if project was created successfully
+        // Create the template tasks if project was created successfully
         if (newProject && (newProject.ProjectID || newProject.projectId)) {
             const projectId = newProject.ProjectID || newProject.projectId;
-            const defaultTasks = [
-                "Manhour",
-                "Overtime",
-                "Transport",
-                "Supply Labour"
-            ];
+            const { department: departmentKey } = await getCustomFieldKeys(pipedriveCompanyId);
+            const department = xeroTenantRoutingService.getDealDepartment(dealDetails, departmentKey);
+            const templateTasks = await getTasksForDepartment(pipedriveCompanyId, department);
 
             const createdTasks = [];
-            for (const taskName of defaultTasks) {
+            for (const { name: taskName, ...taskSettings } of templateTasks) {
                 try {
                     logger.debug(`Creating task "${taskName}" for project ${projectId}`);
                     const task = await xeroApiService.createXeroTask(
                         xeroAccessToken,
                         xeroTenantId,
                         projectId,
-                        taskName
+                        taskName,
+                        taskSettings
                     );
                     if (task) {
                         logger.debug(`Task "${taskName}" created successfully`, {
@@ -756,7 +772,8 @@ export const createXeroProject = async (req, res) => {
                         dealId 
                     });
                     
-                    await pipedriveApiService.updateDealWithProjectNumber(pdApiDomain, pdAccessToken, dealId, projectIdentifier);
+                    const { projectNumber: projectNumberFieldKey } = await getCustomFieldKeys(pipedriveCompanyId);
+                    await pipedriveApiService.updateDealWithProjectNumber(pdApiDomain, pdAccessToken, dealId, projectIdentifier, projectNumberFieldKey);
                 }
             } catch (updateError) {
                 logger.error('Failed to update Pipedrive deal with project info', {
@@ -833,7 +850,7 @@ export const updateQuotationOnXero = async (req, res) => {
 
         // Get Xero token
         const xeroToken = await tokenService.getAuthToken(pipedriveCompanyId, 'xero');
-        if (!xeroToken || !xeroToken.accessToken || !xeroToken.tenantId) {
+        if (!xeroToken || !xeroToken.accessToken) {
             logWarning(req, 'Xero not authenticated for company', { pipedriveCompanyId });
             return res.status(401).json({ 
                 error: 'Xero not authenticated for this company',
@@ -841,9 +858,17 @@ export const updateQuotationOnXero = async (req, res) => {
             });
         }
 
+        // Route to the Xero organisation of the deal's department
+        const dealDetails = await pipedriveApiService.getDealDetails(pipedriveToken.apiDomain, pipedriveToken.accessToken, dealId);
+        const xeroTenantId = await routeXeroTenant(req, res,
+            () => xeroTenantRoutingService.resolveTenantForDeal(pipedriveCompanyId, dealDetails,
+                { tenantId: req.xeroAuth?.tenantId || xeroToken.tenantId }),
+            { dealId });
+        if (!xeroTenantId) return;
+
         logInfo(req, 'Authentication verified for both platforms', { 
             pipedriveApiDomain: pipedriveToken.apiDomain,
-            xeroTenantId: xeroToken.tenantId
+            xeroTenantId
         });
 
         // Import the business logic function
@@ -854,8 +879,11 @@ export const updateQuotationOnXero = async (req, res) => {
             pipedriveToken.apiDomain,
             pipedriveToken.accessToken,
             xeroToken.accessToken,
-            xeroToken.tenantId,
-            dealId
+            xeroTenantId,
+            dealId,
+            await getCustomFieldKeys(pipedriveCompanyId),
+            await xeroTaxRateService.getTaxTypesByRate(pipedriveCompanyId, xeroTenantId),
+            await xeroAccountCodeService.getLineItemAccountCodeRules(pipedriveCompanyId, xeroTenantId)
         );
 
         logSuccess(req, 'Quotation update completed successfully', {
@@ -949,15 +977,20 @@ export const updateQuoteWithVersioning = async (req, res) => {
         const pdApiDomain = req.pipedriveAuth.apiDomain;
         const pdAccessToken = req.pipedriveAuth.accessToken;
         const xeroAccessToken = req.xeroAuth.accessToken;
-        const xeroTenantId = req.xeroAuth.tenantId;
 
         logProcessing(req, 'Authentication verified for both platforms', {
             hasApiDomain: !!pdApiDomain,
             hasAccessToken: !!pdAccessToken,
-            hasXeroAccessToken: !!xeroAccessToken,
-            hasXeroTenantId: !!xeroTenantId
+            hasXeroAccessToken: !!xeroAccessToken
         });
 
+        // Route to the Xero organisation of the deal's department
+        const dealDetails = await pipedriveApiService.getDealDetails(pdApiDomain, pdAccessToken, dealId);
+        const xeroTenantId = await routeXeroTenant(req, res,
+            () => xeroTenantRoutingService.resolveTenantForDeal(companyId, dealDetails, req.xeroAuth),
+            { dealId });
+        if (!xeroTenantId) return;
+
         // Step 1: Get current quote to check status
         logProcessing(req, 'Fetching current quote from Xero', { quoteId });
         const currentQuote = await xeroApiService.getXeroQuoteById(xeroAccessToken, xeroTenantId, quoteId);
@@ -998,12 +1031,22 @@ export const updateQuoteWithVersioning = async (req, res) => {
 
         // Step 4: Transform products to line items (reuse existing logic)
         const { mapProductsToLineItems } = await import('../utils/quoteBusinessRules.js');
+        const taxTypesByRate = await xeroTaxRateService.getTaxTypesByRate(companyId, xeroTenantId);
+        const accountCodeRules = await xeroAccountCodeService.getLineItemAccountCodeRules(companyId, xeroTenantId);
+        let department = null;
+        if (accountCodeRules.some(rule => rule.type === 'department')) {
+            const { department: departmentKey } = await getCustomFieldKeys(companyId);
+            department = xeroTenantRoutingService.getDealDepartment(dealDetails, departmentKey);
+        }
         let lineItems;
         
         try {
             const mappingOptions = {
                 defaultTaxType: process.env.XERO_DEFAULT_TAX_TYPE || 'NONE',
-                defaultAccountCode: process.env.XERO_DEFAULT_ACCOUNT_CODE || '200'
+                defaultAccountCode: process.env.XERO_DEFAULT_ACCOUNT_CODE || '200',
+                taxTypesByRate,
+                accountCodeRules,
+                department
             };
             lineItems = mapProductsToLineItems(dealProducts, mappingOptions);
         } catch (mappingError) {
@@ -1024,6 +1067,10 @@ export const updateQuoteWithVersioning = async (req, res) => {
             totalAmount: lineItems.reduce((sum, item) => sum + (item.UnitAmount * item.Quantity), 0)
         });
 
+        if (!await checkLineItemAccounts(req, res, xeroAccessToken, xeroTenantId, lineItems)) {
+            return;
+        }
+
         // Step 5: Update quote with versioning (this will use our new updateQuote function)
         logProcessing(req, 'Updating quote in Xero with versioning', { 
             quoteId,
@@ -1049,7 +1096,7 @@ export const updateQuoteWithVersioning = async (req, res) => {
 
         // Step 6: Update Pipedrive deal with new versioned quote number
         let pipedriveUpdateWarning = null;
-        const quoteCustomFieldKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY;
+        const quoteCustomFieldKey = (await getCustomFieldKeys(companyId)).quoteNumber;
         
         if (quoteCustomFieldKey && updatedQuote.QuoteNumber) {
             try {
@@ -1198,13 +1245,11 @@ export const createInvoiceFromQuote = async (req, res) => {
             hasAccessToken: !!pdAccessToken
         });
 
-        // Xero auth is guaranteed by middleware
+        // Xero auth is guaranteed by middleware; the tenant is routed by department below
         const xeroAccessToken = req.xeroAuth.accessToken;
-        const xeroTenantId = req.xeroAuth.tenantId;
 
         logProcessing(req, 'Xero authentication verified', {
-            hasAccessToken: !!xeroAccessToken,
-            hasTenantId: !!xeroTenantId
+            hasAccessToken: !!xeroAccessToken
         });
 
         // Fetch deal details to get quote number
@@ -1218,8 +1263,12 @@ export const createInvoiceFromQuote = async (req, res) => {
             });
         }
 
-        const quoteCustomFieldKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY;
-        const invoiceCustomFieldKey = process.env.PIPEDRIVE_INVOICE_CUSTOM_FIELD_KEY;
+        const xeroTenantId = await routeXeroTenant(req, res,
+            () => xeroTenantRoutingService.resolveTenantForDeal(pipedriveCompanyId, dealDetails, req.xeroAuth),
+            { dealId });
+        if (!xeroTenantId) return;
+
+        const { quoteNumber: quoteCustomFieldKey, invoiceNumber: invoiceCustomFieldKey } = await getCustomFieldKeys(pipedriveCompanyId);
         
         const quoteNumber = quoteCustomFieldKey ? dealDetails[quoteCustomFieldKey] : null;
         const existingInvoiceNumber = invoiceCustomFieldKey ? dealDetails[invoiceCustomFieldKey] : null;
@@ -1273,6 +1322,10 @@ export const createInvoiceFromQuote = async (req, res) => {
             });
         }
 
+        if (!await checkLineItemAccounts(req, res, xeroAccessToken, xeroTenantId, xeroQuote.LineItems)) {
+            return;
+        }
+
         // Create invoice from quote
         logProcessing(req, 'Creating invoice from quote', { quoteId: xeroQuote.QuoteID });
         const createdInvoice = await xeroApiService.createInvoiceFromQuote(xeroAccessToken, xeroTenantId, xeroQuote.QuoteID);
@@ -1393,13 +1446,11 @@ export const createPartialInvoiceFromQuote = async (req, res) => {
             hasAccessToken: !!pdAccessToken
         });
 
-        // Xero auth is guaranteed by middleware
+        // Xero auth is guaranteed by middleware; the tenant is routed by department below
         const xeroAccessToken = req.xeroAuth.accessToken;
-        const xeroTenantId = req.xeroAuth.tenantId;
 
         logProcessing(req, 'Xero authentication verified', {
-            hasAccessToken: !!xeroAccessToken,
-            hasTenantId: !!xeroTenantId
+            hasAccessToken: !!xeroAccessToken
         });
 
         // Fetch deal details to get quote number
@@ -1413,8 +1464,12 @@ export const createPartialInvoiceFromQuote = async (req, res) => {
             });
         }
 
-        const quoteCustomFieldKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY;
-        const invoiceCustomFieldKey = process.env.PIPEDRIVE_INVOICE_CUSTOM_FIELD_KEY;
+        const xeroTenantId = await routeXeroTenant(req, res,
+            () => xeroTenantRoutingService.resolveTenantForDeal(pipedriveCompanyId, dealDetails, req.xeroAuth),
+            { dealId });
+        if (!xeroTenantId) return;
+
+        const { quoteNumber: quoteCustomFieldKey, invoiceNumber: invoiceCustomFieldKey } = await getCustomFieldKeys(pipedriveCompanyId);
         
         const quoteNumber = quoteCustomFieldKey ? dealDetails[quoteCustomFieldKey] : null;
         const existingInvoiceNumber = invoiceCustomFieldKey ? dealDetails[invoiceCustomFieldKey] : null;
@@ -1505,6 +1560,10 @@ export const createPartialInvoiceFromQuote = async (req, res) => {
             ...(xeroQuote.CurrencyCode && { CurrencyCode: xeroQuote.CurrencyCode })
         };
 
+        if (!await checkLineItemAccounts(req, res, xeroAccessToken, xeroTenantId, invoicePayload.LineItems)) {
+            return;
+        }
+
         // Create the invoice
         const createdInvoice = await xeroApiService.createInvoice(xeroAccessToken, xeroTenantId, invoicePayload);
 
@@ -1620,13 +1679,11 @@ export const createInvoiceFromDeal = async (req, res) => {
             hasAccessToken: !!pdAccessToken
         });
 
-        // Xero auth is guaranteed by middleware
+        // Xero auth is guaranteed by middleware; the tenant is routed by department below
         const xeroAccessToken = req.xeroAuth.accessToken;
-        const xeroTenantId = req.xeroAuth.tenantId;
 
         logProcessing(req, 'Xero authentication verified', {
-            hasAccessToken: !!xeroAccessToken,
-            hasTenantId: !!xeroTenantId
+            hasAccessToken: !!xeroAccessToken
         });
 
         // Fetch deal details to get quote information
@@ -1640,11 +1697,18 @@ export const createInvoiceFromDeal = async (req, res) => {
             });
         }
 
-        const quoteCustomFieldKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY;
-        const quoteIdCustomFieldKey = process.env.PIPEDRIVE_QUOTE_ID;
-        const invoiceCustomFieldKey = process.env.PIPEDRIVE_INVOICENUMBER;
-        const invoiceIdCustomFieldKey = process.env.PIPEDRIVE_INVOICEID;
-        const pendingStatusFieldKey = process.env.PIPEDRIVE_PENDING;
+        const xeroTenantId = await routeXeroTenant(req, res,
+            () => xeroTenantRoutingService.resolveTenantForDeal(pipedriveCompanyId, dealDetails, req.xeroAuth),
+            { dealId });
+        if (!xeroTenantId) return;
+
+        const {
+            quoteNumber: quoteCustomFieldKey,
+            quoteId: quoteIdCustomFieldKey,
+            invoiceNumber: invoiceCustomFieldKey,
+            invoiceId: invoiceIdCustomFieldKey,
+            pendingStatus: pendingStatusFieldKey
+        } = await getCustomFieldKeys(pipedriveCompanyId);
         
         const quoteNumber = quoteCustomFieldKey ? dealDetails[quoteCustomFieldKey] : null;
         const quoteId = quoteIdCustomFieldKey ? dealDetails[quoteIdCustomFieldKey] : null;
@@ -1676,19 +1740,11 @@ export const createInvoiceFromDeal = async (req, res) => {
             });
         }
 
-        // Find the quote in Xero using the quote ID from the environment variable
+        // Find the quote in Xero using the quote ID stored on the deal
         let xeroQuote = null;
         if (quoteId) {
-            // First try using the specific quote ID from PIPEDRIVE_QUOTE_ID=639901ad29bc8ae8c8fe6db44b80e64712d077ae
-            if (quoteId === process.env.PIPEDRIVE_QUOTE_ID) {
-                logProcessing(req, 'Using specific quote ID from environment', { 
-                    quoteId: process.env.PIPEDRIVE_QUOTE_ID 
-                });
-                xeroQuote = await xeroApiService.getXeroQuoteById(xeroAccessToken, xeroTenantId, process.env.PIPEDRIVE_QUOTE_ID);
-            } else {
-                logProcessing(req, 'Looking for quote by ID', { quoteId });
-                xeroQuote = await xeroApiService.getXeroQuoteById(xeroAccessToken, xeroTenantId, quoteId);
-            }
+            logProcessing(req, 'Looking for quote by ID', { quoteId });
+            xeroQuote = await xeroApiService.getXeroQuoteById(xeroAccessToken, xeroTenantId, quoteId);
         }
 
         // If no quote found by ID, try finding by quote number
@@ -1749,6 +1805,10 @@ export const createInvoiceFromDeal = async (req, res) => {
             });
         }
 
+        if (!await checkLineItemAccounts(req, res, xeroAccessToken, xeroTenantId, xeroQuote.LineItems)) {
+            return;
+        }
+
         // Create invoice from quote
         logProcessing(req, 'Creating invoice from quote', { quoteId: xeroQuote.QuoteID });
         const createdInvoice = await xeroApiService.createInvoiceFromQuote(xeroAccessToken, xeroTenantId, xeroQuote.QuoteID);
@@ -1874,7 +1934,8 @@ export const createInvoiceFromDeal = async (req, res) => {
                 total: createdInvoice.Total,
                 dueDate: createdInvoice.DueDate,
                 date: createdInvoice.Date,
-                contactId: createdInvoice.Contact?.ContactID
+                contactId: createdInvoice.Contact?.ContactID,
+                tenantId: xeroTenantId
             },
             quote: {
                 quoteId: xeroQuote.QuoteID,
@@ -2008,7 +2069,8 @@ export const createInvoiceWithDocuments = async (req, res) => {
         // Upload attachments to the created invoice
         try {
             const xeroAccessToken = req.xeroAuth.accessToken;
-            const xeroTenantId = req.xeroAuth.tenantId;
+            // Attach to the tenant the invoice was routed to
+            const xeroTenantId = createdInvoice.tenantId;
 
             logProcessing(req, 'Uploading attachments to invoice', {
                 invoiceId: createdInvoice.invoiceId,
@@ -2121,6 +2183,173 @@ export const createInvoiceWithDocuments = async (req, res) => {
     }
 };
 
+/**
+ * Lists the department-to-Xero-tenant routing rules for the signed-in company.
+ * 
+ * @param {Object} req - Express request object (company from req.pipedriveIdentity)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the configured routes
+ */
+export const getXeroTenantRoutes = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+
+    try {
+        const routes = await xeroTenantRoutingService.getTenantRoutes(companyId);
+        logSuccess(req, 'Xero tenant routes retrieved', { companyId, routesCount: routes.length });
+        res.json({ success: true, data: { companyId, routes } });
+    } catch (error) {
+        logWarning(req, 'Error retrieving Xero tenant routes', { companyId, error: error.message });
+        res.status(500).json({ error: `Failed to retrieve Xero tenant routes: ${error.message}` });
+    }
+};
+
+/**
+ * Maps a department to one of the company's authorised Xero tenants.
+ * 
+ * @param {Object} req - Express request object with body containing department and tenantId
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the saved route
+ */
+export const setXeroTenantRoute = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const { department, tenantId } = req.body;
+
+    try {
+        const route = await xeroTenantRoutingService.setTenantRoute(companyId, department, tenantId);
+        logSuccess(req, 'Xero tenant route saved', { companyId, department, tenantId });
+        res.json({
+            success: true,
+            data: {
+                department: route.department,
+                tenantId: route.tenantId,
+                tenantName: route.tenantName,
+                updatedAt: route.updatedAt
+            }
+        });
+    } catch (error) {
+        logWarning(req, 'Error saving Xero tenant route', { companyId, department, error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+};
+
+/**
+ * Removes the Xero tenant route for a department.
+ * 
+ * @param {Object} req - Express request object with params.department
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON confirmation or 404 if no route existed
+ */
+export const deleteXeroTenantRoute = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const { department } = req.params;
+
+    try {
+        const removed = await xeroTenantRoutingService.removeTenantRoute(companyId, department);
+        if (!removed) {
+            return res.status(404).json({ error: `No Xero tenant route found for department "${department}"` });
+        }
+        logSuccess(req, 'Xero tenant route removed', { companyId, department });
+        res.json({ success: true });
+    } catch (error) {
+        logWarning(req, 'Error removing Xero tenant route', { companyId, department, error: error.message });
+        res.status(500).json({ error: `Failed to remove Xero tenant route: ${error.message}` });
+    }
+};
+
+/**
+ * Lists the tax rates of the resolved Xero tenant with the company's mappings
+ * for that tenant.
+ * 
+ * @param {Object} req - Express request object with req.xeroAuth and optional query.refresh
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the tenant's tax rates and mappings
+ */
+export const getXeroTaxRates = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const { accessToken, tenantId } = req.xeroAuth;
+
+    try {
+        const taxRates = await xeroTaxRateService.getTenantTaxRates(accessToken, tenantId, { refresh: req.query.refresh === 'true' });
+        const mappings = await xeroTaxRateService.getTaxRateMappings(companyId, tenantId);
+        logSuccess(req, 'Xero tax rates retrieved', { companyId, tenantId, taxRatesCount: taxRates.length, mappingsCount: mappings.length });
+        res.json({ success: true, data: { companyId, tenantId, taxRates, mappings } });
+    } catch (error) {
+        logWarning(req, 'Error retrieving Xero tax rates', { companyId, tenantId, error: error.message });
+        res.status(error.statusCode || 500).json({ error: `Failed to retrieve Xero tax rates: ${error.message}` });
+    }
+};
+
+/**
+ * Replaces the company's tax rate mappings for the resolved Xero tenant.
+ * 
+ * @param {Object} req - Express request object with body.mappings ([{ rate, taxType }])
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the saved mappings
+ */
+export const setXeroTaxRateMappings = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const { accessToken, tenantId } = req.xeroAuth;
+
+    try {
+        const mappings = await xeroTaxRateService.setTaxRateMappings(companyId, accessToken, tenantId, req.body.mappings);
+        logSuccess(req, 'Xero tax rate mappings saved', { companyId, tenantId, mappingsCount: mappings.length });
+        res.json({ success: true, data: { companyId, tenantId, mappings } });
+    } catch (error) {
+        logWarning(req, 'Error saving Xero tax rate mappings', { companyId, tenantId, error: error.message });
+        res.status(error.statusCode || 500).json({
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+};
+
+/**
+ * Lists the active revenue accounts of the resolved Xero tenant with the
+ * company's account code rules for that tenant.
+ * 
+ * @param {Object} req - Express request object with req.xeroAuth and optional query.refresh
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the tenant's revenue accounts and rules
+ */
+export const getXeroAccountCodes = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const { accessToken, tenantId } = req.xeroAuth;
+
+    try {
+        const accounts = await xeroAccountCodeService.getRevenueAccounts(accessToken, tenantId, { refresh: req.query.refresh === 'true' });
+        const rules = await xeroAccountCodeService.getAccountCodeRules(companyId, tenantId);
+        logSuccess(req, 'Xero account codes retrieved', { companyId, tenantId, accountsCount: accounts.length, rulesCount: rules.length });
+        res.json({ success: true, data: { companyId, tenantId, accounts, rules } });
+    } catch (error) {
+        logWarning(req, 'Error retrieving Xero account codes', { companyId, tenantId, error: error.message });
+        res.status(error.statusCode || 500).json({ error: `Failed to retrieve Xero account codes: ${error.message}` });
+    }
+};
+
+/**
+ * Replaces the company's account code rules for the resolved Xero tenant.
+ * 
+ * @param {Object} req - Express request object with body.rules ([{ type, value, accountCode }])
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Returns JSON with the saved rules
+ */
+export const setXeroAccountCodeRules = async (req, res) => {
+    const companyId = req.pipedriveIdentity.companyId;
+    const { accessToken, tenantId } = req.xeroAuth;
+
+    try {
+        const rules = await xeroAccountCodeService.setAccountCodeRules(companyId, accessToken, tenantId, req.body.rules);
+        logSuccess(req, 'Xero account code rules saved', { companyId, tenantId, rulesCount: rules.length });
+        res.json({ success: true, data: { companyId, tenantId, rules } });
+    } catch (error) {
+        logWarning(req, 'Error saving Xero account code rules', { companyId, tenantId, error: error.message });
+        res.status(error.statusCode || 500).json({
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+};
+
 // ===== TEST ENDPOINTS FOR E2E TESTING =====
 export const getXeroQuoteByNumber = async (req, res) => {
     const { quoteNumber } = req.params;
@@ -4,12 +4,23 @@ import cors from 'cors';
 import logger, { httpLogger } from './lib/logger.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { logRouteError, logRoute, logProcessing, logSuccess } from './middleware/routeLogger.js';
+import { assertEncryptionKeysConfigured } from './lib/tokenKeyring.js';
+import tokenRefreshScheduler from './services/tokenRefreshScheduler.js';
+import { closeDatabase } from './services/mongoService.js';
+import { attachAuditContext } from './middleware/auditContext.js';
 
 // Import route files
 import authRoutes from './routes/authRoutes.js'; // Added .js
 import pipedriveRoutes from './routes/pipedriveRoutes.js'; // Added .js
 import xeroRoutes from './routes/xeroRoutes.js'; // Added .js
 import projectRoutes from './routes/projectRoutes.js'; // Added .js
+import roleRoutes from './routes/roleRoutes.js';
+import customFieldRoutes from './routes/customFieldRoutes.js';
+import companyConfigRoutes from './routes/companyConfigRoutes.js';
+import departmentRoutes from './routes/departmentRoutes.js';
+import taskTemplateRoutes from './routes/taskTemplateRoutes.js';
+import databaseRoutes from './routes/databaseRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
 
 
 const app = express();
@@ -70,6 +81,7 @@ app.options('*', cors(corsOptions));
 // app.use(httpLogger);
 
 app.use(json()); // Add this line to parse JSON request bodies
+app.use(attachAuditContext); // Assign request IDs and attribute Xero/Pipedrive writes to the request
 
 const port = process.env.PORT || 3000;
 
@@ -172,8 +184,13 @@ app.use('/auth', authRoutes); // Mount auth routes under /auth prefix
 app.use('/', pipedriveRoutes); // Mount Pipedrive routes (includes /pipedrive-action and /api/pipedrive-data)
 app.use('/', xeroRoutes); // Mount Xero routes (includes /api/xero/status and /api/xero/create-quote)
 app.use('/', projectRoutes); // Mount project routes (includes /api/project/create-full)
-// Temporarily comment out database routes that might be causing issues
-// app.use('/api/database', databaseRoutes); // Mount database administration routes
+app.use('/', roleRoutes); // Mount role management routes (includes /api/roles)
+app.use('/', customFieldRoutes); // Mount custom field setup routes (includes /api/custom-fields)
+app.use('/', companyConfigRoutes); // Mount company config admin routes (includes /api/admin/config)
+app.use('/', departmentRoutes); // Mount department routes (includes /api/departments)
+app.use('/', taskTemplateRoutes); // Mount project task template routes (includes /api/task-templates)
+app.use('/', databaseRoutes); // Mount database administration routes (includes /api/admin/database, admin API key required)
+app.use('/', auditRoutes); // Mount audit log routes (includes /api/audit-events)
 
 // Error handling middleware (must be after all routes)
 app.use(logRouteError); // Log route errors with context
@@ -182,15 +199,27 @@ app.use(errorHandler); // Handle all other errors
 
 
 // --- Start Server and Load Tokens ---
+let server = null;
+
 async function startServer() {
     try {
-        app.listen(port, () => {
+        // Refuse to start (in production) without a persistent token encryption key
+        const { primaryKeyId, keyIds } = assertEncryptionKeysConfigured();
+        logger.info({
+            primaryKeyId,
+            keyCount: keyIds.length
+        }, '🔐 Token encryption keys loaded');
+
+        server = app.listen(port, () => {
             logger.info({
                 port,
                 environment: process.env.NODE_ENV || 'development',
                 nodeVersion: process.version,
                 url: `http://localhost:${port}`
             }, `🔧 Server started on port ${port}`);
+
+            // Refresh tokens ahead of expiry so requests do not have to
+            tokenRefreshScheduler.start();
         });
     } catch (error) {
         logger.error({
@@ -201,4 +230,28 @@ async function startServer() {
     }
 }
 
+// --- Graceful Shutdown ---
+// Stop taking requests, let in-flight requests finish, then close the shared MongoDB client
+async function shutdown(signal) {
+    logger.info({ signal }, '🛑 Shutting down');
+
+    // Exit even if open connections keep the server from closing
+    setTimeout(() => process.exit(1), 10000).unref();
+
+    try {
+        tokenRefreshScheduler.stop();
+        if (server) {
+            await new Promise(resolve => server.close(resolve));
+        }
+        await closeDatabase();
+        process.exit(0);
+    } catch (error) {
+        logger.error({ error: error.message, operation: 'Shutdown' }, `❌ Shutdown failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
 startServer();
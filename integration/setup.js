@@ -76,7 +76,7 @@ export async function createTestAppWithRoutes() {
     // Import and mount routes
     try {
         const { default: databaseRoutes } = await import('../routes/databaseRoutes.js');
-        app.use('/api/database', databaseRoutes);
+        app.use('/', databaseRoutes);
         
         // Add a simple health endpoint for testing
         app.get('/health', (req, res) => {
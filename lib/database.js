@@ -2,12 +2,13 @@
  * Database Connection Utility
  * 
  * Simple database connection utility for compatibility with the secure token service.
- * This integrates with the existing mongoService for consistent connection management.
+ * It returns the database of the shared client in mongoService, so token
+ * operations use the same connection pool as every other DAO.
  * 
  * @module lib/database
  */
 
-import { connectToDatabase as mongoConnectToDatabase } from '../services/mongoService.js';
+import { getDatabase as getSharedDatabase } from '../services/mongoService.js';
 
 /**
  * Gets a database connection for token operations
@@ -15,10 +16,10 @@ import { connectToDatabase as mongoConnectToDatabase } from '../services/mongoSe
  * @returns {Promise<Db>} MongoDB database instance
  */
 export async function getDatabase() {
-    return await mongoConnectToDatabase();
+    return await getSharedDatabase();
 }
 
 /**
  * Legacy function for backward compatibility
  */
-export const connectToDatabase = getDatabase; 
\ No newline at end of file
+export const connectToDatabase = getDatabase;
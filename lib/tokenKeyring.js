@@ -0,0 +1,154 @@
+/**
+ * Token Encryption Keyring
+ *
+ * Loads the keys used to encrypt OAuth tokens at rest. Several keys can be
+ * loaded at once so tokens written with an older key stay readable while a
+ * rotation is in progress; new writes always use the primary key.
+ *
+ * Configuration:
+ * - TOKEN_ENCRYPTION_KEYS: comma-separated `keyId:hexKey` pairs (64 hex characters per key)
+ * - TOKEN_ENCRYPTION_PRIMARY_KEY_ID: key ID used for new writes
+ *   (defaults to the first key in TOKEN_ENCRYPTION_KEYS)
+ * - TOKEN_ENCRYPTION_KEY: single key, loaded under the ID `default`. Documents
+ *   written before key IDs were recorded are decrypted with this key.
+ *
+ * Outside production a missing configuration falls back to a random per-process
+ * key (tokens do not survive a restart). In production it is an error.
+ *
+ * @module lib/tokenKeyring
+ */
+
+import crypto from 'crypto';
+import logger from './logger.js';
+
+export const LEGACY_KEY_ID = 'default';
+const EPHEMERAL_KEY_ID = 'ephemeral';
+const KEY_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const KEY_PATTERN = /^[0-9a-fA-F]{64}$/;
+
+let keyring = null;
+
+/**
+ * Parses and validates a single hex key
+ *
+ * @param {string} keyId - Key ID (for error messages)
+ * @param {string} hexKey - 32-byte key as 64 hex characters
+ * @returns {Buffer} Key bytes
+ * @throws {Error} If the key is not 64 hex characters
+ */
+function parseKey(keyId, hexKey) {
+    if (!KEY_PATTERN.test(hexKey || '')) {
+        throw new Error(`Token encryption key "${keyId}" must be 64 hex characters (32 bytes)`);
+    }
+    return Buffer.from(hexKey, 'hex');
+}
+
+/**
+ * Builds a keyring from environment variables
+ *
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {{primaryKeyId: string, keys: Map<string, Buffer>, ephemeral: boolean}} Keyring
+ * @throws {Error} For malformed keys, duplicate or unknown key IDs, or missing keys in production
+ */
+export function loadKeyring(env = process.env) {
+    const keys = new Map();
+    let firstKeyId = null;
+
+    const entries = (env.TOKEN_ENCRYPTION_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+
+    for (const entry of entries) {
+        const separator = entry.indexOf(':');
+        const keyId = separator > 0 ? entry.slice(0, separator).trim() : '';
+        if (!KEY_ID_PATTERN.test(keyId)) {
+            throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like keyId:hexKey');
+        }
+        if (keys.has(keyId)) {
+            throw new Error(`Token encryption key "${keyId}" is defined more than once`);
+        }
+        keys.set(keyId, parseKey(keyId, entry.slice(separator + 1).trim()));
+        firstKeyId = firstKeyId || keyId;
+    }
+
+    if (env.TOKEN_ENCRYPTION_KEY) {
+        if (keys.has(LEGACY_KEY_ID)) {
+            throw new Error(`Token encryption key "${LEGACY_KEY_ID}" is defined by both TOKEN_ENCRYPTION_KEY and TOKEN_ENCRYPTION_KEYS`);
+        }
+        keys.set(LEGACY_KEY_ID, parseKey(LEGACY_KEY_ID, env.TOKEN_ENCRYPTION_KEY));
+        firstKeyId = firstKeyId || LEGACY_KEY_ID;
+    }
+
+    if (keys.size === 0) {
+        if (env.NODE_ENV === 'production') {
+            throw new Error('Token encryption is not configured. Set TOKEN_ENCRYPTION_KEY or TOKEN_ENCRYPTION_KEYS.');
+        }
+        logger.warn('No token encryption key configured; using a random key. Stored tokens will be unreadable after a restart.');
+        keys.set(EPHEMERAL_KEY_ID, crypto.randomBytes(32));
+        return { primaryKeyId: EPHEMERAL_KEY_ID, keys, ephemeral: true };
+    }
+
+    const primaryKeyId = env.TOKEN_ENCRYPTION_PRIMARY_KEY_ID || firstKeyId;
+    if (!keys.has(primaryKeyId)) {
+        throw new Error(`Primary token encryption key "${primaryKeyId}" is not loaded`);
+    }
+
+    return { primaryKeyId, keys, ephemeral: false };
+}
+
+/**
+ * Returns the process keyring, loading it on first use
+ *
+ * @returns {{primaryKeyId: string, keys: Map<string, Buffer>, ephemeral: boolean}} Keyring
+ */
+function getKeyring() {
+    if (!keyring) {
+        keyring = loadKeyring();
+    }
+    return keyring;
+}
+
+/**
+ * Loads the keyring and fails fast if it is misconfigured. Called on startup so
+ * a production instance never runs without a persistent key.
+ *
+ * @returns {{primaryKeyId: string, keyIds: string[]}} Summary safe to log
+ * @throws {Error} If the keyring cannot be loaded
+ */
+export function assertEncryptionKeysConfigured() {
+    const { primaryKeyId, keys } = getKeyring();
+    return { primaryKeyId, keyIds: [...keys.keys()] };
+}
+
+/**
+ * Gets the key used for new writes
+ *
+ * @returns {{keyId: string, key: Buffer}} Primary key
+ */
+export function getPrimaryKey() {
+    const { primaryKeyId, keys } = getKeyring();
+    return { keyId: primaryKeyId, key: keys.get(primaryKeyId) };
+}
+
+/**
+ * Gets a decryption key by ID
+ *
+ * @param {string} [keyId] - Key ID recorded on the document; omitted for legacy documents
+ * @returns {Buffer} Key bytes
+ * @throws {Error} If the key is not loaded
+ */
+export function getKey(keyId = LEGACY_KEY_ID) {
+    const key = getKeyring().keys.get(keyId);
+    if (!key) {
+        throw new Error(`Token encryption key "${keyId}" is not loaded`);
+    }
+    return key;
+}
+
+/**
+ * Clears the cached keyring so the next call reloads it from the environment
+ */
+export function resetKeyring() {
+    keyring = null;
+}
@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Admin API key authentication for operator routes.
+ * The database administration routes act on every company at once, so they do
+ * not accept Pipedrive identities. Operators call them with an API key sent in
+ * the `X-Admin-Api-Key` header, and each key carries the scopes it may use.
+ *
+ * Configuration:
+ * - ADMIN_API_KEYS: comma-separated `keyId:secret:scopes` entries, where scopes
+ *   are joined with `+` (e.g. `ops:<secret>:database:read+database:write`).
+ *   Secrets must be at least 32 characters; `openssl rand -hex 32` makes one.
+ * - ADMIN_CONFIRMATION_TTL_SECONDS: lifetime of confirmation tokens (300 by default)
+ *
+ * Destructive operations also need a confirmation token. A dry run of the
+ * operation returns one, bound to the API key, the action and its parameters;
+ * the execution must send it back as `confirmationToken`. A token works once
+ * per server instance and expires after the TTL.
+ */
+
+import crypto from 'crypto';
+import { signJwt, verifyJwt } from './pipedriveJwtAuth.js';
+import logger from '../lib/logger.js';
+
+/**
+ * Scopes an admin API key can be granted
+ */
+export const ADMIN_SCOPES = {
+    DATABASE_READ: 'database:read',
+    DATABASE_WRITE: 'database:write',
+    DATABASE_MIGRATE: 'database:migrate'
+};
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const MIN_SECRET_LENGTH = 32;
+const CONFIRMATION_TOKEN_TYPE = 'admin-confirmation';
+const DEFAULT_CONFIRMATION_TTL_SECONDS = 5 * 60;
+
+/** Confirmation token IDs already used on this instance, with their expiry (seconds since epoch) */
+const usedConfirmations = new Map();
+
+/**
+ * Returns the configured confirmation token lifetime in seconds.
+ * @returns {number}
+ */
+const getConfirmationTtlSeconds = () => {
+    const configured = parseInt(process.env.ADMIN_CONFIRMATION_TTL_SECONDS, 10);
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_CONFIRMATION_TTL_SECONDS;
+};
+
+/**
+ * Parses the admin API keys from environment variables
+ *
+ * @param {Object} [env=process.env] - Environment to read
+ * @returns {Array<{keyId: string, secret: string, scopes: string[]}>} Configured keys
+ * @throws {Error} For malformed entries, short secrets, unknown scopes or duplicate key IDs
+ */
+export function loadAdminApiKeys(env = process.env) {
+    const knownScopes = Object.values(ADMIN_SCOPES);
+    const keys = [];
+
+    const entries = (env.ADMIN_API_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+
+    for (const entry of entries) {
+        const idEnd = entry.indexOf(':');
+        const secretEnd = entry.indexOf(':', idEnd + 1);
+        const keyId = idEnd > 0 ? entry.slice(0, idEnd) : '';
+        if (!KEY_ID_PATTERN.test(keyId) || secretEnd < 0) {
+            throw new Error('ADMIN_API_KEYS entries must look like keyId:secret:scope+scope');
+        }
+        if (keys.some(key => key.keyId === keyId)) {
+            throw new Error(`Admin API key "${keyId}" is defined more than once`);
+        }
+
+        const secret = entry.slice(idEnd + 1, secretEnd);
+        if (secret.length < MIN_SECRET_LENGTH) {
+            throw new Error(`Admin API key "${keyId}" must be at least ${MIN_SECRET_LENGTH} characters`);
+        }
+
+        const scopes = entry.slice(secretEnd + 1).split('+').map(scope => scope.trim()).filter(Boolean);
+        const unknownScope = scopes.find(scope => !knownScopes.includes(scope));
+        if (unknownScope || scopes.length === 0) {
+            throw new Error(`Admin API key "${keyId}" has ${unknownScope ? `unknown scope "${unknownScope}"` : 'no scopes'}`);
+        }
+
+        keys.push({ keyId, secret, scopes });
+    }
+
+    return keys;
+}
+
+/**
+ * Compares two secrets in constant time, whatever their lengths.
+ */
+const secretsMatch = (presented, secret) => crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(presented).digest(),
+    crypto.createHash('sha256').update(secret).digest()
+);
+
+/**
+ * Sends an admin authentication failure response.
+ */
+const rejectAdmin = (res, statusCode, error, extra = {}) => res.status(statusCode).json({
+    success: false,
+    error,
+    authRequired: statusCode === 401,
+    authType: 'admin-api-key',
+    ...extra
+});
+
+/**
+ * Middleware that requires a valid admin API key in the `X-Admin-Api-Key` header.
+ * On success attaches `req.adminIdentity = { keyId, scopes, source }`.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void} Calls next() if the key is valid, otherwise returns 401/503
+ */
+export const requireAdminApiKey = (req, res, next) => {
+    let keys;
+    try {
+        keys = loadAdminApiKeys();
+    } catch (error) {
+        logger.error('Admin API keys are misconfigured', { error: error.message });
+        return rejectAdmin(res, 503, 'Admin API is not available');
+    }
+
+    if (keys.length === 0) {
+        return rejectAdmin(res, 503, 'Admin API is not configured');
+    }
+
+    const presented = req.headers?.['x-admin-api-key'];
+    if (!presented) {
+        logger.warn('Rejected admin request without API key', { path: req.originalUrl || req.url });
+        return rejectAdmin(res, 401, 'Admin API key is required');
+    }
+
+    // Check every key so the response time does not reveal which one nearly matched
+    const key = keys.reduce((found, candidate) => (secretsMatch(presented, candidate.secret) ? candidate : found), null);
+    if (!key) {
+        logger.warn('Rejected admin request with invalid API key', { path: req.originalUrl || req.url });
+        return rejectAdmin(res, 401, 'Admin API key is invalid');
+    }
+
+    req.adminIdentity = { keyId: key.keyId, scopes: key.scopes, source: 'api-key' };
+    next();
+};
+
+/**
+ * Creates middleware that requires a scope. Must run after `requireAdminApiKey`.
+ *
+ * @param {string} scope - One of ADMIN_SCOPES
+ * @returns {Function} Express middleware
+ */
+export const requireAdminScope = (scope) => (req, res, next) => {
+    const identity = req.adminIdentity;
+    if (!identity) {
+        return rejectAdmin(res, 401, 'Admin API key is required');
+    }
+
+    if (!identity.scopes.includes(scope)) {
+        logger.warn('Admin scope denied', {
+            keyId: identity.keyId,
+            scopes: identity.scopes,
+            requiredScope: scope,
+            path: req.originalUrl || req.url
+        });
+        return rejectAdmin(res, 403, `This API key does not allow this action (${scope} required)`, {
+            requiredScope: scope
+        });
+    }
+
+    logger.info('Admin scope granted', {
+        keyId: identity.keyId,
+        scope,
+        path: req.originalUrl || req.url
+    });
+    next();
+};
+
+/**
+ * Finds the secret of the API key that authenticated the request.
+ */
+const getKeySecret = (req) => loadAdminApiKeys().find(key => key.keyId === req.adminIdentity.keyId)?.secret;
+
+/**
+ * Issues a confirmation token for an action, signed with the caller's API key.
+ *
+ * @param {Object} req - Express request object (expects req.adminIdentity)
+ * @param {string} action - Action name
+ * @param {Object} params - Parameters the execution must repeat
+ * @returns {{token: string, action: string, expiresAt: number}} Token and its expiry (ms since epoch)
+ */
+const issueConfirmationToken = (req, action, params) => {
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + getConfirmationTtlSeconds();
+    const token = signJwt({
+        typ: CONFIRMATION_TOKEN_TYPE,
+        jti: crypto.randomUUID(),
+        keyId: req.adminIdentity.keyId,
+        action,
+        params,
+        iat: now,
+        exp
+    }, getKeySecret(req));
+
+    return { token, action, expiresAt: exp * 1000 };
+};
+
+/**
+ * Checks a confirmation token against the action being executed and marks it used.
+ *
+ * @param {Object} req - Express request object (expects req.adminIdentity)
+ * @param {string} token - Confirmation token from the request
+ * @param {string} action - Action name
+ * @param {Object} params - Parameters of the execution
+ * @throws {Error} If the token is invalid, expired, used, or for another key, action or parameters
+ */
+const consumeConfirmationToken = (req, token, action, params) => {
+    const claims = verifyJwt(token, getKeySecret(req));
+    if (claims.typ !== CONFIRMATION_TOKEN_TYPE || typeof claims.exp !== 'number') {
+        throw new Error('Token is not a confirmation token');
+    }
+    if (claims.keyId !== req.adminIdentity.keyId) {
+        throw new Error('Token was issued to another API key');
+    }
+    if (claims.action !== action) {
+        throw new Error(`Token confirms "${claims.action}", not "${action}"`);
+    }
+    if (JSON.stringify(claims.params) !== JSON.stringify(params)) {
+        throw new Error('Parameters differ from the dry run the token was issued for');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    for (const [jti, exp] of usedConfirmations) {
+        if (exp < now) {
+            usedConfirmations.delete(jti);
+        }
+    }
+    if (usedConfirmations.has(claims.jti)) {
+        throw new Error('Token has already been used');
+    }
+    usedConfirmations.set(claims.jti, claims.exp);
+};
+
+/**
+ * Creates middleware that makes a destructive action require a confirmation
+ * token. Requests with `dryRun: false` must send `confirmationToken`; any other
+ * request (including `dryRun: null` or `0`) is a dry run and gets a token as
+ * `req.confirmation` for the controller to return. Must run after
+ * `requireAdminApiKey`.
+ *
+ * Sets `req.dryRun` and `req.confirmedParams` (the parameters the token is bound
+ * to). Controllers must act on these rather than re-read the body, so they
+ * cannot execute anything other than what was checked here.
+ *
+ * @param {string} action - Action name the token is bound to
+ * @param {Function} getParams - Function of the request returning (or resolving to) the parameters
+ *   the token is bound to (with defaults applied, in a fixed key order)
+ * @returns {Function} Express middleware
+ */
+export const requireConfirmation = (action, getParams) => async (req, res, next) => {
+    let params;
+    try {
+        params = await getParams(req);
+    } catch (error) {
+        return next(error);
+    }
+    req.dryRun = req.body?.dryRun !== false;
+    req.confirmedParams = params;
+
+    if (req.dryRun) {
+        req.confirmation = issueConfirmationToken(req, action, params);
+        return next();
+    }
+
+    const token = req.body?.confirmationToken;
+    if (!token) {
+        return rejectAdmin(res, 428, 'Confirmation required: run a dry run first and send its confirmation token as confirmationToken', {
+            confirmationRequired: true,
+            action
+        });
+    }
+
+    try {
+        consumeConfirmationToken(req, token, action, params);
+    } catch (error) {
+        logger.warn('Rejected admin action with invalid confirmation', {
+            keyId: req.adminIdentity.keyId,
+            action,
+            error: error.message
+        });
+        return rejectAdmin(res, 403, `Invalid confirmation token: ${error.message}`, {
+            confirmationRequired: true,
+            action
+        });
+    }
+
+    logger.warn('Confirmed destructive admin action', {
+        keyId: req.adminIdentity.keyId,
+        action,
+        params
+    });
+    next();
+};
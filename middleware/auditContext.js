@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Audit context middleware.
+ * Runs the rest of the request inside an audit context (see
+ * services/auditService.js), so writes to Xero and Pipedrive made while
+ * handling it are recorded with the request's company, user, deal and ID.
+ *
+ * Also gives every request an ID: the caller's `X-Request-ID` header when it
+ * is a sensible value, a new UUID otherwise. The ID is returned in the
+ * `X-Request-ID` response header so a caller can find its audit events.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { runWithAuditContext } from '../services/auditService.js';
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Middleware that assigns `req.id` and runs the request in an audit context.
+ * Mount it once, before the routes.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+export const attachAuditContext = (req, res, next) => {
+    if (!req.id) {
+        const presented = req.get('X-Request-ID');
+        req.id = presented && REQUEST_ID_PATTERN.test(presented) ? presented : uuidv4();
+    }
+    res.set('X-Request-ID', req.id);
+
+    runWithAuditContext({ req }, next);
+};
@@ -8,19 +8,70 @@ import * as tokenService from '../services/secureTokenService.js';
 import tokenRefreshManager from '../services/tokenRefreshManager.js';
 import logger from '../lib/logger.js';
 
+/**
+ * Resolves the company a request acts on. A verified Pipedrive identity (see
+ * middleware/pipedriveJwtAuth.js) always wins over body or query parameters.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} Company ID
+ */
+const resolveCompanyId = (req) => req.pipedriveIdentity?.companyId ||
+    req.body?.companyId || req.query?.companyId ||
+    req.body?.pipedriveCompanyId || req.query?.pipedriveCompanyId ||
+    req.pipedriveAuth?.companyId;
+
+/**
+ * Resolves which Xero organisation a request should act on. An explicit
+ * `xeroTenantId` (body, query or `Xero-Tenant-Id` header) wins, then the company's
+ * default tenant, then the only authorised tenant if there is exactly one.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} tokenData - Xero token data from secureTokenService.getAuthToken
+ * @returns {{tenantId: string}|{error: string, statusCode: number, tenants: Array<Object>}}
+ */
+const resolveXeroTenant = (req, tokenData) => {
+    const tenants = tokenData.tenants || (tokenData.tenantId ? [{ tenantId: tokenData.tenantId }] : []);
+    const requestedTenantId = req.body?.xeroTenantId || req.query?.xeroTenantId || req.headers?.['xero-tenant-id'];
+
+    if (requestedTenantId) {
+        if (!tenants.some(tenant => tenant.tenantId === requestedTenantId)) {
+            return {
+                error: `Xero tenant ${requestedTenantId} is not authorised for this company`,
+                statusCode: 403,
+                tenants
+            };
+        }
+        return { tenantId: requestedTenantId };
+    }
+
+    const defaultTenantId = tokenData.defaultTenantId || tokenData.tenantId;
+    if (defaultTenantId) {
+        return { tenantId: defaultTenantId };
+    }
+
+    if (tenants.length === 1) {
+        return { tenantId: tenants[0].tenantId };
+    }
+
+    return {
+        error: 'Multiple Xero organisations are connected. Select a default tenant or pass xeroTenantId.',
+        statusCode: 409,
+        tenants
+    };
+};
+
 /**
  * Middleware to check and refresh Pipedrive authentication for a company.
  * If tokens are missing or refresh fails, it returns an auth required response.
  * 
- * @param {Object} req - Express request object (expects companyId in body or query)
+ * @param {Object} req - Express request object (expects req.pipedriveIdentity from requirePipedriveSignature)
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
  * @returns {Promise<void>} Calls next() if authenticated, or returns auth required response
  */
 export const requirePipedriveAuth = async (req, res, next) => {
-    // Check for companyId in multiple possible fields for compatibility
-    const companyId = req.body?.companyId || req.query?.companyId || 
-                     req.body?.pipedriveCompanyId || req.query?.pipedriveCompanyId;
+    // Prefer the signed identity, falling back to request fields for compatibility
+    const companyId = resolveCompanyId(req);
 
     if (!companyId) {
         return res.status(400).json({
@@ -67,7 +118,8 @@ export const requirePipedriveAuth = async (req, res, next) => {
                 req.pipedriveAuth = {
                     accessToken: refreshedToken.accessToken,
                     apiDomain: refreshedToken.apiDomain,
-                    companyId: companyId
+                    companyId: companyId,
+                    userId: req.pipedriveIdentity?.userId
                 };
             } catch (refreshError) {
                 logger.error('Failed to refresh Pipedrive token', {
@@ -91,7 +143,8 @@ export const requirePipedriveAuth = async (req, res, next) => {
             req.pipedriveAuth = {
                 accessToken: tokenData.accessToken,
                 apiDomain: tokenData.apiDomain,
-                companyId: companyId
+                companyId: companyId,
+                userId: req.pipedriveIdentity?.userId
             };
         }
 
@@ -121,10 +174,8 @@ export const requirePipedriveAuth = async (req, res, next) => {
  * @returns {Promise<void>} Always calls next(), but may attach Xero auth info
  */
 export const optionalXeroAuth = async (req, res, next) => {
-    // Check for companyId in multiple possible fields for compatibility
-    const companyId = req.body?.companyId || req.query?.companyId || 
-                     req.body?.pipedriveCompanyId || req.query?.pipedriveCompanyId ||
-                     req.pipedriveAuth?.companyId;
+    // Prefer the signed identity, falling back to request fields for compatibility
+    const companyId = resolveCompanyId(req);
 
     if (!companyId) {
         return next(); // Continue without Xero auth if no company ID
@@ -139,6 +190,13 @@ export const optionalXeroAuth = async (req, res, next) => {
             return next();
         }
 
+        const tenant = resolveXeroTenant(req, tokenData);
+        if (tenant.error) {
+            logger.warn('Could not resolve Xero tenant', { companyId, error: tenant.error });
+            req.xeroAuth = null;
+            return next();
+        }
+
         // Check if token needs refresh
         if (Date.now() >= tokenData.tokenExpiresAt) {
             logger.info('Xero token expired, initiating refresh', { companyId });
@@ -156,7 +214,7 @@ export const optionalXeroAuth = async (req, res, next) => {
                 // Attach refreshed tokens to request
                 req.xeroAuth = {
                     accessToken: refreshedToken.accessToken,
-                    tenantId: refreshedToken.tenantId,
+                    tenantId: tenant.tenantId,
                     companyId: companyId
                 };
             } catch (refreshError) {
@@ -171,7 +229,7 @@ export const optionalXeroAuth = async (req, res, next) => {
             // Attach Xero tokens to request for use in controllers
             req.xeroAuth = {
                 accessToken: tokenData.accessToken,
-                tenantId: tokenData.tenantId,
+                tenantId: tenant.tenantId,
                 companyId: companyId
             };
         }
@@ -193,6 +251,8 @@ export const optionalXeroAuth = async (req, res, next) => {
 /**
  * Middleware to check and refresh Xero authentication for a company.
  * This is REQUIRED - if Xero isn't connected, it returns 401 auth required response.
+ * The tenant comes from `xeroTenantId` in the request or the company's default tenant;
+ * if neither identifies an authorised organisation it returns 403/409 with the tenant list.
  * 
  * @param {Object} req - Express request object (expects companyId in body or query)
  * @param {Object} res - Express response object
@@ -200,10 +260,8 @@ export const optionalXeroAuth = async (req, res, next) => {
  * @returns {Promise<void>} Calls next() if authenticated, or returns auth required response
  */
 export const requireXeroAuth = async (req, res, next) => {
-    // Check for companyId in multiple possible fields for compatibility
-    const companyId = req.body?.companyId || req.query?.companyId || 
-                     req.body?.pipedriveCompanyId || req.query?.pipedriveCompanyId ||
-                     req.pipedriveAuth?.companyId;
+    // Prefer the signed identity, falling back to request fields for compatibility
+    const companyId = resolveCompanyId(req);
 
     if (!companyId) {
         return res.status(400).json({
@@ -225,7 +283,20 @@ export const requireXeroAuth = async (req, res, next) => {
                 authRequired: true,
                 authType: 'xero',
                 companyId: companyId,
-                authUrl: `${process.env.API_BASE_URL || 'http://localhost:3000'}/auth/connect-xero?pipedriveCompanyId=${companyId}`
+                authUrl: `${process.env.API_BASE_URL || 'http://localhost:3000'}/auth/connect-xero`
+            });
+        }
+
+        const tenant = resolveXeroTenant(req, tokenData);
+        if (tenant.error) {
+            logger.warn('Could not resolve Xero tenant', { companyId, error: tenant.error });
+            
+            return res.status(tenant.statusCode).json({
+                success: false,
+                error: tenant.error,
+                tenantSelectionRequired: true,
+                companyId: companyId,
+                tenants: tenant.tenants
             });
         }
 
@@ -246,7 +317,7 @@ export const requireXeroAuth = async (req, res, next) => {
                 // Attach refreshed tokens to request
                 req.xeroAuth = {
                     accessToken: refreshedToken.accessToken,
-                    tenantId: refreshedToken.tenantId,
+                    tenantId: tenant.tenantId,
                     companyId: companyId
                 };
             } catch (refreshError) {
@@ -263,14 +334,14 @@ export const requireXeroAuth = async (req, res, next) => {
                     authRequired: true,
                     authType: 'xero',
                     companyId: companyId,
-                    authUrl: `${process.env.API_BASE_URL || 'http://localhost:3000'}/auth/connect-xero?pipedriveCompanyId=${companyId}`
+                    authUrl: `${process.env.API_BASE_URL || 'http://localhost:3000'}/auth/connect-xero`
                 });
             }
         } else {
             // Attach Xero tokens to request for use in controllers
             req.xeroAuth = {
                 accessToken: tokenData.accessToken,
-                tenantId: tokenData.tenantId,
+                tenantId: tenant.tenantId,
                 companyId: companyId
             };
         }
@@ -331,9 +402,8 @@ export const requirePipedriveWithOptionalXero = async (req, res, next) => {
  * @returns {Promise<void>} Returns auth status information
  */
 export const checkAuthRequirements = async (req, res, next) => {
-    // Check for companyId in multiple possible fields for compatibility
-    const companyId = req.body?.companyId || req.query?.companyId || 
-                     req.body?.pipedriveCompanyId || req.query?.pipedriveCompanyId;
+    // Prefer the signed identity, falling back to request fields for compatibility
+    const companyId = resolveCompanyId(req);
 
     if (!companyId) {
         return res.status(400).json({
@@ -359,7 +429,7 @@ export const checkAuthRequirements = async (req, res, next) => {
                 required: false,
                 authenticated: !!(xeroToken && xeroToken.accessToken),
                 expired: xeroToken ? currentTime >= xeroToken.tokenExpiresAt : true,
-                authUrl: `/auth/connect-xero?pipedriveCompanyId=${companyId}`
+                authUrl: `/auth/connect-xero`
             }
         };
 
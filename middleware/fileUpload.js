@@ -11,6 +11,7 @@ import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { bindAuditContext } from '../services/auditService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -67,18 +68,27 @@ const upload = multer({
     fileFilter: fileFilter
 });
 
+/**
+ * Keeps the request's audit context across a multer middleware, which calls
+ * `next` from the upload stream's events
+ *
+ * @param {Function} middleware - Multer middleware
+ * @returns {Function} Express middleware
+ */
+const keepAuditContext = (middleware) => (req, res, next) => middleware(req, res, bindAuditContext(next));
+
 /**
  * Middleware for single file upload
  * Field name: 'document'
  */
-export const uploadSingle = upload.single('document');
+export const uploadSingle = keepAuditContext(upload.single('document'));
 
 /**
  * Middleware for multiple file uploads
  * Field name: 'documents'
  * Max files: 5
  */
-export const uploadMultiple = upload.array('documents', 5);
+export const uploadMultiple = keepAuditContext(upload.array('documents', 5));
 
 /**
  * Error handling middleware for multer errors
@@ -8,6 +8,7 @@
  */
 
 import logger from '../lib/logger.js';
+import { isProjectNumber } from '../utils/projectNumberUtils.js';
 
 /**
  * Validation rules for different data types
@@ -112,6 +113,22 @@ const validators = {
         return null;
     },
 
+    /**
+     * Validates a plain object, optionally checking each value
+     */
+    object: (value, fieldName, valueValidator) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return `${fieldName} must be an object`;
+        }
+        if (valueValidator) {
+            for (const [key, item] of Object.entries(value)) {
+                const error = valueValidator(item, `${fieldName}.${key}`);
+                if (error) return error;
+            }
+        }
+        return null;
+    },
+
     /**
      * Validates line items for quotes/invoices
      */
@@ -167,7 +184,7 @@ const validationSchemas = {
             estimateAmount: validators.optionalString,
             deadline: (value) => value ? validators.isoDate(value, 'deadline') : null,
             quoteId: validators.optionalString,
-            dealId: validators.optionalString
+            dealId: validators.requiredString
         }
     },
 
@@ -208,6 +225,77 @@ const validationSchemas = {
         }
     },
 
+    setXeroTenantRoute: {
+        body: {
+            department: validators.requiredString,
+            tenantId: validators.requiredString
+        }
+    },
+
+    setXeroTaxRateMappings: {
+        body: {
+            mappings: (value, fieldName) => validators.array(value, fieldName, (mapping, itemName) =>
+                validators.object(mapping, itemName) ||
+                validators.requiredNumber(mapping.rate, `${itemName}.rate`) ||
+                validators.requiredString(mapping.taxType, `${itemName}.taxType`))
+        }
+    },
+
+    setXeroAccountCodeRules: {
+        body: {
+            rules: (value, fieldName) => validators.array(value, fieldName, (rule, itemName) =>
+                validators.object(rule, itemName) ||
+                validators.requiredString(rule.type, `${itemName}.type`) ||
+                validators.requiredString(rule.value, `${itemName}.value`) ||
+                validators.requiredString(rule.accountCode, `${itemName}.accountCode`))
+        }
+    },
+
+    // Role endpoints
+    setUserRoles: {
+        body: {
+            roles: (value, fieldName) => validators.array(value, fieldName, validators.requiredString)
+        }
+    },
+
+    // Custom field setup endpoints
+    createMissingCustomFields: {
+        body: {
+            fields: (value, fieldName) => validators.array(value, fieldName, validators.requiredString) ||
+                (value.length === 0 ? `${fieldName} must contain at least one field` : null),
+            names: (value, fieldName) => value === undefined ? null : validators.object(value, fieldName, validators.requiredString)
+        }
+    },
+
+    saveCustomFieldMapping: {
+        body: {
+            mapping: (value, fieldName) => validators.object(value, fieldName, validators.requiredString)
+        }
+    },
+
+    // Company config endpoints
+    resetCompanyConfig: {
+        body: {
+            sections: (value, fieldName) => value === undefined ? null : validators.array(value, fieldName, validators.requiredString)
+        }
+    },
+
+    // Department endpoints
+    createDepartment: {
+        body: {
+            name: validators.requiredString,
+            code: validators.requiredString,
+            aliases: (value, fieldName) => value === undefined ? null : validators.array(value, fieldName, validators.requiredString)
+        }
+    },
+
+    // Task template endpoints
+    setTaskTemplate: {
+        body: {
+            tasks: (value, fieldName) => validators.array(value, fieldName, validators.object)
+        }
+    },
+
     // Project endpoints
     createFullProject: {
         body: {
@@ -370,9 +458,8 @@ export function sanitizeAll(req, res, next) {
  */
 export const customValidators = {
     projectNumber: (value) => {
-        const projectNumberRegex = /^[A-Z]{2}\d{5}$/;
-        if (!projectNumberRegex.test(value)) {
-            return 'Project number must be in format XX00000 (2 letters + 5 digits)';
+        if (!isProjectNumber(value)) {
+            return 'Project number must contain a 2-letter department code, a 2-digit year and a sequence number';
         }
         return null;
     },
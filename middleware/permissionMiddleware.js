@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Role-based permission middleware.
+ * Resolves the Pipedrive user behind a signed request, attaches them to the
+ * request as `req.actingUser` so actions can be attributed to a person rather
+ * than just the company, and rejects the request with a structured 403 when the
+ * user's roles do not grant the permission the route needs.
+ */
+
+import { resolveActingUser, hasPermission } from '../services/permissionService.js';
+import logger from '../lib/logger.js';
+
+/**
+ * Resolves the acting user for a signed request and attaches it as
+ * `req.actingUser`. Returns false after sending an error response.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<boolean>} True if the acting user was resolved
+ */
+const loadActingUser = async (req, res) => {
+    const identity = req.pipedriveIdentity;
+    if (!identity) {
+        res.status(401).json({
+            success: false,
+            error: 'Signed Pipedrive identity is required',
+            authRequired: true,
+            authType: 'pipedrive-signature'
+        });
+        return false;
+    }
+
+    if (req.actingUser) {
+        return true;
+    }
+
+    try {
+        req.actingUser = await resolveActingUser(identity);
+        return true;
+    } catch (error) {
+        logger.error('Failed to resolve user permissions', {
+            companyId: identity.companyId,
+            userId: identity.userId,
+            error: error.message
+        });
+        res.status(500).json({
+            success: false,
+            error: 'Could not resolve user permissions'
+        });
+        return false;
+    }
+};
+
+/**
+ * Middleware that attaches the acting user without requiring any permission.
+ * Must run after `requirePipedriveSignature`.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+export const attachActingUser = async (req, res, next) => {
+    if (await loadActingUser(req, res)) {
+        next();
+    }
+};
+
+/**
+ * Creates middleware that requires a permission. Must run after
+ * `requirePipedriveSignature`.
+ *
+ * @param {string|Function} permission - Permission name, or a function of the request returning one
+ *   (for routes whose required permission depends on the payload)
+ * @returns {Function} Express middleware
+ */
+export const requirePermission = (permission) => async (req, res, next) => {
+    if (!await loadActingUser(req, res)) {
+        return;
+    }
+
+    const actingUser = req.actingUser;
+    const requiredPermission = typeof permission === 'function' ? permission(req) : permission;
+
+    if (!hasPermission(actingUser, requiredPermission)) {
+        logger.warn('Permission denied', {
+            companyId: actingUser.companyId,
+            userId: actingUser.userId,
+            roles: actingUser.roles,
+            requiredPermission,
+            path: req.originalUrl || req.url
+        });
+        return res.status(403).json({
+            success: false,
+            error: actingUser.active
+                ? `Your role does not allow this action (${requiredPermission} required)`
+                : 'Your Pipedrive user is deactivated',
+            permissionDenied: true,
+            requiredPermission,
+            userId: actingUser.userId,
+            roles: actingUser.roles
+        });
+    }
+
+    logger.info('Permission granted', {
+        companyId: actingUser.companyId,
+        userId: actingUser.userId,
+        userName: actingUser.name,
+        permission: requiredPermission,
+        path: req.originalUrl || req.url
+    });
+    next();
+};
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Signed identity middleware for Pipedrive App Extension requests.
+ * Pipedrive signs every App Extension request with a JWT (HS256) using the app's
+ * client secret. This module verifies that JWT, exchanges it for a short-lived
+ * session token the frontend can send back on follow-up API calls, and binds the
+ * verified company and user IDs to the request so later middleware never has to
+ * trust `companyId` values supplied in the body or query string.
+ */
+
+import crypto from 'crypto';
+import logger from '../lib/logger.js';
+
+const SESSION_TOKEN_ISSUER = 'pipedrive-xero-integration';
+const DEFAULT_SESSION_TTL_SECONDS = 15 * 60;
+const CLOCK_SKEW_SECONDS = 30;
+
+/**
+ * Secret Pipedrive uses to sign App Extension JWTs. Marketplace Manager allows a
+ * dedicated JWT secret; when none is configured Pipedrive falls back to the client secret.
+ * @returns {string|undefined}
+ */
+const getPipedriveJwtSecret = () => process.env.PIPEDRIVE_JWT_SECRET || process.env.CLIENT_SECRET;
+
+/**
+ * Secret used for our own session tokens.
+ * @returns {string|undefined}
+ */
+const getSessionSecret = () => process.env.SESSION_TOKEN_SECRET || process.env.CLIENT_SECRET;
+
+/**
+ * Returns the configured session token lifetime in seconds.
+ * @returns {number}
+ */
+const getSessionTtlSeconds = () => {
+    const configured = parseInt(process.env.SESSION_TOKEN_TTL_SECONDS, 10);
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_SESSION_TTL_SECONDS;
+};
+
+const base64UrlEncode = (input) => Buffer.from(input).toString('base64url');
+
+const base64UrlDecodeJson = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const createSignature = (signingInput, secret) =>
+    crypto.createHmac('sha256', secret).update(signingInput).digest('base64url');
+
+/**
+ * Signs a payload as an HS256 JWT.
+ *
+ * @param {Object} payload - Claims to sign
+ * @param {string} secret - HMAC secret
+ * @returns {string} Compact JWT
+ */
+export const signJwt = (payload, secret) => {
+    if (!secret) {
+        throw new Error('JWT signing secret is not configured');
+    }
+    const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64UrlEncode(JSON.stringify(payload));
+    const signingInput = `${header}.${body}`;
+    return `${signingInput}.${createSignature(signingInput, secret)}`;
+};
+
+/**
+ * Verifies an HS256 JWT and returns its claims.
+ * Only HS256 is accepted so that a token cannot downgrade itself to `alg: none`,
+ * and every token must carry an `exp` claim so a captured token cannot be
+ * replayed forever. `exp` and `nbf` allow CLOCK_SKEW_SECONDS of clock drift.
+ *
+ * @param {string} token - Compact JWT
+ * @param {string} secret - HMAC secret
+ * @returns {Object} Verified claims
+ * @throws {Error} If the token is malformed, badly signed, has no expiry, or is outside its validity window
+ */
+export const verifyJwt = (token, secret) => {
+    if (!secret) {
+        throw new Error('JWT verification secret is not configured');
+    }
+    if (typeof token !== 'string') {
+        throw new Error('Token is missing');
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw new Error('Token is malformed');
+    }
+
+    const [encodedHeader, encodedPayload, signature] = parts;
+    let header;
+    let payload;
+    try {
+        header = base64UrlDecodeJson(encodedHeader);
+        payload = base64UrlDecodeJson(encodedPayload);
+    } catch (error) {
+        throw new Error('Token is malformed');
+    }
+
+    if (header.alg !== 'HS256') {
+        throw new Error(`Unsupported token algorithm: ${header.alg}`);
+    }
+
+    const expected = Buffer.from(createSignature(`${encodedHeader}.${encodedPayload}`, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new Error('Token signature is invalid');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp !== 'number') {
+        throw new Error('Token has no expiry');
+    }
+    if (now > payload.exp + CLOCK_SKEW_SECONDS) {
+        throw new Error('Token has expired');
+    }
+    if (typeof payload.nbf === 'number' && now + CLOCK_SKEW_SECONDS < payload.nbf) {
+        throw new Error('Token is not yet valid');
+    }
+
+    return payload;
+};
+
+/**
+ * Issues a short-lived session token for the frontend, bound to a verified Pipedrive identity.
+ *
+ * @param {Object} identity - Verified identity
+ * @param {string|number} identity.companyId - Pipedrive company ID
+ * @param {string|number} identity.userId - Pipedrive user ID
+ * @returns {{sessionToken: string, expiresAt: number}} Token and its expiry (ms since epoch)
+ */
+export const issueSessionToken = ({ companyId, userId }) => {
+    const now = Math.floor(Date.now() / 1000);
+    const exp = now + getSessionTtlSeconds();
+    const sessionToken = signJwt({
+        iss: SESSION_TOKEN_ISSUER,
+        typ: 'session',
+        companyId: String(companyId),
+        userId: String(userId),
+        iat: now,
+        exp
+    }, getSessionSecret());
+
+    return { sessionToken, expiresAt: exp * 1000 };
+};
+
+/**
+ * Verifies a session token previously issued by {@link issueSessionToken}.
+ *
+ * @param {string} token - Session token
+ * @returns {{companyId: string, userId: string}} Verified identity
+ * @throws {Error} If the token is not a valid session token
+ */
+export const verifySessionToken = (token) => {
+    const claims = verifyJwt(token, getSessionSecret());
+    if (claims.iss !== SESSION_TOKEN_ISSUER || claims.typ !== 'session') {
+        throw new Error('Token is not a session token');
+    }
+    return { companyId: claims.companyId, userId: claims.userId };
+};
+
+/**
+ * Verifies a JWT sent by Pipedrive with an App Extension request.
+ *
+ * @param {string} token - Pipedrive-signed JWT
+ * @returns {{companyId: string, userId: string}} Verified identity
+ * @throws {Error} If the token is invalid or does not carry company and user claims
+ */
+export const verifyPipedriveToken = (token) => {
+    const claims = verifyJwt(token, getPipedriveJwtSecret());
+    if (claims.companyId === undefined || claims.userId === undefined) {
+        throw new Error('Token is missing companyId or userId claims');
+    }
+    return { companyId: String(claims.companyId), userId: String(claims.userId) };
+};
+
+/**
+ * Reads a bearer token from the Authorization header.
+ * @param {Object} req - Express request object
+ * @returns {string|null}
+ */
+const getBearerToken = (req) => {
+    const header = req.headers?.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+};
+
+/**
+ * Collects every company ID the caller supplied in the body or query string.
+ * @param {Object} req - Express request object
+ * @returns {string[]}
+ */
+const getRequestedCompanyIds = (req) => [
+    req.body?.companyId, req.query?.companyId,
+    req.body?.pipedriveCompanyId, req.query?.pipedriveCompanyId
+].filter(value => value !== undefined && value !== null && value !== '').map(String);
+
+/**
+ * Sends a signed-identity failure response.
+ */
+const rejectIdentity = (res, statusCode, error) => res.status(statusCode).json({
+    success: false,
+    error,
+    authRequired: true,
+    authType: 'pipedrive-signature'
+});
+
+/**
+ * Middleware that requires a verified Pipedrive identity on the request.
+ * Accepts either the Pipedrive App Extension JWT (`token` query parameter) or a
+ * session token issued by this server (`Authorization: Bearer <token>`).
+ * On success attaches `req.pipedriveIdentity = { companyId, userId, source }`,
+ * which `requirePipedriveAuth` and the Xero auth middleware use in place of
+ * request parameters. Must run before `requirePipedriveAuth`.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void} Calls next() if the identity is verified, otherwise returns 401/403
+ */
+export const requirePipedriveSignature = (req, res, next) => {
+    const bearerToken = getBearerToken(req);
+    const pipedriveToken = req.query?.token;
+
+    if (!bearerToken && !pipedriveToken) {
+        logger.warn('Rejected request without signed Pipedrive identity', {
+            path: req.originalUrl || req.url
+        });
+        return rejectIdentity(res, 401, 'Signed Pipedrive identity is required');
+    }
+
+    let identity;
+    try {
+        identity = bearerToken
+            ? { ...verifySessionToken(bearerToken), source: 'session' }
+            : { ...verifyPipedriveToken(pipedriveToken), source: 'pipedrive-jwt' };
+    } catch (error) {
+        logger.warn('Rejected request with invalid Pipedrive identity token', {
+            path: req.originalUrl || req.url,
+            error: error.message
+        });
+        return rejectIdentity(res, 401, `Invalid identity token: ${error.message}`);
+    }
+
+    const mismatched = getRequestedCompanyIds(req).find(id => id !== identity.companyId);
+    if (mismatched) {
+        logger.warn('Requested company does not match signed identity', {
+            requestedCompanyId: mismatched,
+            verifiedCompanyId: identity.companyId,
+            userId: identity.userId
+        });
+        return rejectIdentity(res, 403, 'Requested company does not match the signed Pipedrive identity');
+    }
+
+    req.pipedriveIdentity = identity;
+    next();
+};
@@ -0,0 +1,37 @@
+/**
+ * Migration 1.0.0: Initial schema setup with validation
+ *
+ * @module migrations/1.0.0-initial-schema
+ */
+
+import { ensureCollection } from '../models/mongoSchemas.js';
+
+export const version = '1.0.0';
+export const description = 'Initial schema setup with validation';
+export const createdAt = new Date('2025-06-03');
+
+const COLLECTIONS = ['project_sequences', 'deal_project_mappings'];
+
+export async function up(db, { dryRun = false } = {}) {
+  const changes = [];
+
+  // Ensure collections exist with proper schemas
+  for (const name of COLLECTIONS) {
+    const exists = (await db.listCollections({ name }).toArray()).length > 0;
+    changes.push({ collection: name, description: exists ? 'Update validator and indexes' : 'Create with validator and indexes', count: 1 });
+    if (!dryRun) {
+      await ensureCollection(db, name);
+    }
+  }
+
+  if (!dryRun) {
+    console.log('✅ Initial collections and schemas created');
+  }
+  return changes;
+}
+
+export async function down() {
+  // Note: Be very careful with destructive operations
+  console.log('⚠️ Rollback for initial schema - no action needed');
+  return [];
+}
@@ -0,0 +1,41 @@
+/**
+ * Migration 1.1.0: Add timestamps to existing project sequences
+ *
+ * @module migrations/1.1.0-project-sequence-timestamps
+ */
+
+export const version = '1.1.0';
+export const description = 'Add timestamps to existing project sequences';
+export const createdAt = new Date('2025-06-03');
+
+export async function up(db, { dryRun = false } = {}) {
+  const collection = db.collection('project_sequences');
+  const filter = { createdAt: { $exists: false } };
+
+  if (dryRun) {
+    const count = await collection.countDocuments(filter);
+    return [{ collection: 'project_sequences', description: 'Add createdAt', count }];
+  }
+
+  // Add createdAt timestamp to existing documents that don't have it
+  const result = await collection.updateMany(filter, { $set: { createdAt: new Date() } });
+
+  console.log(`✅ Added timestamps to ${result.modifiedCount} project sequences`);
+  return [{ collection: 'project_sequences', description: 'Add createdAt', count: result.modifiedCount }];
+}
+
+export async function down(db, { dryRun = false } = {}) {
+  const collection = db.collection('project_sequences');
+  const filter = { createdAt: { $exists: true } };
+
+  if (dryRun) {
+    const count = await collection.countDocuments(filter);
+    return [{ collection: 'project_sequences', description: 'Remove createdAt', count }];
+  }
+
+  // Remove createdAt field from all documents
+  const result = await collection.updateMany(filter, { $unset: { createdAt: '' } });
+
+  console.log(`✅ Removed timestamps from ${result.modifiedCount} project sequences`);
+  return [{ collection: 'project_sequences', description: 'Remove createdAt', count: result.modifiedCount }];
+}
@@ -0,0 +1,40 @@
+/**
+ * Migration 1.2.0: Normalize project number format validation
+ *
+ * Reports project numbers that do not match the format they were generated
+ * with. It changes nothing; migration 1.5.0 fixes the numbers it can.
+ *
+ * @module migrations/1.2.0-validate-project-numbers
+ */
+
+import { validateProjectNumber } from '../utils/projectNumberUtils.js';
+
+export const version = '1.2.0';
+export const description = 'Normalize project number format validation';
+export const createdAt = new Date('2025-06-03');
+
+export async function up(db) {
+  const collection = db.collection('deal_project_mappings');
+
+  // Mappings created before formats were configurable use the default format (DPTYYSSS)
+  const mappings = await collection
+    .find({}, { projection: { projectNumber: 1, numberFormat: 1 } })
+    .toArray();
+  const invalidMappings = mappings.filter(mapping => !validateProjectNumber(mapping.projectNumber, mapping.numberFormat));
+
+  if (invalidMappings.length > 0) {
+    console.log(`⚠️ Found ${invalidMappings.length} invalid project numbers`);
+    for (const mapping of invalidMappings) {
+      console.log(`Invalid project number: ${mapping.projectNumber}`);
+    }
+  } else {
+    console.log('✅ All project numbers are valid');
+  }
+
+  return [{ collection: 'deal_project_mappings', description: 'Report invalid project numbers (no changes)', count: invalidMappings.length }];
+}
+
+export async function down() {
+  console.log('✅ No rollback needed for project number validation');
+  return [];
+}
@@ -0,0 +1,71 @@
+/**
+ * Migration 1.3.0: Seed company configs from environment variables
+ *
+ * Creates a configuration from the environment variables for every company
+ * with stored tokens. Companies that already have a config keep it.
+ *
+ * @module migrations/1.3.0-seed-company-configs
+ */
+
+import { ensureCollection } from '../models/mongoSchemas.js';
+import { getDefaultCompanyConfig } from '../services/configService.js';
+
+export const version = '1.3.0';
+export const description = 'Seed company configs from environment variables';
+export const createdAt = new Date('2026-10-19');
+
+/** Configs created by this migration and never changed afterwards */
+const SEEDED_FILTER = {
+  seededFromEnvironment: true,
+  $expr: { $eq: ['$createdAt', '$updatedAt'] }
+};
+
+export async function up(db, { dryRun = false } = {}) {
+  const companyIds = await db.collection('auth_tokens').distinct('companyId');
+
+  if (dryRun) {
+    const configured = new Set(await db.collection('company_configs').distinct('companyId'));
+    const count = companyIds.filter(companyId => !configured.has(String(companyId))).length;
+    return [{ collection: 'company_configs', description: 'Seed config from environment variables', count }];
+  }
+
+  const collection = await ensureCollection(db, 'company_configs');
+  const config = getDefaultCompanyConfig();
+  const now = new Date();
+  let seeded = 0;
+
+  for (const companyId of companyIds) {
+    const result = await collection.updateOne(
+      { companyId: String(companyId) },
+      {
+        $setOnInsert: {
+          config,
+          name: null,
+          isActive: true,
+          seededFromEnvironment: true,
+          createdAt: now,
+          updatedAt: now
+        }
+      },
+      { upsert: true }
+    );
+    seeded += result.upsertedCount;
+  }
+
+  console.log(`✅ Seeded config for ${seeded} of ${companyIds.length} companies`);
+  return [{ collection: 'company_configs', description: 'Seed config from environment variables', count: seeded }];
+}
+
+export async function down(db, { dryRun = false } = {}) {
+  const collection = db.collection('company_configs');
+
+  if (dryRun) {
+    const count = await collection.countDocuments(SEEDED_FILTER);
+    return [{ collection: 'company_configs', description: 'Remove unchanged seeded configs', count }];
+  }
+
+  const result = await collection.deleteMany(SEEDED_FILTER);
+
+  console.log(`✅ Removed ${result.deletedCount} seeded company configs`);
+  return [{ collection: 'company_configs', description: 'Remove unchanged seeded configs', count: result.deletedCount }];
+}
@@ -0,0 +1,113 @@
+/**
+ * Migration 1.4.0: Scope project sequences and deal mappings per company
+ *
+ * Drops the indexes that made project numbers unique across all companies and
+ * assigns existing sequences and mappings to the company the app was installed
+ * for: PROJECT_DATA_COMPANY_ID, or the only company with stored tokens.
+ *
+ * @module migrations/1.4.0-scope-project-data-per-company
+ */
+
+import { ensureCollection } from '../models/mongoSchemas.js';
+
+export const version = '1.4.0';
+export const description = 'Scope project sequences and deal mappings per company';
+export const createdAt = new Date('2026-10-19');
+
+/** Indexes that made numbers unique across all companies */
+const LEGACY_INDEXES = {
+  project_sequences: ['department_year_unique'],
+  deal_project_mappings: ['project_number_unique', 'pipedrive_deal_ids_index', 'department_year_index']
+};
+
+const UNSCOPED = { companyId: { $exists: false } };
+
+/**
+ * Lists the legacy indexes still present on a collection
+ *
+ * @param {Collection} collection - MongoDB collection
+ * @returns {Promise<string[]>} Index names
+ */
+async function findLegacyIndexes(collection) {
+  try {
+    const names = (await collection.indexes()).map(index => index.name);
+    return LEGACY_INDEXES[collection.collectionName].filter(name => names.includes(name));
+  } catch (error) {
+    if (error.codeName === 'NamespaceNotFound') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Finds the company that owns project data created before it was scoped
+ *
+ * @param {Db} db - MongoDB database instance
+ * @param {number} unscopedCount - Number of unscoped documents, for the error message
+ * @returns {Promise<string>} Company ID
+ * @throws {Error} When several companies have tokens and PROJECT_DATA_COMPANY_ID is not set
+ */
+async function resolveOwnerCompanyId(db, unscopedCount) {
+  if (process.env.PROJECT_DATA_COMPANY_ID) {
+    return String(process.env.PROJECT_DATA_COMPANY_ID);
+  }
+
+  const companyIds = await db.collection('auth_tokens').distinct('companyId');
+  if (companyIds.length !== 1) {
+    throw new Error(
+      `Cannot tell which company owns ${unscopedCount} existing project sequences and mappings ` +
+      `(${companyIds.length} companies have tokens). Set PROJECT_DATA_COMPANY_ID and run the migration again.`
+    );
+  }
+  return String(companyIds[0]);
+}
+
+export async function up(db, { dryRun = false } = {}) {
+  const sequences = db.collection('project_sequences');
+  const mappings = db.collection('deal_project_mappings');
+  const changes = [];
+
+  for (const collection of [sequences, mappings]) {
+    const legacyIndexes = await findLegacyIndexes(collection);
+    if (legacyIndexes.length > 0) {
+      changes.push({ collection: collection.collectionName, description: `Drop indexes ${legacyIndexes.join(', ')}`, count: legacyIndexes.length });
+    }
+    if (!dryRun) {
+      for (const indexName of legacyIndexes) {
+        await collection.dropIndex(indexName);
+      }
+    }
+  }
+
+  const unscopedSequences = await sequences.countDocuments(UNSCOPED);
+  const unscopedMappings = await mappings.countDocuments(UNSCOPED);
+  if (unscopedSequences + unscopedMappings > 0) {
+    // Existing numbers belong to the company this app was installed for
+    const companyId = await resolveOwnerCompanyId(db, unscopedSequences + unscopedMappings);
+    changes.push(
+      { collection: 'project_sequences', description: `Assign to company ${companyId}`, count: unscopedSequences },
+      { collection: 'deal_project_mappings', description: `Assign to company ${companyId}`, count: unscopedMappings }
+    );
+
+    if (!dryRun) {
+      await sequences.updateMany(UNSCOPED, { $set: { companyId } });
+      await mappings.updateMany(UNSCOPED, { $set: { companyId } });
+      console.log(`✅ Assigned ${unscopedSequences} project sequences and ${unscopedMappings} deal mappings to company ${companyId}`);
+    }
+  }
+
+  if (!dryRun) {
+    // Apply the company-scoped validators and indexes
+    await ensureCollection(db, 'project_sequences');
+    await ensureCollection(db, 'deal_project_mappings');
+    console.log('✅ Project sequences and deal mappings are scoped per company');
+  }
+  return changes;
+}
+
+export async function down() {
+  // Numbers are only unique per company now, so the global indexes cannot be restored safely
+  console.log('⚠️ Rollback for company scoping - company IDs and indexes are kept');
+  return [];
+}
@@ -0,0 +1,84 @@
+/**
+ * Migration 1.5.0: Normalize project numbers that do not match their format
+ *
+ * Fixes the project numbers migration 1.2.0 reports when the only problem is
+ * case or surrounding whitespace (e.g. ' ny25001'). The original number is kept
+ * in `normalizedFrom` so the migration can be rolled back. Numbers that are
+ * still invalid after normalizing, or that would collide with another project
+ * of the same company, are left unchanged and reported. Project numbers already
+ * written to Pipedrive deals are not updated.
+ *
+ * @module migrations/1.5.0-normalize-project-numbers
+ */
+
+import { validateProjectNumber } from '../utils/projectNumberUtils.js';
+
+export const version = '1.5.0';
+export const description = 'Normalize project numbers that do not match their format';
+export const createdAt = new Date('2026-10-19');
+
+export async function up(db, { dryRun = false } = {}) {
+  const collection = db.collection('deal_project_mappings');
+  const mappings = await collection
+    .find({}, { projection: { companyId: 1, projectNumber: 1, numberFormat: 1 } })
+    .toArray();
+
+  const taken = new Set(mappings.map(mapping => `${mapping.companyId}:${mapping.projectNumber}`));
+  const fixes = [];
+  const unfixable = [];
+
+  for (const mapping of mappings) {
+    if (validateProjectNumber(mapping.projectNumber, mapping.numberFormat)) {
+      continue;
+    }
+
+    const normalized = typeof mapping.projectNumber === 'string' ? mapping.projectNumber.trim().toUpperCase() : null;
+    const key = `${mapping.companyId}:${normalized}`;
+    if (normalized && validateProjectNumber(normalized, mapping.numberFormat) && !taken.has(key)) {
+      taken.add(key);
+      fixes.push({ mapping, normalized });
+    } else {
+      unfixable.push(mapping);
+    }
+  }
+
+  for (const mapping of unfixable) {
+    console.log(`⚠️ Cannot normalize project number ${mapping.projectNumber} of company ${mapping.companyId}`);
+  }
+
+  if (!dryRun) {
+    const now = new Date();
+    for (const { mapping, normalized } of fixes) {
+      await collection.updateOne(
+        { _id: mapping._id },
+        { $set: { projectNumber: normalized, normalizedFrom: mapping.projectNumber, lastUpdatedAt: now } }
+      );
+    }
+    console.log(`✅ Normalized ${fixes.length} project numbers, ${unfixable.length} need manual review`);
+  }
+
+  return [
+    { collection: 'deal_project_mappings', description: 'Normalize project number', count: fixes.length },
+    { collection: 'deal_project_mappings', description: 'Leave invalid project number for manual review', count: unfixable.length }
+  ];
+}
+
+export async function down(db, { dryRun = false } = {}) {
+  const collection = db.collection('deal_project_mappings');
+  const filter = { normalizedFrom: { $exists: true } };
+
+  if (dryRun) {
+    const count = await collection.countDocuments(filter);
+    return [{ collection: 'deal_project_mappings', description: 'Restore original project number', count }];
+  }
+
+  // The original numbers do not pass the schema validator
+  const result = await collection.updateMany(
+    filter,
+    [{ $set: { projectNumber: '$normalizedFrom', lastUpdatedAt: '$$NOW' } }, { $unset: 'normalizedFrom' }],
+    { bypassDocumentValidation: true }
+  );
+
+  console.log(`✅ Restored ${result.modifiedCount} original project numbers`);
+  return [{ collection: 'deal_project_mappings', description: 'Restore original project number', count: result.modifiedCount }];
+}
@@ -0,0 +1,41 @@
+/**
+ * Migration 1.6.0: Remove OAuth client secrets from company configs
+ *
+ * Earlier versions copied CLIENT_SECRET and XERO_CLIENT_SECRET into each
+ * company's config, where they were stored in plaintext. The secrets are only
+ * read from the environment now, so the stored copies are removed. The config
+ * history never held them (changes to secrets were recorded redacted).
+ *
+ * @module migrations/1.6.0-remove-config-client-secrets
+ */
+
+export const version = '1.6.0';
+export const description = 'Remove OAuth client secrets from company configs';
+export const createdAt = new Date('2026-10-19');
+
+const SECRET_PATHS = ['config.pipedrive.clientSecret', 'config.xero.clientSecret'];
+
+const WITH_SECRET_FILTER = { $or: SECRET_PATHS.map(path => ({ [path]: { $exists: true } })) };
+
+export async function up(db, { dryRun = false } = {}) {
+  const collection = db.collection('company_configs');
+
+  if (dryRun) {
+    const count = await collection.countDocuments(WITH_SECRET_FILTER);
+    return [{ collection: 'company_configs', description: 'Remove stored client secrets', count }];
+  }
+
+  const result = await collection.updateMany(
+    WITH_SECRET_FILTER,
+    { $unset: Object.fromEntries(SECRET_PATHS.map(path => [path, ''])) }
+  );
+
+  console.log(`✅ Removed client secrets from ${result.modifiedCount} company configs`);
+  return [{ collection: 'company_configs', description: 'Remove stored client secrets', count: result.modifiedCount }];
+}
+
+export async function down() {
+  // The secrets were copies of the environment variables, which still hold them
+  console.log('✅ No rollback needed for client secret removal');
+  return [];
+}
@@ -0,0 +1,71 @@
+/**
+ * Audit Event Data Access Object (DAO)
+ *
+ * This module provides data access methods for the audit log of writes made to
+ * Xero and Pipedrive. The log is append-only, so there are no update or delete
+ * methods.
+ *
+ * @module models/auditEventDao
+ */
+
+import { withDatabase } from '../services/mongoService.js';
+import { ensureCollection } from './mongoSchemas.js';
+
+/**
+ * Records an audit event
+ *
+ * @param {Object} event - Audit event (see AuditEventSchema)
+ * @returns {Promise<Object>} The saved event
+ */
+export async function insertAuditEvent(event) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'audit_events');
+    const result = await collection.insertOne(event);
+    return { _id: result.insertedId, ...event };
+  });
+}
+
+/**
+ * Finds a company's audit events
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.dealId] - Pipedrive deal ID
+ * @param {string} [filters.projectNumber] - Project number
+ * @param {string[]} [filters.projectDealIds] - Deals linked to the project number; their events
+ *   match too, including those recorded before the project existed
+ * @param {string} [filters.userId] - Pipedrive user ID
+ * @param {Date} [filters.from] - Earliest event time (inclusive)
+ * @param {Date} [filters.to] - Latest event time (inclusive)
+ * @param {number} [limit=50] - Maximum number of events
+ * @returns {Promise<Array<Object>>} Events, newest first
+ */
+export async function findAuditEvents(companyId, { dealId, projectNumber, projectDealIds = [], userId, from, to } = {}, limit = 50) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'audit_events');
+    const query = { companyId: String(companyId) };
+    if (dealId) {
+      query.dealId = String(dealId);
+    }
+    if (projectNumber) {
+      query.$or = [
+        { projectNumber },
+        ...(projectDealIds.length > 0 ? [{ dealId: { $in: projectDealIds.map(String) } }] : [])
+      ];
+    }
+    if (userId) {
+      query.userId = String(userId);
+    }
+    if (from || to) {
+      query.createdAt = {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to })
+      };
+    }
+    return await collection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+  });
+}
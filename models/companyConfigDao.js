@@ -0,0 +1,68 @@
+/**
+ * Company Config Data Access Object (DAO)
+ *
+ * This module provides data access methods for per-company configuration
+ * (provider app settings, frontend URL and Pipedrive custom field keys).
+ *
+ * @module models/companyConfigDao
+ */
+
+import { withDatabase } from '../services/mongoService.js';
+import { ensureCollection } from './mongoSchemas.js';
+
+/**
+ * Gets the active configuration for a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<Object|null>} Config document or null if the company has none
+ */
+export async function findCompanyConfig(companyId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'company_configs');
+    return await collection.findOne({ companyId: String(companyId), isActive: true });
+  });
+}
+
+/**
+ * Creates or replaces the configuration for a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {Object} config - Configuration sections
+ * @param {Object} [options] - Options
+ * @param {string} [options.name] - Company name, set when given
+ * @returns {Promise<Object>} The saved config document
+ */
+export async function upsertCompanyConfig(companyId, config, { name } = {}) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'company_configs');
+    const now = new Date();
+    const result = await collection.findOneAndUpdate(
+      { companyId: String(companyId) },
+      {
+        $set: {
+          config,
+          isActive: true,
+          updatedAt: now,
+          ...(name !== undefined && { name })
+        },
+        $setOnInsert: { createdAt: now }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return result;
+  });
+}
+
+/**
+ * Deletes the configuration for a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<boolean>} True if a configuration was deleted
+ */
+export async function deleteCompanyConfig(companyId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'company_configs');
+    const result = await collection.deleteOne({ companyId: String(companyId) });
+    return result.deletedCount > 0;
+  });
+}
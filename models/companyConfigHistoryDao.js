@@ -0,0 +1,70 @@
+/**
+ * Company Config History Data Access Object (DAO)
+ *
+ * This module provides data access methods for the record of changes made to a
+ * company's configuration.
+ *
+ * @module models/companyConfigHistoryDao
+ */
+
+import { withDatabase } from '../services/mongoService.js';
+import { ensureCollection } from './mongoSchemas.js';
+
+/**
+ * Records a configuration change
+ *
+ * @param {Object} entry - History entry
+ * @param {string} entry.companyId - Pipedrive company ID
+ * @param {string} entry.action - 'patch' or 'reset'
+ * @param {string[]} entry.sections - Config sections touched by the change
+ * @param {Array<Object>} entry.changes - Changed values ({ path, before, after })
+ * @param {Object|null} entry.changedBy - Acting user ({ userId, name })
+ * @returns {Promise<Object>} The saved entry
+ */
+export async function insertConfigHistory({ companyId, action, sections, changes, changedBy }) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'company_config_history');
+    const entry = {
+      companyId: String(companyId),
+      action,
+      sections,
+      changes,
+      changedBy: changedBy || null,
+      changedAt: new Date()
+    };
+    const result = await collection.insertOne(entry);
+    return { _id: result.insertedId, ...entry };
+  });
+}
+
+/**
+ * Gets the most recent configuration changes for a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {number} [limit=50] - Maximum number of entries
+ * @returns {Promise<Array<Object>>} Entries, newest first
+ */
+export async function findConfigHistory(companyId, limit = 50) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'company_config_history');
+    return await collection
+      .find({ companyId: String(companyId) })
+      .sort({ changedAt: -1 })
+      .limit(limit)
+      .toArray();
+  });
+}
+
+/**
+ * Deletes all configuration history for a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<number>} Number of entries deleted
+ */
+export async function deleteConfigHistoryByCompany(companyId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'company_config_history');
+    const result = await collection.deleteMany({ companyId: String(companyId) });
+    return result.deletedCount;
+  });
+}
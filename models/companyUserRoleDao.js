@@ -0,0 +1,99 @@
+/**
+ * Company User Role Data Access Object (DAO)
+ *
+ * This module provides data access methods for the roles assigned to Pipedrive
+ * users within a company.
+ *
+ * @module models/companyUserRoleDao
+ */
+
+import { withDatabase } from '../services/mongoService.js';
+import { ensureCollection } from './mongoSchemas.js';
+
+/**
+ * Gets the role assignment for a user
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} userId - Pipedrive user ID
+ * @returns {Promise<Object|null>} Assignment or null if the user has none
+ */
+export async function findUserRoles(companyId, userId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'company_user_roles');
+    return await collection.findOne({ companyId: String(companyId), userId: String(userId) });
+  });
+}
+
+/**
+ * Gets all role assignments for a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<Array<Object>>} Assignments sorted by user ID
+ */
+export async function findUserRolesByCompany(companyId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'company_user_roles');
+    return await collection
+      .find({ companyId: String(companyId) })
+      .sort({ userId: 1 })
+      .toArray();
+  });
+}
+
+/**
+ * Creates or replaces the role assignment for a user
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} userId - Pipedrive user ID
+ * @param {string[]} roles - Roles to assign
+ * @param {string|null} assignedBy - Pipedrive user ID making the change
+ * @returns {Promise<Object>} The saved assignment
+ */
+export async function upsertUserRoles(companyId, userId, roles, assignedBy = null) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'company_user_roles');
+    const now = new Date();
+    const result = await collection.findOneAndUpdate(
+      { companyId: String(companyId), userId: String(userId) },
+      {
+        $set: {
+          roles,
+          assignedBy: assignedBy === null ? null : String(assignedBy),
+          updatedAt: now
+        },
+        $setOnInsert: { createdAt: now }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return result;
+  });
+}
+
+/**
+ * Deletes the role assignment for a user
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} userId - Pipedrive user ID
+ * @returns {Promise<boolean>} True if an assignment was deleted
+ */
+export async function deleteUserRoles(companyId, userId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'company_user_roles');
+    const result = await collection.deleteOne({ companyId: String(companyId), userId: String(userId) });
+    return result.deletedCount > 0;
+  });
+}
+
+/**
+ * Deletes all role assignments for a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<number>} Number of assignments deleted
+ */
+export async function deleteUserRolesByCompany(companyId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'company_user_roles');
+    const result = await collection.deleteMany({ companyId: String(companyId) });
+    return result.deletedCount;
+  });
+}
@@ -15,8 +15,24 @@
  * @module models/databaseHealthDao
  */
 
-import { withDatabase } from '../services/mongoService.js';
+import { withDatabase, getPoolMetrics } from '../services/mongoService.js';
 import { ensureCollection } from './mongoSchemas.js';
+import { validateProjectNumber } from '../utils/projectNumberUtils.js';
+import { getFiscalYear, resolveFiscalYearSettings } from '../utils/fiscalYearUtils.js';
+
+/**
+ * Finds project mappings whose number does not match the format it was
+ * generated with (the DPTYYSSS default for mappings without numberFormat)
+ * 
+ * @param {Collection} collection - The deal_project_mappings collection
+ * @returns {Promise<Array>} Mappings with an invalid project number
+ */
+async function findInvalidProjectNumberMappings(collection) {
+  const mappings = await collection
+    .find({}, { projection: { projectNumber: 1, numberFormat: 1 } })
+    .toArray();
+  return mappings.filter(mapping => !validateProjectNumber(mapping.projectNumber, mapping.numberFormat));
+}
 
 /**
  * Gets comprehensive database health information
@@ -30,7 +46,8 @@ export async function getDatabaseHealth() {
       server: {},
       database: {},
       collections: {},
-      performance: {}
+      performance: {},
+      pool: {}
     };
 
     try {
@@ -72,6 +89,9 @@ export async function getDatabaseHealth() {
       // Performance metrics
       healthData.performance = await getPerformanceMetrics(db);
 
+      // Shared client connection pool
+      healthData.pool = getPoolMetrics();
+
       return healthData;
     } catch (error) {
       console.error('Error collecting database health data:', error);
@@ -187,9 +207,7 @@ export async function validateDataConsistency() {
     try {
       // Check for orphaned project mappings (invalid project number format)
       const mappingsCollection = await ensureCollection(db, 'deal_project_mappings');
-      const invalidMappings = await mappingsCollection.find({
-        projectNumber: { $not: /^[A-Z]{2}[0-9]{2}[0-9]{3}$/ }
-      }).toArray();
+      const invalidMappings = await findInvalidProjectNumberMappings(mappingsCollection);
 
       validationResults.summary.invalidProjectNumbers = invalidMappings.length;
       if (invalidMappings.length > 0) {
@@ -221,17 +239,17 @@ export async function validateDataConsistency() {
       const sequencesCollection = await ensureCollection(db, 'project_sequences');
       const allSequences = await sequencesCollection.find().toArray();
       
-      // Validate that each department/year has a corresponding sequence
+      // Validate that each company's department/year has a corresponding sequence
       const allMappings = await mappingsCollection.find().toArray();
       const usedDepartmentYears = new Set();
       
       allMappings.forEach(mapping => {
-        usedDepartmentYears.add(`${mapping.departmentCode}-${mapping.year}`);
+        usedDepartmentYears.add(`${mapping.companyId}:${mapping.departmentCode}-${mapping.year}`);
       });
 
       const existingSequenceKeys = new Set();
       allSequences.forEach(seq => {
-        existingSequenceKeys.add(`${seq.departmentCode}-${seq.year}`);
+        existingSequenceKeys.add(`${seq.companyId}:${seq.departmentCode}-${seq.year}`);
       });
 
       const missingSequences = [...usedDepartmentYears].filter(
@@ -319,14 +337,12 @@ export async function performDatabaseCleanup(options = {}) {
         const mappingsCollection = await ensureCollection(db, 'deal_project_mappings');
         
         // Find invalid project numbers
-        const invalidMappings = await mappingsCollection.find({
-          projectNumber: { $not: /^[A-Z]{2}[0-9]{2}[0-9]{3}$/ }
-        }).toArray();
+        const invalidMappings = await findInvalidProjectNumberMappings(mappingsCollection);
 
         if (invalidMappings.length > 0) {
           if (!dryRun) {
             const deleteResult = await mappingsCollection.deleteMany({
-              projectNumber: { $not: /^[A-Z]{2}[0-9]{2}[0-9]{3}$/ }
+              _id: { $in: invalidMappings.map(m => m._id) }
             });
             
             cleanupResults.actions.push({
@@ -358,10 +374,15 @@ export async function performDatabaseCleanup(options = {}) {
  * 
  * @param {Object} options - Analytics options
  * @param {number} [options.days=30] - Number of days to analyze
+ * @param {string} [options.companyId] - Only count this company's projects; all companies when omitted
+ * @param {Object} [options.fiscalYear] - Fiscal year settings ({ startMonth, timezone }) for
+ *   daily dates and the current year's statistics; the calendar year in UTC when omitted
  * @returns {Promise<Object>} Analytics data
  */
 export async function getProjectAnalytics(options = {}) {
-  const { days = 30 } = options;
+  const { days = 30, companyId } = options;
+  const fiscalYear = resolveFiscalYearSettings(options.fiscalYear);
+  const companyScope = companyId ? { companyId: String(companyId) } : {};
   
   return withDatabase(async (db) => {
     const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
@@ -371,7 +392,7 @@ export async function getProjectAnalytics(options = {}) {
       
       // Project creation trends by department
       const departmentTrends = await mappingsCollection.aggregate([
-        { $match: { createdAt: { $gte: startDate } } },
+        { $match: { ...companyScope, createdAt: { $gte: startDate } } },
         {
           $group: {
             _id: '$departmentCode',
@@ -384,13 +405,13 @@ export async function getProjectAnalytics(options = {}) {
 
       // Daily project creation trends
       const dailyTrends = await mappingsCollection.aggregate([
-        { $match: { createdAt: { $gte: startDate } } },
+        { $match: { ...companyScope, createdAt: { $gte: startDate } } },
         {
           $group: {
             _id: {
-              year: { $year: '$createdAt' },
-              month: { $month: '$createdAt' },
-              day: { $dayOfMonth: '$createdAt' }
+              year: { $year: { date: '$createdAt', timezone: fiscalYear.timezone } },
+              month: { $month: { date: '$createdAt', timezone: fiscalYear.timezone } },
+              day: { $dayOfMonth: { date: '$createdAt', timezone: fiscalYear.timezone } }
             },
             count: { $sum: 1 }
           }
@@ -398,10 +419,11 @@ export async function getProjectAnalytics(options = {}) {
         { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
       ]).toArray();
 
-      // Current year statistics
-      const currentYear = new Date().getFullYear() % 100;
+      // Current fiscal year statistics; mappings store the fiscal year they were numbered in
+      const currentFiscalYear = getFiscalYear(new Date(), fiscalYear);
+      const currentYear = currentFiscalYear % 100;
       const currentYearStats = await mappingsCollection.aggregate([
-        { $match: { year: currentYear } },
+        { $match: { ...companyScope, year: currentYear } },
         {
           $group: {
             _id: '$departmentCode',
@@ -425,6 +447,11 @@ export async function getProjectAnalytics(options = {}) {
           count: trend.count
         })),
         currentYearStats,
+        fiscalYear: {
+          year: currentFiscalYear,
+          startMonth: fiscalYear.startMonth,
+          timezone: fiscalYear.timezone
+        },
         summary: {
           totalProjects: departmentTrends.reduce((sum, dept) => sum + dept.count, 0),
           activeDepartments: departmentTrends.length,
@@ -0,0 +1,85 @@
+/**
+ * Department Data Access Object (DAO)
+ *
+ * This module provides data access methods for a company's departments and
+ * their project number codes.
+ *
+ * @module models/departmentDao
+ */
+
+import { withDatabase } from '../services/mongoService.js';
+import { ensureCollection } from './mongoSchemas.js';
+
+/**
+ * Gets all departments of a company, active or not
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<Array<Object>>} Departments sorted by code
+ */
+export async function findDepartmentsByCompany(companyId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'departments');
+    return await collection
+      .find({ companyId: String(companyId) })
+      .sort({ code: 1 })
+      .toArray();
+  });
+}
+
+/**
+ * Creates departments for a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {Array<Object>} departments - Departments ({ name, code, aliases, isActive })
+ * @returns {Promise<Array<Object>>} The created departments
+ */
+export async function insertDepartments(companyId, departments) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'departments');
+    const now = new Date();
+    const documents = departments.map(department => ({
+      companyId: String(companyId),
+      name: department.name,
+      code: department.code,
+      aliases: department.aliases || [],
+      isActive: department.isActive !== false,
+      createdAt: now,
+      updatedAt: now
+    }));
+    await collection.insertMany(documents);
+    return documents;
+  });
+}
+
+/**
+ * Updates a department by its code
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} code - 2-letter department code
+ * @param {Object} updates - Fields to set (name, aliases, isActive)
+ * @returns {Promise<Object|null>} The updated department or null if not found
+ */
+export async function updateDepartment(companyId, code, updates) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'departments');
+    return await collection.findOneAndUpdate(
+      { companyId: String(companyId), code },
+      { $set: { ...updates, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+  });
+}
+
+/**
+ * Deletes all departments of a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<number>} Number of departments deleted
+ */
+export async function deleteDepartmentsByCompany(companyId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'departments');
+    const result = await collection.deleteMany({ companyId: String(companyId) });
+    return result.deletedCount;
+  });
+}
@@ -0,0 +1,70 @@
+/**
+ * Migration Lock Data Access Object (DAO)
+ *
+ * This module stores lease-based locks that make sure only one instance runs or
+ * rolls back a given migration at a time. The holder renews its lease while the
+ * migration runs; a lease that is not released (for example because its holder
+ * crashed) lapses at `expiresAt` and can then be taken over.
+ *
+ * @module models/migrationLockDao
+ */
+
+import { withDatabase } from '../services/mongoService.js';
+import { ensureCollection } from './mongoSchemas.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Tries to take or renew the lock of a migration. Succeeds if no lock exists,
+ * the existing lease has lapsed, or the caller already owns it.
+ *
+ * @param {string} version - Migration version
+ * @param {string} owner - Unique owner for this run
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<boolean>} True if the lock is now held by the caller
+ */
+export async function acquireMigrationLock(version, owner, leaseMs) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'migration_locks');
+    const now = new Date();
+
+    try {
+      const lock = await collection.findOneAndUpdate(
+        {
+          _id: version,
+          $or: [{ expiresAt: { $lte: now } }, { owner }]
+        },
+        {
+          $set: {
+            owner,
+            acquiredAt: now,
+            expiresAt: new Date(now.getTime() + leaseMs)
+          }
+        },
+        { upsert: true, returnDocument: 'after' }
+      );
+      return lock?.owner === owner;
+    } catch (error) {
+      // The upsert collided with a live lease held by someone else
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        return false;
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * Releases the lock of a migration if the caller still owns it
+ *
+ * @param {string} version - Migration version
+ * @param {string} owner - Owner that acquired the lock
+ * @returns {Promise<boolean>} True if the lock was released
+ */
+export async function releaseMigrationLock(version, owner) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'migration_locks');
+    const result = await collection.deleteOne({ _id: version, owner });
+    return result.deletedCount > 0;
+  });
+}
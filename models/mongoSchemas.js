@@ -15,16 +15,24 @@
  * - project_sequences: Project numbering and sequencing
  * - deal_project_mappings: Deal-to-project relationships
  * - auth_tokens: Encrypted authentication tokens
+ * - xero_tenant_routes: Department-to-Xero-tenant routing rules
+ * - oauth_states: Short-lived OAuth state (CSRF) and PKCE records
+ * - token_refresh_locks: Lease-based locks that serialise token refreshes across instances
+ * - migration_versions: Applied database migrations and their checksums
+ * - migration_locks: Lease-based locks that stop two instances running a migration at once
+ * - audit_events: Append-only record of every write made to Xero and Pipedrive
  * 
  * @module models/mongoSchemas
  */
 
 import logger from '../lib/logger.js';
+import { PROJECT_NUMBER_STORAGE_PATTERN } from '../utils/projectNumberUtils.js';
 
 /**
  * @typedef {Object} ProjectSequence
+ * @property {string} companyId - Pipedrive company ID the sequence belongs to
  * @property {string} departmentCode - The 2-letter code for the department (e.g., 'NY', 'EL')
- * @property {number} year - The 2-digit year (e.g., 25 for 2025)
+ * @property {number} year - The 2-digit fiscal year (e.g., 25 for the year starting in 2025)
  * @property {number} lastSequenceNumber - The last sequence number used for this department and year
  * @property {Date} [createdAt] - Timestamp when the sequence was initialized
  * @property {ObjectId} [_id] - MongoDB's default unique identifier
@@ -32,12 +40,15 @@ import logger from '../lib/logger.js';
 
 /**
  * @typedef {Object} DealProjectMapping
- * @property {string} projectNumber - The generated unique project number (e.g., 'NY25001')
+ * @property {string} companyId - Pipedrive company ID the project belongs to
+ * @property {string} projectNumber - The generated project number, unique within the company (e.g., 'NY25001')
  * @property {number[]} pipedriveDealIds - Array of Pipedrive deal IDs associated with this project number
  * @property {string} department - The full name of the Pipedrive department for this project
  * @property {string} departmentCode - The 2-letter code for the department
- * @property {number} year - The 2-digit year the project number was generated in
+ * @property {number} year - The 2-digit fiscal year the project number was generated in
  * @property {number} sequence - The sequence number part of the project number
+ * @property {Object} [numberFormat] - The company's project number format when the number was generated
+ * @property {string} [normalizedFrom] - The invalid project number migration 1.5.0 replaced
  * @property {Date} createdAt - Timestamp when the project number was first created
  * @property {Date} lastUpdatedAt - Timestamp when the mapping was last updated
  * @property {ObjectId} [_id] - MongoDB's default unique identifier
@@ -49,12 +60,19 @@ import logger from '../lib/logger.js';
  * @property {string} service - Service name ('pipedrive' or 'xero')
  * @property {string} encryptedAccessToken - Encrypted access token
  * @property {string} encryptedRefreshToken - Encrypted refresh token
+ * @property {string} [encryptionKeyId] - ID of the key the tokens are encrypted with
  * @property {string} apiDomain - API domain for the service
  * @property {string} tenantId - Xero tenant ID (for Xero tokens only)
  * @property {Date} tokenExpiresAt - Token expiration timestamp
  * @property {Date} createdAt - Token creation timestamp
  * @property {Date} lastUsedAt - Last time token was used
  * @property {boolean} isActive - Whether the token is currently active
+ * @property {Date} [lastRefreshAt] - Last successful token refresh
+ * @property {string} [lastRefreshStatus] - Outcome of the last refresh attempt ('success' or 'failed')
+ * @property {string|null} [lastRefreshError] - Error from the last failed refresh
+ * @property {number} [refreshFailureCount] - Consecutive failed refresh attempts
+ * @property {Date|null} [nextRefreshAttemptAt] - When the background refresh may retry after a failure
+ * @property {boolean} [reauthRequired] - Whether the company must re-authenticate this service
  * @property {ObjectId} [_id] - MongoDB's default unique identifier
  */
 
@@ -65,8 +83,13 @@ export const ProjectSequenceSchema = {
   validator: {
     $jsonSchema: {
       bsonType: "object",
-      required: ["departmentCode", "year", "lastSequenceNumber"],
+      required: ["companyId", "departmentCode", "year", "lastSequenceNumber"],
       properties: {
+        companyId: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Pipedrive company ID"
+        },
         departmentCode: {
           bsonType: "string",
           pattern: "^[A-Z]{2}$",
@@ -92,8 +115,8 @@ export const ProjectSequenceSchema = {
   },
   indexes: [
     {
-      key: { departmentCode: 1, year: 1 },
-      options: { unique: true, name: "department_year_unique" }
+      key: { companyId: 1, departmentCode: 1, year: 1 },
+      options: { unique: true, name: "company_department_year_unique" }
     }
   ]
 };
@@ -105,12 +128,17 @@ export const DealProjectMappingSchema = {
   validator: {
     $jsonSchema: {
       bsonType: "object",
-      required: ["projectNumber", "pipedriveDealIds", "department", "departmentCode", "year", "sequence", "createdAt", "lastUpdatedAt"],
+      required: ["companyId", "projectNumber", "pipedriveDealIds", "department", "departmentCode", "year", "sequence", "createdAt", "lastUpdatedAt"],
       properties: {
+        companyId: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Pipedrive company ID"
+        },
         projectNumber: {
           bsonType: "string",
-          pattern: "^[A-Z]{2}[0-9]{2}[0-9]{3}$",
-          description: "Must follow format: DPTYYSSS (e.g., NY25001)"
+          pattern: PROJECT_NUMBER_STORAGE_PATTERN,
+          description: "Must follow a project number format: DPTYYSSS (e.g., NY25001) with optional prefix, suffix, separators and a 3-6 digit sequence"
         },
         pipedriveDealIds: {
           bsonType: "array",
@@ -142,6 +170,21 @@ export const DealProjectMappingSchema = {
           minimum: 1,
           description: "Must be a positive sequence number"
         },
+        numberFormat: {
+          bsonType: "object",
+          required: ["prefix", "separator", "sequenceWidth", "suffix"],
+          properties: {
+            prefix: { bsonType: "string" },
+            separator: { bsonType: "string" },
+            sequenceWidth: { bsonType: "int", minimum: 3, maximum: 6 },
+            suffix: { bsonType: "string" }
+          },
+          description: "Project number format the number was generated with"
+        },
+        normalizedFrom: {
+          bsonType: "string",
+          description: "Original project number before migration 1.5.0 normalized it"
+        },
         createdAt: {
           bsonType: "date",
           description: "Timestamp when the project was created"
@@ -155,16 +198,16 @@ export const DealProjectMappingSchema = {
   },
   indexes: [
     {
-      key: { projectNumber: 1 },
-      options: { unique: true, name: "project_number_unique" }
+      key: { companyId: 1, projectNumber: 1 },
+      options: { unique: true, name: "company_project_number_unique" }
     },
     {
-      key: { pipedriveDealIds: 1 },
-      options: { name: "pipedrive_deal_ids_index" }
+      key: { companyId: 1, pipedriveDealIds: 1 },
+      options: { name: "company_deal_ids_index" }
     },
     {
-      key: { departmentCode: 1, year: 1 },
-      options: { name: "department_year_index" }
+      key: { companyId: 1, departmentCode: 1, year: 1 },
+      options: { name: "company_department_year_index" }
     },
     {
       key: { createdAt: 1 },
@@ -201,6 +244,10 @@ export const AuthTokenSchema = {
           bsonType: "string",
           description: "Encrypted refresh token"
         },
+        encryptionKeyId: {
+          bsonType: "string",
+          description: "ID of the key the tokens are encrypted with (absent on legacy documents)"
+        },
         apiDomain: {
           bsonType: "string",
           description: "API domain for the service"
@@ -209,6 +256,24 @@ export const AuthTokenSchema = {
           bsonType: "string",
           description: "Xero tenant ID (required for Xero tokens)"
         },
+        defaultTenantId: {
+          bsonType: "string",
+          description: "Xero tenant used when a request does not specify one"
+        },
+        tenants: {
+          bsonType: "array",
+          description: "All Xero organisations authorised for the company",
+          items: {
+            bsonType: "object",
+            required: ["tenantId"],
+            properties: {
+              tenantId: { bsonType: "string" },
+              tenantName: { bsonType: ["string", "null"] },
+              tenantType: { bsonType: ["string", "null"] },
+              connectionId: { bsonType: ["string", "null"] }
+            }
+          }
+        },
         tokenExpiresAt: {
           bsonType: "date",
           description: "Token expiration timestamp"
@@ -224,6 +289,36 @@ export const AuthTokenSchema = {
         isActive: {
           bsonType: "bool",
           description: "Whether the token is currently active"
+        },
+        lastRefreshAt: {
+          bsonType: "date",
+          description: "Last successful token refresh"
+        },
+        lastRefreshAttemptAt: {
+          bsonType: "date",
+          description: "Last token refresh attempt"
+        },
+        lastRefreshStatus: {
+          bsonType: "string",
+          enum: ["success", "failed"],
+          description: "Outcome of the last refresh attempt"
+        },
+        lastRefreshError: {
+          bsonType: ["string", "null"],
+          description: "Error from the last failed refresh"
+        },
+        refreshFailureCount: {
+          bsonType: "number",
+          minimum: 0,
+          description: "Consecutive failed refresh attempts"
+        },
+        nextRefreshAttemptAt: {
+          bsonType: ["date", "null"],
+          description: "When the background refresh may retry after a failure"
+        },
+        reauthRequired: {
+          bsonType: "bool",
+          description: "Whether the company must re-authenticate this service"
         }
       }
     }
@@ -248,6 +343,812 @@ export const AuthTokenSchema = {
   ]
 };
 
+/**
+ * MongoDB schema validation for xero_tenant_routes collection.
+ * One document per company and department. Deals are matched on
+ * `departmentCode` (unique per company where set); `departmentKey` is the
+ * normalised (trimmed, lower-cased) department name, which older routes
+ * without a code are matched on.
+ */
+export const XeroTenantRouteSchema = {
+  validator: {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["companyId", "department", "departmentKey", "tenantId", "createdAt", "updatedAt"],
+      properties: {
+        companyId: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Pipedrive company ID that owns the rule"
+        },
+        department: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Department name as it appears on the deal"
+        },
+        departmentKey: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Normalised department name used for matching"
+        },
+        departmentCode: {
+          bsonType: "string",
+          pattern: "^[A-Z]{2}$",
+          description: "Code of the department the rule applies to"
+        },
+        tenantId: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Xero tenant that handles this department"
+        },
+        tenantName: {
+          bsonType: ["string", "null"],
+          description: "Xero organisation name at the time the rule was saved"
+        },
+        createdAt: {
+          bsonType: "date",
+          description: "Rule creation timestamp"
+        },
+        updatedAt: {
+          bsonType: "date",
+          description: "Rule last update timestamp"
+        }
+      }
+    }
+  },
+  indexes: [
+    {
+      key: { companyId: 1, departmentKey: 1 },
+      options: { unique: true, name: "company_department_unique" }
+    },
+    {
+      key: { companyId: 1, departmentCode: 1 },
+      options: {
+        unique: true,
+        name: "company_department_code_unique",
+        partialFilterExpression: { departmentCode: { $exists: true } }
+      }
+    }
+  ]
+};
+
+/**
+ * Lifetime of an OAuth state record. MongoDB's TTL monitor removes expired
+ * records; consumers must also reject records older than this because the
+ * monitor only runs about once a minute.
+ */
+export const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+
+/**
+ * MongoDB schema validation for oauth_states collection
+ */
+export const OAuthStateSchema = {
+  validator: {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["state", "service", "createdAt"],
+      properties: {
+        state: {
+          bsonType: "string",
+          minLength: 16,
+          description: "Random OAuth state value sent to the provider"
+        },
+        service: {
+          bsonType: "string",
+          enum: ["pipedrive", "xero"],
+          description: "OAuth provider the state was issued for"
+        },
+        companyId: {
+          bsonType: ["string", "null"],
+          description: "Pipedrive company that initiated the flow, if known"
+        },
+        returnUrl: {
+          bsonType: ["string", "null"],
+          description: "Frontend URL to return to after the callback"
+        },
+        codeVerifier: {
+          bsonType: ["string", "null"],
+          description: "PKCE code verifier for the authorization code exchange"
+        },
+        createdAt: {
+          bsonType: "date",
+          description: "State creation timestamp (drives the TTL index)"
+        }
+      }
+    }
+  },
+  indexes: [
+    {
+      key: { state: 1 },
+      options: { unique: true, name: "state_unique" }
+    },
+    {
+      key: { createdAt: 1 },
+      options: { expireAfterSeconds: OAUTH_STATE_TTL_SECONDS, name: "oauth_state_ttl" }
+    }
+  ]
+};
+
+/**
+ * MongoDB schema validation for token_refresh_locks collection.
+ * One document per company and service while a refresh is in progress. `_id` is
+ * `companyId:service`; a lock whose `expiresAt` has passed belongs to a crashed
+ * holder and may be taken over. The TTL index only removes leftovers.
+ */
+export const TokenRefreshLockSchema = {
+  validator: {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["_id", "companyId", "service", "owner", "acquiredAt", "expiresAt"],
+      properties: {
+        _id: {
+          bsonType: "string",
+          description: "Lock key (companyId:service)"
+        },
+        companyId: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Pipedrive company ID"
+        },
+        service: {
+          bsonType: "string",
+          enum: ["pipedrive", "xero"],
+          description: "Service whose token is being refreshed"
+        },
+        owner: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Instance and attempt holding the lock"
+        },
+        acquiredAt: {
+          bsonType: "date",
+          description: "When the lease was taken"
+        },
+        expiresAt: {
+          bsonType: "date",
+          description: "When the lease lapses"
+        }
+      }
+    }
+  },
+  indexes: [
+    {
+      key: { expiresAt: 1 },
+      options: { expireAfterSeconds: 0, name: "token_refresh_lock_ttl" }
+    }
+  ]
+};
+
+/**
+ * MongoDB schema validation for company_user_roles collection.
+ * One document per company and Pipedrive user listing the roles assigned to
+ * that user. Users without a document get the default roles.
+ */
+export const CompanyUserRoleSchema = {
+  validator: {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["companyId", "userId", "roles", "createdAt", "updatedAt"],
+      properties: {
+        companyId: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Pipedrive company ID"
+        },
+        userId: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Pipedrive user ID"
+        },
+        roles: {
+          bsonType: "array",
+          items: {
+            bsonType: "string",
+            enum: ["sales", "project_manager", "finance", "admin"]
+          },
+          description: "Roles assigned to the user"
+        },
+        assignedBy: {
+          bsonType: ["string", "null"],
+          description: "Pipedrive user ID that last changed the assignment"
+        },
+        createdAt: {
+          bsonType: "date",
+          description: "Assignment creation timestamp"
+        },
+        updatedAt: {
+          bsonType: "date",
+          description: "Assignment last update timestamp"
+        }
+      }
+    }
+  },
+  indexes: [
+    {
+      key: { companyId: 1, userId: 1 },
+      options: { unique: true, name: "company_user_unique" }
+    }
+  ]
+};
+
+/**
+ * Company config schema - per-company settings (provider apps, frontend URL, Pipedrive custom field keys)
+ */
+export const CompanyConfigSchema = {
+  validator: {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["companyId", "config", "isActive", "createdAt", "updatedAt"],
+      properties: {
+        companyId: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Pipedrive company ID"
+        },
+        name: {
+          bsonType: ["string", "null"],
+          description: "Company name"
+        },
+        config: {
+          bsonType: "object",
+          properties: {
+            pipedrive: {
+              bsonType: ["object", "null"],
+              properties: {
+                clientId: { bsonType: ["string", "null"] },
+                redirectUri: { bsonType: ["string", "null"] },
+                apiDomain: { bsonType: ["string", "null"] }
+              }
+            },
+            xero: {
+              bsonType: ["object", "null"],
+              properties: {
+                clientId: { bsonType: ["string", "null"] },
+                redirectUri: { bsonType: ["string", "null"] }
+              }
+            },
+            frontend: {
+              bsonType: ["object", "null"],
+              properties: {
+                baseUrl: { bsonType: ["string", "null"] }
+              }
+            },
+            customFields: {
+              bsonType: ["object", "null"],
+              additionalProperties: { bsonType: ["string", "null"] },
+              description: "Pipedrive deal field keys by field name"
+            },
+            projectNumber: {
+              bsonType: ["object", "null"],
+              properties: {
+                prefix: { bsonType: ["string", "null"] },
+                separator: { bsonType: ["string", "null"] },
+                sequenceWidth: { bsonType: ["int", "null"], minimum: 3, maximum: 6 },
+                suffix: { bsonType: ["string", "null"] }
+              },
+              description: "Project number format; unset parts use the DPTYYSSS default"
+            },
+            fiscalYear: {
+              bsonType: ["object", "null"],
+              properties: {
+                startMonth: { bsonType: ["int", "null"], minimum: 1, maximum: 12 },
+                timezone: { bsonType: ["string", "null"] }
+              },
+              description: "Fiscal year start month and timezone; unset parts use January and UTC"
+            }
+          },
+          description: "Configuration sections"
+        },
+        isActive: {
+          bsonType: "bool",
+          description: "Inactive configs are ignored"
+        },
+        seededFromEnvironment: {
+          bsonType: "bool",
+          description: "Created by the seed migration from environment variables"
+        },
+        createdAt: {
+          bsonType: "date",
+          description: "Config creation timestamp"
+        },
+        updatedAt: {
+          bsonType: "date",
+          description: "Config last update timestamp"
+        }
+      }
+    }
+  },
+  indexes: [
+    {
+      key: { companyId: 1 },
+      options: { unique: true, name: "company_id_unique" }
+    }
+  ]
+};
+
+/**
+ * Company config history schema - who changed a company's configuration, when, and what changed
+ */
+export const CompanyConfigHistorySchema = {
+  validator: {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["companyId", "action", "changes", "changedAt"],
+      properties: {
+        companyId: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Pipedrive company ID"
+        },
+        action: {
+          bsonType: "string",
+          enum: ["patch", "reset"],
+          description: "How the configuration was changed"
+        },
+        sections: {
+          bsonType: "array",
+          items: { bsonType: "string" },
+          description: "Config sections touched by the change"
+        },
+        changes: {
+          bsonType: "array",
+          items: {
+            bsonType: "object",
+            required: ["path"],
+            properties: {
+              path: { bsonType: "string", description: "Dot-notation path of the changed value" },
+              before: { description: "Value before the change (secrets redacted)" },
+              after: { description: "Value after the change (secrets redacted)" }
+            }
+          },
+          description: "Changed values"
+        },
+        changedBy: {
+          bsonType: ["object", "null"],
+          properties: {
+            userId: { bsonType: ["string", "null"] },
+            name: { bsonType: ["string", "null"] }
+          },
+          description: "Pipedrive user that made the change"
+        },
+        changedAt: {
+          bsonType: "date",
+          description: "When the change was made"
+        }
+      }
+    }
+  },
+  indexes: [
+    {
+      key: { companyId: 1, changedAt: -1 },
+      options: { name: "company_changed_at" }
+    }
+  ]
+};
+
+/**
+ * Department schema - a company's departments and the 2-letter codes used in project numbers
+ */
+export const DepartmentSchema = {
+  validator: {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["companyId", "name", "code", "aliases", "isActive", "createdAt", "updatedAt"],
+      properties: {
+        companyId: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Pipedrive company ID"
+        },
+        name: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Display name, matched against the Pipedrive department option"
+        },
+        code: {
+          bsonType: "string",
+          pattern: "^[A-Z]{2}$",
+          description: "2-letter department code used in project numbers"
+        },
+        aliases: {
+          bsonType: "array",
+          items: { bsonType: "string", minLength: 1 },
+          description: "Other Pipedrive option labels for the department"
+        },
+        isActive: {
+          bsonType: "bool",
+          description: "Whether new project numbers may be generated for the department"
+        },
+        createdAt: {
+          bsonType: "date",
+          description: "Department creation timestamp"
+        },
+        updatedAt: {
+          bsonType: "date",
+          description: "Department last update timestamp"
+        }
+      }
+    }
+  },
+  indexes: [
+    {
+      key: { companyId: 1, code: 1 },
+      options: { unique: true, name: "company_code_unique" }
+    },
+    {
+      key: { companyId: 1, name: 1 },
+      options: { unique: true, name: "company_name_unique" }
+    }
+  ]
+};
+
+/**
+ * Xero tax rate mapping schema - which Xero TaxType each Pipedrive tax percentage uses, per company and tenant
+ */
+export const XeroTaxRateMappingSchema = {
+  validator: {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["companyId", "tenantId", "mappings", "createdAt", "updatedAt"],
+      properties: {
+        companyId: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Pipedrive company ID"
+        },
+        tenantId: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Xero tenant ID the tax types belong to"
+        },
+        mappings: {
+          bsonType: "array",
+          items: {
+            bsonType: "object",
+            required: ["rate", "taxType"],
+            properties: {
+              rate: { bsonType: ["double", "int", "long", "decimal"], minimum: 0, maximum: 100, description: "Pipedrive tax percentage" },
+              taxType: { bsonType: "string", minLength: 1, description: "Xero TaxType code" }
+            }
+          },
+          description: "Tax percentage to Xero TaxType mappings"
+        },
+        createdAt: {
+          bsonType: "date",
+          description: "Mapping creation timestamp"
+        },
+        updatedAt: {
+          bsonType: "date",
+          description: "Mapping last update timestamp"
+        }
+      }
+    }
+  },
+  indexes: [
+    {
+      key: { companyId: 1, tenantId: 1 },
+      options: { unique: true, name: "company_tenant_unique" }
+    }
+  ]
+};
+
+/**
+ * Xero account code rule schema - which Xero AccountCode line items use, by product, category, code prefix or department, per company and tenant
+ */
+export const XeroAccountCodeRuleSchema = {
+  validator: {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["companyId", "tenantId", "rules", "createdAt", "updatedAt"],
+      properties: {
+        companyId: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Pipedrive company ID"
+        },
+        tenantId: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Xero tenant ID the accounts belong to"
+        },
+        rules: {
+          bsonType: "array",
+          items: {
+            bsonType: "object",
+            required: ["type", "value", "accountCode"],
+            properties: {
+              type: { enum: ["product", "productCodePrefix", "category", "department"], description: "What the rule matches on" },
+              value: { bsonType: "string", minLength: 1, description: "Product ID, product code prefix, category ID or department code" },
+              accountCode: { bsonType: "string", minLength: 1, description: "Xero AccountCode" }
+            }
+          },
+          description: "Account code rules"
+        },
+        createdAt: {
+          bsonType: "date",
+          description: "Rules creation timestamp"
+        },
+        updatedAt: {
+          bsonType: "date",
+          description: "Rules last update timestamp"
+        }
+      }
+    }
+  },
+  indexes: [
+    {
+      key: { companyId: 1, tenantId: 1 },
+      options: { unique: true, name: "company_tenant_unique" }
+    }
+  ]
+};
+
+/**
+ * Project task template schema - the tasks created in new Xero projects, per company and department
+ */
+export const ProjectTaskTemplateSchema = {
+  validator: {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["companyId", "departmentCode", "tasks", "createdAt", "updatedAt"],
+      properties: {
+        companyId: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Pipedrive company ID"
+        },
+        departmentCode: {
+          bsonType: "string",
+          pattern: "^([A-Z]{2}|DEFAULT)$",
+          description: "Department code, or DEFAULT for departments without their own template"
+        },
+        tasks: {
+          bsonType: "array",
+          minItems: 1,
+          items: {
+            bsonType: "object",
+            required: ["name", "chargeType", "rate"],
+            properties: {
+              name: { bsonType: "string", minLength: 1, description: "Task name" },
+              chargeType: { enum: ["TIME", "FIXED", "NON_CHARGEABLE"], description: "Xero task charge type" },
+              rate: {
+                bsonType: "object",
+                required: ["value", "currency"],
+                properties: {
+                  value: { bsonType: ["double", "int", "long", "decimal"], minimum: 0 },
+                  currency: { bsonType: "string", pattern: "^[A-Z]{3}$" }
+                },
+                description: "Hourly rate (TIME) or fixed price (FIXED)"
+              },
+              estimateMinutes: { bsonType: ["int", "long"], minimum: 0, description: "Estimated minutes" }
+            }
+          },
+          description: "Tasks created in new projects"
+        },
+        createdAt: {
+          bsonType: "date",
+          description: "Template creation timestamp"
+        },
+        updatedAt: {
+          bsonType: "date",
+          description: "Template last update timestamp"
+        }
+      }
+    }
+  },
+  indexes: [
+    {
+      key: { companyId: 1, departmentCode: 1 },
+      options: { unique: true, name: "company_department_unique" }
+    }
+  ]
+};
+
+/**
+ * MongoDB schema validation for migration_versions collection.
+ * One document per applied migration. `checksum` is the SHA-256 of the
+ * migration file when it was applied; records written before checksums were
+ * stored get one the next time migrations run.
+ */
+export const MigrationVersionSchema = {
+  validator: {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["version", "description", "appliedAt"],
+      properties: {
+        version: {
+          bsonType: "string",
+          pattern: "^[0-9]+\\.[0-9]+\\.[0-9]+$",
+          description: "Migration version (e.g. 1.4.0)"
+        },
+        description: {
+          bsonType: "string",
+          description: "Description of the migration"
+        },
+        checksum: {
+          bsonType: "string",
+          pattern: "^[0-9a-f]{64}$",
+          description: "SHA-256 of the migration file when it was applied"
+        },
+        appliedAt: {
+          bsonType: "date",
+          description: "When the migration was applied"
+        },
+        appliedBy: {
+          bsonType: "string",
+          description: "Instance that applied the migration"
+        },
+        duration: {
+          bsonType: ["int", "long", "double"],
+          description: "Milliseconds the migration took"
+        },
+        changes: {
+          bsonType: "array",
+          description: "Changes the migration reported"
+        }
+      }
+    }
+  },
+  indexes: [
+    {
+      key: { version: 1 },
+      options: { unique: true, name: "version_unique" }
+    }
+  ]
+};
+
+/**
+ * MongoDB schema validation for migration_locks collection.
+ * One document per migration while an instance runs or rolls it back. `_id`
+ * is the migration version; a lock whose `expiresAt` has passed belongs to a
+ * crashed holder and may be taken over. The TTL index only removes leftovers.
+ */
+export const MigrationLockSchema = {
+  validator: {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["_id", "owner", "acquiredAt", "expiresAt"],
+      properties: {
+        _id: {
+          bsonType: "string",
+          description: "Migration version"
+        },
+        owner: {
+          bsonType: "string",
+          minLength: 1,
+          description: "Instance holding the lock"
+        },
+        acquiredAt: {
+          bsonType: "date",
+          description: "When the lease was taken or last renewed"
+        },
+        expiresAt: {
+          bsonType: "date",
+          description: "When the lease lapses"
+        }
+      }
+    }
+  },
+  indexes: [
+    {
+      key: { expiresAt: 1 },
+      options: { expireAfterSeconds: 0, name: "migration_lock_ttl" }
+    }
+  ]
+};
+
+/**
+ * MongoDB schema validation for audit_events collection.
+ * One document per write made to Xero or Pipedrive, successful or not. The
+ * collection is append-only: events are never updated, and they are kept when
+ * a company is offboarded.
+ */
+export const AuditEventSchema = {
+  validator: {
+    $jsonSchema: {
+      bsonType: "object",
+      required: ["service", "action", "outcome", "createdAt"],
+      properties: {
+        companyId: {
+          bsonType: ["string", "null"],
+          description: "Pipedrive company ID the write was made for"
+        },
+        userId: {
+          bsonType: ["string", "null"],
+          description: "Pipedrive user that made the request"
+        },
+        userName: {
+          bsonType: ["string", "null"],
+          description: "Name of the Pipedrive user"
+        },
+        requestId: {
+          bsonType: ["string", "null"],
+          description: "ID of the HTTP request that made the write (X-Request-ID)"
+        },
+        operation: {
+          bsonType: ["string", "null"],
+          description: "Route operation name (e.g. 'Create Partial Invoice')"
+        },
+        route: {
+          bsonType: ["string", "null"],
+          description: "HTTP method and path of the request"
+        },
+        service: {
+          bsonType: "string",
+          enum: ["xero", "pipedrive"],
+          description: "API written to"
+        },
+        action: {
+          bsonType: "string",
+          description: "What was written (e.g. 'quote.create', 'deal.custom_field.update')"
+        },
+        dealId: {
+          bsonType: ["string", "null"],
+          description: "Pipedrive deal the write belongs to"
+        },
+        projectNumber: {
+          bsonType: ["string", "null"],
+          description: "Project number the write belongs to"
+        },
+        tenantId: {
+          bsonType: ["string", "null"],
+          description: "Xero tenant written to"
+        },
+        target: {
+          bsonType: "object",
+          description: "Remote IDs the write acted on (e.g. { quoteId })"
+        },
+        payload: {
+          description: "Redacted summary of the data sent"
+        },
+        remoteIds: {
+          bsonType: "object",
+          description: "Remote IDs returned (e.g. { invoiceId, invoiceNumber })"
+        },
+        outcome: {
+          bsonType: "string",
+          enum: ["success", "failure"],
+          description: "Whether the write succeeded"
+        },
+        error: {
+          bsonType: ["object", "null"],
+          properties: {
+            message: { bsonType: "string" },
+            status: { bsonType: ["int", "long", "double", "null"] }
+          },
+          description: "Why the write failed"
+        },
+        durationMs: {
+          bsonType: ["int", "long", "double"],
+          description: "Milliseconds the write took"
+        },
+        createdAt: {
+          bsonType: "date",
+          description: "When the write finished"
+        }
+      }
+    }
+  },
+  indexes: [
+    {
+      key: { companyId: 1, createdAt: -1 },
+      options: { name: "company_created_at" }
+    },
+    {
+      key: { companyId: 1, dealId: 1, createdAt: -1 },
+      options: { name: "company_deal_created_at" }
+    },
+    {
+      key: { companyId: 1, projectNumber: 1, createdAt: -1 },
+      options: { name: "company_project_number_created_at" }
+    },
+    {
+      key: { companyId: 1, userId: 1, createdAt: -1 },
+      options: { name: "company_user_created_at" }
+    }
+  ]
+};
+
 /**
  * Collection configuration with schema validation
  */
@@ -263,6 +1164,58 @@ export const CollectionConfigs = {
   auth_tokens: {
     name: 'auth_tokens',
     schema: AuthTokenSchema
+  },
+  xero_tenant_routes: {
+    name: 'xero_tenant_routes',
+    schema: XeroTenantRouteSchema
+  },
+  oauth_states: {
+    name: 'oauth_states',
+    schema: OAuthStateSchema
+  },
+  token_refresh_locks: {
+    name: 'token_refresh_locks',
+    schema: TokenRefreshLockSchema
+  },
+  company_user_roles: {
+    name: 'company_user_roles',
+    schema: CompanyUserRoleSchema
+  },
+  company_configs: {
+    name: 'company_configs',
+    schema: CompanyConfigSchema
+  },
+  company_config_history: {
+    name: 'company_config_history',
+    schema: CompanyConfigHistorySchema
+  },
+  departments: {
+    name: 'departments',
+    schema: DepartmentSchema
+  },
+  xero_tax_rate_mappings: {
+    name: 'xero_tax_rate_mappings',
+    schema: XeroTaxRateMappingSchema
+  },
+  xero_account_code_rules: {
+    name: 'xero_account_code_rules',
+    schema: XeroAccountCodeRuleSchema
+  },
+  project_task_templates: {
+    name: 'project_task_templates',
+    schema: ProjectTaskTemplateSchema
+  },
+  migration_versions: {
+    name: 'migration_versions',
+    schema: MigrationVersionSchema
+  },
+  migration_locks: {
+    name: 'migration_locks',
+    schema: MigrationLockSchema
+  },
+  audit_events: {
+    name: 'audit_events',
+    schema: AuditEventSchema
   }
 };
 
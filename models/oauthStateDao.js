@@ -0,0 +1,60 @@
+/**
+ * OAuth State Data Access Object (DAO)
+ *
+ * This module stores the short-lived state records that protect the Pipedrive
+ * and Xero OAuth flows. Records live in MongoDB rather than process memory so a
+ * callback can be handled by any instance, including one started after the flow
+ * began. Each record can be consumed exactly once.
+ *
+ * @module models/oauthStateDao
+ */
+
+import { withDatabase } from '../services/mongoService.js';
+import { ensureCollection, OAUTH_STATE_TTL_SECONDS } from './mongoSchemas.js';
+
+/**
+ * Inserts a new OAuth state record
+ *
+ * @param {Object} stateData - State record
+ * @param {string} stateData.state - Random state value
+ * @param {string} stateData.service - 'pipedrive' or 'xero'
+ * @param {string|null} stateData.companyId - Initiating Pipedrive company
+ * @param {string|null} stateData.returnUrl - Frontend URL to return to
+ * @param {string|null} stateData.codeVerifier - PKCE code verifier
+ * @returns {Promise<Object>} The stored record
+ */
+export async function insertOAuthState(stateData) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'oauth_states');
+    const doc = {
+      state: stateData.state,
+      service: stateData.service,
+      companyId: stateData.companyId ?? null,
+      returnUrl: stateData.returnUrl ?? null,
+      codeVerifier: stateData.codeVerifier ?? null,
+      createdAt: new Date()
+    };
+    await collection.insertOne(doc);
+    return doc;
+  });
+}
+
+/**
+ * Atomically removes and returns an unexpired OAuth state record. A second call
+ * with the same state returns null, so each state is honoured at most once.
+ *
+ * @param {string} state - State value received on the callback
+ * @param {string} service - 'pipedrive' or 'xero'
+ * @returns {Promise<Object|null>} The consumed record or null if unknown, expired or already used
+ */
+export async function consumeOAuthState(state, service) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'oauth_states');
+    const cutoff = new Date(Date.now() - OAUTH_STATE_TTL_SECONDS * 1000);
+    return await collection.findOneAndDelete({
+      state,
+      service,
+      createdAt: { $gt: cutoff }
+    });
+  });
+}
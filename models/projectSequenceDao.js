@@ -5,6 +5,10 @@
  * operations. It separates database concerns from business logic and uses the
  * improved connection management for per-operation database access.
  * 
+ * Sequences and mappings belong to a Pipedrive company: every query is scoped
+ * by companyId, so companies number their projects independently and can only
+ * link deals to their own project numbers.
+ * 
  * Key features:
  * - Atomic sequence generation with race condition handling
  * - Deal-to-project mapping operations
@@ -18,44 +22,70 @@
 import { withDatabase } from '../services/mongoService.js';
 import { ensureCollection } from './mongoSchemas.js';
 
+/**
+ * Converts a duplicate key error raised by an index from before project data
+ * was scoped per company (its key has no companyId) into an error saying that
+ * migration 1.4.0 must run first. Until the migration drops those indexes they
+ * reject company-scoped writes; dropping them earlier would restart the
+ * sequences of the unscoped data. Other errors are returned unchanged.
+ * 
+ * @param {Error} error - Error from a write
+ * @returns {Error} The error to throw
+ */
+function toPendingScopeMigrationError(error) {
+  if (error.code !== 11000 || !error.keyPattern || 'companyId' in error.keyPattern) {
+    return error;
+  }
+  const migrationError = new Error(
+    'Project numbers are not scoped per company yet: run database migration 1.4.0 ' +
+    `(npm run migrate -- up) to drop the legacy index on ${Object.keys(error.keyPattern).join(', ')}.`
+  );
+  migrationError.statusCode = 503;
+  migrationError.code = 'MIGRATION_PENDING';
+  return migrationError;
+}
+
 /**
  * Finds an existing project mapping for a given deal ID
  * 
+ * @param {string} companyId - Pipedrive company ID
  * @param {number} dealId - The Pipedrive deal ID to search for
  * @returns {Promise<Object|null>} The project mapping or null if not found
  */
-export async function findProjectMappingByDealId(dealId) {
+export async function findProjectMappingByDealId(companyId, dealId) {
   return withDatabase(async (db) => {
     const collection = await ensureCollection(db, 'deal_project_mappings');
-    return await collection.findOne({ pipedriveDealIds: dealId });
+    return await collection.findOne({ companyId: String(companyId), pipedriveDealIds: dealId });
   });
 }
 
 /**
  * Finds an existing project mapping by project number
  * 
+ * @param {string} companyId - Pipedrive company ID
  * @param {string} projectNumber - The project number to search for
  * @returns {Promise<Object|null>} The project mapping or null if not found
  */
-export async function findProjectMappingByNumber(projectNumber) {
+export async function findProjectMappingByNumber(companyId, projectNumber) {
   return withDatabase(async (db) => {
     const collection = await ensureCollection(db, 'deal_project_mappings');
-    return await collection.findOne({ projectNumber });
+    return await collection.findOne({ companyId: String(companyId), projectNumber });
   });
 }
 
 /**
- * Adds a deal ID to an existing project mapping
+ * Adds a deal ID to an existing project mapping of the company
  * 
+ * @param {string} companyId - Pipedrive company ID
  * @param {string} projectNumber - The project number to update
  * @param {number} dealId - The deal ID to add
- * @returns {Promise<Object|null>} The updated project mapping or null if not found
+ * @returns {Promise<Object|null>} The updated project mapping or null if the company has no such project
  */
-export async function addDealToProject(projectNumber, dealId) {
+export async function addDealToProject(companyId, projectNumber, dealId) {
   return withDatabase(async (db) => {
     const collection = await ensureCollection(db, 'deal_project_mappings');
     const result = await collection.findOneAndUpdate(
-      { projectNumber },
+      { companyId: String(companyId), projectNumber },
       { 
         $addToSet: { pipedriveDealIds: dealId },
         $set: { lastUpdatedAt: new Date() }
@@ -67,36 +97,55 @@ export async function addDealToProject(projectNumber, dealId) {
 }
 
 /**
- * Atomically increments the sequence number for a department and year
+ * Atomically increments the company's sequence number for a department and
+ * fiscal year, unless it has already reached the maximum
  * 
+ * @param {string} companyId - Pipedrive company ID
  * @param {string} departmentCode - The 2-letter department code
- * @param {number} year - The 2-digit year
- * @returns {Promise<number>} The new sequence number
+ * @param {number} year - The 2-digit fiscal year (see utils/fiscalYearUtils.js)
+ * @param {number} [maxSequence=Infinity] - Highest sequence number that may be issued
+ * @returns {Promise<number|null>} The new sequence number, or null if the sequence is
+ *   exhausted (it is then left unchanged)
+ * @throws {Error} With statusCode 503 while migration 1.4.0 is pending
  */
-export async function getNextSequenceNumber(departmentCode, year) {
+export async function getNextSequenceNumber(companyId, departmentCode, year, maxSequence = Infinity) {
   return withDatabase(async (db) => {
     const collection = await ensureCollection(db, 'project_sequences');
-    
-    const sequenceDoc = await collection.findOneAndUpdate(
-      { departmentCode, year },
+    const key = { companyId: String(companyId), departmentCode, year };
+    const increment = (upsert) => collection.findOneAndUpdate(
+      { ...key, lastSequenceNumber: { $lt: maxSequence } },
       { 
         $inc: { lastSequenceNumber: 1 },
         $setOnInsert: { 
-          departmentCode, 
-          year,
+          ...key,
           createdAt: new Date()
         } 
       },
       { 
-        upsert: true,
+        upsert,
         returnDocument: 'after'
       }
     );
 
+    let sequenceDoc;
+    try {
+      sequenceDoc = await increment(true);
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern?.companyId) {
+        throw toPendingScopeMigrationError(error);
+      }
+      // The sequence exists but is exhausted, or another request created it
+      // first: increment it only if it has room left
+      sequenceDoc = await increment(false);
+      if (!sequenceDoc) {
+        return null;
+      }
+    }
+
     if (!sequenceDoc || 
         sequenceDoc.lastSequenceNumber === null || 
         sequenceDoc.lastSequenceNumber === undefined) {
-      throw new Error(`Failed to generate sequence number for ${departmentCode}${year}`);
+      throw new Error(`Failed to generate sequence number for ${departmentCode}${year} of company ${companyId}`);
     }
     
     return sequenceDoc.lastSequenceNumber;
@@ -107,6 +156,7 @@ export async function getNextSequenceNumber(departmentCode, year) {
  * Creates a new project mapping
  * 
  * @param {Object} mappingData - The project mapping data
+ * @param {string} mappingData.companyId - Pipedrive company ID
  * @param {string} mappingData.projectNumber - The generated project number
  * @param {number[]} mappingData.pipedriveDealIds - Array of deal IDs
  * @param {string} mappingData.department - Full department name
@@ -114,6 +164,7 @@ export async function getNextSequenceNumber(departmentCode, year) {
  * @param {number} mappingData.year - 2-digit year
  * @param {number} mappingData.sequence - Sequence number
  * @returns {Promise<Object>} The created project mapping
+ * @throws {Error} With statusCode 503 while migration 1.4.0 is pending
  */
 export async function createProjectMapping(mappingData) {
   return withDatabase(async (db) => {
@@ -121,18 +172,21 @@ export async function createProjectMapping(mappingData) {
     
     const document = {
       ...mappingData,
+      companyId: String(mappingData.companyId),
       createdAt: new Date(),
       lastUpdatedAt: new Date()
     };
     
-    const result = await collection.insertOne(document);
+    const result = await collection.insertOne(document)
+      .catch(error => { throw toPendingScopeMigrationError(error); });
     return { ...document, _id: result.insertedId };
   });
 }
 
 /**
- * Gets all project mappings for a specific department and year
+ * Gets all of a company's project mappings for a specific department and year
  * 
+ * @param {string} companyId - Pipedrive company ID
  * @param {string} departmentCode - The 2-letter department code
  * @param {number} year - The 2-digit year
  * @param {Object} [options={}] - Query options
@@ -140,11 +194,11 @@ export async function createProjectMapping(mappingData) {
  * @param {Object} [options.sort] - Sort criteria
  * @returns {Promise<Array>} Array of project mappings
  */
-export async function getProjectMappingsByDepartmentYear(departmentCode, year, options = {}) {
+export async function getProjectMappingsByDepartmentYear(companyId, departmentCode, year, options = {}) {
   return withDatabase(async (db) => {
     const collection = await ensureCollection(db, 'deal_project_mappings');
     
-    let query = collection.find({ departmentCode, year });
+    let query = collection.find({ companyId: String(companyId), departmentCode, year });
     
     if (options.sort) {
       query = query.sort(options.sort);
@@ -159,44 +213,47 @@ export async function getProjectMappingsByDepartmentYear(departmentCode, year, o
 }
 
 /**
- * Gets the current sequence state for a department and year
+ * Gets the company's current sequence state for a department and year
  * 
+ * @param {string} companyId - Pipedrive company ID
  * @param {string} departmentCode - The 2-letter department code
  * @param {number} year - The 2-digit year
  * @returns {Promise<Object|null>} The sequence document or null if not found
  */
-export async function getSequenceState(departmentCode, year) {
+export async function getSequenceState(companyId, departmentCode, year) {
   return withDatabase(async (db) => {
     const collection = await ensureCollection(db, 'project_sequences');
-    return await collection.findOne({ departmentCode, year });
+    return await collection.findOne({ companyId: String(companyId), departmentCode, year });
   });
 }
 
 /**
- * Gets all project mappings associated with a specific deal ID
+ * Gets all of a company's project mappings associated with a specific deal ID
  * 
+ * @param {string} companyId - Pipedrive company ID
  * @param {number} dealId - The Pipedrive deal ID
  * @returns {Promise<Array>} Array of project mappings containing the deal
  */
-export async function getProjectMappingsByDealId(dealId) {
+export async function getProjectMappingsByDealId(companyId, dealId) {
   return withDatabase(async (db) => {
     const collection = await ensureCollection(db, 'deal_project_mappings');
-    return await collection.find({ pipedriveDealIds: dealId }).toArray();
+    return await collection.find({ companyId: String(companyId), pipedriveDealIds: dealId }).toArray();
   });
 }
 
 /**
- * Removes a deal ID from a project mapping
+ * Removes a deal ID from a project mapping of the company
  * 
+ * @param {string} companyId - Pipedrive company ID
  * @param {string} projectNumber - The project number to update
  * @param {number} dealId - The deal ID to remove
  * @returns {Promise<Object|null>} The updated project mapping or null if not found
  */
-export async function removeDealFromProject(projectNumber, dealId) {
+export async function removeDealFromProject(companyId, projectNumber, dealId) {
   return withDatabase(async (db) => {
     const collection = await ensureCollection(db, 'deal_project_mappings');
     const result = await collection.findOneAndUpdate(
-      { projectNumber },
+      { companyId: String(companyId), projectNumber },
       { 
         $pull: { pipedriveDealIds: dealId },
         $set: { lastUpdatedAt: new Date() }
@@ -208,15 +265,17 @@ export async function removeDealFromProject(projectNumber, dealId) {
 }
 
 /**
- * Deletes a project mapping if it has no associated deals
+ * Deletes a project mapping of the company if it has no associated deals
  * 
+ * @param {string} companyId - Pipedrive company ID
  * @param {string} projectNumber - The project number to check and potentially delete
  * @returns {Promise<boolean>} True if the mapping was deleted, false otherwise
  */
-export async function deleteEmptyProjectMapping(projectNumber) {
+export async function deleteEmptyProjectMapping(companyId, projectNumber) {
   return withDatabase(async (db) => {
     const collection = await ensureCollection(db, 'deal_project_mappings');
     const result = await collection.deleteOne({ 
+      companyId: String(companyId),
       projectNumber,
       $or: [
         { pipedriveDealIds: { $size: 0 } },
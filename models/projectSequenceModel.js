@@ -6,9 +6,18 @@
  * and delegates all database operations to the DAO layer.
  * 
  * Project number format: DPTYYSSS where:
- * - DPT: Department code (NY, EL, MC, AF, ED, LC)
- * - YY: Last two digits of the year
- * - SSS: Sequential 3-digit number padded with zeros
+ * - DPT: The company's 2-letter department code (see services/departmentService.js)
+ * - YY: Last two digits of the company's fiscal year
+ * - SSS: Sequential 3-digit number padded with zeros, restarting each fiscal year
+ * 
+ * Companies can add a prefix, suffix and separators and widen the sequence in
+ * the `projectNumber` section of their config (see configService.getProjectNumberFormat).
+ * When a department's sequence outgrows the width, numbering stops with a 409
+ * instead of producing a number of the wrong length. The fiscal year start month
+ * and timezone come from the `fiscalYear` section (configService.getFiscalYearSettings).
+ * 
+ * Sequences and project numbers belong to a Pipedrive company: each company
+ * numbers its projects independently and links deals only to its own projects.
  * 
  * Key features:
  * - Pure business logic separation from data access
@@ -21,19 +30,31 @@
  */
 
 import * as projectDao from './projectSequenceDao.js';
-import { validateProjectNumber, generateProjectNumber as generateProjectNumberFormat, parseProjectNumber } from '../utils/projectNumberUtils.js';
+import {
+  validateProjectNumber,
+  generateProjectNumber as generateProjectNumberFormat,
+  parseProjectNumber,
+  getMaxSequence,
+  isProjectNumber,
+  DEFAULT_PROJECT_NUMBER_FORMAT
+} from '../utils/projectNumberUtils.js';
+import { findDepartmentByName, getActiveDepartments } from '../services/departmentService.js';
+import { getProjectNumberFormat, getFiscalYearSettings } from '../services/configService.js';
+import { getFiscalYear } from '../utils/fiscalYearUtils.js';
 
 /**
- * Mapping of Pipedrive department names to 2-letter codes
+ * Validates a Pipedrive company ID
+ * 
+ * @param {string|number} companyId - The company ID to validate
+ * @returns {string} The company ID as a string
+ * @throws {Error} When the company ID is missing
  */
-const departmentMappings = {
-  'Navy': 'NY',
-  'Electrical': 'EL',
-  'Machining': 'MC',
-  'Afloat': 'AF',
-  'Engine Recon': 'ED', 
-  'Laser Cladding': 'LC'
-};
+function validateCompanyId(companyId) {
+  if (companyId === null || companyId === undefined || String(companyId).trim() === '') {
+    throw new Error('Pipedrive company ID is required and cannot be empty.');
+  }
+  return String(companyId);
+}
 
 /**
  * Validates a Pipedrive deal ID
@@ -58,71 +79,78 @@ function validateDealId(pipedriveDealId) {
 }
 
 /**
- * Validates and maps a department name to its code
+ * Validates and maps a department name to the company's department
  * 
- * @param {string} pipedriveDepartmentName - The department name to validate
- * @returns {string} The 2-letter department code
- * @throws {Error} When department name is not mapped
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} pipedriveDepartmentName - The department name or alias to validate
+ * @returns {Promise<Object>} The matching active department
+ * @throws {Error} When department name is not mapped (statusCode 400)
  */
-function validateAndMapDepartment(pipedriveDepartmentName) {
+async function validateAndMapDepartment(companyId, pipedriveDepartmentName) {
   if (!pipedriveDepartmentName || typeof pipedriveDepartmentName !== 'string') {
     throw new Error('Department name is required and must be a string.');
   }
   
-  const departmentCode = departmentMappings[pipedriveDepartmentName];
-  if (!departmentCode) {
-    const availableDepartments = Object.keys(departmentMappings).join(', ');
-    throw new Error(
+  const department = await findDepartmentByName(companyId, pipedriveDepartmentName);
+  if (!department) {
+    const availableDepartments = (await getActiveDepartments(companyId)).map(d => d.name).join(', ');
+    const error = new Error(
       `Department code not found for: "${pipedriveDepartmentName}". ` +
       `Available departments: ${availableDepartments}`
     );
+    error.statusCode = 400;
+    throw error;
   }
   
-  return departmentCode;
+  return department;
 }
 
 /**
  * Formats a project number from its components
  * 
  * @param {string} departmentCode - The 2-letter department code
- * @param {number} year - The 2-digit year
+ * @param {number} year - The 2-digit fiscal year
  * @param {number} sequence - The sequence number
+ * @param {Object} format - The company's project number format
  * @returns {string} The formatted project number (e.g., 'NY25001')
  */
-function formatProjectNumber(departmentCode, year, sequence) {
+function formatProjectNumber(departmentCode, year, sequence, format) {
   // Use the test-driven utility for consistent formatting
-  return generateProjectNumberFormat(departmentCode, sequence);
+  return generateProjectNumberFormat(departmentCode, sequence, format, year);
 }
 
 /**
  * Generates or retrieves a project number for a Pipedrive deal
  * 
  * This function implements the core business logic for project numbering:
- * - Returns existing project number if deal is already mapped
- * - Links deal to existing project if specified and valid
+ * - Returns existing project number if deal is already mapped in the company
+ * - Links deal to existing project of the company if specified and valid
  * - Generates new sequential project number with proper validation
  * - Handles all business rules and delegates database operations to DAO
  * 
+ * @param {string} companyId - Pipedrive company ID whose departments, sequences and projects are used
  * @param {string|number} pipedriveDealId - The Pipedrive deal ID to process
- * @param {string} pipedriveDepartmentName - Department name from Pipedrive
+ * @param {string} pipedriveDepartmentName - Department name or alias from Pipedrive
  * @param {string} [existingProjectNumberToLink] - Optional project number to link this deal to
- * @returns {Promise<string>} The project number in format DPTYYSSS (e.g., 'NY25001')
- * @throws {Error} When validation fails or database operations encounter errors
+ * @returns {Promise<string>} The project number in the company's format (e.g., 'NY25001')
+ * @throws {Error} When validation fails, the department's sequence is exhausted (statusCode 409)
+ *   or database operations encounter errors
  */
-export async function getNextProjectNumber(pipedriveDealId, pipedriveDepartmentName, existingProjectNumberToLink = null) {
+export async function getNextProjectNumber(companyId, pipedriveDealId, pipedriveDepartmentName, existingProjectNumberToLink = null) {
   // Validate inputs
+  companyId = validateCompanyId(companyId);
   const dealIdAsInt = validateDealId(pipedriveDealId);
-  const departmentCode = validateAndMapDepartment(pipedriveDepartmentName);
+  const { name: departmentName, code: departmentCode } = await validateAndMapDepartment(companyId, pipedriveDepartmentName);
   
-  // Check if deal is already linked to any project
-  const existingMapping = await projectDao.findProjectMappingByDealId(dealIdAsInt);
+  // Check if deal is already linked to any project of the company
+  const existingMapping = await projectDao.findProjectMappingByDealId(companyId, dealIdAsInt);
   if (existingMapping) {
     return existingMapping.projectNumber;
   }
 
   // Link to existing project if specified
   if (existingProjectNumberToLink) {
-    const linkResult = await projectDao.addDealToProject(existingProjectNumberToLink, dealIdAsInt);
+    const linkResult = await projectDao.addDealToProject(companyId, existingProjectNumberToLink, dealIdAsInt);
     if (linkResult) {
       return linkResult.projectNumber;
     } else {
@@ -134,7 +162,8 @@ export async function getNextProjectNumber(pipedriveDealId, pipedriveDepartmentN
   }
 
   // Generate new project number
-  const currentYear = new Date().getFullYear() % 100;
+  const format = await getProjectNumberFormat(companyId);
+  const currentYear = getFiscalYear(new Date(), await getFiscalYearSettings(companyId)) % 100;
   
   let attempts = 0;
   const maxAttempts = 5;
@@ -143,18 +172,31 @@ export async function getNextProjectNumber(pipedriveDealId, pipedriveDepartmentN
     attempts++;
     
     try {
-      // Get next sequence number atomically
-      const sequence = await projectDao.getNextSequenceNumber(departmentCode, currentYear);
-      const newProjectNumber = formatProjectNumber(departmentCode, currentYear, sequence);
+      // Get next sequence number atomically; the sequence stops at the format's maximum
+      const maxSequence = getMaxSequence(format);
+      const sequence = await projectDao.getNextSequenceNumber(companyId, departmentCode, currentYear, maxSequence);
+      if (sequence === null) {
+        const overflowError = new Error(
+          `Project numbers for ${departmentCode} in fiscal year ${String(currentYear).padStart(2, '0')} are exhausted: ` +
+          `all ${maxSequence} numbers of ${format.sequenceWidth} digits are used. ` +
+          'Increase projectNumber.sequenceWidth in the company config.'
+        );
+        overflowError.statusCode = 409;
+        overflowError.code = 'PROJECT_SEQUENCE_EXHAUSTED';
+        throw overflowError;
+      }
+      const newProjectNumber = formatProjectNumber(departmentCode, currentYear, sequence, format);
 
       // Create the project mapping
       const mappingData = {
+        companyId,
         projectNumber: newProjectNumber,
         pipedriveDealIds: [dealIdAsInt],
-        department: pipedriveDepartmentName,
+        department: departmentName,
         departmentCode,
         year: currentYear,
-        sequence
+        sequence,
+        numberFormat: format
       };
 
       await projectDao.createProjectMapping(mappingData);
@@ -178,7 +220,7 @@ export async function getNextProjectNumber(pipedriveDealId, pipedriveDepartmentN
         } else if (error.keyPattern?.pipedriveDealIds) {
           // Race condition: Deal was added concurrently
           console.warn(`Race condition detected for deal ${pipedriveDealId}. Re-fetching mapping.`);
-          const concurrentMapping = await projectDao.findProjectMappingByDealId(dealIdAsInt);
+          const concurrentMapping = await projectDao.findProjectMappingByDealId(companyId, dealIdAsInt);
           if (concurrentMapping?.projectNumber) {
             return concurrentMapping.projectNumber;
           }
@@ -200,31 +242,36 @@ export async function getNextProjectNumber(pipedriveDealId, pipedriveDepartmentN
 /**
  * Gets the department code for a given Pipedrive department name
  * 
- * @param {string} pipedriveDepartmentName - The department name from Pipedrive
- * @returns {string|null} The 2-letter department code or null if not found
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} pipedriveDepartmentName - The department name or alias from Pipedrive
+ * @returns {Promise<string|null>} The 2-letter department code or null if not found
  */
-export function getDepartmentCode(pipedriveDepartmentName) {
-  return departmentMappings[pipedriveDepartmentName] || null;
+export async function getDepartmentCode(companyId, pipedriveDepartmentName) {
+  const department = await findDepartmentByName(companyId, pipedriveDepartmentName);
+  return department ? department.code : null;
 }
 
 /**
- * Gets all available department mappings
+ * Gets all active department mappings of a company
  * 
- * @returns {Object} Object mapping department names to codes
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<Object>} Object mapping department names to codes
  */
-export function getAllDepartmentMappings() {
-  return { ...departmentMappings };
+export async function getAllDepartmentMappings(companyId) {
+  const departments = await getActiveDepartments(companyId);
+  return Object.fromEntries(departments.map(({ name, code }) => [name, code]));
 }
 
 /**
  * Validates if a project number follows the correct format
  * 
  * @param {string} projectNumber - The project number to validate
+ * @param {Object} [format] - The company's project number format
  * @returns {boolean} True if the format is valid
  */
-export function isValidProjectNumberFormat(projectNumber) {
+export function isValidProjectNumberFormat(projectNumber, format = DEFAULT_PROJECT_NUMBER_FORMAT) {
   // Use the test-driven utility for consistent validation
-  return validateProjectNumber(projectNumber);
+  return validateProjectNumber(projectNumber, format);
 }
 
 /**
@@ -236,22 +283,25 @@ export function isValidProjectNumberFormat(projectNumber) {
 export { parseProjectNumber };
 
 /**
- * Links an additional deal to an existing project
+ * Links an additional deal to an existing project of the same company
  * 
- * @param {string} projectNumber - The project number to link to
+ * @param {string} companyId - Pipedrive company ID that owns the deal
+ * @param {string} projectNumber - The project number to link to; it may predate a
+ *   change to the company's project number format
  * @param {string|number} pipedriveDealId - The deal ID to link
- * @returns {Promise<boolean>} True if the deal was successfully linked
+ * @returns {Promise<boolean>} True if the deal was linked; false if the company has no such project
  * @throws {Error} When validation fails or linking is not possible
  */
-export async function linkDealToProject(projectNumber, pipedriveDealId) {
-  if (!isValidProjectNumberFormat(projectNumber)) {
+export async function linkDealToProject(companyId, projectNumber, pipedriveDealId) {
+  companyId = validateCompanyId(companyId);
+  if (!isProjectNumber(projectNumber)) {
     throw new Error(`Invalid project number format: ${projectNumber}`);
   }
   
   const dealIdAsInt = validateDealId(pipedriveDealId);
   
-  // Check if deal is already linked somewhere
-  const existingMapping = await projectDao.findProjectMappingByDealId(dealIdAsInt);
+  // Check if deal is already linked somewhere in the company
+  const existingMapping = await projectDao.findProjectMappingByDealId(companyId, dealIdAsInt);
   if (existingMapping) {
     if (existingMapping.projectNumber === projectNumber) {
       return true; // Already linked to this project
@@ -262,7 +312,7 @@ export async function linkDealToProject(projectNumber, pipedriveDealId) {
     }
   }
   
-  const result = await projectDao.addDealToProject(projectNumber, dealIdAsInt);
+  const result = await projectDao.addDealToProject(companyId, projectNumber, dealIdAsInt);
   return result !== null;
 }
 
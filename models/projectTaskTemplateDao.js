@@ -0,0 +1,80 @@
+/**
+ * Project Task Template Data Access Object (DAO)
+ *
+ * This module provides data access methods for the tasks created in new Xero
+ * projects, per company and department.
+ *
+ * @module models/projectTaskTemplateDao
+ */
+
+import { withDatabase } from '../services/mongoService.js';
+import { ensureCollection } from './mongoSchemas.js';
+
+/**
+ * Gets all task templates of a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<Array<Object>>} Templates sorted by department code
+ */
+export async function findTaskTemplatesByCompany(companyId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'project_task_templates');
+    return await collection
+      .find({ companyId: String(companyId) })
+      .sort({ departmentCode: 1 })
+      .toArray();
+  });
+}
+
+/**
+ * Creates or replaces the task template of a department
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} departmentCode - Department code or DEFAULT
+ * @param {Array<Object>} tasks - Tasks ({ name, chargeType, rate, estimateMinutes })
+ * @returns {Promise<Object>} The saved template
+ */
+export async function upsertTaskTemplate(companyId, departmentCode, tasks) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'project_task_templates');
+    const now = new Date();
+    const result = await collection.findOneAndUpdate(
+      { companyId: String(companyId), departmentCode },
+      {
+        $set: { tasks, updatedAt: now },
+        $setOnInsert: { createdAt: now }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return result;
+  });
+}
+
+/**
+ * Deletes the task template of a department
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} departmentCode - Department code or DEFAULT
+ * @returns {Promise<boolean>} True if a template was deleted
+ */
+export async function deleteTaskTemplate(companyId, departmentCode) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'project_task_templates');
+    const result = await collection.deleteOne({ companyId: String(companyId), departmentCode });
+    return result.deletedCount > 0;
+  });
+}
+
+/**
+ * Deletes all task templates of a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<number>} Number of templates deleted
+ */
+export async function deleteTaskTemplatesByCompany(companyId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'project_task_templates');
+    const result = await collection.deleteMany({ companyId: String(companyId) });
+    return result.deletedCount;
+  });
+}
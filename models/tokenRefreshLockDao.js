@@ -0,0 +1,86 @@
+/**
+ * Token Refresh Lock Data Access Object (DAO)
+ *
+ * This module stores lease-based locks that make sure only one instance refreshes
+ * a company's token for a service at a time. Xero rotates refresh tokens, so two
+ * concurrent refreshes leave one instance holding an invalidated token. A lease
+ * that is not released (for example because its holder crashed) lapses at
+ * `expiresAt` and can then be taken over.
+ *
+ * @module models/tokenRefreshLockDao
+ */
+
+import { withDatabase } from '../services/mongoService.js';
+import { ensureCollection } from './mongoSchemas.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Builds the lock key for a company and service
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} service - 'pipedrive' or 'xero'
+ * @returns {string} Lock key
+ */
+function toLockKey(companyId, service) {
+  return `${companyId}:${service}`;
+}
+
+/**
+ * Tries to take the refresh lock. Succeeds if no lock exists, the existing lease
+ * has lapsed, or the caller already owns it.
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} service - 'pipedrive' or 'xero'
+ * @param {string} owner - Unique owner for this refresh attempt
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<boolean>} True if the lock is now held by the caller
+ */
+export async function acquireRefreshLock(companyId, service, owner, leaseMs) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'token_refresh_locks');
+    const now = new Date();
+
+    try {
+      const lock = await collection.findOneAndUpdate(
+        {
+          _id: toLockKey(companyId, service),
+          $or: [{ expiresAt: { $lte: now } }, { owner }]
+        },
+        {
+          $set: {
+            companyId: String(companyId),
+            service,
+            owner,
+            acquiredAt: now,
+            expiresAt: new Date(now.getTime() + leaseMs)
+          }
+        },
+        { upsert: true, returnDocument: 'after' }
+      );
+      return lock?.owner === owner;
+    } catch (error) {
+      // The upsert collided with a live lease held by someone else
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        return false;
+      }
+      throw error;
+    }
+  });
+}
+
+/**
+ * Releases the refresh lock if the caller still owns it
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} service - 'pipedrive' or 'xero'
+ * @param {string} owner - Owner that acquired the lock
+ * @returns {Promise<boolean>} True if the lock was released
+ */
+export async function releaseRefreshLock(companyId, service, owner) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'token_refresh_locks');
+    const result = await collection.deleteOne({ _id: toLockKey(companyId, service), owner });
+    return result.deletedCount > 0;
+  });
+}
@@ -0,0 +1,63 @@
+/**
+ * Xero Account Code Rule Data Access Object (DAO)
+ *
+ * This module provides data access methods for the per-company, per-tenant
+ * rules that choose the Xero AccountCode of quote and invoice line items.
+ *
+ * @module models/xeroAccountCodeRuleDao
+ */
+
+import { withDatabase } from '../services/mongoService.js';
+import { ensureCollection } from './mongoSchemas.js';
+
+/**
+ * Gets the account code rules for a company's Xero tenant
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} tenantId - Xero tenant ID
+ * @returns {Promise<Object|null>} Rules document or null if none are stored
+ */
+export async function findAccountCodeRules(companyId, tenantId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'xero_account_code_rules');
+    return await collection.findOne({ companyId: String(companyId), tenantId });
+  });
+}
+
+/**
+ * Creates or replaces the account code rules for a company's Xero tenant
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} tenantId - Xero tenant ID
+ * @param {Array<Object>} rules - Rules ({ type, value, accountCode })
+ * @returns {Promise<Object>} The saved rules document
+ */
+export async function upsertAccountCodeRules(companyId, tenantId, rules) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'xero_account_code_rules');
+    const now = new Date();
+    const result = await collection.findOneAndUpdate(
+      { companyId: String(companyId), tenantId },
+      {
+        $set: { rules, updatedAt: now },
+        $setOnInsert: { createdAt: now }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return result;
+  });
+}
+
+/**
+ * Deletes all account code rules for a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<number>} Number of rules documents deleted
+ */
+export async function deleteAccountCodeRulesByCompany(companyId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'xero_account_code_rules');
+    const result = await collection.deleteMany({ companyId: String(companyId) });
+    return result.deletedCount;
+  });
+}
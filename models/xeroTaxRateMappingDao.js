@@ -0,0 +1,63 @@
+/**
+ * Xero Tax Rate Mapping Data Access Object (DAO)
+ *
+ * This module provides data access methods for the per-company, per-tenant
+ * mappings from Pipedrive tax percentages to Xero TaxType codes.
+ *
+ * @module models/xeroTaxRateMappingDao
+ */
+
+import { withDatabase } from '../services/mongoService.js';
+import { ensureCollection } from './mongoSchemas.js';
+
+/**
+ * Gets the tax rate mapping for a company's Xero tenant
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} tenantId - Xero tenant ID
+ * @returns {Promise<Object|null>} Mapping document or null if none is stored
+ */
+export async function findTaxRateMapping(companyId, tenantId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'xero_tax_rate_mappings');
+    return await collection.findOne({ companyId: String(companyId), tenantId });
+  });
+}
+
+/**
+ * Creates or replaces the tax rate mapping for a company's Xero tenant
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} tenantId - Xero tenant ID
+ * @param {Array<Object>} mappings - Mappings ({ rate, taxType })
+ * @returns {Promise<Object>} The saved mapping document
+ */
+export async function upsertTaxRateMapping(companyId, tenantId, mappings) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'xero_tax_rate_mappings');
+    const now = new Date();
+    const result = await collection.findOneAndUpdate(
+      { companyId: String(companyId), tenantId },
+      {
+        $set: { mappings, updatedAt: now },
+        $setOnInsert: { createdAt: now }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return result;
+  });
+}
+
+/**
+ * Deletes all tax rate mappings for a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<number>} Number of mapping documents deleted
+ */
+export async function deleteTaxRateMappingsByCompany(companyId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'xero_tax_rate_mappings');
+    const result = await collection.deleteMany({ companyId: String(companyId) });
+    return result.deletedCount;
+  });
+}
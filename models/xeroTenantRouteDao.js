@@ -0,0 +1,135 @@
+/**
+ * Xero Tenant Route Data Access Object (DAO)
+ *
+ * This module provides data access methods for the per-company rules that route
+ * a deal's department to a specific Xero organisation (tenant).
+ *
+ * @module models/xeroTenantRouteDao
+ */
+
+import { withDatabase } from '../services/mongoService.js';
+import { ensureCollection } from './mongoSchemas.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Normalises a department name for matching (trimmed, lower-cased)
+ *
+ * @param {string} department - Department name
+ * @returns {string} Normalised department key
+ */
+export function toDepartmentKey(department) {
+  return String(department).trim().toLowerCase();
+}
+
+/**
+ * Gets all tenant routes configured for a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<Array<Object>>} Routes sorted by department
+ */
+export async function findTenantRoutesByCompany(companyId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'xero_tenant_routes');
+    return await collection
+      .find({ companyId: String(companyId) })
+      .sort({ departmentKey: 1 })
+      .toArray();
+  });
+}
+
+/**
+ * Gives a route saved before routes recorded the department code (matched by
+ * name) the department's code, so the code-keyed upsert updates it. When the
+ * department already has a coded route, the name-only one is removed instead.
+ *
+ * @param {Collection} collection - The xero_tenant_routes collection
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} department - Department name
+ * @param {string} departmentCode - Department code
+ * @returns {Promise<void>}
+ */
+async function adoptNameOnlyRoute(collection, companyId, department, departmentCode) {
+  const nameOnly = {
+    companyId: String(companyId),
+    departmentKey: toDepartmentKey(department),
+    departmentCode: { $exists: false }
+  };
+  try {
+    await collection.updateOne(nameOnly, { $set: { departmentCode } });
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY_ERROR) {
+      throw error;
+    }
+    await collection.deleteOne(nameOnly);
+  }
+}
+
+/**
+ * Creates or replaces the tenant route for a department. There is one route
+ * per department code (enforced by a unique index).
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} department - Department name
+ * @param {string} departmentCode - Department code (e.g., 'NY')
+ * @param {string} tenantId - Xero tenant ID
+ * @param {string|null} tenantName - Xero organisation name
+ * @returns {Promise<Object>} The saved route
+ */
+export async function upsertTenantRoute(companyId, department, departmentCode, tenantId, tenantName = null) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'xero_tenant_routes');
+    await adoptNameOnlyRoute(collection, companyId, department, departmentCode);
+
+    const now = new Date();
+    const result = await collection.findOneAndUpdate(
+      { companyId: String(companyId), departmentCode },
+      {
+        $set: {
+          department: department.trim(),
+          departmentKey: toDepartmentKey(department),
+          tenantId,
+          tenantName,
+          updatedAt: now
+        },
+        $setOnInsert: { createdAt: now }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return result;
+  });
+}
+
+/**
+ * Deletes the tenant route for a department: the route with its code and any
+ * route saved under its name before routes recorded codes
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} department - Department name
+ * @param {string|null} [departmentCode] - Department code, when the department is known
+ * @returns {Promise<boolean>} True if a route was deleted
+ */
+export async function deleteTenantRoute(companyId, department, departmentCode = null) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'xero_tenant_routes');
+    const byName = { departmentKey: toDepartmentKey(department) };
+    const result = await collection.deleteMany(departmentCode
+      ? { companyId: String(companyId), $or: [{ departmentCode }, byName] }
+      : { companyId: String(companyId), ...byName });
+    return result.deletedCount > 0;
+  });
+}
+
+/**
+ * Deletes all tenant routes for a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<number>} Number of routes deleted
+ */
+export async function deleteTenantRoutesByCompany(companyId) {
+  return withDatabase(async (db) => {
+    const collection = await ensureCollection(db, 'xero_tenant_routes');
+    const result = await collection.deleteMany({ companyId: String(companyId) });
+    return result.deletedCount;
+  });
+}
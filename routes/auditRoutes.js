@@ -0,0 +1,32 @@
+/**
+ * Audit Log Routes
+ *
+ * Lets a company see who wrote what to Xero and Pipedrive on its behalf
+ * (see services/auditService.js).
+ *
+ * Routes:
+ * - GET /api/audit-events - Audit events, filtered by dealId, projectNumber, userId,
+ *   from and to
+ *
+ * Every route requires a signed Pipedrive identity and the audit:read permission.
+ *
+ * @module routes/auditRoutes
+ */
+
+import express from 'express';
+import * as auditController from '../controllers/auditController.js';
+import { requirePipedriveSignature } from '../middleware/pipedriveJwtAuth.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { PERMISSIONS } from '../services/permissionService.js';
+import { logRoute } from '../middleware/routeLogger.js';
+
+const router = express.Router();
+
+router.get('/api/audit-events',
+    logRoute('Get Audit Events'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.AUDIT_READ),
+    auditController.getAuditEvents
+);
+
+export default router;
@@ -8,11 +8,14 @@
  * Routes (mounted under /auth):
  * - GET /auth/ - Initiate Pipedrive OAuth authentication (redirects to frontend)
  * - GET /auth/callback - Handle Pipedrive OAuth callback
+ * - DELETE /auth/callback - Handle Pipedrive app uninstall (client credentials)
  * - GET /auth/auth-url - Get Pipedrive OAuth URL for frontend
- * - GET /auth/status - Check authentication status for a company
- * - POST /auth/logout - Clear authentication tokens for a company
- * - GET /auth/connect-xero - Initiate Xero OAuth authentication  
+ * - GET /auth/status - Check authentication status of the signed-in company
+ * - POST /auth/logout - Revoke tokens at both providers and purge company data (requires settings:manage)
+ * - GET /auth/connect-xero - Initiate Xero OAuth authentication for the signed-in company
  * - GET /auth/xero-callback - Handle Xero OAuth callback
+ * - GET /auth/xero/tenants - List authorised Xero organisations (requires signed identity)
+ * - PUT /auth/xero/tenants/default - Set the default Xero organisation (requires settings:manage)
  * 
  * @module routes/authRoutes
  */
@@ -20,6 +23,9 @@
 import express from 'express';
 import * as authController from '../controllers/authController.js';
 import { checkAuthRequirements } from '../middleware/authMiddleware.js';
+import { requirePipedriveSignature } from '../middleware/pipedriveJwtAuth.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { PERMISSIONS } from '../services/permissionService.js';
 import * as tokenService from '../services/secureTokenService.js';
 
 const router = express.Router();
@@ -42,27 +48,33 @@ router.get('/', async (req, res) => {
     return authController.initiatePipedriveAuth(req, res);
 });
 router.get('/callback', authController.handlePipedriveCallback);
+router.delete('/callback', authController.handlePipedriveUninstall); // Pipedrive app-uninstall event
 router.get('/auth-url', authController.getPipedriveAuthUrl);
 router.post('/auth-url', authController.getPipedriveAuthUrl); // Support POST for frontend
 
-// Authentication Status and Management
-router.get('/status', authController.checkAuthStatus);
-router.post('/status', authController.checkAuthStatus); // Support POST calls for status
+// Authentication Status and Management (only for the signed-in company)
+router.get('/status', requirePipedriveSignature, authController.checkAuthStatus);
+router.post('/status', requirePipedriveSignature, authController.checkAuthStatus); // Support POST calls for status
 
-router.get('/check-auth', authController.checkAuthStatus); // Alias for frontend compatibility
-router.post('/check-auth', authController.checkAuthStatus); // Support POST calls from frontend
+router.get('/check-auth', requirePipedriveSignature, authController.checkAuthStatus); // Alias for frontend compatibility
+router.post('/check-auth', requirePipedriveSignature, authController.checkAuthStatus); // Support POST calls from frontend
 
-router.get('/checkAuth', authController.checkAuthStatus); // Alias for camelCase frontend call
-router.post('/checkAuth', authController.checkAuthStatus);
+router.get('/checkAuth', requirePipedriveSignature, authController.checkAuthStatus); // Alias for camelCase frontend call
+router.post('/checkAuth', requirePipedriveSignature, authController.checkAuthStatus);
 
 router.get('/requirements', checkAuthRequirements);
 router.post('/requirements', checkAuthRequirements); // Support POST for requirements
-router.post('/logout', authController.logout);
+// Logout disconnects the whole company, so only admins may do it
+router.post('/logout', requirePipedriveSignature, requirePermission(PERMISSIONS.SETTINGS_MANAGE), authController.logout);
 
-// Xero OAuth Routes
-router.get('/connect-xero', authController.initiateXeroAuth);
-router.get('/auth/connect-xero', authController.initiateXeroAuth);
+// Xero OAuth Routes. Connecting links the Xero organisation to the signed-in company.
+router.get('/connect-xero', requirePipedriveSignature, authController.initiateXeroAuth);
+router.get('/auth/connect-xero', requirePipedriveSignature, authController.initiateXeroAuth);
 router.get('/xero-callback', authController.handleXeroCallback);
 router.get('/auth/xero-callback', authController.handleXeroCallback);
 
+// Xero tenant selection
+router.get('/xero/tenants', requirePipedriveSignature, authController.listXeroTenants);
+router.put('/xero/tenants/default', requirePipedriveSignature, requirePermission(PERMISSIONS.SETTINGS_MANAGE), authController.setDefaultXeroTenant);
+
 export default router;
@@ -0,0 +1,59 @@
+/**
+ * Company Config Admin Routes
+ *
+ * Lets company admins manage their company's configuration
+ * (see services/companyConfigAdminService.js).
+ *
+ * Routes:
+ * - GET /api/admin/config - Current configuration
+ * - PATCH /api/admin/config - Update settings in one or more sections
+ * - POST /api/admin/config/reset - Reset sections to the defaults
+ * - GET /api/admin/config/history - Recent configuration changes
+ *
+ * Every route requires a signed Pipedrive identity and the settings:manage permission.
+ *
+ * @module routes/companyConfigRoutes
+ */
+
+import express from 'express';
+import * as companyConfigController from '../controllers/companyConfigController.js';
+import { requirePipedriveSignature } from '../middleware/pipedriveJwtAuth.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { PERMISSIONS } from '../services/permissionService.js';
+import { logRoute } from '../middleware/routeLogger.js';
+import { validate, sanitizeAll } from '../middleware/inputValidation.js';
+
+const router = express.Router();
+
+router.get('/api/admin/config',
+    logRoute('Get Company Config'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    companyConfigController.getCompanyConfig
+);
+
+router.patch('/api/admin/config',
+    logRoute('Patch Company Config'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    sanitizeAll,
+    companyConfigController.patchCompanyConfig
+);
+
+router.post('/api/admin/config/reset',
+    logRoute('Reset Company Config'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    sanitizeAll,
+    validate('resetCompanyConfig'),
+    companyConfigController.resetCompanyConfig
+);
+
+router.get('/api/admin/config/history',
+    logRoute('Get Company Config History'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    companyConfigController.getCompanyConfigHistory
+);
+
+export default router;
@@ -0,0 +1,56 @@
+/**
+ * Custom Field Setup Routes
+ *
+ * Setup wizard for the Pipedrive deal fields the integration reads and writes
+ * (see services/customFieldSetupService.js).
+ *
+ * Routes:
+ * - GET /api/custom-fields/discover - Propose a deal field for each value
+ * - POST /api/custom-fields/create-missing - Create deal fields in Pipedrive
+ * - PUT /api/custom-fields/mapping - Validate and save the confirmed mapping
+ *
+ * Every route requires a signed Pipedrive identity and a Pipedrive connection.
+ *
+ * @module routes/customFieldRoutes
+ */
+
+import express from 'express';
+import * as customFieldController from '../controllers/customFieldController.js';
+import { requirePipedriveAuth } from '../middleware/authMiddleware.js';
+import { requirePipedriveSignature } from '../middleware/pipedriveJwtAuth.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { PERMISSIONS } from '../services/permissionService.js';
+import { logRoute } from '../middleware/routeLogger.js';
+import { validate, sanitizeAll } from '../middleware/inputValidation.js';
+
+const router = express.Router();
+
+router.get('/api/custom-fields/discover',
+    logRoute('Discover Custom Fields'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_READ),
+    requirePipedriveAuth,
+    customFieldController.discoverCustomFields
+);
+
+router.post('/api/custom-fields/create-missing',
+    logRoute('Create Missing Custom Fields'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    requirePipedriveAuth,
+    sanitizeAll,
+    validate('createMissingCustomFields'),
+    customFieldController.createMissingCustomFields
+);
+
+router.put('/api/custom-fields/mapping',
+    logRoute('Save Custom Field Mapping'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    requirePipedriveAuth,
+    sanitizeAll,
+    validate('saveCustomFieldMapping'),
+    customFieldController.saveCustomFieldMapping
+);
+
+export default router;
@@ -5,12 +5,17 @@
  * and administrative operations. These routes are intended for system
  * administrators and monitoring tools.
  * 
- * Key endpoints:
+ * Key endpoints (under /api/admin/database):
  * - GET /health - Database health check and metrics
  * - GET /consistency - Data consistency validation
  * - POST /cleanup - Database cleanup operations
  * - GET /analytics - Project generation analytics
  * - GET /performance - Database performance metrics
+ * - GET /migration/status, POST /migration/run, POST /migration/rollback - Migrations
+ * 
+ * Every route requires an admin API key with the route's scope (see
+ * middleware/adminAuth.js). Cleanup and migrations also need a confirmation
+ * token from a dry run before they execute.
  * 
  * @module routes/databaseRoutes
  */
@@ -18,106 +23,142 @@
 import express from 'express';
 import * as databaseController from '../controllers/databaseController.js';
 import { logRoute } from '../middleware/routeLogger.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { ADMIN_SCOPES, requireAdminApiKey, requireAdminScope, requireConfirmation } from '../middleware/adminAuth.js';
+import { getCurrentMigrationVersion } from '../utils/databaseMigration.js';
 
 const router = express.Router();
 
 /**
- * @route   GET /api/database/health
+ * @route   GET /api/admin/database/health
  * @desc    Get comprehensive database health information
- * @access  Admin
+ * @access  Admin API key (database:read)
  * @returns {Object} Database health metrics, server status, and collection statistics
  */
-router.get('/health', 
-    logRoute('Database Health Check'), 
-    databaseController.checkDatabaseHealth
+router.get('/api/admin/database/health',
+    logRoute('Database Health Check'),
+    requireAdminApiKey,
+    requireAdminScope(ADMIN_SCOPES.DATABASE_READ),
+    asyncHandler(databaseController.checkDatabaseHealth)
 );
 
 /**
- * @route   GET /api/database/consistency
+ * @route   GET /api/admin/database/consistency
  * @desc    Validate data consistency across database collections
- * @access  Admin
+ * @access  Admin API key (database:read)
  * @returns {Object} Data consistency validation results and recommendations
  */
-router.get('/consistency', 
-    logRoute('Data Consistency Validation'), 
-    databaseController.validateDataConsistency
+router.get('/api/admin/database/consistency',
+    logRoute('Data Consistency Validation'),
+    requireAdminApiKey,
+    requireAdminScope(ADMIN_SCOPES.DATABASE_READ),
+    asyncHandler(databaseController.validateDataConsistency)
 );
 
 /**
- * @route   POST /api/database/cleanup
+ * @route   POST /api/admin/database/cleanup
  * @desc    Perform database cleanup operations
- * @access  Admin
+ * @access  Admin API key (database:write)
  * @body    {boolean} [dryRun=true] - If true, only report what would be cleaned
  * @body    {boolean} [cleanOrphanedMappings=true] - Clean mappings without deals
  * @body    {boolean} [cleanInvalidData=false] - Clean invalid data (destructive)
- * @returns {Object} Cleanup results and recommendations
+ * @body    {string} [confirmationToken] - Token from a dry run with the same options; required when dryRun is false
+ * @returns {Object} Cleanup results and recommendations; a dry run also returns a confirmation token
  */
-router.post('/cleanup', 
-    logRoute('Database Cleanup'), 
-    databaseController.performDatabaseCleanup
+router.post('/api/admin/database/cleanup',
+    logRoute('Database Cleanup'),
+    requireAdminApiKey,
+    requireAdminScope(ADMIN_SCOPES.DATABASE_WRITE),
+    requireConfirmation('database.cleanup', (req) => ({
+        cleanOrphanedMappings: req.body?.cleanOrphanedMappings ?? true,
+        cleanInvalidData: req.body?.cleanInvalidData ?? false
+    })),
+    asyncHandler(databaseController.performDatabaseCleanup)
 );
 
 /**
- * @route   GET /api/database/analytics
+ * @route   GET /api/admin/database/analytics
  * @desc    Get project generation analytics and trends
- * @access  Admin
+ * @access  Admin API key (database:read)
  * @query   {number} [days=30] - Number of days to analyze (1-365)
+ * @query   {string} [companyId] - Only analyze this company's projects, by its fiscal year (all companies by calendar year in UTC otherwise)
  * @returns {Object} Project analytics, trends, and insights
  */
-router.get('/analytics', 
-    logRoute('Project Analytics'), 
-    databaseController.getProjectAnalytics
+router.get('/api/admin/database/analytics',
+    logRoute('Project Analytics'),
+    requireAdminApiKey,
+    requireAdminScope(ADMIN_SCOPES.DATABASE_READ),
+    asyncHandler(databaseController.getProjectAnalytics)
 );
 
 /**
- * @route   GET /api/database/performance
+ * @route   GET /api/admin/database/performance
  * @desc    Get database performance metrics
- * @access  Admin
+ * @access  Admin API key (database:read)
  * @returns {Object} Database performance metrics and analysis
  */
-router.get('/performance', 
-    logRoute('Database Performance Metrics'), 
-    databaseController.getDatabasePerformance
+router.get('/api/admin/database/performance',
+    logRoute('Database Performance Metrics'),
+    requireAdminApiKey,
+    requireAdminScope(ADMIN_SCOPES.DATABASE_READ),
+    asyncHandler(databaseController.getDatabasePerformance)
 );
 
 // Migration Management Routes
 
 /**
- * @route   GET /api/database/migration/status
+ * @route   GET /api/admin/database/migration/status
  * @desc    Get current migration status and available migrations
- * @access  Admin
+ * @access  Admin API key (database:read)
  * @returns {Object} Migration status, pending migrations, and recommendations
  */
-router.get('/migration/status', 
-    logRoute('Migration Status Check'), 
-    databaseController.getMigrationStatus
+router.get('/api/admin/database/migration/status',
+    logRoute('Migration Status Check'),
+    requireAdminApiKey,
+    requireAdminScope(ADMIN_SCOPES.DATABASE_READ),
+    asyncHandler(databaseController.getMigrationStatus)
 );
 
 /**
- * @route   POST /api/database/migration/run
+ * @route   POST /api/admin/database/migration/run
  * @desc    Run pending database migrations
- * @access  Admin
+ * @access  Admin API key (database:migrate)
  * @body    {boolean} [dryRun=true] - If true, only report what would be migrated
  * @body    {string} [targetVersion] - Target migration version (defaults to latest)
  * @body    {boolean} [force=false] - Force migration even if already applied
- * @returns {Object} Migration results and recommendations
+ * @body    {string} [confirmationToken] - Token from a dry run with the same options; required when dryRun is false
+ * @returns {Object} Migration results and recommendations; a dry run also returns a confirmation token
  */
-router.post('/migration/run', 
-    logRoute('Run Database Migrations'), 
-    databaseController.runMigrations
+router.post('/api/admin/database/migration/run',
+    logRoute('Run Database Migrations'),
+    requireAdminApiKey,
+    requireAdminScope(ADMIN_SCOPES.DATABASE_MIGRATE),
+    requireConfirmation('database.migration.run', (req) => ({
+        targetVersion: req.body?.targetVersion ?? null,
+        force: req.body?.force ?? false
+    })),
+    asyncHandler(databaseController.runMigrations)
 );
 
 /**
- * @route   POST /api/database/migration/rollback
+ * @route   POST /api/admin/database/migration/rollback
  * @desc    Rollback the last applied migration
- * @access  Admin
+ * @access  Admin API key (database:migrate)
  * @body    {boolean} [dryRun=true] - If true, only report what would be rolled back
  * @body    {boolean} [force=false] - Force rollback even if risky
- * @returns {Object} Rollback results and recommendations
+ * @body    {string} [confirmationToken] - Token from a dry run with the same options; required when dryRun is false.
+ *          It is bound to the migration the dry run would roll back, and is refused once another one is the last applied.
+ * @returns {Object} Rollback results and recommendations; a dry run also returns a confirmation token
  */
-router.post('/migration/rollback', 
-    logRoute('Rollback Migration'), 
-    databaseController.rollbackLastMigration
+router.post('/api/admin/database/migration/rollback',
+    logRoute('Rollback Migration'),
+    requireAdminApiKey,
+    requireAdminScope(ADMIN_SCOPES.DATABASE_MIGRATE),
+    requireConfirmation('database.migration.rollback', async (req) => ({
+        version: await getCurrentMigrationVersion(),
+        force: req.body?.force ?? false
+    })),
+    asyncHandler(databaseController.rollbackLastMigration)
 );
 
 export default router;
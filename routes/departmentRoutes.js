@@ -0,0 +1,51 @@
+/**
+ * Department Routes
+ *
+ * Manages the company's departments and the 2-letter codes used in project
+ * numbers (see services/departmentService.js).
+ *
+ * Routes:
+ * - GET /api/departments - List the company's departments
+ * - POST /api/departments - Add a department (admin)
+ * - PATCH /api/departments/:code - Rename, change aliases, or (de)activate a department (admin)
+ *
+ * Every route requires a signed Pipedrive identity.
+ *
+ * @module routes/departmentRoutes
+ */
+
+import express from 'express';
+import * as departmentController from '../controllers/departmentController.js';
+import { requirePipedriveSignature } from '../middleware/pipedriveJwtAuth.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { PERMISSIONS } from '../services/permissionService.js';
+import { logRoute } from '../middleware/routeLogger.js';
+import { validate, sanitizeAll } from '../middleware/inputValidation.js';
+
+const router = express.Router();
+
+router.get('/api/departments',
+    logRoute('List Departments'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_READ),
+    departmentController.listDepartments
+);
+
+router.post('/api/departments',
+    logRoute('Create Department'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    sanitizeAll,
+    validate('createDepartment'),
+    departmentController.createDepartment
+);
+
+router.patch('/api/departments/:code',
+    logRoute('Update Department'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    sanitizeAll,
+    departmentController.updateDepartment
+);
+
+export default router;
@@ -12,19 +12,27 @@
  * - POST /api/pipedrive/create-invoice - Create invoice from Pipedrive deal (requires auth)
  * - POST /api/pipedrive/get-quotation-data - Get quotation data for updating (requires both Pipedrive and Xero auth)
  * 
+ * Every route requires a signed Pipedrive identity (App Extension JWT or session token)
+ * and a role permission (see services/permissionService.js).
+ * 
  * @module routes/pipedriveRoutes
  */
 
 import express from 'express';
 import { getPipedriveData, createProject, createInvoice, handlePipedriveAction, getQuotationData } from '../controllers/pipedriveController.js';
 import { requirePipedriveAuth, requireBothPipedriveAndXero } from '../middleware/authMiddleware.js';
+import { requirePipedriveSignature } from '../middleware/pipedriveJwtAuth.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { PERMISSIONS } from '../services/permissionService.js';
 import { logRoute } from '../middleware/routeLogger.js';
 
 const router = express.Router();
 
-// Pipedrive Action URL (from App Extensions) - requires auth but uses query params
+// Pipedrive Action URL (from App Extensions) - verifies the Pipedrive JWT in the `token` query param
 router.get('/pipedrive-action', 
     logRoute('Handle Pipedrive Action'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.DEAL_READ),
     requirePipedriveAuth, 
     handlePipedriveAction
 );
@@ -32,6 +40,8 @@ router.get('/pipedrive-action',
 // API to get Pipedrive data for frontend - requires auth
 router.get('/api/pipedrive-data', 
     logRoute('Get Pipedrive Data'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.DEAL_READ),
     requirePipedriveAuth, 
     getPipedriveData
 );
@@ -39,6 +49,8 @@ router.get('/api/pipedrive-data',
 // Route to handle the Pipedrive action for creating a project - requires auth
 router.post('/api/pipedrive/create-project', 
     logRoute('Create Project from Deal'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.PROJECT_CREATE),
     requirePipedriveAuth, 
     createProject
 );
@@ -46,6 +58,8 @@ router.post('/api/pipedrive/create-project',
 // Route to handle the Pipedrive action for creating an invoice - requires auth
 router.post('/api/pipedrive/create-invoice', 
     logRoute('Create Invoice from Deal'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.INVOICE_CREATE),
     requirePipedriveAuth, 
     createInvoice
 );
@@ -53,6 +67,8 @@ router.post('/api/pipedrive/create-invoice',
 // Route to get quotation data for updating - requires both Pipedrive and Xero auth
 router.post('/api/pipedrive/get-quotation-data', 
     logRoute('Get Quotation Data for Update'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.DEAL_READ),
     requireBothPipedriveAndXero, 
     getQuotationData
 );
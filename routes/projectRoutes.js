@@ -8,6 +8,9 @@
  * Routes:
  * - POST /api/project/create-full - Create complete project with deal linking (requires both Pipedrive and Xero auth)
  * 
+ * Creating a project requires the project:create permission; linking a deal to an
+ * existing project number requires project:link.
+ * 
  * @module routes/projectRoutes
  */
 
@@ -15,6 +18,9 @@ import express from 'express';
 import { createFullProject } from '../controllers/projectController.js';
 import { requireBothPipedriveAndXero } from '../middleware/authMiddleware.js';
 import { validate, sanitizeAll } from '../middleware/inputValidation.js';
+import { requirePipedriveSignature } from '../middleware/pipedriveJwtAuth.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { PERMISSIONS } from '../services/permissionService.js';
 import { logRoute } from '../middleware/routeLogger.js';
 import { attachRequestCache } from '../services/batchOperationsService.js';
 
@@ -24,6 +30,9 @@ const router = express.Router();
 // Requires BOTH Pipedrive and Xero authentication for complete project creation
 router.post('/api/project/create-full', 
     logRoute('Create Full Project'),
+    requirePipedriveSignature,
+    // Linking a deal to an existing project number needs its own permission
+    requirePermission(req => req.body?.existingProjectNumberToLink ? PERMISSIONS.PROJECT_LINK : PERMISSIONS.PROJECT_CREATE),
     sanitizeAll,
     // validate('createFullProject'), // Temporarily disabled
     attachRequestCache,  // Add caching to reduce redundant API calls
@@ -0,0 +1,58 @@
+/**
+ * Role Management Routes
+ *
+ * Handles per-company role assignments for Pipedrive users. Roles decide which
+ * financial actions a user may take (see services/permissionService.js).
+ *
+ * Routes:
+ * - GET /api/roles/me - Roles and permissions of the signed-in user
+ * - GET /api/roles - List available roles and the company's assignments (admin)
+ * - PUT /api/roles/users/:userId - Assign roles to a Pipedrive user (admin)
+ * - DELETE /api/roles/users/:userId - Remove a user's assignment (admin)
+ *
+ * Every route requires a signed Pipedrive identity.
+ *
+ * @module routes/roleRoutes
+ */
+
+import express from 'express';
+import * as roleController from '../controllers/roleController.js';
+import { requirePipedriveSignature } from '../middleware/pipedriveJwtAuth.js';
+import { requirePermission, attachActingUser } from '../middleware/permissionMiddleware.js';
+import { PERMISSIONS } from '../services/permissionService.js';
+import { logRoute } from '../middleware/routeLogger.js';
+import { validate, sanitizeAll } from '../middleware/inputValidation.js';
+
+const router = express.Router();
+
+router.get('/api/roles/me',
+    logRoute('Get My Roles'),
+    requirePipedriveSignature,
+    attachActingUser,
+    roleController.getMyRoles
+);
+
+router.get('/api/roles',
+    logRoute('List Role Assignments'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.ROLES_MANAGE),
+    roleController.getRoleAssignments
+);
+
+router.put('/api/roles/users/:userId',
+    logRoute('Set User Roles'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.ROLES_MANAGE),
+    sanitizeAll,
+    validate('setUserRoles'),
+    roleController.setUserRoles
+);
+
+router.delete('/api/roles/users/:userId',
+    logRoute('Delete User Roles'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.ROLES_MANAGE),
+    roleController.deleteUserRoles
+);
+
+export default router;
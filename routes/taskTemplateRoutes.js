@@ -0,0 +1,50 @@
+/**
+ * Task Template Routes
+ *
+ * Manages the tasks created in new Xero projects, per department (see
+ * services/projectTaskTemplateService.js).
+ *
+ * Routes:
+ * - GET /api/task-templates - List the company's task templates and the default tasks
+ * - PUT /api/task-templates/:departmentCode - Set a department's template, or DEFAULT (admin)
+ * - DELETE /api/task-templates/:departmentCode - Remove a department's template, or DEFAULT (admin)
+ *
+ * Every route requires a signed Pipedrive identity.
+ *
+ * @module routes/taskTemplateRoutes
+ */
+
+import express from 'express';
+import * as taskTemplateController from '../controllers/taskTemplateController.js';
+import { requirePipedriveSignature } from '../middleware/pipedriveJwtAuth.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { PERMISSIONS } from '../services/permissionService.js';
+import { logRoute } from '../middleware/routeLogger.js';
+import { validate, sanitizeAll } from '../middleware/inputValidation.js';
+
+const router = express.Router();
+
+router.get('/api/task-templates',
+    logRoute('List Task Templates'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_READ),
+    taskTemplateController.listTaskTemplates
+);
+
+router.put('/api/task-templates/:departmentCode',
+    logRoute('Set Task Template'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    sanitizeAll,
+    validate('setTaskTemplate'),
+    taskTemplateController.setTaskTemplate
+);
+
+router.delete('/api/task-templates/:departmentCode',
+    logRoute('Delete Task Template'),
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    taskTemplateController.deleteTaskTemplate
+);
+
+export default router;
@@ -15,6 +15,16 @@
  * - POST /api/xero/create-partial-invoice-from-quote - Create partial invoice from quote
  * - POST /api/xero/create-invoice-from-deal - Create invoice from deal with quote validation
  * - POST /api/xero/create-invoice-with-documents - Create invoice from deal with document attachments
+ * - GET /api/xero/tenant-routes - List department-to-tenant routing rules
+ * - PUT /api/xero/tenant-routes - Map a department to a Xero tenant
+ * - DELETE /api/xero/tenant-routes/:department - Remove a department's tenant route
+ * - GET /api/xero/tax-rates - List a tenant's tax rates and the company's tax rate mappings
+ * - PUT /api/xero/tax-rates/mappings - Map Pipedrive tax percentages to the tenant's tax types
+ * - GET /api/xero/account-codes - List a tenant's revenue accounts and the company's account code rules
+ * - PUT /api/xero/account-codes/rules - Choose line item accounts by product, category, code prefix or department
+ * 
+ * Every route requires a signed Pipedrive identity (session token) and a role
+ * permission (see services/permissionService.js) before any token lookup happens.
  * 
  * @module routes/xeroRoutes
  */
@@ -22,6 +32,9 @@
 import express from 'express';
 import * as xeroController from '../controllers/xeroController.js';
 import { requirePipedriveWithOptionalXero, requireXeroAuth, requireBothPipedriveAndXero } from '../middleware/authMiddleware.js';
+import { requirePipedriveSignature } from '../middleware/pipedriveJwtAuth.js';
+import { requirePermission } from '../middleware/permissionMiddleware.js';
+import { PERMISSIONS } from '../services/permissionService.js';
 import { logRoute } from '../middleware/routeLogger.js';
 import { validate, sanitizeAll } from '../middleware/inputValidation.js';
 import { attachRequestCache } from '../services/batchOperationsService.js';
@@ -29,15 +42,19 @@ import { uploadMultiple, handleUploadError } from '../middleware/fileUpload.js';
 
 const router = express.Router();
 
-// API to check Xero connection status (no auth required, just checks status)
+// API to check Xero connection status (no Xero auth required, just checks status)
 router.get('/api/xero/status', 
     logRoute('Check Xero Status'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.DEAL_READ),
     xeroController.getXeroStatus
 );
 
 // API to create Xero Quote (requires both Pipedrive and Xero auth)
 router.post('/api/xero/create-quote', 
     logRoute('Create Xero Quote'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.QUOTE_CREATE),
     sanitizeAll,
     validate('createXeroQuote'),
     attachRequestCache,  // Add caching to reduce redundant API calls
@@ -48,24 +65,30 @@ router.post('/api/xero/create-quote',
 // API to accept a Xero Quote (requires both Pipedrive and Xero auth)
 router.post('/api/xero/accept-quote', 
     logRoute('Accept Xero Quote'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.QUOTE_ACCEPT),
     sanitizeAll,
     validate('acceptXeroQuote'),
     requireBothPipedriveAndXero, 
     xeroController.acceptXeroQuote
 );
 
-// API to create a Xero Project (requires Xero auth)
+// API to create a Xero Project (requires both Pipedrive and Xero auth; the deal selects the tenant)
 router.post('/api/xero/create-project', 
     logRoute('Create Xero Project'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.PROJECT_CREATE),
     sanitizeAll,
     validate('createXeroProject'),
-    requireXeroAuth, 
+    requireBothPipedriveAndXero, 
     xeroController.createXeroProject
 );
 
 // API to update quotation on Xero using Pipedrive deal data (requires both Pipedrive and Xero auth)
 router.put('/api/xero/update-quotation', 
     logRoute('Update Quotation on Xero'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.QUOTE_UPDATE),
     sanitizeAll,
     validate('updateQuotationOnXero'),
     attachRequestCache,  // Add caching to reduce redundant API calls
@@ -76,6 +99,8 @@ router.put('/api/xero/update-quotation',
 // API to update quote with versioning (requires both Pipedrive and Xero auth)
 router.put('/api/xero/update-quote', 
     logRoute('Update Quote with Versioning'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.QUOTE_UPDATE),
     sanitizeAll,
     validate('updateQuoteWithVersioning'),
     attachRequestCache,  // Add caching to reduce redundant API calls
@@ -86,6 +111,8 @@ router.put('/api/xero/update-quote',
 // API to create invoice from quote (requires both Pipedrive and Xero auth)
 router.post('/api/xero/create-invoice-from-quote', 
     logRoute('Create Invoice from Quote'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.INVOICE_CREATE),
     sanitizeAll,
     validate('createInvoiceFromQuote'),
     requireBothPipedriveAndXero, 
@@ -95,6 +122,8 @@ router.post('/api/xero/create-invoice-from-quote',
 // API to create partial invoice from quote (requires both Pipedrive and Xero auth)
 router.post('/api/xero/create-partial-invoice-from-quote', 
     logRoute('Create Partial Invoice from Quote'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.INVOICE_CREATE),
     sanitizeAll,
     validate('createPartialInvoiceFromQuote'),
     requireBothPipedriveAndXero, 
@@ -104,6 +133,8 @@ router.post('/api/xero/create-partial-invoice-from-quote',
 // API to create invoice from deal (with quote validation) - requires both Pipedrive and Xero auth
 router.post('/api/xero/create-invoice-from-deal', 
     logRoute('Create Invoice from Deal'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.INVOICE_CREATE),
     sanitizeAll,
     validate('createInvoiceFromDeal'),
     attachRequestCache,  // Add caching to reduce redundant API calls
@@ -114,6 +145,8 @@ router.post('/api/xero/create-invoice-from-deal',
 // API to create invoice from deal with document upload support - requires both Pipedrive and Xero auth
 router.post('/api/xero/create-invoice-with-documents', 
     logRoute('Create Invoice with Documents'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.INVOICE_CREATE),
     uploadMultiple, // File upload middleware
     handleUploadError, // Error handling middleware for file uploads
     // Note: sanitizeAll is not used here as it interferes with file uploads
@@ -121,10 +154,75 @@ router.post('/api/xero/create-invoice-with-documents',
     xeroController.createInvoiceWithDocuments
 );
 
+// Department-to-tenant routing rules for the signed-in company
+router.get('/api/xero/tenant-routes', 
+    logRoute('List Xero Tenant Routes'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_READ),
+    xeroController.getXeroTenantRoutes
+);
+
+router.put('/api/xero/tenant-routes', 
+    logRoute('Set Xero Tenant Route'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    sanitizeAll,
+    validate('setXeroTenantRoute'),
+    xeroController.setXeroTenantRoute
+);
+
+router.delete('/api/xero/tenant-routes/:department', 
+    logRoute('Delete Xero Tenant Route'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    xeroController.deleteXeroTenantRoute
+);
+
+// Tax percentage to Xero TaxType mappings, per tenant (xeroTenantId query/body/header, or the default tenant)
+router.get('/api/xero/tax-rates', 
+    logRoute('List Xero Tax Rates'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_READ),
+    requireXeroAuth,
+    xeroController.getXeroTaxRates
+);
+
+router.put('/api/xero/tax-rates/mappings', 
+    logRoute('Set Xero Tax Rate Mappings'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    sanitizeAll,
+    validate('setXeroTaxRateMappings'),
+    requireXeroAuth,
+    xeroController.setXeroTaxRateMappings
+);
+
+// Line item AccountCode rules, per tenant (xeroTenantId query/body/header, or the default tenant)
+router.get('/api/xero/account-codes', 
+    logRoute('List Xero Account Codes'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_READ),
+    requireXeroAuth,
+    xeroController.getXeroAccountCodes
+);
+
+router.put('/api/xero/account-codes/rules', 
+    logRoute('Set Xero Account Code Rules'), 
+    requirePipedriveSignature,
+    requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+    sanitizeAll,
+    validate('setXeroAccountCodeRules'),
+    requireXeroAuth,
+    xeroController.setXeroAccountCodeRules
+);
+
 // ===== TEST ENDPOINTS FOR E2E TESTING =====
-router.get('/api/test/xero/quote/:quoteNumber', xeroController.getXeroQuoteByNumber);
-router.get('/api/test/xero/quote-by-id/:quoteId', xeroController.getXeroQuoteById);
-router.delete('/api/test/xero/quote/:quoteId', xeroController.deleteXeroQuote);
-router.get('/api/test/xero/quotes', xeroController.getAllXeroQuotes);
+// These act on a fixed test company without a signed identity, so they are never exposed in production
+if (process.env.NODE_ENV !== 'production') {
+    router.get('/api/test/xero/quote/:quoteNumber', xeroController.getXeroQuoteByNumber);
+    router.get('/api/test/xero/quote-by-id/:quoteId', xeroController.getXeroQuoteById);
+    router.delete('/api/test/xero/quote/:quoteId', xeroController.deleteXeroQuote);
+    router.get('/api/test/xero/quotes', xeroController.getAllXeroQuotes);
+}
 
 export default router;
@@ -0,0 +1,111 @@
+/**
+ * Database Migration CLI
+ * 
+ * Shows migration status, applies pending migrations or rolls back the last
+ * one. Migrations are loaded from the migrations/ directory; see
+ * utils/databaseMigration.js.
+ * 
+ * Usage:
+ *   npm run migrate -- status
+ *   npm run migrate -- up [--dry-run] [--to <version>] [--force]
+ *   npm run migrate -- down [--dry-run] [--force]
+ * 
+ * --force runs even if applied migration files were changed since.
+ * Exits with 1 if a migration fails or is locked by another instance.
+ * 
+ * @module scripts/migrate
+ */
+
+import 'dotenv/config';
+import { getMigrationStatus, runMigrations, rollbackLastMigration } from '../utils/databaseMigration.js';
+import { closeDatabase } from '../services/mongoService.js';
+
+const USAGE = 'Usage: npm run migrate -- <status|up|down> [--dry-run] [--to <version>] [--force]';
+
+/**
+ * Parses the command line
+ * 
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{command: string, dryRun: boolean, force: boolean, targetVersion: string|null}}
+ */
+function parseArgs(args) {
+    const toIndex = args.indexOf('--to');
+    return {
+        command: args.filter((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--to')[0],
+        dryRun: args.includes('--dry-run'),
+        force: args.includes('--force'),
+        targetVersion: toIndex >= 0 ? args[toIndex + 1] || null : null
+    };
+}
+
+/**
+ * Prints the changes a migration made or would make
+ * 
+ * @param {Array} changes - Changes reported by the migration
+ */
+function printChanges(changes = []) {
+    for (const change of changes) {
+        console.log(`      ${change.collection}: ${change.description} (${change.count})`);
+    }
+}
+
+/**
+ * Prints the status of every migration
+ */
+async function printStatus() {
+    const status = await getMigrationStatus();
+    
+    console.log(`Current version: ${status.currentVersion || 'none'} (latest ${status.latestVersion || 'none'})`);
+    for (const migration of status.migrations) {
+        console.log(`  ${migration.status.padEnd(10)} ${migration.version}  ${migration.description}`);
+    }
+    
+    return status.modifiedMigrations.length === 0 && status.missingMigrations.length === 0;
+}
+
+/**
+ * Main migration function
+ */
+async function main() {
+    const { command, dryRun, force, targetVersion } = parseArgs(process.argv.slice(2));
+    let succeeded;
+    
+    try {
+        if (command === 'status') {
+            succeeded = await printStatus();
+        } else if (command === 'up') {
+            const results = await runMigrations({ dryRun, force, targetVersion });
+            for (const migration of results.appliedMigrations) {
+                console.log(`  ${migration.status} ${migration.version}  ${migration.description}`);
+                printChanges(migration.changes);
+            }
+            results.errors.forEach(error => console.error(`  ❌ ${error.version}: ${error.error}`));
+            succeeded = results.errors.length === 0;
+        } else if (command === 'down') {
+            const results = await rollbackLastMigration({ dryRun, force });
+            for (const migration of results.rolledBackMigrations) {
+                console.log(`  ${migration.status} ${migration.version}  ${migration.description}`);
+                printChanges(migration.changes);
+            }
+            results.errors.forEach(error => console.error(`  ❌ ${error.version}: ${error.error}`));
+            succeeded = results.errors.length === 0;
+        } else {
+            console.error(USAGE);
+            succeeded = false;
+        }
+    } finally {
+        await closeDatabase();
+    }
+    
+    process.exit(succeeded ? 0 : 1);
+}
+
+// Run the CLI if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error('❌ Migration CLI failed:', error.message);
+        process.exit(1);
+    });
+}
+
+export { main as migrate };
@@ -16,6 +16,7 @@ import { fileURLToPath } from 'url';
 import { storeAuthToken } from '../services/secureTokenService.js';
 import { ensureCollection } from '../models/mongoSchemas.js';
 import { connectToDatabase } from '../lib/database.js';
+import { closeDatabase } from '../services/mongoService.js';
 import logger from '../lib/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -281,6 +282,9 @@ async function main() {
     } catch (error) {
         logger.error('Migration failed', { error: error.message });
         process.exit(1);
+    } finally {
+        // Let the process exit once the shared client is closed
+        await closeDatabase();
     }
 }
 
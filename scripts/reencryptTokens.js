@@ -0,0 +1,48 @@
+/**
+ * Token Re-encryption Script
+ * 
+ * Re-encrypts every stored OAuth token with the primary encryption key. Run it
+ * after adding a new key and making it primary; once it reports no failures the
+ * old key can be removed from the configuration.
+ * 
+ * Usage: npm run reencrypt-tokens [-- --dry-run]
+ * 
+ * @module scripts/reencryptTokens
+ */
+
+import 'dotenv/config';
+import { reencryptAuthTokens } from '../services/secureTokenService.js';
+import { assertEncryptionKeysConfigured } from '../lib/tokenKeyring.js';
+import logger from '../lib/logger.js';
+
+/**
+ * Main re-encryption function
+ */
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    
+    const { primaryKeyId, keyIds } = assertEncryptionKeysConfigured();
+    logger.info('Starting token re-encryption', { primaryKeyId, keyIds, dryRun });
+    
+    const summary = await reencryptAuthTokens({ dryRun });
+    
+    if (summary.failed > 0) {
+        logger.warn('Re-encryption completed with errors. Keep the old keys loaded and review the logs.', summary);
+        process.exit(1);
+    }
+    
+    logger.info(dryRun
+        ? 'Dry run completed. No tokens were changed.'
+        : 'Re-encryption completed successfully. Keys other than the primary key are no longer needed.', summary);
+    process.exit(0);
+}
+
+// Run re-encryption if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        logger.error('Re-encryption script failed', { error: error.message });
+        process.exit(1);
+    });
+}
+
+export { main as reencryptTokens };
@@ -0,0 +1,359 @@
+/**
+ * Audit Service
+ *
+ * Keeps an append-only audit log of every write made to Xero and Pipedrive, so
+ * questions like "who created invoice INV-0123, and from what?" can be answered
+ * from the `audit_events` collection instead of the application logs.
+ *
+ * The API service functions that write are wrapped with auditedWrite(). Each
+ * call records one event with:
+ * - the actor: company, Pipedrive user and request ID, read from the request
+ *   the call is made for (see middleware/auditContext.js)
+ * - the deal and project number the write belongs to
+ * - a redacted summary of the payload sent
+ * - the remote IDs acted on and returned
+ * - the outcome, with the error when the write failed
+ *
+ * The request is found through AsyncLocalStorage, so the many callers of the
+ * API services do not have to pass it along. Controllers that learn the deal
+ * or project number part way through a request add it with addAuditContext().
+ *
+ * Recording never changes the result of a write: when the event cannot be
+ * saved the error is logged and the write's own result is returned.
+ *
+ * @module services/auditService
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { insertAuditEvent, findAuditEvents } from '../models/auditEventDao.js';
+import { findProjectMappingByNumber } from '../models/projectSequenceDao.js';
+import logger from '../lib/logger.js';
+
+const auditContextStorage = new AsyncLocalStorage();
+
+/** Payload keys whose values are replaced with REDACTED */
+const REDACTED_KEY_PATTERN = /token|secret|password|authorization|api[-_]?key|cookie|email|phone/i;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 4;
+const MAX_ARRAY_ITEMS = 20;
+const MAX_OBJECT_KEYS = 40;
+const MAX_STRING_LENGTH = 200;
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Runs a function with an audit context. Writes made while it runs, including
+ * in callbacks and awaited calls, are attributed to the context.
+ *
+ * @param {Object} context - Audit context
+ * @param {Object} [context.req] - Express request the writes are made for
+ * @param {Object} [context.fields] - Known fields (companyId, userId, userName, dealId, projectNumber)
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+export function runWithAuditContext({ req = null, fields = {} }, fn) {
+    return auditContextStorage.run({ req, fields: { ...fields } }, fn);
+}
+
+/**
+ * Gets the current audit context
+ *
+ * @returns {Object|null} The context ({ req, fields }), or null outside one
+ */
+export function getAuditContext() {
+    return auditContextStorage.getStore() || null;
+}
+
+/**
+ * Binds a callback to the current audit context. Needed for callbacks run from
+ * stream or socket events, such as the `next` of a multipart body parser,
+ * which would otherwise lose the context.
+ *
+ * @param {Function} fn - Callback
+ * @returns {Function} Callback that runs in the current context
+ */
+export function bindAuditContext(fn) {
+    return AsyncLocalStorage.bind(fn);
+}
+
+/**
+ * Adds fields to the current audit context, for values a controller learns
+ * part way through a request (e.g. the project number it generated). Does
+ * nothing outside an audit context.
+ *
+ * @param {Object} fields - Fields to set (companyId, userId, userName, dealId, projectNumber)
+ */
+export function addAuditContext(fields) {
+    const context = getAuditContext();
+    if (context) {
+        Object.assign(context.fields, fields);
+    }
+}
+
+/**
+ * Summarizes a payload for the audit log: values of sensitive keys (tokens,
+ * secrets, contact details) are redacted, long strings truncated, file
+ * contents replaced by their size, and deep or large structures cut short.
+ *
+ * @param {*} value - Payload
+ * @param {number} [depth=0] - Current depth
+ * @returns {*} Summary safe to store
+ */
+export function summarizeAuditPayload(value, depth = 0) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value === 'string') {
+        return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}… (${value.length} chars)` : value;
+    }
+    if (typeof value !== 'object') {
+        return typeof value === 'function' ? undefined : value;
+    }
+    if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) {
+        return `[${value.byteLength} bytes]`;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (depth >= MAX_DEPTH) {
+        return Array.isArray(value) ? `[${value.length} items]` : '[Object]';
+    }
+
+    if (Array.isArray(value)) {
+        const items = value.slice(0, MAX_ARRAY_ITEMS).map(item => summarizeAuditPayload(item, depth + 1));
+        if (value.length > MAX_ARRAY_ITEMS) {
+            items.push(`… ${value.length - MAX_ARRAY_ITEMS} more`);
+        }
+        return items;
+    }
+
+    const keys = Object.keys(value);
+    const summary = {};
+    for (const key of keys.slice(0, MAX_OBJECT_KEYS)) {
+        const summarized = REDACTED_KEY_PATTERN.test(key) ? REDACTED : summarizeAuditPayload(value[key], depth + 1);
+        if (summarized !== undefined) {
+            // Keys are stored as field names; MongoDB does not allow $ prefixes or dots in them
+            summary[key.replace(/^\$/, '_').replace(/\./g, '_')] = summarized;
+        }
+    }
+    if (keys.length > MAX_OBJECT_KEYS) {
+        summary['…'] = `${keys.length - MAX_OBJECT_KEYS} more keys`;
+    }
+    return summary;
+}
+
+/**
+ * Converts an ID to the string form events are stored and queried with
+ *
+ * @param {*} value - ID
+ * @returns {string|null} The ID, or null when missing
+ */
+const toId = (value) => (value === null || value === undefined || value === '' ? null : String(value));
+
+/**
+ * Drops missing values from an object of remote IDs
+ *
+ * @param {Object} [ids] - IDs
+ * @returns {Object} IDs that are set, as strings
+ */
+const compactIds = (ids = {}) => Object.fromEntries(
+    Object.entries(ids)
+        .filter(([, id]) => toId(id) !== null)
+        .map(([key, id]) => [key, String(id)])
+);
+
+/**
+ * Builds an event's actor and context fields from the current audit context
+ * and the description of the write
+ *
+ * @param {Object} described - Output of the write's describe function
+ * @returns {Object} Context fields of the event
+ */
+function resolveEventContext(described) {
+    const { req, fields } = getAuditContext() || { req: null, fields: {} };
+    const body = req?.body || {};
+    const query = req?.query || {};
+    const params = req?.params || {};
+    const user = req?.actingUser || req?.pipedriveIdentity;
+
+    return {
+        companyId: toId(
+            req?.pipedriveIdentity?.companyId ?? fields.companyId ?? req?.pipedriveAuth?.companyId ?? req?.xeroAuth?.companyId ??
+            described.companyId ?? body.pipedriveCompanyId ?? body.companyId ?? query.pipedriveCompanyId ?? query.companyId
+        ),
+        userId: toId(user?.userId ?? fields.userId),
+        userName: req?.actingUser?.name ?? fields.userName ?? null,
+        requestId: toId(req?.id),
+        operation: req?.operationName ?? null,
+        route: req ? `${req.method} ${(req.originalUrl || req.url || '').split('?')[0]}` : null,
+        dealId: toId(described.dealId ?? fields.dealId ?? params.dealId ?? body.dealId ?? body.pipedriveDealId ?? query.dealId),
+        projectNumber: toId(described.projectNumber ?? fields.projectNumber ?? body.projectNumber ?? null)
+    };
+}
+
+/**
+ * Saves an audit event. Failures are logged, never thrown.
+ *
+ * @param {Object} event - Audit event
+ * @returns {Promise<void>}
+ */
+async function recordAuditEvent(event) {
+    try {
+        await insertAuditEvent(event);
+    } catch (error) {
+        logger.error('Failed to record audit event', {
+            service: event.service,
+            action: event.action,
+            companyId: event.companyId,
+            dealId: event.dealId,
+            outcome: event.outcome,
+            remoteIds: event.remoteIds,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Wraps an API service function that writes to Xero or Pipedrive so every
+ * call records an audit event. The wrapper takes the same arguments and
+ * returns or throws the same as the function.
+ *
+ * @param {Object} options - What to record
+ * @param {string} options.service - 'xero' or 'pipedrive'
+ * @param {string} options.action - Action name (e.g. 'invoice.create')
+ * @param {Function} [options.describe] - Function of the call's arguments returning
+ *   { tenantId, companyId, dealId, projectNumber, target, payload }; every field is optional
+ * @param {Function} [options.remoteIds] - Function of the result returning the remote IDs it holds
+ * @param {Function} [options.skip] - Function of the call's arguments returning true when the call
+ *   must not be recorded (because a function it delegates to records it)
+ * @param {Function} fn - Async function to wrap
+ * @returns {Function} Audited function
+ */
+export function auditedWrite({ service, action, describe = () => ({}), remoteIds = () => ({}), skip = () => false }, fn) {
+    return async (...args) => {
+        if (skip(...args)) {
+            return fn(...args);
+        }
+
+        const startedAt = Date.now();
+        let described = {};
+        try {
+            described = describe(...args) || {};
+        } catch (error) {
+            logger.warn('Could not describe audited write', { service, action, error: error.message });
+        }
+
+        const buildEvent = (outcome, fields) => ({
+            ...resolveEventContext(described),
+            service,
+            action,
+            tenantId: toId(described.tenantId),
+            target: compactIds(described.target),
+            payload: summarizeAuditPayload(described.payload),
+            outcome,
+            ...fields,
+            durationMs: Date.now() - startedAt,
+            createdAt: new Date()
+        });
+
+        let result;
+        try {
+            result = await fn(...args);
+        } catch (error) {
+            const message = String(error?.message || error || 'Unknown error');
+            const status = error?.status ?? error?.response?.status ?? null;
+            await recordAuditEvent(buildEvent('failure', {
+                remoteIds: {},
+                error: {
+                    message: message.length > MAX_ERROR_LENGTH ? `${message.slice(0, MAX_ERROR_LENGTH)}…` : message,
+                    status: typeof status === 'number' ? status : null
+                }
+            }));
+            throw error;
+        }
+
+        let returnedIds = {};
+        try {
+            returnedIds = compactIds(remoteIds(result));
+        } catch (error) {
+            logger.warn('Could not read remote IDs of audited write', { service, action, error: error.message });
+        }
+        await recordAuditEvent(buildEvent('success', { remoteIds: returnedIds, error: null }));
+        return result;
+    };
+}
+
+/**
+ * Builds an error with a statusCode, as the controllers expect
+ *
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+function invalidFilter(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a date filter. With endOfDay, a date without a time (2026-10-19)
+ * means the last millisecond of that day (UTC), so the whole day is included.
+ *
+ * @param {string} value - ISO 8601 date or date-time
+ * @param {string} name - Filter name, for the error message
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.endOfDay=false] - Whether a date-only value means the end of the day
+ * @returns {Date|undefined} The date, or undefined when not given
+ * @throws {Error} With statusCode 400 when the value is not a date
+ */
+function parseDateFilter(value, name, { endOfDay = false } = {}) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw invalidFilter(`${name} must be an ISO 8601 date`);
+    }
+    if (endOfDay && DATE_ONLY_PATTERN.test(String(value))) {
+        return new Date(date.getTime() + DAY_MS - 1);
+    }
+    return date;
+}
+
+/**
+ * Lists a company's audit events
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {Object} [filters] - Filters, as received in the query string
+ * @param {string} [filters.dealId] - Pipedrive deal ID
+ * @param {string} [filters.projectNumber] - Project number; matches the events tagged with it
+ *   and those of the deals linked to the project
+ * @param {string} [filters.userId] - Pipedrive user ID
+ * @param {string} [filters.from] - Earliest event time (ISO 8601, inclusive)
+ * @param {string} [filters.to] - Latest event time (ISO 8601, inclusive; a date alone includes that whole day)
+ * @param {number|string} [filters.limit=50] - Maximum number of events (1-200)
+ * @returns {Promise<Array<Object>>} Events, newest first
+ * @throws {Error} With statusCode 400 for invalid dates or a range that ends before it starts
+ */
+export async function listAuditEvents(companyId, { dealId, projectNumber, userId, from, to, limit } = {}) {
+    const fromDate = parseDateFilter(from, 'from');
+    const toDate = parseDateFilter(to, 'to', { endOfDay: true });
+    if (fromDate && toDate && fromDate > toDate) {
+        throw invalidFilter('from must not be after to');
+    }
+
+    const project = projectNumber ? await findProjectMappingByNumber(companyId, String(projectNumber)) : null;
+
+    const events = await findAuditEvents(companyId, {
+        dealId: toId(dealId),
+        projectNumber: projectNumber ? String(projectNumber) : undefined,
+        projectDealIds: project?.pipedriveDealIds || [],
+        userId: toId(userId),
+        from: fromDate,
+        to: toDate
+    }, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+
+    return events.map(({ _id, ...event }) => ({ id: String(_id), ...event }));
+}
@@ -9,6 +9,7 @@
 
 import * as pipedriveApiService from './pipedriveApiService.js';
 import * as xeroApiService from './xeroApiService.js';
+import { getTasksForDepartment } from './projectTaskTemplateService.js';
 import logger from '../lib/logger.js';
 
 /**
@@ -180,28 +181,35 @@ class BatchOperationsService {
     }
 
     /**
-     * Batch create Xero tasks
+     * Batch create Xero tasks. Without taskNames, the tasks of the matching
+     * template (projectTaskTemplateService.getTasksForDepartment) are created.
      * 
      * @param {Object} params - Parameters
      * @param {Object} params.auth - Xero authentication
      * @param {string} params.projectId - Project ID
-     * @param {Array<string>} params.taskNames - Task names to create
+     * @param {Array<string>} [params.taskNames] - Task names to create with the default settings
+     * @param {string} [params.companyId] - Pipedrive company ID whose templates apply
+     * @param {string|null} [params.department] - The deal's department
      * @returns {Promise<Array>} Created tasks
      */
     async batchCreateXeroTasks(params) {
-        const { auth, projectId, taskNames } = params;
+        const { auth, projectId, taskNames, companyId, department = null } = params;
+        const tasks = taskNames
+            ? taskNames.map(name => ({ name }))
+            : await getTasksForDepartment(companyId, department);
 
         logger.info('Starting batch task creation', {
             projectId,
-            taskCount: taskNames.length
+            taskCount: tasks.length
         });
 
-        const taskPromises = taskNames.map(taskName => 
+        const taskPromises = tasks.map(({ name: taskName, ...settings }) => 
             xeroApiService.createXeroTask(
                 auth.accessToken,
                 auth.tenantId,
                 projectId,
-                taskName
+                taskName,
+                settings
             )
             .then(task => ({
                 success: true,
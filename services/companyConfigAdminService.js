@@ -0,0 +1,292 @@
+/**
+ * Company Config Admin Service
+ *
+ * Reads, patches and resets a company's configuration for the admin API. Each
+ * section is validated before anything is saved, and every change is recorded
+ * in the config history with the acting user and a per-value diff. OAuth client
+ * secrets are not part of the configuration; they stay in the environment.
+ * Other app instances pick the change up when their cached copy expires (see
+ * CONFIG_CACHE_TTL_SECONDS in configService).
+ *
+ * @module services/companyConfigAdminService
+ */
+
+import {
+    getCompanyConfig,
+    updateCompanyConfig,
+    getDefaultCompanyConfig,
+    CUSTOM_FIELD_ENV_FALLBACKS
+} from './configService.js';
+import {
+    PROJECT_NUMBER_AFFIX_PATTERN,
+    PROJECT_NUMBER_SEPARATORS,
+    MIN_SEQUENCE_WIDTH,
+    MAX_SEQUENCE_WIDTH
+} from '../utils/projectNumberUtils.js';
+import { isValidTimezone } from '../utils/fiscalYearUtils.js';
+import { insertConfigHistory, findConfigHistory } from '../models/companyConfigHistoryDao.js';
+import logger from '../lib/logger.js';
+
+/**
+ * The editable configuration: section -> key -> value type
+ */
+export const CONFIG_SECTIONS = {
+    pipedrive: { clientId: 'string', redirectUri: 'url', apiDomain: 'url' },
+    xero: { clientId: 'string', redirectUri: 'url' },
+    frontend: { baseUrl: 'url' },
+    customFields: Object.fromEntries(Object.keys(CUSTOM_FIELD_ENV_FALLBACKS).map(field => [field, 'fieldKey'])),
+    projectNumber: { prefix: 'numberAffix', separator: 'numberSeparator', sequenceWidth: 'sequenceWidth', suffix: 'numberAffix' },
+    fiscalYear: { startMonth: 'month', timezone: 'timezone' }
+};
+
+/**
+ * Validators by value type. Each returns an error message or null.
+ */
+const valueValidators = {
+    string: (value) => typeof value === 'string' && value.trim() ? null : 'must be a non-empty string',
+    url: (value) => {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'must be an http or https URL';
+        } catch {
+            return 'must be a valid URL';
+        }
+    },
+    fieldKey: (value) => typeof value === 'string' && /^[A-Za-z0-9_]{1,64}$/.test(value)
+        ? null
+        : 'must be a Pipedrive field key (letters, digits and underscores)',
+    numberAffix: (value) => typeof value === 'string' && PROJECT_NUMBER_AFFIX_PATTERN.test(value)
+        ? null
+        : 'must be up to 8 uppercase letters, digits, dots, slashes, dashes or underscores',
+    numberSeparator: (value) => PROJECT_NUMBER_SEPARATORS.includes(value)
+        ? null
+        : `must be one of: ${PROJECT_NUMBER_SEPARATORS.map(separator => `"${separator}"`).join(', ')}`,
+    sequenceWidth: (value) => Number.isInteger(value) && value >= MIN_SEQUENCE_WIDTH && value <= MAX_SEQUENCE_WIDTH
+        ? null
+        : `must be a whole number from ${MIN_SEQUENCE_WIDTH} to ${MAX_SEQUENCE_WIDTH}`,
+    month: (value) => Number.isInteger(value) && value >= 1 && value <= 12 ? null : 'must be a month number from 1 to 12',
+    timezone: (value) => isValidTimezone(value) ? null : 'must be an IANA timezone such as Asia/Singapore'
+};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Builds an error with a statusCode and details, as the controllers expect
+ *
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @param {Object} details - Error details
+ * @returns {Error} The error
+ */
+function configError(message, statusCode, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.details = details;
+    return error;
+}
+
+/**
+ * Validates a config patch: known sections and keys only, each value valid for
+ * its type or null to clear it
+ *
+ * @param {Object} patch - { section: { key: value } }
+ * @returns {Array<Object>} Errors ({ path, error }); empty when the patch is valid
+ */
+export function validateConfigPatch(patch) {
+    if (!isPlainObject(patch) || Object.keys(patch).length === 0) {
+        return [{ path: '', error: 'Patch must be an object with at least one section' }];
+    }
+
+    const errors = [];
+    for (const [section, values] of Object.entries(patch)) {
+        const rules = CONFIG_SECTIONS[section];
+        if (!rules) {
+            errors.push({ path: section, error: `Unknown section; expected one of ${Object.keys(CONFIG_SECTIONS).join(', ')}` });
+            continue;
+        }
+        if (!isPlainObject(values)) {
+            errors.push({ path: section, error: 'Section must be an object' });
+            continue;
+        }
+        for (const [key, value] of Object.entries(values)) {
+            const type = rules[key];
+            if (!type) {
+                errors.push({ path: `${section}.${key}`, error: 'Unknown setting' });
+                continue;
+            }
+            if (value === null) {
+                continue;
+            }
+            const error = valueValidators[type](value);
+            if (error) {
+                errors.push({ path: `${section}.${key}`, error });
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Copies the known sections and keys of a configuration into a plain object.
+ * Anything else stored with it, such as a client secret saved by an older
+ * version, is left out and so dropped when the configuration is next saved.
+ *
+ * @param {Object} config - Stored or default configuration
+ * @returns {Object} Plain configuration with every known key (null when unset)
+ */
+function normaliseConfig(config) {
+    return Object.fromEntries(Object.entries(CONFIG_SECTIONS).map(([section, rules]) => [
+        section,
+        Object.fromEntries(Object.keys(rules).map(key => [key, config?.[section]?.[key] ?? null]))
+    ]));
+}
+
+/**
+ * Lists the values that differ between two normalised configurations
+ *
+ * @param {Object} before - Configuration before the change
+ * @param {Object} after - Configuration after the change
+ * @returns {Array<Object>} Changes ({ path, before, after })
+ */
+export function diffConfig(before, after) {
+    const changes = [];
+    for (const [section, rules] of Object.entries(CONFIG_SECTIONS)) {
+        for (const key of Object.keys(rules)) {
+            const oldValue = before[section][key];
+            const newValue = after[section][key];
+            if (oldValue === newValue) {
+                continue;
+            }
+            changes.push({ path: `${section}.${key}`, before: oldValue, after: newValue });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Loads a company's configuration, falling back to the defaults when none is stored
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<Object>} { config, stored, updatedAt }
+ */
+async function loadConfig(companyId) {
+    try {
+        const stored = await getCompanyConfig(companyId);
+        return { config: normaliseConfig(stored.config), stored: true, updatedAt: stored.updatedAt || null };
+    } catch (error) {
+        if (error.statusCode !== 404) {
+            throw error;
+        }
+        return { config: normaliseConfig(getDefaultCompanyConfig()), stored: false, updatedAt: null };
+    }
+}
+
+/**
+ * Saves a changed configuration and records the change in the history
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} action - 'patch' or 'reset'
+ * @param {Object} before - Configuration before the change
+ * @param {Object} after - Configuration after the change
+ * @param {Object|null} actor - Acting user ({ userId, name })
+ * @returns {Promise<Object>} { config, changes }
+ */
+async function saveConfigChange(companyId, action, before, after, actor) {
+    const changes = diffConfig(before, after);
+    if (changes.length === 0) {
+        return { config: after, changes };
+    }
+
+    await updateCompanyConfig(companyId, after);
+    const sections = [...new Set(changes.map(change => change.path.split('.')[0]))];
+    await insertConfigHistory({
+        companyId,
+        action,
+        sections,
+        changes,
+        changedBy: actor ? { userId: actor.userId ?? null, name: actor.name ?? null } : null
+    });
+
+    logger.info('Company config changed', { companyId, action, paths: changes.map(change => change.path), userId: actor?.userId });
+    return { config: after, changes };
+}
+
+/**
+ * Returns a company's configuration
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<Object>} { config, stored, updatedAt }; stored is false when the defaults apply
+ */
+export async function getCompanyConfigForAdmin(companyId) {
+    const { config, stored, updatedAt } = await loadConfig(companyId);
+    return { config, stored, updatedAt };
+}
+
+/**
+ * Applies a validated patch to a company's configuration. Keys not in the patch
+ * keep their values and null clears a value, so a config read from the API can
+ * be sent back as is.
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {Object} patch - { section: { key: value } }
+ * @param {Object|null} actor - Acting user ({ userId, name })
+ * @returns {Promise<Object>} { config, changes }
+ * @throws {Error} With statusCode 400 and details.errors for an invalid patch
+ */
+export async function patchCompanyConfig(companyId, patch, actor = null) {
+    const errors = validateConfigPatch(patch);
+    if (errors.length > 0) {
+        throw configError('Config patch is invalid', 400, { errors });
+    }
+
+    const { config: before } = await loadConfig(companyId);
+    const after = normaliseConfig(before);
+    for (const [section, values] of Object.entries(patch)) {
+        for (const [key, value] of Object.entries(values)) {
+            after[section][key] = value;
+        }
+    }
+
+    return saveConfigChange(companyId, 'patch', before, after, actor);
+}
+
+/**
+ * Resets sections of a company's configuration to the defaults from the environment
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string[]} [sections] - Sections to reset; all sections when omitted
+ * @param {Object|null} actor - Acting user ({ userId, name })
+ * @returns {Promise<Object>} { config, changes }
+ * @throws {Error} With statusCode 400 for unknown sections
+ */
+export async function resetCompanyConfig(companyId, sections = Object.keys(CONFIG_SECTIONS), actor = null) {
+    const unknownSections = sections.filter(section => !CONFIG_SECTIONS[section]);
+    if (unknownSections.length > 0) {
+        throw configError(`Unknown config sections: ${unknownSections.join(', ')}`, 400, {
+            unknownSections,
+            knownSections: Object.keys(CONFIG_SECTIONS)
+        });
+    }
+
+    const { config: before } = await loadConfig(companyId);
+    const defaults = normaliseConfig(getDefaultCompanyConfig());
+    const after = normaliseConfig(before);
+    for (const section of sections) {
+        after[section] = defaults[section];
+    }
+
+    return saveConfigChange(companyId, 'reset', before, after, actor);
+}
+
+/**
+ * Returns the most recent configuration changes for a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {number} [limit=50] - Maximum number of entries (1-200)
+ * @returns {Promise<Array<Object>>} Entries ({ action, sections, changes, changedBy, changedAt }), newest first
+ */
+export async function getCompanyConfigHistory(companyId, limit = 50) {
+    const entries = await findConfigHistory(companyId, Math.min(Math.max(limit, 1), 200));
+    return entries.map(({ action, sections, changes, changedBy, changedAt }) => ({
+        action, sections, changes, changedBy, changedAt
+    }));
+}
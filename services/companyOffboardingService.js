@@ -0,0 +1,134 @@
+/**
+ * Company Offboarding Service
+ *
+ * Disconnects a company from both providers and removes its local data. Used
+ * when a user logs out and when the company uninstalls the Pipedrive app.
+ *
+ * Provider-side steps (removing Xero tenant connections, revoking refresh tokens)
+ * are best effort: a token that is already invalid cannot be revoked, and that
+ * must not stop the local purge. Their outcome is reported to the caller.
+ *
+ * @module services/companyOffboardingService
+ */
+
+import * as tokenService from './secureTokenService.js';
+import * as xeroApiService from './xeroApiService.js';
+import { deleteTenantRoutesByCompany } from '../models/xeroTenantRouteDao.js';
+import { deleteUserRolesByCompany } from '../models/companyUserRoleDao.js';
+import { deleteConfigHistoryByCompany } from '../models/companyConfigHistoryDao.js';
+import { deleteCompanyConfig } from '../models/companyConfigDao.js';
+import { deleteDepartmentsByCompany } from '../models/departmentDao.js';
+import { deleteTaxRateMappingsByCompany } from '../models/xeroTaxRateMappingDao.js';
+import { deleteAccountCodeRulesByCompany } from '../models/xeroAccountCodeRuleDao.js';
+import { deleteTaskTemplatesByCompany } from '../models/projectTaskTemplateDao.js';
+import { clearConfigCache } from './configService.js';
+import { clearActingUserCache } from './permissionService.js';
+import logger from '../lib/logger.js';
+
+/**
+ * Removes every Xero tenant connection authorised by the company's Xero token
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<number>} Number of connections removed
+ */
+async function removeXeroConnections(companyId) {
+    const accessToken = await tokenService.getValidAccessToken(companyId, 'xero');
+    if (!accessToken) {
+        return 0;
+    }
+
+    let connections;
+    try {
+        connections = await xeroApiService.getXeroConnections(accessToken);
+    } catch (error) {
+        if (error.message === 'No Xero tenants found for this user.') {
+            return 0;
+        }
+        throw error;
+    }
+
+    let removed = 0;
+    for (const connection of connections) {
+        await xeroApiService.deleteXeroConnection(accessToken, connection.id);
+        removed++;
+    }
+    return removed;
+}
+
+/**
+ * Runs a provider-side step, recording its error instead of throwing
+ *
+ * @param {Array<Object>} errors - Collected errors
+ * @param {string} step - Step name
+ * @param {Function} operation - Step to run
+ * @param {*} fallback - Value returned if the step fails
+ * @returns {Promise<*>} Step result or fallback
+ */
+async function attempt(errors, step, operation, fallback) {
+    try {
+        return await operation();
+    } catch (error) {
+        errors.push({ step, error: error.response?.data?.error || error.message });
+        return fallback;
+    }
+}
+
+/**
+ * Revokes a company's tokens at Pipedrive and Xero, removes its Xero tenant
+ * connections, and purges its tokens, cache entries, Xero tenant routes, user
+ * role assignments, company config, config history, departments, Xero tax
+ * rate mappings, Xero account code rules and project task templates. Audit
+ * events are kept: the audit log is append-only.
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.reason='logout'] - Why the company is being offboarded ('logout' or 'uninstall')
+ * @returns {Promise<Object>} Summary of what was revoked and purged, with any provider errors
+ * @throws {Error} If the local purge fails
+ */
+export async function offboardCompany(companyId, { reason = 'logout' } = {}) {
+    const errors = [];
+
+    const xeroConnectionsRemoved = await attempt(errors, 'xero-connections', () => removeXeroConnections(companyId), 0);
+    const xeroRevoked = await attempt(errors, 'xero-revoke', () => tokenService.revokeXeroToken(companyId), false);
+    const pipedriveRevoked = await attempt(errors, 'pipedrive-revoke', () => tokenService.revokePipedriveToken(companyId), false);
+
+    const tokensPurged = await tokenService.purgeCompanyTokens(companyId);
+    const tenantRoutesPurged = await deleteTenantRoutesByCompany(companyId);
+    const userRolesPurged = await deleteUserRolesByCompany(companyId);
+    const companyConfigPurged = await deleteCompanyConfig(companyId);
+    const configHistoryPurged = await deleteConfigHistoryByCompany(companyId);
+    const departmentsPurged = await deleteDepartmentsByCompany(companyId);
+    const taxRateMappingsPurged = await deleteTaxRateMappingsByCompany(companyId);
+    const accountCodeRulesPurged = await deleteAccountCodeRulesByCompany(companyId);
+    const taskTemplatesPurged = await deleteTaskTemplatesByCompany(companyId);
+    clearActingUserCache(String(companyId));
+    clearConfigCache(companyId);
+
+    const summary = {
+        companyId: String(companyId),
+        reason,
+        pipedrive: { revoked: pipedriveRevoked },
+        xero: { revoked: xeroRevoked, connectionsRemoved: xeroConnectionsRemoved },
+        purged: {
+            tokens: tokensPurged,
+            tenantRoutes: tenantRoutesPurged,
+            userRoles: userRolesPurged,
+            companyConfig: companyConfigPurged,
+            configHistory: configHistoryPurged,
+            departments: departmentsPurged,
+            taxRateMappings: taxRateMappingsPurged,
+            accountCodeRules: accountCodeRulesPurged,
+            taskTemplates: taskTemplatesPurged
+        },
+        errors
+    };
+
+    if (errors.length > 0) {
+        logger.warn('Company offboarded with provider errors', summary);
+    } else {
+        logger.info('Company offboarded', summary);
+    }
+
+    return summary;
+}
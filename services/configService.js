@@ -1,8 +1,44 @@
-import { CompanyConfig } from '../models/companyConfigModel.js';
+import { findCompanyConfig, upsertCompanyConfig } from '../models/companyConfigDao.js';
+import { DEFAULT_PROJECT_NUMBER_FORMAT, resolveProjectNumberFormat } from '../utils/projectNumberUtils.js';
+import { DEFAULT_FISCAL_YEAR, resolveFiscalYearSettings } from '../utils/fiscalYearUtils.js';
+import logger from '../lib/logger.js';
 
-// Cache for company configurations
+// Cache for company configurations: companyId -> { config, expiresAt }. Entries expire so that
+// changes saved by other app instances are picked up within CONFIG_CACHE_TTL_SECONDS.
 const configCache = new Map();
 
+/**
+ * How long a cached company configuration is used before it is reloaded
+ * @returns {number} Cache lifetime in milliseconds
+ */
+const getConfigCacheTtlMs = () => (parseInt(process.env.CONFIG_CACHE_TTL_SECONDS, 10) || 30) * 1000;
+
+/**
+ * Caches a company configuration
+ * @param {string} companyId - The company ID
+ * @param {Object} config - Company configuration
+ */
+function cacheConfig(companyId, config) {
+    configCache.set(String(companyId), { config, expiresAt: Date.now() + getConfigCacheTtlMs() });
+}
+
+/**
+ * Environment variables used for each Pipedrive custom field key when a company
+ * has no value configured in `customFields`. Earlier names come first.
+ */
+export const CUSTOM_FIELD_ENV_FALLBACKS = {
+    department: ['PIPEDRIVE_QUOTE_CUSTOM_DEPARTMENT'],
+    vesselName: ['PIPEDRIVE_QUOTE_CUSTOM_VESSEL_NAME'],
+    salesInCharge: ['PIPEDRIVE_QUOTE_CUSTOM_SALES_IN_CHARGE'],
+    location: ['PIPEDRIVE_QUOTE_CUSTOM_LOCATION'],
+    quoteNumber: ['PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY'],
+    quoteId: ['PIPEDRIVE_QUOTE_ID'],
+    invoiceNumber: ['PIPEDRIVE_INVOICENUMBER', 'PIPEDRIVE_INVOICE_CUSTOM_FIELD_KEY'],
+    invoiceId: ['PIPEDRIVE_INVOICEID'],
+    projectNumber: ['PIPEDRIVE_PROJECT_NUMBER_CUSTOM_FIELD_KEY'],
+    pendingStatus: ['PIPEDRIVE_PENDING']
+};
+
 /**
  * Get configuration for a specific company
  * @param {string} companyId - The company ID to get configuration for
@@ -10,18 +46,21 @@ const configCache = new Map();
  */
 export async function getCompanyConfig(companyId) {
     // Check cache first
-    if (configCache.has(companyId)) {
-        return configCache.get(companyId);
+    const cached = configCache.get(String(companyId));
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.config;
     }
 
     // Get from database
-    const config = await CompanyConfig.findOne({ companyId, isActive: true });
+    const config = await findCompanyConfig(companyId);
     if (!config) {
-        throw new Error(`No configuration found for company ${companyId}`);
+        const error = new Error(`No configuration found for company ${companyId}`);
+        error.statusCode = 404;
+        throw error;
     }
 
     // Cache the result
-    configCache.set(companyId, config);
+    cacheConfig(companyId, config);
     return config;
 }
 
@@ -29,22 +68,15 @@ export async function getCompanyConfig(companyId) {
  * Update configuration for a specific company
  * @param {string} companyId - The company ID to update
  * @param {Object} configData - The new configuration data
+ * @param {Object} [options] - Options
+ * @param {string} [options.name] - Company name, set when given
  * @returns {Promise<Object>} Updated company configuration
  */
-export async function updateCompanyConfig(companyId, configData) {
-    const config = await CompanyConfig.findOneAndUpdate(
-        { companyId },
-        { 
-            $set: { 
-                config: configData,
-                updatedAt: Date.now()
-            }
-        },
-        { new: true, upsert: true }
-    );
+export async function updateCompanyConfig(companyId, configData, { name } = {}) {
+    const config = await upsertCompanyConfig(companyId, configData, { name });
 
     // Update cache
-    configCache.set(companyId, config);
+    cacheConfig(companyId, config);
     return config;
 }
 
@@ -59,54 +91,140 @@ export async function getConfigValue(companyId, path) {
     return path.split('.').reduce((obj, key) => obj?.[key], config.config);
 }
 
+/**
+ * Get the Pipedrive custom field keys from environment variables only
+ * @returns {Object} Field keys by field name (undefined when not set, as with process.env)
+ */
+export function getEnvCustomFieldKeys() {
+    return Object.fromEntries(Object.entries(CUSTOM_FIELD_ENV_FALLBACKS).map(([field, envNames]) => [
+        field,
+        envNames.map(name => process.env[name]).find(Boolean)
+    ]));
+}
+
+/**
+ * Get the Pipedrive custom field keys for a company. Keys set in the company's
+ * `customFields` config win; environment variables fill in the rest.
+ * @param {string} companyId - The company ID
+ * @returns {Promise<Object>} Field keys by field name (undefined when not configured anywhere)
+ */
+export async function getCustomFieldKeys(companyId) {
+    const fieldKeys = getEnvCustomFieldKeys();
+    if (!companyId) {
+        return fieldKeys;
+    }
+
+    let customFields = null;
+    try {
+        customFields = await getConfigValue(String(companyId), 'customFields');
+    } catch (error) {
+        logger.debug('Using environment custom field keys', { companyId, reason: error.message });
+    }
+
+    for (const field of Object.keys(fieldKeys)) {
+        if (customFields?.[field]) {
+            fieldKeys[field] = customFields[field];
+        }
+    }
+    return fieldKeys;
+}
+
+/**
+ * Get a single Pipedrive custom field key for a company
+ * @param {string} companyId - The company ID
+ * @param {string} field - Field name (e.g. 'quoteNumber', 'vesselName')
+ * @returns {Promise<string|null>} Field key or null if not configured
+ */
+export async function getCustomFieldKey(companyId, field) {
+    const fieldKeys = await getCustomFieldKeys(companyId);
+    return fieldKeys[field] ?? null;
+}
+
+/**
+ * Get the project number format for a company. Parts set in the company's
+ * `projectNumber` config win; the default DPTYYSSS format fills in the rest.
+ * @param {string} companyId - The company ID
+ * @returns {Promise<Object>} Format ({ prefix, separator, sequenceWidth, suffix })
+ */
+export async function getProjectNumberFormat(companyId) {
+    let format = null;
+    if (companyId) {
+        try {
+            format = await getConfigValue(String(companyId), 'projectNumber');
+        } catch (error) {
+            logger.debug('Using default project number format', { companyId, reason: error.message });
+        }
+    }
+    return resolveProjectNumberFormat(format);
+}
+
+/**
+ * Get the fiscal year settings for a company, which decide the year in project
+ * numbers and when sequences restart. Unset parts use the calendar year in UTC.
+ * @param {string} companyId - The company ID
+ * @returns {Promise<Object>} Settings ({ startMonth, timezone })
+ */
+export async function getFiscalYearSettings(companyId) {
+    let settings = null;
+    if (companyId) {
+        try {
+            settings = await getConfigValue(String(companyId), 'fiscalYear');
+        } catch (error) {
+            logger.debug('Using default fiscal year', { companyId, reason: error.message });
+        }
+    }
+    return resolveFiscalYearSettings(settings);
+}
+
 /**
  * Clear configuration cache for a company
  * @param {string} companyId - The company ID to clear cache for
  */
 export function clearConfigCache(companyId) {
     if (companyId) {
-        configCache.delete(companyId);
+        configCache.delete(String(companyId));
     } else {
         configCache.clear();
     }
 }
 
 /**
- * Initialize default configuration for a company
- * @param {string} companyId - The company ID
- * @param {string} name - Company name
- * @param {Object} config - Initial configuration
- * @returns {Promise<Object>} Created company configuration
+ * Get the default configuration for a company, taken from environment variables.
+ * OAuth client secrets are not part of it; they are only read from the environment.
+ * @returns {Object} Default configuration by section
  */
-export async function initializeCompanyConfig(companyId, name, config = {}) {
-    const defaultConfig = {
+export function getDefaultCompanyConfig() {
+    return {
         pipedrive: {
             clientId: process.env.CLIENT_ID,
-            clientSecret: process.env.CLIENT_SECRET,
             redirectUri: process.env.REDIRECT_URI,
             apiDomain: null
         },
         xero: {
             clientId: process.env.XERO_CLIENT_ID,
-            clientSecret: process.env.XERO_CLIENT_SECRET,
             redirectUri: process.env.XERO_REDIRECT_URI
         },
         frontend: {
             baseUrl: process.env.FRONTEND_BASE_URL
         },
-        customFields: {
-            department: process.env.PIPEDRIVE_QUOTE_CUSTOM_DEPARTMENT,
-            vesselName: process.env.PIPEDRIVE_QUOTE_CUSTOM_VESSEL_NAME,
-            salesInCharge: process.env.PIPEDRIVE_QUOTE_CUSTOM_SALES_IN_CHARGE,
-            location: process.env.PIPEDRIVE_QUOTE_CUSTOM_LOCATION,
-            quoteNumber: process.env.PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY
-        }
+        customFields: getEnvCustomFieldKeys(),
+        projectNumber: { ...DEFAULT_PROJECT_NUMBER_FORMAT },
+        fiscalYear: { ...DEFAULT_FISCAL_YEAR }
     };
+}
 
+/**
+ * Initialize default configuration for a company
+ * @param {string} companyId - The company ID
+ * @param {string} name - Company name
+ * @param {Object} config - Initial configuration
+ * @returns {Promise<Object>} Created company configuration
+ */
+export async function initializeCompanyConfig(companyId, name, config = {}) {
     const mergedConfig = {
-        ...defaultConfig,
+        ...getDefaultCompanyConfig(),
         ...config
     };
 
-    return updateCompanyConfig(companyId, mergedConfig);
+    return updateCompanyConfig(companyId, mergedConfig, { name });
 } 
\ No newline at end of file
@@ -0,0 +1,312 @@
+/**
+ * Custom Field Setup Service
+ *
+ * Maps the values the integration reads from and writes to Pipedrive deals
+ * (department, vessel name, quote number, ...) onto the company's custom deal
+ * fields. Discovery reads the company's dealFields and proposes a field for
+ * each value by name; missing fields can be created, and the confirmed mapping
+ * is checked against Pipedrive (the field must exist and have a usable type)
+ * before it is saved into the company's `customFields` config.
+ *
+ * @module services/customFieldSetupService
+ */
+
+import * as pipedriveApiService from './pipedriveApiService.js';
+import { getCustomFieldKeys } from './configService.js';
+import { patchCompanyConfig } from './companyConfigAdminService.js';
+import logger from '../lib/logger.js';
+
+/**
+ * The custom fields the integration uses. `fieldTypes` lists the Pipedrive
+ * field types whose values the integration can read; the first one is used
+ * when the field is created. `aliases` are the field names matched on
+ * discovery, after normalising case and punctuation.
+ */
+export const CUSTOM_FIELD_DEFINITIONS = {
+    department: {
+        name: 'Department',
+        fieldTypes: ['varchar', 'varchar_auto'],
+        aliases: ['department', 'dept', 'division']
+    },
+    vesselName: {
+        name: 'Vessel Name',
+        fieldTypes: ['varchar', 'varchar_auto', 'text'],
+        aliases: ['vessel name', 'vessel', 'ship name', 'ship']
+    },
+    salesInCharge: {
+        name: 'Sales In Charge',
+        fieldTypes: ['varchar', 'varchar_auto'],
+        aliases: ['sales in charge', 'salesperson', 'sales person', 'sales rep']
+    },
+    location: {
+        name: 'Location',
+        fieldTypes: ['varchar', 'varchar_auto', 'address'],
+        aliases: ['location', 'site', 'port']
+    },
+    quoteNumber: {
+        name: 'Quote Number',
+        fieldTypes: ['varchar'],
+        aliases: ['quote number', 'quotation number', 'xero quote number', 'quote no']
+    },
+    quoteId: {
+        name: 'Xero Quote ID',
+        fieldTypes: ['varchar'],
+        aliases: ['xero quote id', 'quote id', 'quotation id']
+    },
+    invoiceNumber: {
+        name: 'Invoice Number',
+        fieldTypes: ['varchar'],
+        aliases: ['invoice number', 'xero invoice number', 'invoice no']
+    },
+    invoiceId: {
+        name: 'Xero Invoice ID',
+        fieldTypes: ['varchar'],
+        aliases: ['xero invoice id', 'invoice id']
+    },
+    projectNumber: {
+        name: 'Project Number',
+        fieldTypes: ['varchar'],
+        aliases: ['project number', 'project no', 'job number']
+    }
+};
+
+/**
+ * Lowercases a field name and collapses punctuation to single spaces
+ *
+ * @param {string} name - Field name
+ * @returns {string} Normalised name
+ */
+const normaliseName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Rates how well a Pipedrive field name matches a definition
+ *
+ * @param {Object} definition - Entry of CUSTOM_FIELD_DEFINITIONS
+ * @param {string} fieldName - Pipedrive field name
+ * @returns {string|null} 'exact', 'partial' or null for no match
+ */
+function matchFieldName(definition, fieldName) {
+    const name = normaliseName(fieldName);
+    if (definition.aliases.includes(name)) {
+        return 'exact';
+    }
+    if (definition.aliases.some(alias => ` ${name} `.includes(` ${alias} `))) {
+        return 'partial';
+    }
+    return null;
+}
+
+/**
+ * Summarises a Pipedrive deal field for API responses
+ *
+ * @param {Object} dealField - Pipedrive deal field
+ * @param {Object} definition - Entry of CUSTOM_FIELD_DEFINITIONS
+ * @returns {Object} { key, name, fieldType, validType }
+ */
+const describeField = (dealField, definition) => ({
+    key: dealField.key,
+    name: dealField.name,
+    fieldType: dealField.field_type,
+    validType: definition.fieldTypes.includes(dealField.field_type)
+});
+
+/**
+ * Builds the error thrown for an unknown custom field name
+ *
+ * @param {Array<string>} unknownFields - Field names not in CUSTOM_FIELD_DEFINITIONS
+ * @returns {Error} Error with statusCode 400
+ */
+function unknownFieldsError(unknownFields) {
+    const error = new Error(`Unknown custom fields: ${unknownFields.join(', ')}`);
+    error.statusCode = 400;
+    error.details = { unknownFields, knownFields: Object.keys(CUSTOM_FIELD_DEFINITIONS) };
+    return error;
+}
+
+/**
+ * Proposes a mapping for every custom field from the company's Pipedrive deal
+ * fields. A currently configured field is kept while it still exists with a
+ * usable type; otherwise the best name match with a usable type is proposed.
+ * A Pipedrive field is proposed for at most one value.
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {Object} pipedriveAuth - { apiDomain, accessToken }
+ * @returns {Promise<Object>} { fields: [{ field, name, fieldTypes, current, proposed, candidates, status }] }
+ *   where status is 'configured', 'proposed', 'invalid' (configured key missing or wrong type
+ *   and nothing better found) or 'missing'
+ */
+export async function discoverCustomFields(companyId, { apiDomain, accessToken }) {
+    const [dealFields, currentKeys] = await Promise.all([
+        pipedriveApiService.getDealFields(apiDomain, accessToken),
+        getCustomFieldKeys(companyId)
+    ]);
+    const customDealFields = dealFields.filter(dealField => dealField.edit_flag);
+    const usedKeys = new Set();
+    const fields = [];
+
+    for (const [field, definition] of Object.entries(CUSTOM_FIELD_DEFINITIONS)) {
+        const currentKey = currentKeys[field];
+        const currentDealField = currentKey ? dealFields.find(dealField => dealField.key === currentKey) : null;
+        let current = null;
+        if (currentKey) {
+            current = currentDealField
+                ? { ...describeField(currentDealField, definition), exists: true }
+                : { key: currentKey, exists: false, validType: false };
+        }
+
+        const candidates = customDealFields
+            .map(dealField => ({ ...describeField(dealField, definition), match: matchFieldName(definition, dealField.name) }))
+            .filter(candidate => candidate.match)
+            .sort((a, b) => (b.validType - a.validType) || ((a.match === 'exact' ? 0 : 1) - (b.match === 'exact' ? 0 : 1)));
+
+        let status;
+        let proposed = null;
+        if (current?.exists && current.validType) {
+            status = 'configured';
+            proposed = current;
+        } else {
+            proposed = candidates.find(candidate => candidate.validType && !usedKeys.has(candidate.key)) || null;
+            status = proposed ? 'proposed' : (current ? 'invalid' : 'missing');
+        }
+        if (proposed) {
+            usedKeys.add(proposed.key);
+        }
+
+        fields.push({ field, name: definition.name, fieldTypes: definition.fieldTypes, current, proposed, candidates, status });
+    }
+
+    logger.info('Custom fields discovered', {
+        companyId,
+        dealFieldsCount: dealFields.length,
+        missing: fields.filter(f => !f.proposed).map(f => f.field)
+    });
+    return { fields };
+}
+
+/**
+ * Checks a mapping of field names to Pipedrive deal field keys against the
+ * company's deal fields
+ *
+ * @param {Object} mapping - { field: dealFieldKey }
+ * @param {Array<Object>} dealFields - Pipedrive deal fields
+ * @returns {Array<Object>} Errors ({ field, key, error }); empty when the mapping is valid
+ */
+export function validateCustomFieldMapping(mapping, dealFields) {
+    const errors = [];
+    const keysSeen = new Map();
+
+    for (const [field, key] of Object.entries(mapping)) {
+        const definition = CUSTOM_FIELD_DEFINITIONS[field];
+        const dealField = dealFields.find(candidate => candidate.key === key);
+
+        if (!dealField) {
+            errors.push({ field, key, error: 'Deal field not found in Pipedrive' });
+        } else if (!definition.fieldTypes.includes(dealField.field_type)) {
+            errors.push({
+                field,
+                key,
+                error: `Deal field "${dealField.name}" has type ${dealField.field_type}; expected one of ${definition.fieldTypes.join(', ')}`
+            });
+        }
+
+        if (keysSeen.has(key)) {
+            errors.push({ field, key, error: `Deal field is already mapped to ${keysSeen.get(key)}` });
+        } else {
+            keysSeen.set(key, field);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Creates Pipedrive deal fields for the given values. Values whose configured
+ * field already exists with a usable type are skipped. The created keys are
+ * returned, not saved; confirm them with saveCustomFieldMapping.
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {Object} pipedriveAuth - { apiDomain, accessToken }
+ * @param {Array<string>} fields - Field names from CUSTOM_FIELD_DEFINITIONS
+ * @param {Object} [names] - Optional Pipedrive field names by field, overriding the defaults
+ * @returns {Promise<Object>} { created: [{ field, key, name, fieldType }], skipped: [{ field, key, reason }] }
+ * @throws {Error} With statusCode 400 for unknown fields, 403 if Pipedrive refuses to create fields
+ */
+export async function createMissingCustomFields(companyId, { apiDomain, accessToken }, fields, names = {}) {
+    const unknownFields = fields.filter(field => !CUSTOM_FIELD_DEFINITIONS[field]);
+    if (unknownFields.length > 0) {
+        throw unknownFieldsError(unknownFields);
+    }
+
+    const [dealFields, currentKeys] = await Promise.all([
+        pipedriveApiService.getDealFields(apiDomain, accessToken),
+        getCustomFieldKeys(companyId)
+    ]);
+    const created = [];
+    const skipped = [];
+
+    for (const field of new Set(fields)) {
+        const definition = CUSTOM_FIELD_DEFINITIONS[field];
+        const currentKey = currentKeys[field];
+        if (currentKey && validateCustomFieldMapping({ [field]: currentKey }, dealFields).length === 0) {
+            skipped.push({ field, key: currentKey, reason: 'Already configured' });
+            continue;
+        }
+
+        const name = names[field] || definition.name;
+        const fieldType = definition.fieldTypes[0];
+        let dealField;
+        try {
+            dealField = await pipedriveApiService.createDealField(apiDomain, accessToken, name, fieldType);
+        } catch (createError) {
+            if (createError.response?.status === 403) {
+                const error = new Error('Pipedrive did not allow creating deal fields. An admin must reinstall the app with the admin scope, or create the fields in Pipedrive.');
+                error.statusCode = 403;
+                error.details = { created };
+                throw error;
+            }
+            throw createError;
+        }
+
+        created.push({ field, key: dealField.key, name: dealField.name, fieldType: dealField.field_type });
+    }
+
+    logger.info('Custom fields created in Pipedrive', {
+        companyId,
+        created: created.map(c => c.field),
+        skipped: skipped.map(s => s.field)
+    });
+    return { created, skipped };
+}
+
+/**
+ * Saves a confirmed mapping into the company's `customFields` config (recorded
+ * in the config history). Every key must exist in Pipedrive with a usable type.
+ * Values not in the mapping keep their current configuration.
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {Object} pipedriveAuth - { apiDomain, accessToken }
+ * @param {Object} mapping - { field: dealFieldKey }
+ * @param {Object|null} [actor] - Acting user ({ userId, name })
+ * @returns {Promise<Object>} The company's saved customFields
+ * @throws {Error} With statusCode 400 (and details) for unknown fields or an invalid mapping
+ */
+export async function saveCustomFieldMapping(companyId, { apiDomain, accessToken }, mapping, actor = null) {
+    const unknownFields = Object.keys(mapping).filter(field => !CUSTOM_FIELD_DEFINITIONS[field]);
+    if (unknownFields.length > 0) {
+        throw unknownFieldsError(unknownFields);
+    }
+
+    const dealFields = await pipedriveApiService.getDealFields(apiDomain, accessToken);
+    const errors = validateCustomFieldMapping(mapping, dealFields);
+    if (errors.length > 0) {
+        const error = new Error('Custom field mapping is invalid');
+        error.statusCode = 400;
+        error.details = { errors };
+        throw error;
+    }
+
+    const { config } = await patchCompanyConfig(companyId, { customFields: mapping }, actor);
+
+    logger.info('Custom field mapping saved', { companyId, fields: Object.keys(mapping) });
+    return config.customFields;
+}
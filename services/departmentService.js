@@ -0,0 +1,243 @@
+/**
+ * Department Service
+ *
+ * Manages each company's departments: the display name, the aliases that match
+ * Pipedrive department option labels, and the 2-letter code used in project
+ * numbers. A company without stored departments uses DEFAULT_DEPARTMENTS; the
+ * first change through the API stores the defaults along with it.
+ *
+ * A department's code cannot be changed, because existing project numbers and
+ * sequences use it. Departments that are no longer used are deactivated
+ * instead of deleted.
+ *
+ * @module services/departmentService
+ */
+
+import * as departmentDao from '../models/departmentDao.js';
+import logger from '../lib/logger.js';
+
+/**
+ * Departments used by companies that have not stored their own
+ */
+export const DEFAULT_DEPARTMENTS = [
+    { name: 'Navy', code: 'NY', aliases: [] },
+    { name: 'Electrical', code: 'EL', aliases: [] },
+    { name: 'Machining', code: 'MC', aliases: [] },
+    { name: 'Afloat', code: 'AF', aliases: [] },
+    { name: 'Engine Recon', code: 'ED', aliases: [] },
+    { name: 'Laser Cladding', code: 'LC', aliases: [] }
+];
+
+const CODE_PATTERN = /^[A-Z]{2}$/;
+
+/**
+ * Builds an error with a statusCode and details, as the controllers expect
+ *
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @param {Object} [details] - Error details
+ * @returns {Error} The error
+ */
+function departmentError(message, statusCode, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+}
+
+/**
+ * Returns the public fields of a department
+ *
+ * @param {Object} department - Stored or default department
+ * @returns {Object} Department ({ name, code, aliases, isActive })
+ */
+function toDepartment({ name, code, aliases = [], isActive = true }) {
+    return { name, code, aliases: [...aliases], isActive };
+}
+
+/**
+ * Validates department fields. With partial, missing fields are allowed.
+ *
+ * @param {Object} input - Department fields
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.partial=false] - Whether only some fields are given
+ * @returns {Array<Object>} Errors ({ path, error }), empty when valid
+ */
+export function validateDepartment(input, { partial = false } = {}) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return [{ path: 'department', error: 'must be an object' }];
+    }
+
+    const allowed = partial ? ['name', 'aliases', 'isActive'] : ['name', 'code', 'aliases', 'isActive'];
+    for (const key of Object.keys(input)) {
+        if (!allowed.includes(key)) {
+            errors.push({ path: key, error: key === 'code' ? 'Department codes cannot be changed' : 'Unknown field' });
+        }
+    }
+
+    if (!partial || input.name !== undefined) {
+        if (typeof input.name !== 'string' || !input.name.trim()) {
+            errors.push({ path: 'name', error: 'must be a non-empty string' });
+        }
+    }
+    if (!partial && (typeof input.code !== 'string' || !CODE_PATTERN.test(input.code))) {
+        errors.push({ path: 'code', error: 'must be two uppercase letters' });
+    }
+    if (input.aliases !== undefined) {
+        if (!Array.isArray(input.aliases) || input.aliases.some(alias => typeof alias !== 'string' || !alias.trim())) {
+            errors.push({ path: 'aliases', error: 'must be an array of non-empty strings' });
+        }
+    }
+    if (input.isActive !== undefined && typeof input.isActive !== 'boolean') {
+        errors.push({ path: 'isActive', error: 'must be a boolean' });
+    }
+
+    return errors;
+}
+
+/**
+ * Finds names or aliases of one department that another department already uses
+ *
+ * @param {Object} department - Department to check
+ * @param {Array<Object>} others - The company's other departments
+ * @returns {Array<string>} Labels in use elsewhere
+ */
+function findLabelConflicts(department, others) {
+    const taken = new Set(others.flatMap(other => [other.name, ...other.aliases]));
+    return [department.name, ...department.aliases].filter(label => taken.has(label));
+}
+
+/**
+ * Gets the stored departments, or the defaults when the company has none
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<Object>} { departments, stored }
+ */
+export async function listDepartments(companyId) {
+    const stored = await departmentDao.findDepartmentsByCompany(companyId);
+    if (stored.length === 0) {
+        return { departments: DEFAULT_DEPARTMENTS.map(toDepartment), stored: false };
+    }
+    return { departments: stored.map(toDepartment), stored: true };
+}
+
+/**
+ * Gets the departments new project numbers can be generated for
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<Array<Object>>} Active departments
+ */
+export async function getActiveDepartments(companyId) {
+    const { departments } = await listDepartments(companyId);
+    return departments.filter(department => department.isActive);
+}
+
+/**
+ * Finds the active department whose name or one of whose aliases matches a
+ * Pipedrive department label exactly
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} label - Department label from Pipedrive
+ * @returns {Promise<Object|null>} The department or null if none matches
+ */
+export async function findDepartmentByName(companyId, label) {
+    if (!label || typeof label !== 'string') {
+        return null;
+    }
+    const departments = await getActiveDepartments(companyId);
+    return departments.find(department => department.name === label || department.aliases.includes(label)) || null;
+}
+
+/**
+ * Adds a department to a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {Object} input - Department ({ name, code, aliases, isActive })
+ * @returns {Promise<Object>} The created department
+ * @throws {Error} 400 for invalid fields, 409 if the code, name or an alias is already used
+ */
+export async function createDepartment(companyId, input) {
+    const errors = validateDepartment(input);
+    if (errors.length > 0) {
+        throw departmentError('Invalid department', 400, { errors });
+    }
+
+    const department = toDepartment({
+        name: input.name.trim(),
+        code: input.code,
+        aliases: [...new Set((input.aliases || []).map(alias => alias.trim()))],
+        isActive: input.isActive
+    });
+    const { departments, stored } = await listDepartments(companyId);
+
+    if (departments.some(existing => existing.code === department.code)) {
+        throw departmentError(`Department code ${department.code} is already used`, 409);
+    }
+    const conflicts = findLabelConflicts(department, departments);
+    if (conflicts.length > 0) {
+        throw departmentError('Department name or aliases already used by another department', 409, { conflicts });
+    }
+
+    try {
+        // The defaults are stored with the first department so they are not lost
+        await departmentDao.insertDepartments(companyId, stored ? [department] : [...departments, department]);
+    } catch (error) {
+        if (error.code === 11000) {
+            throw departmentError(`Department ${department.code} or ${department.name} was created concurrently`, 409);
+        }
+        throw error;
+    }
+
+    logger.info('Department created', { companyId, code: department.code, name: department.name });
+    return department;
+}
+
+/**
+ * Updates a department's name, aliases or active flag
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} code - 2-letter department code
+ * @param {Object} input - Fields to change ({ name, aliases, isActive })
+ * @returns {Promise<Object>} The updated department
+ * @throws {Error} 400 for invalid fields, 404 for an unknown code, 409 if a name or alias is already used
+ */
+export async function updateDepartment(companyId, code, input) {
+    const errors = validateDepartment(input, { partial: true });
+    if (errors.length > 0) {
+        throw departmentError('Invalid department', 400, { errors });
+    }
+
+    const { departments, stored } = await listDepartments(companyId);
+    const current = departments.find(department => department.code === code);
+    if (!current) {
+        throw departmentError(`Department ${code} not found`, 404);
+    }
+
+    const updates = {};
+    if (input.name !== undefined) {
+        updates.name = input.name.trim();
+    }
+    if (input.aliases !== undefined) {
+        updates.aliases = [...new Set(input.aliases.map(alias => alias.trim()))];
+    }
+    if (input.isActive !== undefined) {
+        updates.isActive = input.isActive;
+    }
+
+    const updated = { ...current, ...updates };
+    const conflicts = findLabelConflicts(updated, departments.filter(department => department.code !== code));
+    if (conflicts.length > 0) {
+        throw departmentError('Department name or aliases already used by another department', 409, { conflicts });
+    }
+
+    if (!stored) {
+        await departmentDao.insertDepartments(companyId, departments);
+    }
+    const saved = await departmentDao.updateDepartment(companyId, code, updates);
+
+    logger.info('Department updated', { companyId, code, fields: Object.keys(updates) });
+    return toDepartment(saved || updated);
+}
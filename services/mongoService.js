@@ -1,17 +1,20 @@
 /**
  * MongoDB Database Connection and Operations Management
- * 
- * This module provides improved database connection functionality with proper
- * connection lifecycle management. Instead of maintaining persistent connections,
- * it creates connections per operation and ensures proper cleanup.
- * 
- * Key improvements:
- * - Per-operation connection management
- * - Automatic connection cleanup
- * - Connection pooling through MongoDB driver
- * - Schema-based collection and index management
+ *
+ * This module owns the application's single MongoDB client. The client is
+ * created and connected on first use and shared by every DAO, so requests
+ * borrow sockets from one connection pool instead of opening a connection per
+ * operation.
+ *
+ * Key features:
+ * - One shared client with a bounded connection pool (MONGODB_MAX_POOL_SIZE)
+ * - Lazy connect on first use; a failed connect is retried on the next call
+ * - Reconnect tracking: the driver re-establishes lost connections itself,
+ *   and a client closed outside closeDatabase() is replaced on next use
+ * - Pool metrics from the driver's connection pool events
+ * - Graceful shutdown through closeDatabase()
  * - Database operation wrapper functions
- * 
+ *
  * @module services/mongoService
  */
 
@@ -19,10 +22,59 @@ import { MongoClient } from 'mongodb';
 import logger from '../lib/logger.js';
 
 let client = null;
+let connecting = null;
 
 /**
- * Creates a new MongoDB client connection
- * 
+ * Connection pool counters, updated from driver events
+ */
+const poolMetrics = {
+  connectedAt: null,
+  connects: 0,
+  connectFailures: 0,
+  reconnects: 0,
+  connectionsCreated: 0,
+  connectionsClosed: 0,
+  checkedOut: 0,
+  checkOutFailures: 0,
+  lastError: null
+};
+
+/**
+ * Gets the maximum number of pooled connections
+ *
+ * @returns {number} Pool size from MONGODB_MAX_POOL_SIZE (10 by default)
+ */
+const getMaxPoolSize = () => parseInt(process.env.MONGODB_MAX_POOL_SIZE, 10) || 10;
+
+/**
+ * Records the driver's pool and topology events in poolMetrics
+ *
+ * @param {MongoClient} mongoClient - The shared client
+ */
+function trackPoolEvents(mongoClient) {
+  mongoClient.on('connectionCreated', () => { poolMetrics.connectionsCreated++; });
+  mongoClient.on('connectionClosed', () => { poolMetrics.connectionsClosed++; });
+  mongoClient.on('connectionCheckedOut', () => { poolMetrics.checkedOut++; });
+  mongoClient.on('connectionCheckedIn', () => { poolMetrics.checkedOut = Math.max(0, poolMetrics.checkedOut - 1); });
+  mongoClient.on('connectionCheckOutFailed', (event) => {
+    poolMetrics.checkOutFailures++;
+    poolMetrics.lastError = { message: `Connection check-out failed: ${event.reason}`, at: new Date() };
+  });
+  mongoClient.on('serverHeartbeatFailed', (event) => {
+    poolMetrics.lastError = { message: event.failure?.message || 'Server heartbeat failed', at: new Date() };
+  });
+  mongoClient.on('topologyClosed', () => {
+    // Closed outside closeDatabase(): replace the client on next use
+    if (client === mongoClient) {
+      logger.warn('MongoDB client closed unexpectedly; reconnecting on next use');
+      client = null;
+    }
+  });
+}
+
+/**
+ * Creates and connects the shared MongoDB client
+ *
  * @returns {Promise<MongoClient>} MongoDB client instance
  * @throws {Error} When MONGODB_URI environment variable is not configured
  */
@@ -30,104 +82,152 @@ async function createClient() {
   if (!process.env.MONGODB_URI) {
     throw new Error('MONGODB_URI is not defined in .env file');
   }
-  
+
   const mongoClient = new MongoClient(process.env.MONGODB_URI, {
-    maxPoolSize: 10, // Maintain up to 10 socket connections
+    maxPoolSize: getMaxPoolSize(), // Maintain up to this many socket connections
     serverSelectionTimeoutMS: 5000, // Keep trying to send operations for 5 seconds
     socketTimeoutMS: 45000, // Close sockets after 45 seconds of inactivity
     maxIdleTimeMS: 30000, // Close connections after 30 seconds of inactivity
   });
-  
+  trackPoolEvents(mongoClient);
+
   await mongoClient.connect();
   return mongoClient;
 }
 
 /**
- * Validates database connection and environment
- * 
- * @param {Db} db - MongoDB database instance
+ * Gets the shared MongoDB client, connecting it on first use
+ *
+ * Concurrent callers share one connect attempt. When the attempt fails the
+ * error is thrown to every caller and the next call tries again.
+ *
+ * @returns {Promise<MongoClient>} Connected MongoDB client
+ * @throws {Error} When the connection cannot be established
  */
-async function validateDatabaseConnection(db) {
-  try {
-    // Ping the database to ensure connection is working
-    await db.admin().ping();
-    logger.debug('Database connection validated successfully');
-  } catch (error) {
-    logger.error('Database connection validation failed', { error: error.message });
-    throw new Error('Database connection is not working properly');
+export async function getClient() {
+  if (client) {
+    return client;
   }
+
+  if (!connecting) {
+    const isReconnect = poolMetrics.connects > 0;
+    connecting = createClient()
+      .then((mongoClient) => {
+        client = mongoClient;
+        poolMetrics.connects++;
+        poolMetrics.connectedAt = new Date();
+        if (isReconnect) {
+          poolMetrics.reconnects++;
+        }
+        logger.info('MongoDB client connected', { maxPoolSize: getMaxPoolSize(), reconnect: isReconnect });
+        return mongoClient;
+      })
+      .catch((error) => {
+        poolMetrics.connectFailures++;
+        poolMetrics.lastError = { message: error.message, at: new Date() };
+        logger.error('MongoDB connection failed', { error: error.message });
+        throw error;
+      })
+      .finally(() => {
+        connecting = null;
+      });
+  }
+
+  return connecting;
 }
 
 /**
- * Executes a database operation with automatic connection management
- * 
- * This function creates a new connection for each operation, ensuring proper
- * resource cleanup and avoiding connection pool exhaustion. All database
- * operations should use this pattern for consistency.
- * 
+ * Gets the application database from the shared client
+ *
+ * @returns {Promise<Db>} MongoDB database instance
+ */
+export async function getDatabase() {
+  const mongoClient = await getClient();
+  return mongoClient.db();
+}
+
+/**
+ * Executes a database operation on the shared client
+ *
+ * The operation borrows connections from the shared pool; nothing needs to be
+ * closed afterwards. All database operations should use this pattern for
+ * consistency.
+ *
  * @param {Function} operation - Async function that receives (db, client) and returns a result
  * @returns {Promise<any>} Result of the database operation
  * @throws {Error} When database operation fails
  */
 export async function withDatabase(operation) {
-  let currentClient = null;
-  
   try {
-    currentClient = await createClient();
-    const db = currentClient.db();
-    
-    // Validate the connection is working
-    await validateDatabaseConnection(db);
-    
-    // Execute the operation
-    const result = await operation(db, currentClient);
-    return result;
+    const mongoClient = await getClient();
+    return await operation(mongoClient.db(), mongoClient);
   } catch (error) {
     logger.error('Database operation failed', { error: error.message });
     throw error;
-  } finally {
-    // Always close the connection
-    if (currentClient) {
-      await currentClient.close();
-    }
   }
 }
 
 /**
  * Legacy function for backward compatibility
- * @deprecated Use withDatabase() instead for better connection management
+ * @deprecated Use withDatabase() or getDatabase() instead
  */
 export async function connectToDatabase() {
-  logger.warn('connectToDatabase() is deprecated. Use withDatabase() for better connection management.');
-  if (!client) {
-    client = await createClient();
+  return getDatabase();
+}
+
+/**
+ * Gets connection pool metrics of the shared client
+ *
+ * @returns {Object} Pool state and counters
+ */
+export function getPoolMetrics() {
+  return {
+    connected: client !== null,
+    maxPoolSize: getMaxPoolSize(),
+    openConnections: poolMetrics.connectionsCreated - poolMetrics.connectionsClosed,
+    ...poolMetrics
+  };
+}
+
+/**
+ * Closes the shared client after in-flight operations finish. The next
+ * database call connects again.
+ *
+ * @returns {Promise<void>}
+ */
+export async function closeDatabase() {
+  const mongoClient = client || await connecting?.catch(() => null);
+  client = null;
+  if (mongoClient) {
+    await mongoClient.close();
+    logger.info('MongoDB client closed');
   }
-  return client.db();
 }
 
 /**
  * Gets database health and connection information
- * 
+ *
  * @returns {Promise<Object>} Database health information
  */
 export async function getDatabaseHealth() {
   return withDatabase(async (db, client) => {
     const adminDb = db.admin();
     const serverStatus = await adminDb.serverStatus();
-    
+
     return {
       connected: true,
       serverVersion: serverStatus.version,
       uptime: serverStatus.uptime,
       collections: await db.listCollections().toArray(),
-      connectionStatus: 'healthy'
+      connectionStatus: 'healthy',
+      pool: getPoolMetrics()
     };
   });
 }
 
 /**
  * Performs database cleanup operations
- * 
+ *
  * @returns {Promise<Object>} Cleanup results
  */
 export async function performDatabaseCleanup() {
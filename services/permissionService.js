@@ -0,0 +1,253 @@
+/**
+ * Permission Service
+ *
+ * Resolves the Pipedrive user behind a request and decides what they may do.
+ * Each company assigns roles to its Pipedrive users; every role grants a fixed
+ * set of permissions. Users without an assignment get the default roles
+ * (DEFAULT_USER_ROLES, 'sales' unless configured), and Pipedrive account admins
+ * always hold the admin role so a company can never lock itself out of role
+ * management.
+ *
+ * Resolved users are cached per instance for ACTING_USER_CACHE_TTL_SECONDS
+ * (default 300), unless their Pipedrive profile could not be loaded. Role changes clear the cache on the instance that made them;
+ * other instances pick them up when their entry expires.
+ *
+ * @module services/permissionService
+ */
+
+import * as tokenService from './secureTokenService.js';
+import { getPipedriveUser } from './pipedriveApiService.js';
+import {
+    findUserRoles,
+    findUserRolesByCompany,
+    upsertUserRoles,
+    deleteUserRoles
+} from '../models/companyUserRoleDao.js';
+import logger from '../lib/logger.js';
+
+/**
+ * Permissions checked by the API routes
+ */
+export const PERMISSIONS = {
+    DEAL_READ: 'deal:read',
+    QUOTE_CREATE: 'quote:create',
+    QUOTE_UPDATE: 'quote:update',
+    QUOTE_ACCEPT: 'quote:accept',
+    INVOICE_CREATE: 'invoice:create',
+    PROJECT_CREATE: 'project:create',
+    PROJECT_LINK: 'project:link',
+    SETTINGS_READ: 'settings:read',
+    SETTINGS_MANAGE: 'settings:manage',
+    ROLES_MANAGE: 'roles:manage',
+    AUDIT_READ: 'audit:read'
+};
+
+const BASE_PERMISSIONS = [PERMISSIONS.DEAL_READ, PERMISSIONS.SETTINGS_READ, PERMISSIONS.QUOTE_CREATE, PERMISSIONS.QUOTE_UPDATE];
+
+/**
+ * Permissions granted by each role
+ */
+export const ROLE_PERMISSIONS = {
+    sales: BASE_PERMISSIONS,
+    project_manager: [...BASE_PERMISSIONS, PERMISSIONS.PROJECT_CREATE, PERMISSIONS.PROJECT_LINK],
+    finance: [...BASE_PERMISSIONS, PERMISSIONS.QUOTE_ACCEPT, PERMISSIONS.INVOICE_CREATE, PERMISSIONS.AUDIT_READ],
+    admin: Object.values(PERMISSIONS)
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const actingUserCache = new Map();
+
+/**
+ * Reads the acting user cache lifetime from the environment
+ *
+ * @returns {number} Lifetime in milliseconds
+ */
+function getCacheTtlMs() {
+    return parseInt(process.env.ACTING_USER_CACHE_TTL_SECONDS || '300', 10) * 1000;
+}
+
+/**
+ * Reads the roles given to users without an assignment
+ *
+ * @returns {string[]} Default roles
+ */
+export function getDefaultRoles() {
+    return (process.env.DEFAULT_USER_ROLES ?? 'sales')
+        .split(',')
+        .map(role => role.trim())
+        .filter(role => ROLES.includes(role));
+}
+
+/**
+ * Collects the permissions granted by a set of roles
+ *
+ * @param {string[]} roles - Role names
+ * @returns {string[]} Permissions, without duplicates
+ */
+export function getPermissionsForRoles(roles) {
+    return [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []))];
+}
+
+/**
+ * Loads the user's Pipedrive profile with the company's Pipedrive token
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} userId - Pipedrive user ID
+ * @returns {Promise<Object|null>} Profile, or null if the company is not connected or the lookup fails
+ */
+async function loadPipedriveProfile(companyId, userId) {
+    try {
+        const tokenData = await tokenService.getAuthToken(companyId, 'pipedrive');
+        if (!tokenData?.apiDomain) {
+            return null;
+        }
+        const accessToken = await tokenService.getValidAccessToken(companyId, 'pipedrive');
+        if (!accessToken) {
+            return null;
+        }
+        return await getPipedriveUser(tokenData.apiDomain, accessToken, userId);
+    } catch (error) {
+        logger.warn('Could not load Pipedrive user profile', { companyId, userId, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Resolves the Pipedrive user acting on a request, with their roles and permissions
+ *
+ * @param {Object} identity - Verified identity from requirePipedriveSignature
+ * @param {string} identity.companyId - Pipedrive company ID
+ * @param {string} identity.userId - Pipedrive user ID
+ * @returns {Promise<Object>} Acting user ({ companyId, userId, name, email, isPipedriveAdmin, active, roles, permissions })
+ */
+export async function resolveActingUser({ companyId, userId }) {
+    const cacheKey = `${companyId}:${userId}`;
+    const cached = actingUserCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.user;
+    }
+
+    const [assignment, profile] = await Promise.all([
+        findUserRoles(companyId, userId),
+        loadPipedriveProfile(companyId, userId)
+    ]);
+
+    const isPipedriveAdmin = Boolean(profile?.is_admin);
+    // Pipedrive reports deactivated users with active_flag false
+    const active = profile?.active_flag !== false;
+    const roles = new Set(assignment ? assignment.roles : getDefaultRoles());
+    if (isPipedriveAdmin) {
+        roles.add('admin');
+    }
+
+    const user = {
+        companyId: String(companyId),
+        userId: String(userId),
+        name: profile?.name || null,
+        email: profile?.email || null,
+        isPipedriveAdmin,
+        active,
+        roles: [...roles],
+        permissions: active ? getPermissionsForRoles([...roles]) : []
+    };
+
+    // Without the profile the user may be missing admin or marked active wrongly,
+    // so only a complete lookup is cached; the next request tries again
+    if (profile) {
+        actingUserCache.set(cacheKey, { user, expiresAt: Date.now() + getCacheTtlMs() });
+    }
+    return user;
+}
+
+/**
+ * Checks whether an acting user holds a permission
+ *
+ * @param {Object} actingUser - User from resolveActingUser
+ * @param {string} permission - Permission to check
+ * @returns {boolean} True if granted
+ */
+export function hasPermission(actingUser, permission) {
+    return actingUser.permissions.includes(permission);
+}
+
+/**
+ * Clears cached acting users for a company, or for one user of it
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} [userId] - Pipedrive user ID
+ */
+export function clearActingUserCache(companyId, userId) {
+    if (userId !== undefined) {
+        actingUserCache.delete(`${companyId}:${userId}`);
+        return;
+    }
+    for (const key of actingUserCache.keys()) {
+        if (key.startsWith(`${companyId}:`)) {
+            actingUserCache.delete(key);
+        }
+    }
+}
+
+/**
+ * Lists the role assignments of a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<Array<Object>>} Assignments ({ userId, roles, assignedBy, updatedAt })
+ */
+export async function getRoleAssignments(companyId) {
+    const assignments = await findUserRolesByCompany(companyId);
+    return assignments.map(({ userId, roles, assignedBy, updatedAt }) => ({
+        userId, roles, assignedBy, updatedAt
+    }));
+}
+
+/**
+ * Assigns roles to a user, replacing any previous assignment
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} userId - Pipedrive user ID
+ * @param {string[]} roles - Roles to assign (may be empty to revoke all access)
+ * @param {string} assignedBy - Pipedrive user ID making the change
+ * @returns {Promise<Object>} The saved assignment
+ * @throws {Error} With statusCode 400 for unknown roles
+ */
+export async function assignRoles(companyId, userId, roles, assignedBy) {
+    if (!Array.isArray(roles)) {
+        const error = new Error('roles must be an array');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const unknownRoles = roles.filter(role => !ROLES.includes(role));
+    if (unknownRoles.length > 0) {
+        const error = new Error(`Unknown roles: ${unknownRoles.join(', ')}`);
+        error.statusCode = 400;
+        error.details = { unknownRoles, availableRoles: ROLES };
+        throw error;
+    }
+
+    const assignment = await upsertUserRoles(companyId, userId, [...new Set(roles)], assignedBy);
+    clearActingUserCache(companyId, userId);
+
+    logger.info('User roles assigned', { companyId, userId, roles: assignment.roles, assignedBy });
+    return assignment;
+}
+
+/**
+ * Removes a user's role assignment so they fall back to the default roles
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} userId - Pipedrive user ID
+ * @param {string} removedBy - Pipedrive user ID making the change
+ * @returns {Promise<boolean>} True if an assignment was removed
+ */
+export async function removeRoleAssignment(companyId, userId, removedBy) {
+    const removed = await deleteUserRoles(companyId, userId);
+    clearActingUserCache(companyId, userId);
+
+    if (removed) {
+        logger.info('User roles removed', { companyId, userId, removedBy });
+    }
+    return removed;
+}
@@ -11,12 +11,15 @@
  * - Deal, person, and organization data fetching
  * - Custom field updates for quotes and project numbers
  * - Product information retrieval for deals
+ * - Audit events for every write (see services/auditService.js)
  * 
  * @module services/pipedriveApiService
  */
 
 import { getValidAccessToken } from './secureTokenService.js';
+import { getEnvCustomFieldKeys } from './configService.js';
 import axios from 'axios';
+import { auditedWrite } from './auditService.js';
 
 /**
  * Retrieves the current user's information from Pipedrive
@@ -37,6 +40,22 @@ export async function getPipedriveUserMe(apiDomain, accessToken) {
     return userResponse.data.data;
 }
 
+/**
+ * Retrieves a Pipedrive user of the company that owns the access token
+ *
+ * @param {string} apiDomain - The Pipedrive API domain
+ * @param {string} accessToken - Valid Pipedrive access token
+ * @param {string|number} userId - The ID of the user to retrieve
+ * @returns {Promise<Object>} User data including name, email, is_admin and active_flag
+ * @throws {Error} When the request fails
+ */
+export async function getPipedriveUser(apiDomain, accessToken, userId) {
+    const response = await axios.get(`${apiDomain}/v1/users/${userId}`, {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+    });
+    return response.data.data;
+}
+
 /**
  * Retrieves detailed information for a specific deal
  * 
@@ -117,7 +136,8 @@ export const getOrganizationDetails = async (apiDomain, accessToken, orgId) => {
 };
 
 /**
- * Retrieves all products associated with a specific deal
+ * Retrieves all products associated with a specific deal, each with its
+ * product data (code, category) under `product`
  * 
  * @param {string} apiDomain - The Pipedrive API domain
  * @param {string} accessToken - Valid Pipedrive access token
@@ -125,11 +145,75 @@ export const getOrganizationDetails = async (apiDomain, accessToken, orgId) => {
  * @returns {Promise<Array>} Array of product data or empty array if none found
  */
 export const getDealProducts = async (apiDomain, accessToken, dealId) => {
-    const url = `${apiDomain}/v1/deals/${dealId}/products`;
+    const url = `${apiDomain}/v1/deals/${dealId}/products?include_product_data=1`;
     const response = await axios.get(url, { headers: { 'Authorization': `Bearer ${accessToken}` } });
     return response.data.data || [];
 }
 
+/**
+ * Retrieves all deal fields of the company, including custom fields
+ *
+ * @param {string} apiDomain - The Pipedrive API domain
+ * @param {string} accessToken - Valid Pipedrive access token
+ * @returns {Promise<Array>} Deal field definitions (key, name, field_type, edit_flag, ...)
+ * @throws {Error} When the request fails
+ */
+export const getDealFields = async (apiDomain, accessToken) => {
+  const fields = [];
+  let start = 0;
+  let moreItems = true;
+
+  while (moreItems) {
+    const response = await axios.get(`${apiDomain}/v1/dealFields`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      params: { start, limit: 500 }
+    });
+    fields.push(...(response.data.data || []));
+
+    const pagination = response.data.additional_data?.pagination;
+    moreItems = !!pagination?.more_items_in_collection;
+    start = pagination?.next_start ?? start + 500;
+  }
+
+  return fields;
+};
+
+/**
+ * Creates a custom deal field
+ *
+ * @param {string} apiDomain - The Pipedrive API domain
+ * @param {string} accessToken - Valid Pipedrive access token
+ * @param {string} name - Field name shown in Pipedrive
+ * @param {string} fieldType - Pipedrive field type (e.g. 'varchar')
+ * @returns {Promise<Object>} The created field, including its generated key
+ * @throws {Error} When the request fails
+ */
+export const createDealField = auditedWrite({
+  service: 'pipedrive',
+  action: 'deal_field.create',
+  describe: (apiDomain, accessToken, name, fieldType) => ({ payload: { name, fieldType } }),
+  remoteIds: (field) => ({ fieldId: field?.id, fieldKey: field?.key })
+}, async (apiDomain, accessToken, name, fieldType) => {
+  try {
+    const response = await axios.post(
+      `${apiDomain}/v1/dealFields`,
+      { name, field_type: fieldType },
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      }
+    );
+    return response.data.data;
+  } catch (error) {
+    console.error(
+      'Error creating Pipedrive deal field:',
+      error.response ? JSON.stringify(error.response.data, null, 2) : error.message
+    );
+    throw error;
+  }
+});
+
 /**
  * Updates a deal with a quote number in a custom field
  * 
@@ -137,10 +221,21 @@ export const getDealProducts = async (apiDomain, accessToken, dealId) => {
  * @param {string} accessToken - Valid Pipedrive access token
  * @param {string|number} dealId - The ID of the deal to update
  * @param {string} quoteNumber - The quote number to store in the deal
+ * @param {string} [quoteCustomFieldKey] - The company's quote number field key
+ *   (see configService.getCustomFieldKeys); defaults to PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY
  * @returns {Promise<Object>} Updated deal data from Pipedrive
  * @throws {Error} When credentials are missing, custom field key is not configured, or update fails
  */
-export const updateDealWithQuoteNumber = async (apiDomain, accessToken, dealId, quoteNumber) => {
+export const updateDealWithQuoteNumber = auditedWrite({
+  service: 'pipedrive',
+  action: 'deal.quote_number.update',
+  describe: (apiDomain, accessToken, dealId, quoteNumber, quoteCustomFieldKey) => ({
+    dealId,
+    target: { dealId, fieldKey: quoteCustomFieldKey },
+    payload: { quoteNumber }
+  })
+}, async (apiDomain, accessToken, dealId, quoteNumber,
+  quoteCustomFieldKey = getEnvCustomFieldKeys().quoteNumber) => {
   if (!accessToken) {
     throw new Error('Pipedrive access token not provided.');
   }
@@ -148,11 +243,9 @@ export const updateDealWithQuoteNumber = async (apiDomain, accessToken, dealId,
     throw new Error('Pipedrive API domain not provided.');
   }
 
-  const quoteCustomFieldKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY;
-
   if (!quoteCustomFieldKey) {
-    console.error('PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY is not set in .env. Skipping deal update.');
-    throw new Error('PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY is not configured.'); 
+    console.error('Quote number custom field key is not configured. Skipping deal update.');
+    throw new Error('Quote number custom field key is not configured (customFields.quoteNumber or PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY).'); 
   }
 
   try {
@@ -173,7 +266,7 @@ export const updateDealWithQuoteNumber = async (apiDomain, accessToken, dealId,
     );
     throw error;
   }
-};
+});
 
 /**
  * Updates a deal with a project number in a custom field
@@ -182,10 +275,22 @@ export const updateDealWithQuoteNumber = async (apiDomain, accessToken, dealId,
  * @param {string} accessToken - Valid Pipedrive access token
  * @param {string|number} dealId - The ID of the deal to update
  * @param {string} projectNumber - The project number to store in the deal
+ * @param {string} [projectNumberCustomFieldKey] - The company's project number field key
+ *   (see configService.getCustomFieldKeys); defaults to PIPEDRIVE_PROJECT_NUMBER_CUSTOM_FIELD_KEY
  * @returns {Promise<Object>} Updated deal data from Pipedrive
  * @throws {Error} When credentials are missing, custom field key is not configured, or update fails
  */
-export const updateDealWithProjectNumber = async (apiDomain, accessToken, dealId, projectNumber) => {
+export const updateDealWithProjectNumber = auditedWrite({
+  service: 'pipedrive',
+  action: 'deal.project_number.update',
+  describe: (apiDomain, accessToken, dealId, projectNumber, projectNumberCustomFieldKey) => ({
+    dealId,
+    projectNumber,
+    target: { dealId, fieldKey: projectNumberCustomFieldKey },
+    payload: { projectNumber }
+  })
+}, async (apiDomain, accessToken, dealId, projectNumber,
+  projectNumberCustomFieldKey = getEnvCustomFieldKeys().projectNumber) => {
   if (!accessToken) {
     throw new Error('Pipedrive access token not provided.');
   }
@@ -193,11 +298,9 @@ export const updateDealWithProjectNumber = async (apiDomain, accessToken, dealId
     throw new Error('Pipedrive API domain not provided.');
   }
 
-  const projectNumberCustomFieldKey = process.env.PIPEDRIVE_PROJECT_NUMBER_CUSTOM_FIELD_KEY;
-
   if (!projectNumberCustomFieldKey) {
-    console.error('PIPEDRIVE_PROJECT_NUMBER_CUSTOM_FIELD_KEY is not set in .env. Skipping deal update.');
-    throw new Error('PIPEDRIVE_PROJECT_NUMBER_CUSTOM_FIELD_KEY is not configured.'); 
+    console.error('Project number custom field key is not configured. Skipping deal update.');
+    throw new Error('Project number custom field key is not configured (customFields.projectNumber or PIPEDRIVE_PROJECT_NUMBER_CUSTOM_FIELD_KEY).'); 
   }
 
   try {
@@ -218,7 +321,7 @@ export const updateDealWithProjectNumber = async (apiDomain, accessToken, dealId
     );
     throw error;
   }
-};
+});
 
 /**
  * Updates a specific custom field in a deal
@@ -231,7 +334,15 @@ export const updateDealWithProjectNumber = async (apiDomain, accessToken, dealId
  * @returns {Promise<Object>} Updated deal data from Pipedrive
  * @throws {Error} When credentials are missing, custom field key is not provided, or update fails
  */
-export const updateDealCustomField = async (apiDomain, accessToken, dealId, customFieldKey, value) => {
+export const updateDealCustomField = auditedWrite({
+  service: 'pipedrive',
+  action: 'deal.custom_field.update',
+  describe: (apiDomain, accessToken, dealId, customFieldKey, value) => ({
+    dealId,
+    target: { dealId, fieldKey: customFieldKey },
+    payload: { value }
+  })
+}, async (apiDomain, accessToken, dealId, customFieldKey, value) => {
   if (!accessToken) {
     throw new Error('Pipedrive access token not provided.');
   }
@@ -260,4 +371,4 @@ export const updateDealCustomField = async (apiDomain, accessToken, dealId, cust
     );
     throw error;
   }
-};
+});
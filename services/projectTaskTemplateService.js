@@ -0,0 +1,197 @@
+/**
+ * Project Task Template Service
+ *
+ * Chooses the tasks created in a new Xero project. Each company can store a
+ * template per department (by department code) and a DEFAULT template for
+ * departments without their own. Without either, DEFAULT_TASKS are used.
+ *
+ * @module services/projectTaskTemplateService
+ */
+
+import * as projectTaskTemplateDao from '../models/projectTaskTemplateDao.js';
+import { listDepartments, findDepartmentByName } from './departmentService.js';
+import logger from '../lib/logger.js';
+
+/**
+ * Department code of the template used by departments without their own
+ */
+export const DEFAULT_TEMPLATE_CODE = 'DEFAULT';
+
+export const CHARGE_TYPES = ['TIME', 'FIXED', 'NON_CHARGEABLE'];
+
+/**
+ * Tasks used by companies that have not stored a template
+ */
+export const DEFAULT_TASKS = ['Manhour', 'Overtime', 'Transport', 'Supply Labour'].map(name => ({
+    name,
+    chargeType: 'FIXED',
+    rate: { value: 1, currency: 'USD' },
+    estimateMinutes: 1
+}));
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const TASK_FIELDS = ['name', 'chargeType', 'rate', 'estimateMinutes'];
+
+/**
+ * Builds an error with a statusCode and details, as the controllers expect
+ *
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @param {Object} [details] - Error details
+ * @returns {Error} The error
+ */
+function templateError(message, statusCode, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+}
+
+/**
+ * Returns the public fields of a task
+ *
+ * @param {Object} task - Stored or default task
+ * @returns {Object} Task ({ name, chargeType, rate, estimateMinutes })
+ */
+function toTask({ name, chargeType, rate, estimateMinutes }) {
+    return {
+        name,
+        chargeType,
+        rate: { value: rate.value, currency: rate.currency },
+        ...(estimateMinutes !== undefined && { estimateMinutes })
+    };
+}
+
+/**
+ * Validates template tasks
+ *
+ * @param {Array<Object>} tasks - Tasks ({ name, chargeType, rate: { value, currency }, estimateMinutes })
+ * @returns {Array<Object>} Errors ({ path, error }), empty when valid
+ */
+export function validateTasks(tasks) {
+    if (!Array.isArray(tasks) || tasks.length === 0) {
+        return [{ path: 'tasks', error: 'must be a non-empty array' }];
+    }
+
+    const errors = [];
+    const names = new Set();
+    tasks.forEach((task, index) => {
+        const path = `tasks[${index}]`;
+        if (!task || typeof task !== 'object' || Array.isArray(task)) {
+            errors.push({ path, error: 'must be an object' });
+            return;
+        }
+        for (const key of Object.keys(task)) {
+            if (!TASK_FIELDS.includes(key)) {
+                errors.push({ path: `${path}.${key}`, error: 'Unknown field' });
+            }
+        }
+
+        if (typeof task.name !== 'string' || !task.name.trim()) {
+            errors.push({ path: `${path}.name`, error: 'must be a non-empty string' });
+        } else if (names.has(task.name.trim().toLowerCase())) {
+            errors.push({ path: `${path}.name`, error: `${task.name.trim()} is used by more than one task` });
+        } else {
+            names.add(task.name.trim().toLowerCase());
+        }
+        if (!CHARGE_TYPES.includes(task.chargeType)) {
+            errors.push({ path: `${path}.chargeType`, error: `must be one of: ${CHARGE_TYPES.join(', ')}` });
+        }
+        if (!task.rate || typeof task.rate !== 'object') {
+            errors.push({ path: `${path}.rate`, error: 'must be an object with value and currency' });
+        } else {
+            if (typeof task.rate.value !== 'number' || isNaN(task.rate.value) || task.rate.value < 0) {
+                errors.push({ path: `${path}.rate.value`, error: 'must be a number of at least 0' });
+            }
+            if (typeof task.rate.currency !== 'string' || !CURRENCY_PATTERN.test(task.rate.currency)) {
+                errors.push({ path: `${path}.rate.currency`, error: 'must be a 3-letter currency code' });
+            }
+        }
+        if (task.estimateMinutes !== undefined && (!Number.isInteger(task.estimateMinutes) || task.estimateMinutes < 0)) {
+            errors.push({ path: `${path}.estimateMinutes`, error: 'must be a whole number of at least 0' });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Lists a company's stored task templates and the built-in default tasks
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<Object>} { templates: [{ departmentCode, tasks, updatedAt }], defaultTasks }
+ */
+export async function listTaskTemplates(companyId) {
+    const stored = await projectTaskTemplateDao.findTaskTemplatesByCompany(companyId);
+    return {
+        templates: stored.map(({ departmentCode, tasks, updatedAt }) => ({ departmentCode, tasks: tasks.map(toTask), updatedAt })),
+        defaultTasks: DEFAULT_TASKS.map(toTask)
+    };
+}
+
+/**
+ * Gets the tasks for a new project of a department: the department's
+ * template, else the company's DEFAULT template, else DEFAULT_TASKS
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string|null} departmentLabel - The deal's department (name or alias)
+ * @returns {Promise<Array<Object>>} Tasks ({ name, chargeType, rate, estimateMinutes })
+ */
+export async function getTasksForDepartment(companyId, departmentLabel) {
+    const stored = await projectTaskTemplateDao.findTaskTemplatesByCompany(companyId);
+    if (stored.length === 0) {
+        return DEFAULT_TASKS.map(toTask);
+    }
+
+    const department = await findDepartmentByName(companyId, departmentLabel);
+    const template = (department && stored.find(t => t.departmentCode === department.code))
+        || stored.find(t => t.departmentCode === DEFAULT_TEMPLATE_CODE);
+    return (template ? template.tasks : DEFAULT_TASKS).map(toTask);
+}
+
+/**
+ * Replaces the task template of a department, or the company's DEFAULT template
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} departmentCode - Department code or DEFAULT
+ * @param {Array<Object>} tasks - Tasks ({ name, chargeType, rate: { value, currency }, estimateMinutes })
+ * @returns {Promise<Object>} The saved template ({ departmentCode, tasks, updatedAt })
+ * @throws {Error} 400 for invalid tasks, 404 for an unknown department code
+ */
+export async function setTaskTemplate(companyId, departmentCode, tasks) {
+    if (departmentCode !== DEFAULT_TEMPLATE_CODE) {
+        const { departments } = await listDepartments(companyId);
+        if (!departments.some(department => department.code === departmentCode)) {
+            throw templateError(`Department ${departmentCode} not found`, 404);
+        }
+    }
+
+    const errors = validateTasks(tasks);
+    if (errors.length > 0) {
+        throw templateError('Invalid task template', 400, { errors });
+    }
+
+    const normalized = tasks.map(task => toTask({ ...task, name: task.name.trim() }));
+    const saved = await projectTaskTemplateDao.upsertTaskTemplate(companyId, departmentCode, normalized);
+
+    logger.info('Project task template saved', { companyId, departmentCode, tasks: normalized.length });
+    return { departmentCode, tasks: saved.tasks.map(toTask), updatedAt: saved.updatedAt };
+}
+
+/**
+ * Deletes the task template of a department; its projects then use the
+ * DEFAULT template or DEFAULT_TASKS
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} departmentCode - Department code or DEFAULT
+ * @throws {Error} 404 if the department has no template
+ */
+export async function deleteTaskTemplate(companyId, departmentCode) {
+    const deleted = await projectTaskTemplateDao.deleteTaskTemplate(companyId, departmentCode);
+    if (!deleted) {
+        throw templateError(`No task template found for ${departmentCode}`, 404);
+    }
+    logger.info('Project task template deleted', { companyId, departmentCode });
+}
@@ -6,7 +6,7 @@
  * 
  * Key improvements over file-based approach:
  * - Database-backed storage with atomic operations
- * - AES-256-GCM encryption for sensitive token data
+ * - AES-256-GCM encryption bound to each document's company and service, with versioned keys
  * - Audit trails and usage tracking
  * - Automatic token cleanup and health monitoring
  * - Concurrent access safety
@@ -17,15 +17,20 @@
 
 import 'dotenv/config';
 import crypto from 'crypto';
+import os from 'os';
 import axios from 'axios';
 import { getDatabase } from '../lib/database.js';
+import { insertOAuthState, consumeOAuthState as consumeStoredOAuthState } from '../models/oauthStateDao.js';
+import { getPrimaryKey, getKey } from '../lib/tokenKeyring.js';
+import { acquireRefreshLock, releaseRefreshLock } from '../models/tokenRefreshLockDao.js';
 import logger from '../lib/logger.js';
 
-// Encryption configuration
-const ENCRYPTION_ALGORITHM = 'aes-256-cbc';
-const ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex');
-const IV_LENGTH = 16;
+// Encryption configuration (keys are loaded by lib/tokenKeyring.js)
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
 const TAG_LENGTH = 16;
+// Tokens written before authenticated encryption; still readable, rewritten on next use
+const LEGACY_ENCRYPTION_ALGORITHM = 'aes-256-cbc';
 
 // OAuth client configurations
 const pipedriveClientId = process.env.CLIENT_ID;
@@ -37,77 +42,125 @@ const xeroClientSecret = process.env.XERO_CLIENT_SECRET;
 const tokenCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-// CSRF token storage
-let csrfTokenStore = null;
-let xeroCsrfTokenStore = {};
+// Delay before the background refresh retries a token after a failure that was
+// not a rejected grant; doubled for each consecutive failure up to the maximum
+const REFRESH_RETRY_BASE_MS = parseInt(process.env.TOKEN_REFRESH_RETRY_BASE_MS || '60000', 10);
+const REFRESH_RETRY_MAX_MS = parseInt(process.env.TOKEN_REFRESH_RETRY_MAX_MS || '3600000', 10);
 
-/**
- * Sets the CSRF token for Pipedrive OAuth
- * @param {string} token - The CSRF token to store
- */
-export function setCsrfTokenStore(token) {
-    csrfTokenStore = token;
-}
+// Cross-instance refresh lock (see models/tokenRefreshLockDao.js)
+const REFRESH_LOCK_LEASE_MS = parseInt(process.env.TOKEN_REFRESH_LOCK_LEASE_MS || '30000', 10);
+const REFRESH_LOCK_WAIT_MS = parseInt(process.env.TOKEN_REFRESH_LOCK_WAIT_MS || String(REFRESH_LOCK_LEASE_MS + 5000), 10);
+const REFRESH_LOCK_POLL_MS = parseInt(process.env.TOKEN_REFRESH_LOCK_POLL_MS || '500', 10);
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
 
 /**
- * Gets the stored CSRF token for Pipedrive OAuth
- * @returns {string|null} The stored CSRF token or null if not set
+ * Creates and persists an OAuth state record for a new authorization flow.
+ * The state is stored in MongoDB (see models/oauthStateDao.js) so the callback
+ * can be handled by any instance.
+ * 
+ * @param {string} service - 'pipedrive' or 'xero'
+ * @param {Object} [options] - State options
+ * @param {string} [options.companyId] - Pipedrive company initiating the flow
+ * @param {string} [options.returnUrl] - Frontend URL to return to after the callback
+ * @param {boolean} [options.usePkce=false] - Whether to generate a PKCE verifier/challenge
+ * @returns {Promise<{state: string, codeChallenge: string|null}>} State and S256 code challenge
  */
-export function getCsrfTokenStore() {
-    return csrfTokenStore;
+export async function createOAuthState(service, { companyId = null, returnUrl = null, usePkce = false } = {}) {
+    const state = crypto.randomBytes(24).toString('hex');
+    const codeVerifier = usePkce ? crypto.randomBytes(32).toString('base64url') : null;
+    const codeChallenge = codeVerifier
+        ? crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+        : null;
+    
+    await insertOAuthState({
+        state,
+        service,
+        companyId: companyId ? companyId.toString() : null,
+        returnUrl,
+        codeVerifier
+    });
+    
+    return { state, codeChallenge };
 }
 
 /**
- * Sets the CSRF token for Xero OAuth
- * @param {Object} store - The CSRF token store object
+ * Consumes an OAuth state exactly once.
+ * 
+ * @param {string} state - State value received on the callback
+ * @param {string} service - 'pipedrive' or 'xero'
+ * @returns {Promise<Object|null>} The state record ({ companyId, returnUrl, codeVerifier, createdAt }),
+ *   or null if the state is unknown, expired or already used
  */
-export function setXeroCsrfTokenStore(store) {
-    xeroCsrfTokenStore = store;
+export async function consumeOAuthState(state, service) {
+    if (!state || typeof state !== 'string') {
+        return null;
+    }
+    return consumeStoredOAuthState(state, service);
 }
 
 /**
- * Gets the stored CSRF token for Xero OAuth
- * @returns {Object} The stored CSRF token store
+ * Builds the associated data that binds a ciphertext to its auth_tokens document,
+ * so a token copied onto another company or service fails authentication.
+ * 
+ * @param {string} companyId - Company ID
+ * @param {string} service - Service name ('pipedrive' or 'xero')
+ * @returns {Buffer} Associated data
  */
-export function getXeroCsrfTokenStore() {
-    return xeroCsrfTokenStore;
+function getAssociatedData(companyId, service) {
+    return Buffer.from(`${companyId}:${service}`, 'utf8');
 }
 
 /**
- * Encrypts sensitive token data
+ * Encrypts sensitive token data with AES-256-GCM
  * 
  * @param {string} text - Text to encrypt
- * @returns {Object} Encrypted data with IV
+ * @param {Buffer} key - Encryption key
+ * @param {Buffer} aad - Associated data (see getAssociatedData)
+ * @returns {Object} Encrypted data with algorithm, IV and auth tag
  */
-function encryptToken(text) {
+function encryptToken(text, key, aad) {
     if (!text) return null;
     
     const iv = crypto.randomBytes(IV_LENGTH);
-    const key = Buffer.from(ENCRYPTION_KEY, 'hex');
-    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
+    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+    cipher.setAAD(aad);
     
     let encrypted = cipher.update(text, 'utf8', 'hex');
     encrypted += cipher.final('hex');
     
     return {
+        algorithm: ENCRYPTION_ALGORITHM,
         encrypted: encrypted,
-        iv: iv.toString('hex')
+        iv: iv.toString('hex'),
+        tag: cipher.getAuthTag().toString('hex')
     };
 }
 
 /**
- * Decrypts sensitive token data
+ * Decrypts sensitive token data. Data without an algorithm marker was written
+ * with AES-256-CBC before authenticated encryption and is decrypted as such.
  * 
  * @param {Object} encryptedData - Encrypted data object
- * @returns {string} Decrypted text
+ * @param {Buffer} key - Key the data was encrypted with
+ * @param {Buffer} aad - Associated data (see getAssociatedData)
+ * @returns {string|null} Decrypted text, or null if the data is missing or fails authentication
  */
-function decryptToken(encryptedData) {
+function decryptToken(encryptedData, key, aad) {
     if (!encryptedData || !encryptedData.encrypted) return null;
     
     try {
         const iv = Buffer.from(encryptedData.iv, 'hex');
-        const key = Buffer.from(ENCRYPTION_KEY, 'hex');
-        const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, iv);
+        let decipher;
+        
+        if (isLegacyCiphertext(encryptedData)) {
+            decipher = crypto.createDecipheriv(LEGACY_ENCRYPTION_ALGORITHM, key, iv);
+        } else if (encryptedData.algorithm === ENCRYPTION_ALGORITHM) {
+            decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+            decipher.setAAD(aad);
+            decipher.setAuthTag(Buffer.from(encryptedData.tag || '', 'hex'));
+        } else {
+            throw new Error(`Unsupported token encryption algorithm: ${encryptedData.algorithm}`);
+        }
         
         let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
         decrypted += decipher.final('utf8');
@@ -119,6 +172,81 @@ function decryptToken(encryptedData) {
     }
 }
 
+/**
+ * Checks whether encrypted data predates authenticated encryption
+ * 
+ * @param {Object|null} encryptedData - Encrypted data object
+ * @returns {boolean} True for AES-256-CBC data
+ */
+function isLegacyCiphertext(encryptedData) {
+    return !!encryptedData && !encryptedData.algorithm;
+}
+
+/**
+ * Encrypts the access and refresh tokens for an auth_tokens document with the
+ * primary key, bound to the document's company and service.
+ * 
+ * @param {string} companyId - Company ID
+ * @param {string} service - Service name ('pipedrive' or 'xero')
+ * @param {Object} tokens - Plaintext tokens ({ accessToken, refreshToken })
+ * @returns {Object} Document fields (encryptedAccessToken, encryptedRefreshToken if present, encryptionKeyId)
+ */
+function encryptTokenFields(companyId, service, { accessToken, refreshToken }) {
+    const { keyId, key } = getPrimaryKey();
+    const aad = getAssociatedData(companyId, service);
+    
+    const fields = {
+        encryptedAccessToken: JSON.stringify(encryptToken(accessToken, key, aad)),
+        encryptionKeyId: keyId
+    };
+    
+    // Only add fields that have values to avoid validation errors
+    if (refreshToken) {
+        fields.encryptedRefreshToken = JSON.stringify(encryptToken(refreshToken, key, aad));
+    }
+    
+    return fields;
+}
+
+/**
+ * Decrypts the access and refresh tokens on an auth_tokens document. Documents
+ * written before key IDs were recorded are decrypted with the legacy key.
+ * 
+ * @param {Object} tokenDoc - Token document from auth_tokens
+ * @returns {{accessToken: string|null, refreshToken: string|null, legacy: boolean}} Decrypted tokens,
+ *   and whether either token is still in the pre-GCM format
+ * @throws {Error} If the document's key is not loaded
+ */
+function decryptTokenDoc(tokenDoc) {
+    const key = getKey(tokenDoc.encryptionKeyId);
+    const aad = getAssociatedData(tokenDoc.companyId, tokenDoc.service);
+    const encryptedAccessToken = JSON.parse(tokenDoc.encryptedAccessToken);
+    const encryptedRefreshToken = JSON.parse(tokenDoc.encryptedRefreshToken || 'null');
+    
+    return {
+        accessToken: decryptToken(encryptedAccessToken, key, aad),
+        refreshToken: decryptToken(encryptedRefreshToken, key, aad),
+        legacy: isLegacyCiphertext(encryptedAccessToken) || isLegacyCiphertext(encryptedRefreshToken)
+    };
+}
+
+/**
+ * Rewrites a document's tokens in the current format. The update only applies if
+ * the ciphertext is unchanged since it was read, so a concurrent write wins.
+ * 
+ * @param {Collection} collection - auth_tokens collection
+ * @param {Object} tokenDoc - Token document as read
+ * @param {Object} tokens - Plaintext tokens ({ accessToken, refreshToken })
+ * @returns {Promise<boolean>} True if the document was rewritten
+ */
+async function rewriteTokenDoc(collection, tokenDoc, tokens) {
+    const result = await collection.updateOne(
+        { _id: tokenDoc._id, encryptedAccessToken: tokenDoc.encryptedAccessToken },
+        { $set: encryptTokenFields(tokenDoc.companyId, tokenDoc.service, tokens) }
+    );
+    return result.modifiedCount === 1;
+}
+
 /**
  * Generates a cache key for token caching
  * 
@@ -130,6 +258,21 @@ function getCacheKey(companyId, service) {
     return `${companyId}:${service}`;
 }
 
+/**
+ * Returns the Xero tenants stored on a token document. Documents written before
+ * multi-tenant support only carry a single `tenantId`, which is returned as a
+ * one-element list.
+ * 
+ * @param {Object} tokenDoc - Token document from auth_tokens
+ * @returns {Array<Object>} Tenants ({ tenantId, tenantName, tenantType, connectionId })
+ */
+function getStoredXeroTenants(tokenDoc) {
+    if (Array.isArray(tokenDoc.tenants) && tokenDoc.tenants.length > 0) {
+        return tokenDoc.tenants;
+    }
+    return tokenDoc.tenantId ? [{ tenantId: tokenDoc.tenantId }] : [];
+}
+
 /**
  * Stores or updates authentication tokens securely in the database
  * 
@@ -142,13 +285,10 @@ export async function storeAuthToken(companyId, service, tokenData) {
     const db = await getDatabase();
     const collection = db.collection('auth_tokens');
     
-    const encryptedAccessToken = encryptToken(tokenData.accessToken);
-    const encryptedRefreshToken = encryptToken(tokenData.refreshToken);
-    
     const tokenDoc = {
         companyId: companyId.toString(),
         service,
-        encryptedAccessToken: JSON.stringify(encryptedAccessToken),
+        ...encryptTokenFields(companyId.toString(), service, tokenData),
         tokenExpiresAt: new Date(tokenData.tokenExpiresAt),
         createdAt: new Date(),
         lastUsedAt: new Date(),
@@ -156,16 +296,18 @@ export async function storeAuthToken(companyId, service, tokenData) {
     };
     
     // Only add fields that have values to avoid validation errors
-    if (encryptedRefreshToken) {
-        tokenDoc.encryptedRefreshToken = JSON.stringify(encryptedRefreshToken);
-    }
-    
     if (tokenData.apiDomain) {
         tokenDoc.apiDomain = tokenData.apiDomain;
     }
     
-    if (tokenData.tenantId) {
-        tokenDoc.tenantId = tokenData.tenantId;
+    const defaultTenantId = tokenData.defaultTenantId || tokenData.tenantId;
+    if (defaultTenantId) {
+        tokenDoc.tenantId = defaultTenantId;
+        tokenDoc.defaultTenantId = defaultTenantId;
+    }
+    
+    if (Array.isArray(tokenData.tenants) && tokenData.tenants.length > 0) {
+        tokenDoc.tenants = tokenData.tenants;
     }
     
     try {
@@ -203,14 +345,17 @@ export async function storeAuthToken(companyId, service, tokenData) {
  * 
  * @param {string} companyId - Pipedrive company ID
  * @param {string} service - Service name ('pipedrive' or 'xero')
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.skipCache=false] - Read from the database even if cached, e.g. to
+ *   pick up a token another instance has just refreshed
  * @returns {Promise<Object|null>} Decrypted token data or null if not found
  */
-export async function getAuthToken(companyId, service) {
+export async function getAuthToken(companyId, service, { skipCache = false } = {}) {
     const cacheKey = getCacheKey(companyId, service);
     
     // Check cache first
     const cached = tokenCache.get(cacheKey);
-    if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
+    if (!skipCache && cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
         logger.debug('Token retrieved from cache', { companyId, service });
         return cached.data;
     }
@@ -236,18 +381,32 @@ export async function getAuthToken(companyId, service) {
             { $set: { lastUsedAt: new Date() } }
         );
         
-        // Decrypt tokens
-        const encryptedAccessToken = JSON.parse(tokenDoc.encryptedAccessToken);
-        const encryptedRefreshToken = JSON.parse(tokenDoc.encryptedRefreshToken || 'null');
+        // Decrypt tokens with the key they were written with
+        const { accessToken, refreshToken, legacy } = decryptTokenDoc(tokenDoc);
+        
+        if (legacy && accessToken) {
+            try {
+                await rewriteTokenDoc(collection, tokenDoc, { accessToken, refreshToken });
+                logger.info('Legacy token encryption upgraded', { companyId, service });
+            } catch (error) {
+                // Not fatal: the token stays readable and is retried on next use
+                logger.warn('Failed to upgrade legacy token encryption', { companyId, service, error: error.message });
+            }
+        }
         
         const tokenData = {
-            accessToken: decryptToken(encryptedAccessToken),
-            refreshToken: decryptToken(encryptedRefreshToken),
+            accessToken,
+            refreshToken,
             apiDomain: tokenDoc.apiDomain,
-            tenantId: tokenDoc.tenantId,
+            tenantId: tokenDoc.defaultTenantId || tokenDoc.tenantId,
             tokenExpiresAt: tokenDoc.tokenExpiresAt.getTime()
         };
         
+        if (service === 'xero') {
+            tokenData.tenants = getStoredXeroTenants(tokenDoc);
+            tokenData.defaultTenantId = tokenDoc.defaultTenantId || tokenDoc.tenantId || null;
+        }
+        
         // Update cache
         tokenCache.set(cacheKey, {
             data: tokenData,
@@ -268,13 +427,75 @@ export async function getAuthToken(companyId, service) {
 }
 
 /**
- * Refreshes a Pipedrive access token
+ * Runs a token refresh while holding the cross-instance refresh lock. If another
+ * instance holds the lock, waits for it and returns the token it stored instead
+ * of refreshing again. A lock left behind by a crashed instance lapses after
+ * REFRESH_LOCK_LEASE_MS and is taken over.
+ * 
+ * @param {string} companyId - Company ID
+ * @param {string} service - Service name ('pipedrive' or 'xero')
+ * @param {Function} performRefresh - Performs the refresh and stores the result
+ * @returns {Promise<Object>} Refreshed token data
+ * @throws {Error} If the refresh fails or the lock cannot be obtained within REFRESH_LOCK_WAIT_MS
+ */
+async function refreshWithLock(companyId, service, performRefresh) {
+    const owner = `${INSTANCE_ID}:${crypto.randomUUID()}`;
+    const deadline = Date.now() + REFRESH_LOCK_WAIT_MS;
+    // Expiry of the stored token when we first found the lock taken
+    let expiryBeforeWait = null;
+    
+    for (;;) {
+        if (await acquireRefreshLock(companyId, service, owner, REFRESH_LOCK_LEASE_MS)) {
+            try {
+                return await performRefresh(companyId);
+            } finally {
+                await releaseRefreshLock(companyId, service, owner).catch(error => {
+                    // The lease lapses on its own
+                    logger.warn('Failed to release token refresh lock', { companyId, service, error: error.message });
+                });
+            }
+        }
+        
+        if (expiryBeforeWait === null) {
+            const current = await getAuthToken(companyId, service, { skipCache: true });
+            expiryBeforeWait = current?.tokenExpiresAt || 0;
+            logger.info('Token refresh in progress on another instance, waiting', { companyId, service });
+        }
+        
+        if (Date.now() >= deadline) {
+            throw new Error(`Timed out waiting for ${service} token refresh for company ${companyId}`);
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, REFRESH_LOCK_POLL_MS));
+        
+        const current = await getAuthToken(companyId, service, { skipCache: true });
+        if (current?.accessToken && current.tokenExpiresAt > expiryBeforeWait) {
+            logger.info('Using token refreshed by another instance', { companyId, service });
+            return current;
+        }
+    }
+}
+
+/**
+ * Refreshes a Pipedrive access token. Only one instance refreshes a company's
+ * token at a time; concurrent callers receive the token it stores.
  * 
  * @param {string} companyId - Company ID
  * @returns {Promise<Object>} Updated token data
  */
 export async function refreshPipedriveToken(companyId) {
-    const currentToken = await getAuthToken(companyId, 'pipedrive');
+    return refreshWithLock(companyId, 'pipedrive', performPipedriveRefresh);
+}
+
+/**
+ * Exchanges the stored Pipedrive refresh token for new tokens and stores them
+ * 
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} Updated token data
+ */
+async function performPipedriveRefresh(companyId) {
+    // Read past the cache: another instance may have rotated the refresh token
+    const currentToken = await getAuthToken(companyId, 'pipedrive', { skipCache: true });
     
     if (!currentToken || !currentToken.refreshToken) {
         throw new Error(`Pipedrive refresh token not available for company ${companyId}`);
@@ -303,6 +524,7 @@ export async function refreshPipedriveToken(companyId) {
         };
         
         await storeAuthToken(companyId, 'pipedrive', updatedTokenData);
+        await recordRefreshOutcome(companyId, 'pipedrive', { success: true });
         
         logger.info('Pipedrive token refreshed successfully', { companyId });
         return updatedTokenData;
@@ -313,23 +535,42 @@ export async function refreshPipedriveToken(companyId) {
             error: error.response?.data || error.message
         });
         
-        // If refresh fails with 400/401, deactivate the token
-        if (error.response && (error.response.status === 400 || error.response.status === 401)) {
+        // Only a rejected grant means the refresh token is dead: deactivate it and ask for re-auth
+        const rejected = isGrantRejected(error);
+        if (rejected) {
             await deactivateAuthToken(companyId, 'pipedrive');
         }
+        await recordRefreshOutcome(companyId, 'pipedrive', {
+            success: false,
+            error: error.response?.data?.error || error.message,
+            reauthRequired: rejected
+        });
         
         throw new Error(`Failed to refresh Pipedrive token for company ${companyId}`);
     }
 }
 
 /**
- * Refreshes a Xero access token
+ * Refreshes a Xero access token. Xero rotates refresh tokens, so only one
+ * instance refreshes a company's token at a time; concurrent callers receive
+ * the token it stores.
  * 
  * @param {string} companyId - Company ID
  * @returns {Promise<Object>} Updated token data
  */
 export async function refreshXeroToken(companyId) {
-    const currentToken = await getAuthToken(companyId, 'xero');
+    return refreshWithLock(companyId, 'xero', performXeroRefresh);
+}
+
+/**
+ * Exchanges the stored Xero refresh token for new tokens and stores them
+ * 
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} Updated token data
+ */
+async function performXeroRefresh(companyId) {
+    // Read past the cache: another instance may have rotated the refresh token
+    const currentToken = await getAuthToken(companyId, 'xero', { skipCache: true });
     
     if (!currentToken || !currentToken.refreshToken) {
         throw new Error(`Xero refresh token not available for company ${companyId}`);
@@ -356,10 +597,13 @@ export async function refreshXeroToken(companyId) {
             accessToken: access_token,
             refreshToken: refresh_token,
             tenantId: currentToken.tenantId,
+            defaultTenantId: currentToken.defaultTenantId,
+            tenants: currentToken.tenants,
             tokenExpiresAt: Date.now() + (expires_in * 1000) - (5 * 60 * 1000) // 5-minute buffer
         };
         
         await storeAuthToken(companyId, 'xero', updatedTokenData);
+        await recordRefreshOutcome(companyId, 'xero', { success: true });
         
         logger.info('Xero token refreshed successfully', { companyId });
         return updatedTokenData;
@@ -370,15 +614,375 @@ export async function refreshXeroToken(companyId) {
             error: error.response?.data || error.message
         });
         
-        // If refresh fails with 400/401, deactivate the token
-        if (error.response && (error.response.status === 400 || error.response.status === 401)) {
+        // Only a rejected grant means the refresh token is dead: deactivate it and ask for re-auth
+        const rejected = isGrantRejected(error);
+        if (rejected) {
             await deactivateAuthToken(companyId, 'xero');
         }
+        await recordRefreshOutcome(companyId, 'xero', {
+            success: false,
+            error: error.response?.data?.error || error.message,
+            reauthRequired: rejected
+        });
         
         throw new Error(`Failed to refresh Xero token for company ${companyId}`);
     }
 }
 
+/**
+ * Whether a failed refresh was the provider rejecting the refresh token (a 400
+ * or 401 with OAuth error `invalid_grant`), as opposed to a network error, an
+ * outage or a misconfigured client.
+ * 
+ * @param {Error} error - Error thrown by the token request
+ * @returns {boolean} True if the refresh token can no longer be used
+ */
+function isGrantRejected(error) {
+    const status = error.response?.status;
+    return (status === 400 || status === 401) && error.response.data?.error === 'invalid_grant';
+}
+
+/**
+ * Delay before the background refresh retries a token that failed to refresh
+ * 
+ * @param {number} failureCount - Consecutive failed refreshes, including this one
+ * @returns {number} Delay in milliseconds
+ */
+function getRefreshRetryDelay(failureCount) {
+    return Math.min(REFRESH_RETRY_BASE_MS * 2 ** Math.max(failureCount - 1, 0), REFRESH_RETRY_MAX_MS);
+}
+
+/**
+ * Records the outcome of a token refresh on the auth_tokens document. A failure
+ * flags the company for re-authentication only when the provider rejected the
+ * refresh token. Any other failure schedules a retry with exponential backoff
+ * (`nextRefreshAttemptAt`). Never throws: a failure to record must not mask the
+ * refresh result.
+ * 
+ * @param {string} companyId - Company ID
+ * @param {string} service - Service name ('pipedrive' or 'xero')
+ * @param {Object} outcome - Refresh outcome
+ * @param {boolean} outcome.success - Whether the refresh succeeded
+ * @param {string} [outcome.error] - Error message for a failed refresh
+ * @param {boolean} [outcome.reauthRequired=false] - Whether the provider rejected the refresh token
+ * @returns {Promise<void>}
+ */
+export async function recordRefreshOutcome(companyId, service, { success, error = null, reauthRequired = false }) {
+    const filter = { companyId: companyId.toString(), service };
+    const now = new Date();
+    
+    try {
+        const db = await getDatabase();
+        const collection = db.collection('auth_tokens');
+        
+        if (success) {
+            await collection.updateOne(filter, {
+                $set: {
+                    lastRefreshAt: now,
+                    lastRefreshAttemptAt: now,
+                    lastRefreshStatus: 'success',
+                    lastRefreshError: null,
+                    refreshFailureCount: 0,
+                    nextRefreshAttemptAt: null,
+                    reauthRequired: false
+                }
+            });
+            return;
+        }
+        
+        const tokenDoc = await collection.findOneAndUpdate(
+            filter,
+            {
+                $set: {
+                    lastRefreshAttemptAt: now,
+                    lastRefreshStatus: 'failed',
+                    lastRefreshError: String(error || 'Unknown error')
+                },
+                $inc: { refreshFailureCount: 1 }
+            },
+            { returnDocument: 'after' }
+        );
+        
+        if (!tokenDoc) {
+            return;
+        }
+        
+        if (reauthRequired) {
+            await collection.updateOne(filter, { $set: { reauthRequired: true, nextRefreshAttemptAt: null } });
+            logger.warn('Company flagged for re-authentication after failed token refresh', {
+                companyId,
+                service,
+                refreshFailureCount: tokenDoc.refreshFailureCount
+            });
+            return;
+        }
+        
+        const nextRefreshAttemptAt = new Date(now.getTime() + getRefreshRetryDelay(tokenDoc.refreshFailureCount));
+        await collection.updateOne(filter, { $set: { nextRefreshAttemptAt } });
+        logger.warn('Token refresh failed, will retry', {
+            companyId,
+            service,
+            refreshFailureCount: tokenDoc.refreshFailureCount,
+            nextRefreshAttemptAt
+        });
+    } catch (recordError) {
+        logger.warn('Failed to record token refresh outcome', {
+            companyId,
+            service,
+            error: recordError.message
+        });
+    }
+}
+
+/**
+ * Gets the refresh health of a company's token, including tokens that have been
+ * deactivated after a failed refresh.
+ * 
+ * @param {string} companyId - Company ID
+ * @param {string} service - Service name ('pipedrive' or 'xero')
+ * @returns {Promise<Object|null>} Refresh status or null if the company has no token
+ */
+export async function getRefreshStatus(companyId, service) {
+    const db = await getDatabase();
+    const collection = db.collection('auth_tokens');
+    
+    const tokenDoc = await collection.findOne(
+        { companyId: companyId.toString(), service },
+        {
+            projection: {
+                isActive: 1,
+                reauthRequired: 1,
+                lastRefreshAt: 1,
+                lastRefreshStatus: 1,
+                lastRefreshError: 1,
+                refreshFailureCount: 1,
+                nextRefreshAttemptAt: 1
+            }
+        }
+    );
+    
+    if (!tokenDoc) {
+        return null;
+    }
+    
+    return {
+        isActive: tokenDoc.isActive,
+        reauthRequired: !!tokenDoc.reauthRequired,
+        lastRefreshAt: tokenDoc.lastRefreshAt || null,
+        lastRefreshStatus: tokenDoc.lastRefreshStatus || null,
+        lastRefreshError: tokenDoc.lastRefreshError || null,
+        refreshFailureCount: tokenDoc.refreshFailureCount || 0,
+        nextRefreshAttemptAt: tokenDoc.nextRefreshAttemptAt || null
+    };
+}
+
+/**
+ * Finds active tokens that expire before the given time and can be refreshed.
+ * Companies already flagged for re-authentication are skipped, as are tokens
+ * whose retry after a failed refresh is not due yet.
+ * 
+ * @param {Object} options - Query options
+ * @param {Date} options.expiresBefore - Include tokens expiring before this time
+ * @param {number} [options.limit=50] - Maximum number of tokens to return
+ * @returns {Promise<Array<{companyId: string, service: string, tokenExpiresAt: Date}>>} Tokens, soonest expiry first
+ */
+export async function findTokensDueForRefresh({ expiresBefore, limit = 50 }) {
+    const db = await getDatabase();
+    const collection = db.collection('auth_tokens');
+    
+    return collection
+        .find(
+            {
+                isActive: true,
+                reauthRequired: { $ne: true },
+                encryptedRefreshToken: { $exists: true },
+                tokenExpiresAt: { $lt: expiresBefore },
+                $or: [
+                    { nextRefreshAttemptAt: { $exists: false } },
+                    { nextRefreshAttemptAt: null },
+                    { nextRefreshAttemptAt: { $lte: new Date() } }
+                ]
+            },
+            { projection: { companyId: 1, service: 1, tokenExpiresAt: 1 } }
+        )
+        .sort({ tokenExpiresAt: 1 })
+        .limit(limit)
+        .toArray();
+}
+
+/**
+ * Sets the default Xero tenant for a company. The tenant must be one of the
+ * organisations authorised during the Xero OAuth flow.
+ * 
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} tenantId - Xero tenant ID to use by default
+ * @returns {Promise<Object>} The selected tenant
+ * @throws {Error} With statusCode 404 if Xero is not connected or the tenant was not authorised
+ */
+export async function setDefaultXeroTenant(companyId, tenantId) {
+    const tokenData = await getAuthToken(companyId, 'xero');
+    
+    if (!tokenData || !tokenData.accessToken) {
+        const error = new Error(`Xero not authenticated for company ${companyId}`);
+        error.statusCode = 404;
+        throw error;
+    }
+    
+    const tenant = (tokenData.tenants || []).find(t => t.tenantId === tenantId);
+    if (!tenant) {
+        const error = new Error(`Xero tenant ${tenantId} is not authorised for company ${companyId}`);
+        error.statusCode = 404;
+        throw error;
+    }
+    
+    const db = await getDatabase();
+    const collection = db.collection('auth_tokens');
+    
+    await collection.updateOne(
+        { companyId: companyId.toString(), service: 'xero' },
+        { $set: { defaultTenantId: tenantId, tenantId, lastUsedAt: new Date() } }
+    );
+    
+    tokenCache.delete(getCacheKey(companyId, 'xero'));
+    
+    logger.info('Default Xero tenant updated', { companyId, tenantId });
+    return tenant;
+}
+
+/**
+ * Re-encrypts every stored token that is not yet on the primary key or still uses
+ * the pre-GCM format. Each document is updated only if its ciphertext is unchanged
+ * since it was read, so a token refreshed concurrently is never overwritten with
+ * stale data.
+ * 
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun=false] - Count documents without writing
+ * @returns {Promise<{total: number, reencrypted: number, skipped: number, failed: number, primaryKeyId: string}>} Summary
+ */
+export async function reencryptAuthTokens({ dryRun = false } = {}) {
+    const db = await getDatabase();
+    const collection = db.collection('auth_tokens');
+    const { keyId: primaryKeyId } = getPrimaryKey();
+    const summary = { total: 0, reencrypted: 0, skipped: 0, failed: 0, primaryKeyId };
+    
+    const cursor = collection.find({});
+    for await (const tokenDoc of cursor) {
+        summary.total++;
+        
+        try {
+            const { accessToken, refreshToken, legacy } = decryptTokenDoc(tokenDoc);
+            
+            if (tokenDoc.encryptionKeyId === primaryKeyId && !legacy) {
+                summary.skipped++;
+                continue;
+            }
+            
+            if (!accessToken) {
+                throw new Error('Access token could not be decrypted');
+            }
+            
+            if (dryRun) {
+                summary.reencrypted++;
+                continue;
+            }
+            
+            if (await rewriteTokenDoc(collection, tokenDoc, { accessToken, refreshToken })) {
+                summary.reencrypted++;
+            } else {
+                // Rewritten by a concurrent refresh, which already used the primary key
+                summary.skipped++;
+            }
+        } catch (error) {
+            summary.failed++;
+            logger.error('Failed to re-encrypt auth token', {
+                companyId: tokenDoc.companyId,
+                service: tokenDoc.service,
+                encryptionKeyId: tokenDoc.encryptionKeyId || null,
+                error: error.message
+            });
+        }
+    }
+    
+    logger.info('Auth token re-encryption finished', { ...summary, dryRun });
+    return summary;
+}
+
+/**
+ * Revokes a company's Pipedrive refresh token at Pipedrive, which also
+ * invalidates the access tokens issued from it
+ * 
+ * @param {string} companyId - Company ID
+ * @returns {Promise<boolean>} True if a token was revoked, false if the company has none
+ * @throws {Error} If Pipedrive rejects the revocation
+ */
+export async function revokePipedriveToken(companyId) {
+    const tokenData = await getAuthToken(companyId, 'pipedrive', { skipCache: true });
+    if (!tokenData?.refreshToken) {
+        return false;
+    }
+    
+    const params = new URLSearchParams();
+    params.append('token', tokenData.refreshToken);
+    params.append('token_type_hint', 'refresh_token');
+    
+    await axios.post('https://oauth.pipedrive.com/oauth/revoke', params, {
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Authorization': `Basic ${Buffer.from(`${pipedriveClientId}:${pipedriveClientSecret}`).toString('base64')}`
+        }
+    });
+    
+    logger.info('Pipedrive token revoked', { companyId });
+    return true;
+}
+
+/**
+ * Revokes a company's Xero refresh token at Xero. Remove the tenant connections
+ * first: revocation invalidates the access token needed to do so.
+ * 
+ * @param {string} companyId - Company ID
+ * @returns {Promise<boolean>} True if a token was revoked, false if the company has none
+ * @throws {Error} If Xero rejects the revocation
+ */
+export async function revokeXeroToken(companyId) {
+    const tokenData = await getAuthToken(companyId, 'xero', { skipCache: true });
+    if (!tokenData?.refreshToken) {
+        return false;
+    }
+    
+    const params = new URLSearchParams();
+    params.append('token', tokenData.refreshToken);
+    
+    await axios.post('https://identity.xero.com/connect/revocation', params, {
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Authorization': `Basic ${Buffer.from(`${xeroClientId}:${xeroClientSecret}`).toString('base64')}`
+        }
+    });
+    
+    logger.info('Xero token revoked', { companyId });
+    return true;
+}
+
+/**
+ * Deletes every stored token for a company (active or not) and its cache entries
+ * 
+ * @param {string} companyId - Company ID
+ * @returns {Promise<number>} Number of token documents deleted
+ */
+export async function purgeCompanyTokens(companyId) {
+    const db = await getDatabase();
+    const collection = db.collection('auth_tokens');
+    
+    const result = await collection.deleteMany({ companyId: companyId.toString() });
+    
+    tokenCache.delete(getCacheKey(companyId, 'pipedrive'));
+    tokenCache.delete(getCacheKey(companyId, 'xero'));
+    
+    logger.info('Company tokens purged', { companyId, deleted: result.deletedCount });
+    return result.deletedCount;
+}
+
 /**
  * Deactivates an authentication token
  * 
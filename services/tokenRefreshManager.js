@@ -3,7 +3,9 @@
  * 
  * Handles token refresh operations with race condition prevention.
  * Uses in-memory locks to ensure only one refresh operation happens
- * per company/service combination at a time.
+ * per company/service combination at a time within this process.
+ * Across instances, the refresh functions in secureTokenService take a
+ * lease-based lock in MongoDB (see models/tokenRefreshLockDao.js).
  * 
  * @module services/tokenRefreshManager
  */
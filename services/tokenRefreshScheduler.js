@@ -0,0 +1,172 @@
+/**
+ * Token Refresh Scheduler
+ *
+ * Periodically scans auth_tokens and refreshes Pipedrive and Xero tokens before
+ * they expire, so requests rarely have to refresh inline. Because Xero access
+ * tokens only live for 30 minutes, every connected Xero company is refreshed
+ * regularly, which also rotates its refresh token and keeps it from reaching
+ * Xero's 60-day inactivity expiry.
+ *
+ * Refreshes go through the TokenRefreshManager so they never race an inline
+ * refresh for the same company. Outcomes are recorded on the token document by
+ * secureTokenService. Only a provider rejection of the refresh token
+ * (`invalid_grant`) flags the company for re-authentication; other failures
+ * are retried with an increasing delay (nextRefreshAttemptAt), and tokens are
+ * skipped until that time.
+ *
+ * Configuration:
+ * - TOKEN_REFRESH_SCHEDULER_ENABLED: set to 'false' to disable (default enabled)
+ * - TOKEN_REFRESH_INTERVAL_MINUTES: how often to scan (default 5)
+ * - TOKEN_REFRESH_LEAD_MINUTES: refresh tokens expiring within this window (default 10)
+ * - TOKEN_REFRESH_BATCH_SIZE: maximum tokens refreshed per scan (default 50)
+ *
+ * @module services/tokenRefreshScheduler
+ */
+
+import * as tokenService from './secureTokenService.js';
+import tokenRefreshManager from './tokenRefreshManager.js';
+import logger from '../lib/logger.js';
+
+const refreshFunctions = {
+    pipedrive: (companyId) => tokenService.refreshPipedriveToken(companyId),
+    xero: (companyId) => tokenService.refreshXeroToken(companyId)
+};
+
+class TokenRefreshScheduler {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+        this.lastRun = null;
+    }
+
+    /**
+     * Reads scheduler settings from the environment
+     *
+     * @returns {{enabled: boolean, intervalMs: number, leadMs: number, batchSize: number}} Settings
+     */
+    getConfig() {
+        return {
+            enabled: process.env.TOKEN_REFRESH_SCHEDULER_ENABLED !== 'false',
+            intervalMs: parseInt(process.env.TOKEN_REFRESH_INTERVAL_MINUTES || '5', 10) * 60 * 1000,
+            leadMs: parseInt(process.env.TOKEN_REFRESH_LEAD_MINUTES || '10', 10) * 60 * 1000,
+            batchSize: parseInt(process.env.TOKEN_REFRESH_BATCH_SIZE || '50', 10)
+        };
+    }
+
+    /**
+     * Starts periodic scans. The first scan runs immediately.
+     *
+     * @returns {boolean} True if the scheduler was started
+     */
+    start() {
+        if (this.timer) {
+            return false;
+        }
+
+        const { enabled, intervalMs, leadMs } = this.getConfig();
+        if (!enabled) {
+            logger.info('Token refresh scheduler disabled');
+            return false;
+        }
+
+        const scan = () => this.runOnce().catch(error => {
+            logger.error('Token refresh scan failed', { error: error.message });
+        });
+
+        this.timer = setInterval(scan, intervalMs);
+        // Do not keep the process alive just for the scheduler
+        this.timer.unref?.();
+        scan();
+
+        logger.info('Token refresh scheduler started', { intervalMs, leadMs });
+        return true;
+    }
+
+    /**
+     * Stops periodic scans
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Refreshes every token that expires within the lead window. Overlapping
+     * scans are skipped.
+     *
+     * @returns {Promise<Object|null>} Scan summary, or null if a scan was already running
+     */
+    async runOnce() {
+        if (this.running) {
+            logger.debug('Token refresh scan already running, skipping');
+            return null;
+        }
+
+        this.running = true;
+        const { leadMs, batchSize } = this.getConfig();
+        const summary = { startedAt: new Date(), due: 0, refreshed: 0, skipped: 0, failed: 0, failures: [] };
+
+        try {
+            const dueTokens = await tokenService.findTokensDueForRefresh({
+                expiresBefore: new Date(Date.now() + leadMs),
+                limit: batchSize
+            });
+            summary.due = dueTokens.length;
+
+            for (const { companyId, service } of dueTokens) {
+                const refreshFunction = refreshFunctions[service];
+                if (!refreshFunction) {
+                    summary.skipped++;
+                    continue;
+                }
+
+                try {
+                    await tokenRefreshManager.refreshToken(companyId, service, () => refreshFunction(companyId));
+                    summary.refreshed++;
+                } catch (error) {
+                    if (error.message.includes('rate limit')) {
+                        // Refreshed moments ago by a request
+                        summary.skipped++;
+                        continue;
+                    }
+                    summary.failed++;
+                    summary.failures.push({ companyId, service, error: error.message });
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+
+        summary.finishedAt = new Date();
+        this.lastRun = summary;
+
+        if (summary.due > 0) {
+            logger.info('Token refresh scan completed', {
+                due: summary.due,
+                refreshed: summary.refreshed,
+                skipped: summary.skipped,
+                failed: summary.failed
+            });
+        }
+
+        return summary;
+    }
+
+    /**
+     * Get current scheduler status
+     *
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return {
+            running: !!this.timer,
+            scanInProgress: this.running,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+// Export singleton instance
+export default new TokenRefreshScheduler();
@@ -0,0 +1,260 @@
+/**
+ * Xero Account Code Service
+ *
+ * Chooses the Xero AccountCode of quote and invoice line items. Each company
+ * stores, per tenant, rules that pick an account by Pipedrive product ID,
+ * product code prefix, product category or the deal's department (see
+ * quoteBusinessRules.resolveAccountCode for the precedence). A rule is only
+ * accepted if its account is an active revenue account of the tenant, and
+ * line items are checked against the tenant's chart of accounts again before
+ * any quote or invoice is sent.
+ *
+ * A tenant's accounts are cached in memory for XERO_ACCOUNT_CACHE_TTL_SECONDS
+ * (1 hour by default).
+ *
+ * @module services/xeroAccountCodeService
+ */
+
+import * as xeroApiService from './xeroApiService.js';
+import { listDepartments } from './departmentService.js';
+import { findAccountCodeRules, upsertAccountCodeRules } from '../models/xeroAccountCodeRuleDao.js';
+import logger from '../lib/logger.js';
+
+export const RULE_TYPES = ['product', 'productCodePrefix', 'category', 'department'];
+
+const accountCache = new Map();
+
+/**
+ * Reads the account cache lifetime from the environment
+ *
+ * @returns {number} Lifetime in milliseconds
+ */
+function getCacheTtlMs() {
+    return parseInt(process.env.XERO_ACCOUNT_CACHE_TTL_SECONDS || '3600', 10) * 1000;
+}
+
+/**
+ * Builds an error with a statusCode and details, as the controllers expect
+ *
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @param {Object} [details] - Error details
+ * @returns {Error} The error
+ */
+function accountCodeError(message, statusCode, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+}
+
+/**
+ * Converts a Xero Account to the fields the app uses
+ *
+ * @param {Object} account - Xero Account
+ * @returns {Object} { code, name, type, class, status }
+ */
+function toAccount(account) {
+    return {
+        code: account.Code,
+        name: account.Name,
+        type: account.Type,
+        class: account.Class,
+        status: account.Status
+    };
+}
+
+/**
+ * Whether line items can be posted to an account
+ *
+ * @param {Object} account - Account from getTenantAccounts
+ * @returns {boolean} True for active revenue accounts
+ */
+function isRevenueAccount(account) {
+    return account.status === 'ACTIVE' && account.class === 'REVENUE' && !!account.code;
+}
+
+/**
+ * Gets a tenant's chart of accounts, from the cache when it is fresh
+ *
+ * @param {string} accessToken - Xero access token
+ * @param {string} tenantId - Xero tenant ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.refresh=false] - Whether to bypass the cache
+ * @returns {Promise<Array<Object>>} Accounts ({ code, name, type, class, status })
+ */
+export async function getTenantAccounts(accessToken, tenantId, { refresh = false } = {}) {
+    const cached = accountCache.get(tenantId);
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+        return cached.accounts;
+    }
+
+    const accounts = (await xeroApiService.getXeroAccounts(accessToken, tenantId)).map(toAccount);
+    accountCache.set(tenantId, { accounts, expiresAt: Date.now() + getCacheTtlMs() });
+    logger.debug('Xero accounts loaded', { tenantId, count: accounts.length });
+    return accounts;
+}
+
+/**
+ * Gets the accounts of a tenant that line items can use
+ *
+ * @param {string} accessToken - Xero access token
+ * @param {string} tenantId - Xero tenant ID
+ * @param {Object} [options] - Options passed to getTenantAccounts
+ * @returns {Promise<Array<Object>>} Active revenue accounts
+ */
+export async function getRevenueAccounts(accessToken, tenantId, options) {
+    const accounts = await getTenantAccounts(accessToken, tenantId, options);
+    return accounts.filter(isRevenueAccount);
+}
+
+/**
+ * Clears cached accounts
+ *
+ * @param {string} [tenantId] - Xero tenant ID; clears all tenants when omitted
+ */
+export function clearAccountCache(tenantId) {
+    if (tenantId) {
+        accountCache.delete(tenantId);
+    } else {
+        accountCache.clear();
+    }
+}
+
+/**
+ * Gets the stored account code rules for a company's tenant
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} tenantId - Xero tenant ID
+ * @returns {Promise<Array<Object>>} Rules ({ type, value, accountCode }), empty if none are stored
+ */
+export async function getAccountCodeRules(companyId, tenantId) {
+    const stored = await findAccountCodeRules(companyId, tenantId);
+    return stored ? stored.rules : [];
+}
+
+/**
+ * Gets the stored rules as mapProductsToLineItems expects them: department
+ * rules also list the names and aliases of their department, so they match
+ * the deal's department label.
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} tenantId - Xero tenant ID
+ * @returns {Promise<Array<Object>>} Rules ({ type, value, accountCode, departmentNames })
+ */
+export async function getLineItemAccountCodeRules(companyId, tenantId) {
+    const rules = await getAccountCodeRules(companyId, tenantId);
+    if (!rules.some(rule => rule.type === 'department')) {
+        return rules;
+    }
+
+    const { departments } = await listDepartments(companyId);
+    return rules.map(rule => {
+        if (rule.type !== 'department') {
+            return rule;
+        }
+        const department = departments.find(d => d.code === rule.value);
+        return { ...rule, departmentNames: department ? [department.name, ...department.aliases] : [] };
+    });
+}
+
+/**
+ * Replaces the account code rules for a company's tenant. Each account must
+ * be an active revenue account of the tenant, and department rules must name
+ * one of the company's department codes.
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} accessToken - Xero access token
+ * @param {string} tenantId - Xero tenant ID
+ * @param {Array<Object>} rules - Rules ({ type, value, accountCode })
+ * @returns {Promise<Array<Object>>} The saved rules
+ * @throws {Error} With statusCode 400 and details.errors for invalid rules
+ */
+export async function setAccountCodeRules(companyId, accessToken, tenantId, rules) {
+    if (!Array.isArray(rules)) {
+        throw accountCodeError('rules must be an array', 400);
+    }
+
+    const revenueAccounts = await getRevenueAccounts(accessToken, tenantId, { refresh: true });
+    const revenueCodes = new Set(revenueAccounts.map(account => account.code));
+    const { departments } = await listDepartments(companyId);
+    const departmentCodes = new Set(departments.map(department => department.code));
+    const seen = new Set();
+    const errors = [];
+    const normalized = [];
+
+    rules.forEach((rule, index) => {
+        const path = `rules[${index}]`;
+        const { type, value, accountCode } = rule || {};
+        if (!RULE_TYPES.includes(type)) {
+            errors.push({ path: `${path}.type`, error: `must be one of: ${RULE_TYPES.join(', ')}` });
+            return;
+        }
+        const ruleValue = value === undefined || value === null ? '' : String(value).trim();
+        if (!ruleValue) {
+            errors.push({ path: `${path}.value`, error: 'is required' });
+            return;
+        }
+        if (seen.has(`${type}:${ruleValue}`)) {
+            errors.push({ path: `${path}.value`, error: `${type} ${ruleValue} has more than one rule` });
+            return;
+        }
+        seen.add(`${type}:${ruleValue}`);
+
+        if (type === 'department' && !departmentCodes.has(ruleValue)) {
+            errors.push({ path: `${path}.value`, error: `${ruleValue} is not a department code of this company` });
+        }
+        if (!revenueCodes.has(accountCode)) {
+            errors.push({ path: `${path}.accountCode`, error: `${accountCode} is not an active revenue account in this Xero organisation` });
+        }
+        normalized.push({ type, value: ruleValue, accountCode });
+    });
+
+    if (errors.length > 0) {
+        throw accountCodeError('Invalid account code rules', 400, { errors, availableAccounts: revenueAccounts });
+    }
+
+    const saved = await upsertAccountCodeRules(companyId, tenantId, normalized);
+
+    logger.info('Xero account code rules saved', { companyId, tenantId, rules: normalized.length });
+    return saved.rules;
+}
+
+/**
+ * Checks that every line item posts to an active revenue account of the
+ * tenant. A line item without an AccountCode is checked as '200', the account
+ * Xero invoices fall back to. The cached chart is reloaded once before
+ * rejecting, in case an account was added since it was loaded.
+ *
+ * @param {string} accessToken - Xero access token
+ * @param {string} tenantId - Xero tenant ID
+ * @param {Array<Object>} lineItems - Xero line items
+ * @throws {Error} With statusCode 400 and details.errors for line items with other accounts
+ */
+export async function assertRevenueAccountCodes(accessToken, tenantId, lineItems = []) {
+    const findInvalid = accounts => {
+        const revenueCodes = new Set(accounts.filter(isRevenueAccount).map(account => account.code));
+        return lineItems
+            .map((item, index) => ({ index, accountCode: item.AccountCode || '200' }))
+            .filter(({ accountCode }) => !revenueCodes.has(accountCode));
+    };
+
+    let accounts = await getTenantAccounts(accessToken, tenantId);
+    let invalid = findInvalid(accounts);
+    if (invalid.length > 0) {
+        accounts = await getTenantAccounts(accessToken, tenantId, { refresh: true });
+        invalid = findInvalid(accounts);
+    }
+
+    if (invalid.length > 0) {
+        throw accountCodeError('Line items use accounts that are not active revenue accounts in this Xero organisation', 400, {
+            errors: invalid.map(({ index, accountCode }) => ({
+                path: `LineItems[${index}].AccountCode`,
+                error: `${accountCode} is not an active revenue account in this Xero organisation`
+            })),
+            availableAccounts: accounts.filter(isRevenueAccount)
+        });
+    }
+}
@@ -13,6 +13,7 @@
  * - Quote creation with idempotency support
  * - Quote status management with validation
  * - Project creation and management
+ * - Audit events for every write (see services/auditService.js)
  * 
  * @module services/xeroApiService
  */
@@ -20,6 +21,7 @@
 import axios from 'axios';
 import logger from '../lib/logger.js';
 import crypto from 'crypto';
+import { auditedWrite } from './auditService.js';
 
 /**
  * Retrieves all Xero tenant connections for the authenticated user
@@ -42,6 +44,25 @@ export async function getXeroConnections(accessToken) {
     return response.data;
 }
 
+/**
+ * Removes a Xero tenant connection, disconnecting the app from that organisation
+ * 
+ * @param {string} accessToken - Valid Xero access token
+ * @param {string} connectionId - Connection ID (from getXeroConnections)
+ * @returns {Promise<void>}
+ */
+export const deleteXeroConnection = auditedWrite({
+  service: 'xero',
+  action: 'connection.delete',
+  describe: (accessToken, connectionId) => ({ target: { connectionId } })
+}, async (accessToken, connectionId) => {
+    await axios.delete(`https://api.xero.com/connections/${encodeURIComponent(connectionId)}`, {
+        headers: {
+            'Authorization': `Bearer ${accessToken}`
+        }
+    });
+});
+
 /**
  * Finds a Xero contact by email address
  * 
@@ -131,7 +152,12 @@ export const findXeroContactByName = async (accessToken, tenantId, name) => {
  * @returns {Promise<Object>} Created contact object
  * @throws {Error} When contact creation fails
  */
-export const createXeroContact = async (accessToken, tenantId, contactPayload) => {
+export const createXeroContact = auditedWrite({
+  service: 'xero',
+  action: 'contact.create',
+  describe: (accessToken, tenantId, contactPayload) => ({ tenantId, payload: contactPayload }),
+  remoteIds: (contact) => ({ contactId: contact?.ContactID })
+}, async (accessToken, tenantId, contactPayload) => {
   try {
     const response = await axios.put(
       'https://api.xero.com/api.xro/2.0/Contacts',
@@ -153,7 +179,7 @@ export const createXeroContact = async (accessToken, tenantId, contactPayload) =
     });
     throw error;
   }
-};
+});
 
 
 /**
@@ -167,7 +193,16 @@ export const createXeroContact = async (accessToken, tenantId, contactPayload) =
  * @returns {Promise<Object>} Created quote object
  * @throws {Error} When quote creation fails or validation errors occur
  */
-export const createQuote = async (accessToken, tenantId, quotePayload, idempotencyKey, pipedriveDealReference) => {
+export const createQuote = auditedWrite({
+  service: 'xero',
+  action: 'quote.create',
+  describe: (accessToken, tenantId, quotePayload, idempotencyKey, pipedriveDealReference) => ({
+    tenantId,
+    target: { idempotencyKey },
+    payload: { ...quotePayload, ...(pipedriveDealReference && { Reference: pipedriveDealReference }) }
+  }),
+  remoteIds: (quote) => ({ quoteId: quote?.QuoteID, quoteNumber: quote?.QuoteNumber })
+}, async (accessToken, tenantId, quotePayload, idempotencyKey, pipedriveDealReference) => {
   // Ensure it uses the idempotencyKey if provided
   const headers = {
     Authorization: `Bearer ${accessToken}`,
@@ -306,7 +341,7 @@ export const createQuote = async (accessToken, tenantId, quotePayload, idempoten
     
     throw new Error(`Failed to create Xero quote: ${error.message}`);
   }
-};
+});
 
 /**
  * Gets a single Xero quote by ID
@@ -377,7 +412,12 @@ export const getXeroQuoteById = async (accessToken, tenantId, quoteId) => {
  * @param {string} quoteId - Quote ID to accept
  * @returns {Promise<Object>} Final accepted quote object
  */
-export const acceptXeroQuote = async (accessToken, tenantId, quoteId) => {
+export const acceptXeroQuote = auditedWrite({
+  service: 'xero',
+  action: 'quote.accept',
+  describe: (accessToken, tenantId, quoteId) => ({ tenantId, target: { quoteId } }),
+  remoteIds: (quote) => ({ quoteId: quote?.QuoteID, quoteNumber: quote?.QuoteNumber })
+}, async (accessToken, tenantId, quoteId) => {
   try {
     logger.info('Starting Xero quote acceptance process with comprehensive field preservation', {
       quoteId,
@@ -571,7 +611,7 @@ export const acceptXeroQuote = async (accessToken, tenantId, quoteId) => {
     
     throw new Error(`Failed to accept Xero quote ${quoteId}: ${error.message}`);
   }
-};
+});
 
 /**
  * Updates the status of a Xero quote (legacy function - use acceptXeroQuote for accepting quotes)
@@ -583,7 +623,14 @@ export const acceptXeroQuote = async (accessToken, tenantId, quoteId) => {
  * @returns {Promise<Object>} Updated quote object
  * @deprecated Use acceptXeroQuote for quote acceptance
  */
-export const updateQuoteStatus = async (accessToken, tenantId, quoteId, status) => {
+export const updateQuoteStatus = auditedWrite({
+  service: 'xero',
+  action: 'quote.status.update',
+  // Acceptance is recorded by acceptXeroQuote
+  skip: (accessToken, tenantId, quoteId, status) => status === 'ACCEPTED',
+  describe: (accessToken, tenantId, quoteId, status) => ({ tenantId, target: { quoteId }, payload: { status } }),
+  remoteIds: (quote) => ({ quoteId: quote?.QuoteID, quoteNumber: quote?.QuoteNumber })
+}, async (accessToken, tenantId, quoteId, status) => {
   if (status === 'ACCEPTED') {
     logger.warn('Using legacy updateQuoteStatus for acceptance. Consider using acceptXeroQuote instead.', { quoteId });
     return await acceptXeroQuote(accessToken, tenantId, quoteId);
@@ -670,7 +717,7 @@ export const updateQuoteStatus = async (accessToken, tenantId, quoteId, status)
     }
     throw error;
   }
-};
+});
 
 /**
  * Creates a new project in Xero with optional quote and deal references
@@ -684,7 +731,18 @@ export const updateQuoteStatus = async (accessToken, tenantId, quoteId, status)
  * @returns {Promise<Object>} Created project object
  * @throws {Error} When required fields missing or project creation fails
  */
-export const createXeroProject = async (accessToken, tenantId, projectData, quoteId = null, dealId = null, pipedriveCompanyId = null) => {
+export const createXeroProject = auditedWrite({
+  service: 'xero',
+  action: 'project.create',
+  describe: (accessToken, tenantId, projectData, quoteId, dealId, pipedriveCompanyId) => ({
+    tenantId,
+    companyId: pipedriveCompanyId,
+    dealId,
+    target: { quoteId },
+    payload: projectData
+  }),
+  remoteIds: (project) => ({ projectId: project?.ProjectID })
+}, async (accessToken, tenantId, projectData, quoteId = null, dealId = null, pipedriveCompanyId = null) => {
   const { contactId, name, estimateAmount, deadline } = projectData;
 
   if (!contactId || !name) {
@@ -800,7 +858,7 @@ export const createXeroProject = async (accessToken, tenantId, projectData, quot
       };
     }
   }
-};
+});
 
 /**
  * Creates a task in a Xero project
@@ -809,28 +867,38 @@ export const createXeroProject = async (accessToken, tenantId, projectData, quot
  * @param {string} tenantId - Xero tenant ID
  * @param {string} projectId - Project ID to create task in
  * @param {string} name - Task name
+ * @param {Object} [settings] - Task settings from a template (projectTaskTemplateService)
+ * @param {string} [settings.chargeType='FIXED'] - TIME, FIXED or NON_CHARGEABLE
+ * @param {Object} [settings.rate] - Rate { value, currency }; defaults to 1.00 USD
+ * @param {number} [settings.estimateMinutes] - Estimated minutes; defaults to 1 without settings
  * @returns {Promise<Object>} Created task object
  * @throws {Error} When task creation fails
  */
-export const createXeroTask = async (accessToken, tenantId, projectId, name) => {
+export const createXeroTask = auditedWrite({
+  service: 'xero',
+  action: 'task.create',
+  describe: (accessToken, tenantId, projectId, name, settings) => ({ tenantId, target: { projectId }, payload: { name, settings } }),
+  remoteIds: (task) => ({ taskId: task?.taskId })
+}, async (accessToken, tenantId, projectId, name, settings = {}) => {
   if (!projectId || !name) {
     throw new Error('Project ID and task name are required.');
   }
 
-  // Minimal JSON payload (using USD as the currency)
   const sanitizedName = name.trim().replace(/[^\w\s-]/g, '');
   if (!sanitizedName) {
     throw new Error('Task name is empty after sanitization.');
   }
 
+  const { chargeType = 'FIXED', rate = { value: 1.00, currency: 'USD' } } = settings;
+  const estimateMinutes = settings.chargeType ? settings.estimateMinutes : 1;
   const taskPayload = {
     "name": sanitizedName,
     "rate": {
-      "currency": "USD",
-      "value": 1.00
+      "currency": rate.currency,
+      "value": rate.value
     },
-    "chargeType": "FIXED",
-    "estimateMinutes": 1
+    "chargeType": chargeType,
+    ...(estimateMinutes !== undefined && { "estimateMinutes": estimateMinutes })
   };
 
   console.log("payload", taskPayload);
@@ -869,7 +937,7 @@ export const createXeroTask = async (accessToken, tenantId, projectId, name) =>
     // Network or unexpected errors
     throw new Error(`Unexpected error: ${error.message}`);
   }
-};
+});
 
 
 /**
@@ -1033,6 +1101,68 @@ export const getXeroProjects = async (accessToken, tenantId) => {
   }
 };
 
+/**
+ * Retrieves the tax rates of a Xero organisation
+ *
+ * @param {string} accessToken - Valid Xero access token
+ * @param {string} tenantId - Xero tenant ID
+ * @returns {Promise<Array>} Array of TaxRate objects (Name, TaxType, Status, EffectiveRate, CanApplyToRevenue, ...)
+ * @throws {Error} When tax rate retrieval fails
+ */
+export const getXeroTaxRates = async (accessToken, tenantId) => {
+  try {
+    const response = await axios.get(
+      'https://api.xero.com/api.xro/2.0/TaxRates',
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Xero-Tenant-Id': tenantId,
+          Accept: 'application/json',
+        },
+      }
+    );
+
+    return response.data.TaxRates || [];
+  } catch (error) {
+    logger.error('Error retrieving Xero tax rates', {
+      error: error.response ? error.response.data : error.message,
+      status: error.response?.status
+    });
+    throw error;
+  }
+};
+
+/**
+ * Retrieves the chart of accounts of a Xero organisation
+ *
+ * @param {string} accessToken - Valid Xero access token
+ * @param {string} tenantId - Xero tenant ID
+ * @returns {Promise<Array>} Array of Account objects (Code, Name, Type, Class, Status, ...)
+ * @throws {Error} When account retrieval fails
+ */
+export const getXeroAccounts = async (accessToken, tenantId) => {
+  try {
+    const response = await axios.get(
+      'https://api.xero.com/api.xro/2.0/Accounts',
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Xero-Tenant-Id': tenantId,
+          Accept: 'application/json',
+        },
+      }
+    );
+
+    return response.data.Accounts || [];
+  } catch (error) {
+    logger.error('Error retrieving Xero accounts', {
+      error: error.response ? error.response.data : error.message,
+      status: error.response?.status
+    });
+    throw error;
+  }
+};
+
 /**
  * Updates an existing quote in Xero with versioning support
  * Automatically increments the version (v2, v3, etc.) when updating
@@ -1044,7 +1174,12 @@ export const getXeroProjects = async (accessToken, tenantId) => {
  * @returns {Promise<Object>} Updated quote object
  * @throws {Error} When quote update fails or validation errors occur
  */
-export const updateQuote = async (accessToken, tenantId, quoteId, quotePayload) => {
+export const updateQuote = auditedWrite({
+  service: 'xero',
+  action: 'quote.update',
+  describe: (accessToken, tenantId, quoteId, quotePayload) => ({ tenantId, target: { quoteId }, payload: quotePayload }),
+  remoteIds: (quote) => ({ quoteId: quote?.QuoteID, quoteNumber: quote?.QuoteNumber })
+}, async (accessToken, tenantId, quoteId, quotePayload) => {
   try {
     logger.info('Updating Xero quote with versioning', {
       quoteId,
@@ -1158,7 +1293,7 @@ export const updateQuote = async (accessToken, tenantId, quoteId, quotePayload)
     
     throw error;
   }
-};
+});
 
 /**
  * Generates a versioned quote number by incrementing the version suffix
@@ -1201,7 +1336,12 @@ function generateVersionedQuoteNumber(currentQuoteNumber) {
  * @returns {Promise<Object>} Created invoice object
  * @throws {Error} When invoice creation fails or validation errors occur
  */
-export const createInvoiceFromQuote = async (accessToken, tenantId, quoteId) => {
+export const createInvoiceFromQuote = auditedWrite({
+  service: 'xero',
+  action: 'invoice.create_from_quote',
+  describe: (accessToken, tenantId, quoteId) => ({ tenantId, target: { quoteId } }),
+  remoteIds: (invoice) => ({ invoiceId: invoice?.InvoiceID, invoiceNumber: invoice?.InvoiceNumber })
+}, async (accessToken, tenantId, quoteId) => {
   try {
     logger.info('Creating invoice from Xero quote', {
       quoteId,
@@ -1309,7 +1449,7 @@ export const createInvoiceFromQuote = async (accessToken, tenantId, quoteId) =>
     
     throw error;
   }
-};
+});
 
 /**
  * Creates a new invoice in Xero
@@ -1320,7 +1460,12 @@ export const createInvoiceFromQuote = async (accessToken, tenantId, quoteId) =>
  * @returns {Promise<Object>} Created invoice object
  * @throws {Error} When invoice creation fails or validation errors occur
  */
-export const createInvoice = async (accessToken, tenantId, invoicePayload) => {
+export const createInvoice = auditedWrite({
+  service: 'xero',
+  action: 'invoice.create',
+  describe: (accessToken, tenantId, invoicePayload) => ({ tenantId, payload: invoicePayload }),
+  remoteIds: (invoice) => ({ invoiceId: invoice?.InvoiceID, invoiceNumber: invoice?.InvoiceNumber })
+}, async (accessToken, tenantId, invoicePayload) => {
   try {
     logger.info('Creating Xero invoice', {
       contactId: invoicePayload.Contact?.ContactID,
@@ -1370,7 +1515,7 @@ export const createInvoice = async (accessToken, tenantId, invoicePayload) => {
     
     throw error;
   }
-};
+});
 
 /**
  * Uploads an attachment to a Xero invoice
@@ -1382,7 +1527,16 @@ export const createInvoice = async (accessToken, tenantId, invoicePayload) => {
  * @returns {Promise<Object>} Attachment response from Xero
  * @throws {Error} When attachment upload fails
  */
-export const uploadInvoiceAttachment = async (accessToken, tenantId, invoiceId, fileData) => {
+export const uploadInvoiceAttachment = auditedWrite({
+  service: 'xero',
+  action: 'invoice.attachment.upload',
+  describe: (accessToken, tenantId, invoiceId, fileData) => ({
+    tenantId,
+    target: { invoiceId },
+    payload: { fileName: fileData?.originalname, mimeType: fileData?.mimetype, size: fileData?.size }
+  }),
+  remoteIds: (result) => ({ attachmentId: result?.Attachments?.[0]?.AttachmentID })
+}, async (accessToken, tenantId, invoiceId, fileData) => {
   try {
     const fs = await import('fs');
     
@@ -1434,7 +1588,7 @@ export const uploadInvoiceAttachment = async (accessToken, tenantId, invoiceId,
     
     throw error;
   }
-};
+});
 
 /**
  * Uploads multiple attachments to a Xero invoice
@@ -1505,7 +1659,12 @@ export const uploadMultipleInvoiceAttachments = async (accessToken, tenantId, in
  * @returns {Promise<Object>} Deleted quote object
  * @throws {Error} When quote deletion fails
  */
-export const deleteXeroQuote = async (accessToken, tenantId, quoteId) => {
+export const deleteXeroQuote = auditedWrite({
+  service: 'xero',
+  action: 'quote.delete',
+  describe: (accessToken, tenantId, quoteId) => ({ tenantId, target: { quoteId } }),
+  remoteIds: (quote) => ({ quoteId: quote?.QuoteID, quoteNumber: quote?.QuoteNumber })
+}, async (accessToken, tenantId, quoteId) => {
   try {
     logger.info('Deleting Xero quote for testing cleanup', {
       quoteId,
@@ -1575,4 +1734,4 @@ export const deleteXeroQuote = async (accessToken, tenantId, quoteId) => {
     
     throw error;
   }
-};
+});
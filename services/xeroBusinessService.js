@@ -12,6 +12,9 @@
 import * as xeroApiService from './xeroApiService.js';
 import * as pipedriveApiService from './pipedriveApiService.js';
 import * as tokenService from './secureTokenService.js';
+import { getTasksForDepartment } from './projectTaskTemplateService.js';
+import { getDealDepartment } from './xeroTenantRoutingService.js';
+import { getCustomFieldKeys, getEnvCustomFieldKeys } from './configService.js';
 import logger from '../lib/logger.js';
 import { v4 as uuidv4 } from 'uuid';
 
@@ -186,6 +189,7 @@ export async function acceptQuoteWithBusinessRules(auth, quoteId, context = {})
  */
 export async function createProjectFromDeal(auth, dealDetails, projectNumber, options = {}) {
     const { dealId, companyId, pipedriveAuth } = options;
+    const fieldKeys = await getCustomFieldKeys(companyId);
 
     logger.info('Creating Xero project from deal', {
         dealId,
@@ -212,7 +216,7 @@ export async function createProjectFromDeal(auth, dealDetails, projectNumber, op
         );
 
         // Step 3: Create project
-        const vesselNameKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_VESSEL_NAME;
+        const vesselNameKey = fieldKeys.vesselName;
         const vesselName = vesselNameKey ? dealDetails[vesselNameKey] : 'Unknown Vessel';
         
         const projectData = {
@@ -237,14 +241,16 @@ export async function createProjectFromDeal(auth, dealDetails, projectNumber, op
 
         const projectId = xeroProject.ProjectID || xeroProject.projectId;
 
-        // Step 4: Create default tasks
-        const createdTasks = await createDefaultProjectTasks(auth, projectId);
+        // Step 4: Create the tasks of the department's template
+        const tasks = await getTasksForDepartment(companyId, getDealDepartment(dealDetails, fieldKeys.department));
+        const createdTasks = await createDefaultProjectTasks(auth, projectId, tasks);
 
         // Step 5: Handle quote acceptance if quote ID exists
         let quoteAcceptanceResult = await handleQuoteAcceptanceForProject(
             auth, 
             dealDetails, 
-            dealId
+            dealId,
+            fieldKeys.quoteId
         );
 
         return {
@@ -267,32 +273,27 @@ export async function createProjectFromDeal(auth, dealDetails, projectNumber, op
 }
 
 /**
- * Creates default tasks for a Xero project
+ * Creates the template tasks for a new Xero project
  * 
  * @param {Object} auth - Authentication details
  * @param {string} projectId - Xero project ID
+ * @param {Array<Object>} defaultTasks - Template tasks (projectTaskTemplateService.getTasksForDepartment)
  * @returns {Promise<Array>} Array of created tasks
  */
-async function createDefaultProjectTasks(auth, projectId) {
-    const defaultTasks = [
-        'Manhour',
-        'Overtime',
-        'Transport',
-        'Supply Labour'
-    ];
-
+async function createDefaultProjectTasks(auth, projectId, defaultTasks) {
     logger.info('Starting parallel task creation for project', {
         projectId,
         taskCount: defaultTasks.length
     });
 
     // Create all tasks in parallel for better performance
-    const taskPromises = defaultTasks.map(taskName => 
+    const taskPromises = defaultTasks.map(({ name: taskName, ...settings }) => 
         xeroApiService.createXeroTask(
             auth.xeroAccessToken,
             auth.xeroTenantId,
             projectId,
-            taskName
+            taskName,
+            settings
         )
         .then(task => {
             if (task && (task.TaskID || task.taskId)) {
@@ -332,13 +333,12 @@ async function createDefaultProjectTasks(auth, projectId) {
  * @param {Object} auth - Authentication details
  * @param {Object} dealDetails - Deal details with custom fields
  * @param {string} dealId - Deal ID for context
+ * @param {string|null} quoteIdCustomFieldKey - The company's quote ID field key
  * @returns {Promise<Object>} Quote acceptance result
  */
-async function handleQuoteAcceptanceForProject(auth, dealDetails, dealId) {
-    const quoteIdCustomFieldKey = process.env.PIPEDRIVE_QUOTE_ID;
-    
+async function handleQuoteAcceptanceForProject(auth, dealDetails, dealId, quoteIdCustomFieldKey) {
     if (!quoteIdCustomFieldKey) {
-        logger.warn('PIPEDRIVE_QUOTE_ID not configured', { dealId });
+        logger.warn('Quote ID custom field not configured', { dealId });
         return {
             accepted: false,
             error: 'Quote ID custom field not configured'
@@ -366,11 +366,12 @@ async function handleQuoteAcceptanceForProject(auth, dealDetails, dealId) {
  * Creates a quote with line items from deal products
  * 
  * @param {Object} auth - Authentication details
- * @param {Object} params - Quote parameters {dealDetails, contactId, lineItems, idempotencyKey}
+ * @param {Object} params - Quote parameters {dealDetails, contactId, lineItems, idempotencyKey, fieldKeys}
+ *   (`fieldKeys` from configService.getCustomFieldKeys; defaults to environment keys)
  * @returns {Promise<Object>} Created quote
  */
 export async function createQuoteFromDeal(auth, params) {
-    const { dealDetails, contactId, lineItems, idempotencyKey, pipedriveDealReference } = params;
+    const { dealDetails, contactId, lineItems, idempotencyKey, pipedriveDealReference, fieldKeys = getEnvCustomFieldKeys() } = params;
 
     logger.info('Creating quote from deal', {
         dealId: dealDetails.id,
@@ -395,8 +396,8 @@ export async function createQuoteFromDeal(auth, params) {
     }
 
     // Add custom fields if available
-    const locationKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_LOCATION;
-    const vesselNameKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_VESSEL_NAME;
+    const locationKey = fieldKeys.location;
+    const vesselNameKey = fieldKeys.vesselName;
     
     if (locationKey && dealDetails[locationKey]) {
         quotePayload.Summary = `Location: ${dealDetails[locationKey]}`;
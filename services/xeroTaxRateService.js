@@ -0,0 +1,179 @@
+/**
+ * Xero Tax Rate Service
+ *
+ * Maps the tax percentage on Pipedrive deal products to a TaxType of the Xero
+ * organisation (tenant) the quote is created in. Each company stores, per
+ * tenant, which TaxType each percentage uses; a mapping is only accepted if
+ * the tenant has an active revenue tax rate of that type at that percentage.
+ *
+ * A tenant's TaxRates are cached in memory for XERO_TAX_RATE_CACHE_TTL_SECONDS
+ * (1 hour by default). Tax rates belong to the tenant, so the cache is shared
+ * by every company connected to it.
+ *
+ * @module services/xeroTaxRateService
+ */
+
+import * as xeroApiService from './xeroApiService.js';
+import { findTaxRateMapping, upsertTaxRateMapping } from '../models/xeroTaxRateMappingDao.js';
+import { toTaxRateKey } from '../utils/quoteBusinessRules.js';
+import logger from '../lib/logger.js';
+
+const taxRateCache = new Map();
+
+/**
+ * Reads the tax rate cache lifetime from the environment
+ *
+ * @returns {number} Lifetime in milliseconds
+ */
+function getCacheTtlMs() {
+    return parseInt(process.env.XERO_TAX_RATE_CACHE_TTL_SECONDS || '3600', 10) * 1000;
+}
+
+/**
+ * Builds an error with a statusCode and details, as the controllers expect
+ *
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @param {Object} [details] - Error details
+ * @returns {Error} The error
+ */
+function taxRateError(message, statusCode, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+}
+
+/**
+ * Converts a Xero TaxRate to the fields the app uses
+ *
+ * @param {Object} taxRate - Xero TaxRate
+ * @returns {Object} { name, taxType, rate, status, canApplyToRevenue }
+ */
+function toTaxRate(taxRate) {
+    return {
+        name: taxRate.Name,
+        taxType: taxRate.TaxType,
+        rate: Number(taxRate.EffectiveRate ?? taxRate.DisplayTaxRate ?? 0),
+        status: taxRate.Status,
+        canApplyToRevenue: taxRate.CanApplyToRevenue !== false
+    };
+}
+
+/**
+ * Gets a tenant's tax rates, from the cache when it is fresh
+ *
+ * @param {string} accessToken - Xero access token
+ * @param {string} tenantId - Xero tenant ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.refresh=false] - Whether to bypass the cache
+ * @returns {Promise<Array<Object>>} Tax rates ({ name, taxType, rate, status, canApplyToRevenue })
+ */
+export async function getTenantTaxRates(accessToken, tenantId, { refresh = false } = {}) {
+    const cached = taxRateCache.get(tenantId);
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+        return cached.taxRates;
+    }
+
+    const taxRates = (await xeroApiService.getXeroTaxRates(accessToken, tenantId)).map(toTaxRate);
+    taxRateCache.set(tenantId, { taxRates, expiresAt: Date.now() + getCacheTtlMs() });
+    logger.debug('Xero tax rates loaded', { tenantId, count: taxRates.length });
+    return taxRates;
+}
+
+/**
+ * Clears cached tax rates
+ *
+ * @param {string} [tenantId] - Xero tenant ID; clears all tenants when omitted
+ */
+export function clearTaxRateCache(tenantId) {
+    if (tenantId) {
+        taxRateCache.delete(tenantId);
+    } else {
+        taxRateCache.clear();
+    }
+}
+
+/**
+ * Gets the stored tax rate mappings for a company's tenant
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} tenantId - Xero tenant ID
+ * @returns {Promise<Array<Object>>} Mappings ({ rate, taxType }), empty if none are stored
+ */
+export async function getTaxRateMappings(companyId, tenantId) {
+    const stored = await findTaxRateMapping(companyId, tenantId);
+    return stored ? stored.mappings : [];
+}
+
+/**
+ * Gets the stored mappings keyed by tax percentage, as mapProductsToLineItems expects
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} tenantId - Xero tenant ID
+ * @returns {Promise<Object>} Xero TaxType by tax rate key (e.g. { '20': 'OUTPUT2' })
+ */
+export async function getTaxTypesByRate(companyId, tenantId) {
+    const mappings = await getTaxRateMappings(companyId, tenantId);
+    return Object.fromEntries(mappings.map(({ rate, taxType }) => [toTaxRateKey(rate), taxType]));
+}
+
+/**
+ * Replaces the tax rate mappings for a company's tenant. Each TaxType must be
+ * an active revenue tax rate of the tenant with the mapped percentage.
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} accessToken - Xero access token
+ * @param {string} tenantId - Xero tenant ID
+ * @param {Array<Object>} mappings - Mappings ({ rate, taxType })
+ * @returns {Promise<Array<Object>>} The saved mappings
+ * @throws {Error} With statusCode 400 and details.errors for invalid mappings
+ */
+export async function setTaxRateMappings(companyId, accessToken, tenantId, mappings) {
+    if (!Array.isArray(mappings)) {
+        throw taxRateError('mappings must be an array', 400);
+    }
+
+    const taxRates = await getTenantTaxRates(accessToken, tenantId, { refresh: true });
+    const taxRatesByType = new Map(taxRates.map(taxRate => [taxRate.taxType, taxRate]));
+    const seenRates = new Set();
+    const errors = [];
+
+    mappings.forEach((mapping, index) => {
+        const path = `mappings[${index}]`;
+        const { rate, taxType } = mapping || {};
+        if (typeof rate !== 'number' || isNaN(rate) || rate < 0 || rate > 100) {
+            errors.push({ path: `${path}.rate`, error: 'must be a number from 0 to 100' });
+            return;
+        }
+        if (seenRates.has(toTaxRateKey(rate))) {
+            errors.push({ path: `${path}.rate`, error: `${rate}% is mapped more than once` });
+            return;
+        }
+        seenRates.add(toTaxRateKey(rate));
+
+        const taxRate = taxRatesByType.get(taxType);
+        if (!taxRate || taxRate.status !== 'ACTIVE' || !taxRate.canApplyToRevenue) {
+            errors.push({ path: `${path}.taxType`, error: `${taxType} is not an active revenue tax rate in this Xero organisation` });
+        } else if (toTaxRateKey(taxRate.rate) !== toTaxRateKey(rate)) {
+            errors.push({ path: `${path}.taxType`, error: `${taxType} (${taxRate.name}) is ${taxRate.rate}%, not ${rate}%` });
+        }
+    });
+
+    if (errors.length > 0) {
+        throw taxRateError('Invalid tax rate mappings', 400, {
+            errors,
+            availableTaxRates: taxRates.filter(taxRate => taxRate.status === 'ACTIVE' && taxRate.canApplyToRevenue)
+        });
+    }
+
+    const normalized = mappings
+        .map(({ rate, taxType }) => ({ rate: Number(toTaxRateKey(rate)), taxType }))
+        .sort((a, b) => a.rate - b.rate);
+    const saved = await upsertTaxRateMapping(companyId, tenantId, normalized);
+
+    logger.info('Xero tax rate mappings saved', { companyId, tenantId, mappings: normalized.length });
+    return saved.mappings;
+}
@@ -0,0 +1,193 @@
+/**
+ * Xero Tenant Routing Service
+ *
+ * Routes a deal to the Xero organisation (tenant) that handles its department.
+ * Each company can map its departments to one of its authorised Xero tenants.
+ * The deal's department label (from the Pipedrive department custom field) is
+ * resolved to a department by name or alias, and the route is matched on the
+ * department code, so renaming a department or adding an alias keeps its
+ * route. Routes saved before codes were recorded are matched on the
+ * department name. Once a company has any routing
+ * rules, every deal must match one: an unmapped department is an error rather
+ * than a silent fall back to the default tenant. Companies without rules keep
+ * using the tenant resolved by the auth middleware.
+ *
+ * @module services/xeroTenantRoutingService
+ */
+
+import * as tokenService from './secureTokenService.js';
+import {
+    findTenantRoutesByCompany,
+    upsertTenantRoute,
+    deleteTenantRoute,
+    toDepartmentKey
+} from '../models/xeroTenantRouteDao.js';
+import { getCustomFieldKey, getEnvCustomFieldKeys } from './configService.js';
+import { findDepartmentByName } from './departmentService.js';
+import logger from '../lib/logger.js';
+
+/**
+ * Reads the department name from a Pipedrive deal
+ *
+ * @param {Object} dealDetails - Pipedrive deal
+ * @param {string|null} [departmentKey] - The company's department field key
+ * @returns {string|null} Department name or null if the deal has none
+ */
+export function getDealDepartment(dealDetails, departmentKey = getEnvCustomFieldKeys().department) {
+    const department = departmentKey ? dealDetails?.[departmentKey] : null;
+    return department === undefined || department === null || department === '' ? null : String(department);
+}
+
+/**
+ * Lists the tenant routes configured for a company
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @returns {Promise<Array<Object>>} Routes ({ department, departmentCode, tenantId, tenantName, updatedAt })
+ */
+export async function getTenantRoutes(companyId) {
+    const routes = await findTenantRoutesByCompany(companyId);
+    return routes.map(({ department, departmentCode = null, tenantId, tenantName, updatedAt }) => ({
+        department, departmentCode, tenantId, tenantName, updatedAt
+    }));
+}
+
+/**
+ * Finds the route for a department: the route with its code, or else a route
+ * saved under its name before routes recorded codes
+ *
+ * @param {Array<Object>} routes - The company's routes
+ * @param {Object} department - Department ({ name, code })
+ * @returns {Object|undefined} The route
+ */
+function findRouteForDepartment(routes, department) {
+    return routes.find(r => r.departmentCode === department.code)
+        || routes.find(r => !r.departmentCode && r.departmentKey === toDepartmentKey(department.name));
+}
+
+/**
+ * Maps a department to a Xero tenant. The tenant must be authorised for the company.
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} department - Department name or alias
+ * @param {string} tenantId - Xero tenant ID
+ * @returns {Promise<Object>} The saved route
+ * @throws {Error} With statusCode 400 for missing input or an unknown department,
+ *                 404 if the tenant is not authorised
+ */
+export async function setTenantRoute(companyId, department, tenantId) {
+    if (!department || !String(department).trim() || !tenantId) {
+        const error = new Error('department and tenantId are required');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const match = await findDepartmentByName(companyId, String(department).trim());
+    if (!match) {
+        const error = new Error(`Department "${department}" is not one of the company's active departments`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const tenant = await findAuthorisedTenant(companyId, tenantId);
+    if (!tenant) {
+        const error = new Error(`Xero tenant ${tenantId} is not authorised for company ${companyId}`);
+        error.statusCode = 404;
+        throw error;
+    }
+
+    const route = await upsertTenantRoute(companyId, match.name, match.code, tenantId, tenant.tenantName || null);
+    logger.info('Xero tenant route saved', { companyId, department: match.name, departmentCode: match.code, tenantId });
+    return route;
+}
+
+/**
+ * Removes the tenant route for a department. A label that no longer matches an
+ * active department removes the route saved under that name.
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} department - Department name or alias
+ * @returns {Promise<boolean>} True if a route was removed
+ */
+export async function removeTenantRoute(companyId, department) {
+    const match = await findDepartmentByName(companyId, department);
+    const removed = match
+        ? await deleteTenantRoute(companyId, match.name, match.code)
+        : await deleteTenantRoute(companyId, department);
+    if (removed) {
+        logger.info('Xero tenant route removed', { companyId, department });
+    }
+    return removed;
+}
+
+/**
+ * Resolves the Xero tenant for a department
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string|null} department - Department label from the deal (name or alias)
+ * @param {Object} xeroAuth - Xero auth from middleware ({ tenantId })
+ * @returns {Promise<string>} Xero tenant ID to use
+ * @throws {Error} With statusCode 422 when the department is missing, unknown or unmapped,
+ *                 409 when the mapped tenant is no longer authorised
+ */
+export async function resolveTenantForDepartment(companyId, department, xeroAuth) {
+    const routes = await findTenantRoutesByCompany(companyId);
+
+    if (routes.length === 0) {
+        return xeroAuth?.tenantId;
+    }
+
+    if (!department) {
+        const error = new Error('Deal has no department, so it cannot be routed to a Xero organisation.');
+        error.statusCode = 422;
+        error.missingField = 'department';
+        throw error;
+    }
+
+    const match = await findDepartmentByName(companyId, department.trim());
+    const route = match && findRouteForDepartment(routes, match);
+    if (!route) {
+        logger.warn('No Xero tenant route for department', { companyId, department });
+        const error = new Error(`No Xero organisation is mapped to department "${department}". Add a tenant route for this department.`);
+        error.statusCode = 422;
+        error.details = {
+            department,
+            departmentCode: match?.code || null,
+            mappedDepartments: routes.map(r => r.department)
+        };
+        throw error;
+    }
+
+    if (!(await findAuthorisedTenant(companyId, route.tenantId))) {
+        const error = new Error(`Department "${department}" is mapped to Xero tenant ${route.tenantId}, which is no longer authorised. Reconnect Xero or update the route.`);
+        error.statusCode = 409;
+        error.details = { department, tenantId: route.tenantId };
+        throw error;
+    }
+
+    return route.tenantId;
+}
+
+/**
+ * Resolves the Xero tenant for a Pipedrive deal using its department custom field
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {Object} dealDetails - Pipedrive deal
+ * @param {Object} xeroAuth - Xero auth from middleware ({ tenantId })
+ * @returns {Promise<string>} Xero tenant ID to use
+ */
+export async function resolveTenantForDeal(companyId, dealDetails, xeroAuth) {
+    const departmentKey = await getCustomFieldKey(companyId, 'department');
+    return resolveTenantForDepartment(companyId, getDealDepartment(dealDetails, departmentKey), xeroAuth);
+}
+
+/**
+ * Finds an authorised tenant on the company's Xero connection
+ *
+ * @param {string} companyId - Pipedrive company ID
+ * @param {string} tenantId - Xero tenant ID
+ * @returns {Promise<Object|null>} The tenant or null
+ */
+async function findAuthorisedTenant(companyId, tenantId) {
+    const xeroToken = await tokenService.getAuthToken(companyId, 'xero');
+    return (xeroToken?.tenants || []).find(t => t.tenantId === tenantId) || null;
+}
@@ -1,24 +1,50 @@
 /**
  * Database Migration Utility
- * 
+ *
  * This utility provides functions for migrating database schemas and data
  * when deploying new versions of the application. It ensures smooth
  * transitions between different database versions.
- * 
+ *
+ * Migrations live in the `migrations/` directory, one file per migration,
+ * named `<version>-<name>.js`. Each file exports `version`, `description`,
+ * `createdAt`, and `up(db, { dryRun })` / `down(db, { dryRun })` functions that
+ * return the changes they made, or would make in a dry run, as
+ * `[{ collection, description, count }]`.
+ *
  * Key features:
- * - Schema version management
- * - Data transformation and migration
- * - Rollback capabilities for failed migrations
- * - Migration logging and validation
- * - Backup and restore operations
- * 
+ * - Migrations loaded from files and run in version order
+ * - SHA-256 checksum stored per applied migration, so later edits are detected
+ * - Dry runs that report each migration's intended changes
+ * - Per-migration locks so two instances never run the same migration at once
+ * - Rollback of the last applied migration
+ *
+ * Used by the /api/admin/database/migration routes and `npm run migrate`.
+ *
  * @module utils/databaseMigration
  */
 
+import crypto from 'crypto';
+import os from 'os';
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { withDatabase } from '../services/mongoService.js';
 import { ensureCollection } from '../models/mongoSchemas.js';
+import { acquireMigrationLock, releaseMigrationLock } from '../models/migrationLockDao.js';
 
 const MIGRATION_VERSION_COLLECTION = 'migration_versions';
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/** Directory the migration files are loaded from */
+export const MIGRATIONS_DIRECTORY = fileURLToPath(new URL('../migrations/', import.meta.url));
+
+/**
+ * Gets how long a migration lock is leased before it must be renewed
+ *
+ * @returns {number} Lease from MIGRATION_LOCK_LEASE_MS (60 seconds by default)
+ */
+const getLockLeaseMs = () => parseInt(process.env.MIGRATION_LOCK_LEASE_MS, 10) || 60000;
 
 /**
  * @typedef {Object} Migration
@@ -27,304 +53,412 @@ const MIGRATION_VERSION_COLLECTION = 'migration_versions';
  * @property {Function} up - Function to apply the migration
  * @property {Function} down - Function to rollback the migration
  * @property {Date} createdAt - When the migration was created
+ * @property {string} file - File name in the migrations directory
+ * @property {string} checksum - SHA-256 of the file
  */
 
 /**
- * Available database migrations
- * Add new migrations to this array in chronological order
+ * Compares two migration versions numerically (1.10.0 comes after 1.9.0)
+ *
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative, zero or positive like a sort comparator
  */
-const migrations = [
-  {
-    version: '1.0.0',
-    description: 'Initial schema setup with validation',
-    up: async (db) => {
-      // Ensure collections exist with proper schemas
-      await ensureCollection(db, 'project_sequences');
-      await ensureCollection(db, 'deal_project_mappings');
-      
-      console.log('✅ Initial collections and schemas created');
-    },
-    down: async (db) => {
-      // Note: Be very careful with destructive operations
-      console.log('⚠️ Rollback for initial schema - no action needed');
-    },
-    createdAt: new Date('2025-06-03')
-  },
-  {
-    version: '1.1.0',
-    description: 'Add timestamps to existing project sequences',
-    up: async (db) => {
-      const collection = db.collection('project_sequences');
-      const now = new Date();
-      
-      // Add createdAt timestamp to existing documents that don't have it
-      const result = await collection.updateMany(
-        { createdAt: { $exists: false } },
-        { $set: { createdAt: now } }
-      );
-      
-      console.log(`✅ Added timestamps to ${result.modifiedCount} project sequences`);
-    },
-    down: async (db) => {
-      const collection = db.collection('project_sequences');
-      
-      // Remove createdAt field from all documents
-      const result = await collection.updateMany(
-        {},
-        { $unset: { createdAt: '' } }
-      );
-      
-      console.log(`✅ Removed timestamps from ${result.modifiedCount} project sequences`);
-    },
-    createdAt: new Date('2025-06-03')
-  },
-  {
-    version: '1.2.0',
-    description: 'Normalize project number format validation',
-    up: async (db) => {
-      const collection = db.collection('deal_project_mappings');
-      
-      // Find and fix any project numbers that don't match the expected format
-      const invalidMappings = await collection.find({
-        projectNumber: { $not: /^[A-Z]{2}[0-9]{2}[0-9]{3}$/ }
-      }).toArray();
-      
-      if (invalidMappings.length > 0) {
-        console.log(`⚠️ Found ${invalidMappings.length} invalid project numbers`);
-        
-        // For demonstration - in a real scenario, you'd implement proper fixing logic
-        for (const mapping of invalidMappings) {
-          console.log(`Invalid project number: ${mapping.projectNumber}`);
-        }
-        
-        // This is where you'd implement the actual fixing logic
-        // For now, we'll just log the issues
-      } else {
-        console.log('✅ All project numbers are valid');
-      }
-    },
-    down: async (db) => {
-      console.log('✅ No rollback needed for project number validation');
-    },
-    createdAt: new Date('2025-06-03')
+export function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (partsA[i] !== partsB[i]) {
+      return partsA[i] - partsB[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Computes the checksum of a migration file. Line endings are normalized so a
+ * checkout on another platform does not look like an edit.
+ *
+ * @param {string} source - File contents
+ * @returns {string} SHA-256 as hex
+ */
+function computeChecksum(source) {
+  return crypto.createHash('sha256').update(source.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Loads the migrations from a directory, sorted by version
+ *
+ * @param {string} [directory] - Directory to load from (the migrations/ directory by default)
+ * @returns {Promise<Migration[]>} Migrations in version order
+ * @throws {Error} For files without the required exports, or with a duplicate or mismatched version
+ */
+export async function loadMigrations(directory = MIGRATIONS_DIRECTORY) {
+  const files = (await readdir(directory)).filter(file => file.endsWith('.js')).sort();
+  const migrations = [];
+
+  for (const file of files) {
+    const filePath = path.join(directory, file);
+    const source = await readFile(filePath, 'utf8');
+    const module = await import(pathToFileURL(filePath).href);
+
+    if (!VERSION_PATTERN.test(module.version || '') || typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export a version (x.y.z), up() and down()`);
+    }
+    if (!file.startsWith(`${module.version}-`)) {
+      throw new Error(`Migration ${file} must be named after its version (${module.version}-<name>.js)`);
+    }
+    if (migrations.some(migration => migration.version === module.version)) {
+      throw new Error(`Migration version ${module.version} is defined more than once`);
+    }
+
+    migrations.push({
+      version: module.version,
+      description: module.description || file,
+      up: module.up,
+      down: module.down,
+      createdAt: module.createdAt || null,
+      file,
+      checksum: computeChecksum(source)
+    });
   }
-];
+
+  return migrations.sort((a, b) => compareVersions(a.version, b.version));
+}
 
 /**
  * Initializes the migration tracking collection
- * 
+ *
  * @param {Db} db - MongoDB database instance
+ * @returns {Promise<Collection>} The migration_versions collection
  */
 async function initializeMigrationTracking(db) {
-  const collection = db.collection(MIGRATION_VERSION_COLLECTION);
-  
-  // Create the collection if it doesn't exist
-  const collections = await db.listCollections({ name: MIGRATION_VERSION_COLLECTION }).toArray();
-  if (collections.length === 0) {
-    await db.createCollection(MIGRATION_VERSION_COLLECTION);
-    console.log('📋 Migration tracking collection created');
-  }
-  
-  // Ensure unique index on version
-  await collection.createIndex({ version: 1 }, { unique: true });
+  return ensureCollection(db, MIGRATION_VERSION_COLLECTION);
 }
 
 /**
  * Gets the current migration version
- * 
+ *
  * @returns {Promise<string|null>} Current migration version or null if none applied
  */
 export async function getCurrentMigrationVersion() {
   return withDatabase(async (db) => {
-    await initializeMigrationTracking(db);
-    
-    const collection = db.collection(MIGRATION_VERSION_COLLECTION);
+    const collection = await initializeMigrationTracking(db);
     const latestMigration = await collection.findOne(
       {},
       { sort: { appliedAt: -1 } }
     );
-    
+
     return latestMigration?.version || null;
   });
 }
 
 /**
  * Gets all applied migration versions
- * 
+ *
  * @returns {Promise<Array>} Array of applied migration records
  */
 export async function getAppliedMigrations() {
   return withDatabase(async (db) => {
-    await initializeMigrationTracking(db);
-    
-    const collection = db.collection(MIGRATION_VERSION_COLLECTION);
+    const collection = await initializeMigrationTracking(db);
     return await collection.find({}).sort({ appliedAt: 1 }).toArray();
   });
 }
 
 /**
  * Checks if a specific migration has been applied
- * 
+ *
  * @param {string} version - Migration version to check
  * @returns {Promise<boolean>} True if migration has been applied
  */
 export async function isMigrationApplied(version) {
   return withDatabase(async (db) => {
-    await initializeMigrationTracking(db);
-    
-    const collection = db.collection(MIGRATION_VERSION_COLLECTION);
+    const collection = await initializeMigrationTracking(db);
     const migration = await collection.findOne({ version });
-    
+
     return !!migration;
   });
 }
 
 /**
- * Applies a specific migration
- * 
- * @param {Object} migration - Migration to apply
- * @returns {Promise<boolean>} True if migration was successful
+ * Works out the state of every migration file and applied record
+ *
+ * - `pending`: not applied yet
+ * - `applied`: applied, and the file is unchanged
+ * - `unverified`: applied before checksums were stored
+ * - `modified`: applied, but the file changed since
+ * - `missing`: applied, but there is no file for it any more
+ *
+ * @param {Migration[]} migrations - Loaded migrations
+ * @param {Array} appliedRecords - Records from migration_versions
+ * @returns {Array<Object>} One entry per version, in version order
  */
-async function applyMigration(migration) {
-  return withDatabase(async (db) => {
-    const startTime = Date.now();
-    
-    try {
-      console.log(`🔄 Applying migration ${migration.version}: ${migration.description}`);
-      
-      // Apply the migration
-      await migration.up(db);
-      
-      // Record the migration as applied
-      const collection = db.collection(MIGRATION_VERSION_COLLECTION);
-      await collection.insertOne({
-        version: migration.version,
-        description: migration.description,
-        appliedAt: new Date(),
-        duration: Date.now() - startTime
-      });
-      
-      console.log(`✅ Migration ${migration.version} applied successfully (${Date.now() - startTime}ms)`);
-      return true;
-      
-    } catch (error) {
-      console.error(`❌ Migration ${migration.version} failed:`, error);
-      throw error;
+function describeMigrations(migrations, appliedRecords) {
+  const records = new Map(appliedRecords.map(record => [record.version, record]));
+  const versions = [...new Set([...migrations.map(m => m.version), ...records.keys()])]
+    .sort(compareVersions);
+
+  return versions.map((version) => {
+    const migration = migrations.find(m => m.version === version);
+    const record = records.get(version);
+
+    let status = 'pending';
+    if (record && !migration) {
+      status = 'missing';
+    } else if (record && !record.checksum) {
+      status = 'unverified';
+    } else if (record) {
+      status = record.checksum === migration.checksum ? 'applied' : 'modified';
     }
+
+    return {
+      version,
+      description: migration?.description || record.description,
+      status,
+      file: migration?.file || null,
+      checksum: migration?.checksum || null,
+      appliedChecksum: record?.checksum || null,
+      appliedAt: record?.appliedAt || null,
+      duration: record?.duration ?? null,
+      migration,
+      record
+    };
   });
 }
 
+/**
+ * Runs a migration step while holding its lock, renewing the lease until the
+ * step finishes
+ *
+ * @param {string} version - Migration version
+ * @param {string} owner - Lock owner for this run
+ * @param {Function} step - Async function to run under the lock
+ * @returns {Promise<any>} Result of the step
+ * @throws {Error} With code 'locked' when another instance holds the lock
+ */
+async function withMigrationLock(version, owner, step) {
+  const leaseMs = getLockLeaseMs();
+  if (!await acquireMigrationLock(version, owner, leaseMs)) {
+    const error = new Error(`Migration ${version} is locked by another instance`);
+    error.code = 'locked';
+    throw error;
+  }
+
+  const renewal = setInterval(() => {
+    acquireMigrationLock(version, owner, leaseMs).catch((error) => {
+      console.error(`⚠️ Could not renew lock of migration ${version}:`, error.message);
+    });
+  }, Math.floor(leaseMs / 3));
+  renewal.unref();
+
+  try {
+    return await step();
+  } finally {
+    clearInterval(renewal);
+    await releaseMigrationLock(version, owner);
+  }
+}
+
+/**
+ * Applies a specific migration
+ *
+ * @param {Migration} migration - Migration to apply
+ * @param {string} owner - Lock owner for this run
+ * @returns {Promise<Object>} 'applied' with the reported changes, or 'already_applied'
+ *   when another instance applied it first
+ */
+async function applyMigration(migration, owner) {
+  return withMigrationLock(migration.version, owner, () => withDatabase(async (db) => {
+    const collection = await initializeMigrationTracking(db);
+    if (await collection.findOne({ version: migration.version })) {
+      return { status: 'already_applied', changes: [] };
+    }
+
+    const startTime = Date.now();
+    console.log(`🔄 Applying migration ${migration.version}: ${migration.description}`);
+
+    // Apply the migration
+    const changes = await migration.up(db, { dryRun: false }) || [];
+
+    // Record the migration as applied
+    await collection.insertOne({
+      version: migration.version,
+      description: migration.description,
+      checksum: migration.checksum,
+      appliedAt: new Date(),
+      appliedBy: INSTANCE_ID,
+      duration: Date.now() - startTime,
+      changes
+    });
+
+    console.log(`✅ Migration ${migration.version} applied successfully (${Date.now() - startTime}ms)`);
+    return { status: 'applied', changes };
+  }));
+}
+
 /**
  * Rolls back a specific migration
- * 
- * @param {Object} migration - Migration to rollback
- * @returns {Promise<boolean>} True if rollback was successful
+ *
+ * @param {Migration} migration - Migration to rollback
+ * @param {string} owner - Lock owner for this run
+ * @returns {Promise<Array>} Changes the rollback reported
  */
-async function rollbackMigration(migration) {
-  return withDatabase(async (db) => {
+async function rollbackMigration(migration, owner) {
+  return withMigrationLock(migration.version, owner, () => withDatabase(async (db) => {
     const startTime = Date.now();
-    
-    try {
-      console.log(`🔄 Rolling back migration ${migration.version}: ${migration.description}`);
-      
-      // Apply the rollback
-      await migration.down(db);
-      
-      // Remove the migration record
-      const collection = db.collection(MIGRATION_VERSION_COLLECTION);
-      await collection.deleteOne({ version: migration.version });
-      
-      console.log(`✅ Migration ${migration.version} rolled back successfully (${Date.now() - startTime}ms)`);
-      return true;
-      
-    } catch (error) {
-      console.error(`❌ Rollback of migration ${migration.version} failed:`, error);
-      throw error;
+    console.log(`🔄 Rolling back migration ${migration.version}: ${migration.description}`);
+
+    // Apply the rollback
+    const changes = await migration.down(db, { dryRun: false }) || [];
+
+    // Remove the migration record
+    const collection = await initializeMigrationTracking(db);
+    await collection.deleteOne({ version: migration.version });
+
+    console.log(`✅ Migration ${migration.version} rolled back successfully (${Date.now() - startTime}ms)`);
+    return changes;
+  }));
+}
+
+/**
+ * Stores the current checksum on records applied before checksums existed
+ *
+ * @param {Array<Object>} entries - Entries from describeMigrations with status 'unverified'
+ */
+async function recordMissingChecksums(entries) {
+  if (entries.length === 0) {
+    return;
+  }
+  await withDatabase(async (db) => {
+    const collection = await initializeMigrationTracking(db);
+    for (const entry of entries) {
+      await collection.updateOne(
+        { version: entry.version, checksum: { $exists: false } },
+        { $set: { checksum: entry.checksum } }
+      );
     }
   });
+  console.log(`📋 Recorded checksums for ${entries.length} migrations applied before checksums were stored`);
 }
 
 /**
  * Runs all pending migrations
- * 
+ *
  * @param {Object} options - Migration options
- * @param {boolean} [options.dryRun=false] - If true, only show what would be migrated
+ * @param {boolean} [options.dryRun=false] - If true, only report what each pending migration would change
+ * @param {string} [options.targetVersion] - Stop after this version (defaults to latest)
+ * @param {boolean} [options.force=false] - Run even if applied migrations were modified since
+ * @param {string} [options.directory] - Directory to load migrations from
  * @returns {Promise<Object>} Migration results
  */
 export async function runMigrations(options = {}) {
-  const { dryRun = false } = options;
-  
+  const { dryRun = false, targetVersion = null, force = false, directory } = options;
+
   console.log('=== DATABASE MIGRATION ===');
   console.log(`Mode: ${dryRun ? 'DRY RUN' : 'EXECUTE'}`);
-  
+
   const results = {
     appliedMigrations: [],
     errors: [],
     startTime: new Date(),
     dryRun
   };
-  
+
   try {
-    // Get current migration version
-    const currentVersion = await getCurrentMigrationVersion();
-    console.log(`Current migration version: ${currentVersion || 'none'}`);
-    
-    // Get applied migrations
-    const appliedMigrations = await getAppliedMigrations();
-    const appliedVersions = new Set(appliedMigrations.map(m => m.version));
-    
+    const migrations = await loadMigrations(directory);
+    const entries = describeMigrations(migrations, await getAppliedMigrations());
+
+    if (targetVersion && !migrations.some(m => m.version === targetVersion)) {
+      results.errors.push({ version: targetVersion, code: 'not_found', error: `Migration ${targetVersion} does not exist` });
+      return results;
+    }
+
+    // Edited migrations may no longer match what the database went through
+    const modified = entries.filter(entry => entry.status === 'modified');
+    if (modified.length > 0 && !force) {
+      for (const entry of modified) {
+        results.errors.push({
+          version: entry.version,
+          code: 'checksum_mismatch',
+          error: `Migration ${entry.version} (${entry.file}) was changed after it was applied. Restore it, or run with force.`
+        });
+      }
+      return results;
+    }
+
+    if (!dryRun) {
+      await recordMissingChecksums(entries.filter(entry => entry.status === 'unverified'));
+    }
+
     // Find pending migrations
-    const pendingMigrations = migrations.filter(m => !appliedVersions.has(m.version));
-    
+    const pendingMigrations = entries
+      .filter(entry => entry.status === 'pending')
+      .filter(entry => !targetVersion || compareVersions(entry.version, targetVersion) <= 0)
+      .map(entry => entry.migration);
+
     if (pendingMigrations.length === 0) {
       console.log('✅ No pending migrations');
       return results;
     }
-    
+
     console.log(`Found ${pendingMigrations.length} pending migrations:`);
     pendingMigrations.forEach(m => {
       console.log(`  - ${m.version}: ${m.description}`);
     });
-    
+
     if (dryRun) {
+      // Each migration reports against the current data, without the earlier pending migrations applied
       console.log('🔍 DRY RUN - No migrations will be applied');
-      results.appliedMigrations = pendingMigrations.map(m => ({
-        version: m.version,
-        description: m.description,
-        status: 'would_apply'
-      }));
+      for (const migration of pendingMigrations) {
+        try {
+          const changes = await withDatabase(db => migration.up(db, { dryRun: true }));
+          results.appliedMigrations.push({
+            version: migration.version,
+            description: migration.description,
+            status: 'would_apply',
+            changes: changes || []
+          });
+        } catch (error) {
+          results.errors.push({ version: migration.version, code: 'failed', error: error.message });
+        }
+      }
       return results;
     }
-    
+
     // Apply pending migrations in order
+    const owner = `${INSTANCE_ID}:${crypto.randomUUID()}`;
     for (const migration of pendingMigrations) {
       try {
-        await applyMigration(migration);
+        const { status, changes } = await applyMigration(migration, owner);
         results.appliedMigrations.push({
           version: migration.version,
           description: migration.description,
-          status: 'applied'
+          status,
+          changes
         });
       } catch (error) {
+        console.error(`❌ Migration ${migration.version} failed:`, error.message);
         results.errors.push({
           version: migration.version,
+          code: error.code === 'locked' ? 'locked' : 'failed',
           error: error.message
         });
-        
+
         console.error(`❌ Stopping migration process due to error in ${migration.version}`);
         break;
       }
     }
-    
+
     results.endTime = new Date();
     console.log(`Migration process completed: ${results.appliedMigrations.length} applied, ${results.errors.length} errors`);
-    
+
     return results;
-    
+
   } catch (error) {
     console.error('❌ Migration process failed:', error);
     results.errors.push({
       version: 'system',
+      code: 'failed',
       error: error.message
     });
     results.endTime = new Date();
@@ -334,69 +468,94 @@ export async function runMigrations(options = {}) {
 
 /**
  * Rolls back the last applied migration
- * 
+ *
  * @param {Object} options - Rollback options
- * @param {boolean} [options.dryRun=false] - If true, only show what would be rolled back
+ * @param {boolean} [options.dryRun=false] - If true, only report what the rollback would change
+ * @param {boolean} [options.force=false] - Roll back even if the migration file was modified since it was applied
+ * @param {string|null} [options.expectedVersion] - Only roll back if this is the last applied version
+ *   (null: none applied); the version a confirmed dry run showed
+ * @param {string} [options.directory] - Directory to load migrations from
  * @returns {Promise<Object>} Rollback results
  */
 export async function rollbackLastMigration(options = {}) {
-  const { dryRun = false } = options;
-  
+  const { dryRun = false, force = false, expectedVersion, directory } = options;
+
   console.log('=== MIGRATION ROLLBACK ===');
   console.log(`Mode: ${dryRun ? 'DRY RUN' : 'EXECUTE'}`);
-  
+
   const results = {
     rolledBackMigrations: [],
     errors: [],
     startTime: new Date(),
     dryRun
   };
-  
+
   try {
     // Get the last applied migration
     const appliedMigrations = await getAppliedMigrations();
-    
-    if (appliedMigrations.length === 0) {
+    const lastMigration = appliedMigrations[appliedMigrations.length - 1];
+
+    if (expectedVersion !== undefined && (lastMigration?.version ?? null) !== expectedVersion) {
+      results.errors.push({
+        version: lastMigration?.version ?? null,
+        code: 'version_mismatch',
+        error: `The last applied migration is ${lastMigration?.version ?? 'none'}, not ${expectedVersion ?? 'none'}. Run the dry run again.`
+      });
+      return results;
+    }
+
+    if (!lastMigration) {
       console.log('✅ No migrations to roll back');
       return results;
     }
-    
-    const lastMigration = appliedMigrations[appliedMigrations.length - 1];
-    const migrationToRollback = migrations.find(m => m.version === lastMigration.version);
-    
+    const migrationToRollback = (await loadMigrations(directory)).find(m => m.version === lastMigration.version);
+
     if (!migrationToRollback) {
-      throw new Error(`Migration definition not found for version ${lastMigration.version}`);
+      results.errors.push({ version: lastMigration.version, code: 'not_found', error: `Migration file not found for version ${lastMigration.version}` });
+      return results;
+    }
+    if (lastMigration.checksum && lastMigration.checksum !== migrationToRollback.checksum && !force) {
+      results.errors.push({
+        version: lastMigration.version,
+        code: 'checksum_mismatch',
+        error: `Migration ${lastMigration.version} (${migrationToRollback.file}) was changed after it was applied. Restore it, or roll back with force.`
+      });
+      return results;
     }
-    
+
     console.log(`Last applied migration: ${lastMigration.version} (${lastMigration.description})`);
-    
+
     if (dryRun) {
       console.log('🔍 DRY RUN - No rollback will be performed');
+      const changes = await withDatabase(db => migrationToRollback.down(db, { dryRun: true }));
       results.rolledBackMigrations.push({
         version: lastMigration.version,
         description: lastMigration.description,
-        status: 'would_rollback'
+        status: 'would_rollback',
+        changes: changes || []
       });
       return results;
     }
-    
+
     // Perform the rollback
-    await rollbackMigration(migrationToRollback);
+    const changes = await rollbackMigration(migrationToRollback, `${INSTANCE_ID}:${crypto.randomUUID()}`);
     results.rolledBackMigrations.push({
       version: lastMigration.version,
       description: lastMigration.description,
-      status: 'rolled_back'
+      status: 'rolled_back',
+      changes
     });
-    
+
     results.endTime = new Date();
     console.log('Rollback completed successfully');
-    
+
     return results;
-    
+
   } catch (error) {
     console.error('❌ Rollback failed:', error);
     results.errors.push({
       version: 'system',
+      code: error.code === 'locked' ? 'locked' : 'failed',
       error: error.message
     });
     results.endTime = new Date();
@@ -406,32 +565,36 @@ export async function rollbackLastMigration(options = {}) {
 
 /**
  * Gets migration status and information
- * 
+ *
+ * @param {Object} [options] - Status options
+ * @param {string} [options.directory] - Directory to load migrations from
  * @returns {Promise<Object>} Migration status information
  */
-export async function getMigrationStatus() {
+export async function getMigrationStatus(options = {}) {
+  const migrations = await loadMigrations(options.directory);
   const currentVersion = await getCurrentMigrationVersion();
   const appliedMigrations = await getAppliedMigrations();
-  const appliedVersions = new Set(appliedMigrations.map(m => m.version));
-  
-  const pendingMigrations = migrations.filter(m => !appliedVersions.has(m.version));
-  
+  const entries = describeMigrations(migrations, appliedMigrations);
+
+  const pendingMigrations = entries.filter(entry => entry.status === 'pending');
+  const toSummary = ({ migration, record, ...entry }) => entry;
+
   return {
     currentVersion,
+    latestVersion: migrations[migrations.length - 1]?.version || null,
     totalMigrations: migrations.length,
     appliedCount: appliedMigrations.length,
     pendingCount: pendingMigrations.length,
-    appliedMigrations: appliedMigrations.map(m => ({
-      version: m.version,
-      description: m.description,
-      appliedAt: m.appliedAt,
-      duration: m.duration
-    })),
-    pendingMigrations: pendingMigrations.map(m => ({
-      version: m.version,
-      description: m.description,
-      createdAt: m.createdAt
+    migrations: entries.map(toSummary),
+    appliedMigrations: entries.filter(entry => entry.record).map(toSummary),
+    pendingMigrations: pendingMigrations.map(entry => ({
+      version: entry.version,
+      description: entry.description,
+      file: entry.file,
+      createdAt: entry.migration.createdAt
     })),
+    modifiedMigrations: entries.filter(entry => entry.status === 'modified').map(toSummary),
+    missingMigrations: entries.filter(entry => entry.status === 'missing').map(toSummary),
     isUpToDate: pendingMigrations.length === 0
   };
 }
@@ -0,0 +1,56 @@
+/**
+ * Fiscal year used when a company has not configured one: the calendar year in UTC
+ */
+export const DEFAULT_FISCAL_YEAR = Object.freeze({
+  startMonth: 1,
+  timezone: 'UTC'
+});
+
+/**
+ * Checks that a value is an IANA timezone name (e.g. 'Asia/Singapore')
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} - Whether the timezone is known
+ */
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Fills the unset parts of fiscal year settings with the defaults
+ * @param {Object} [settings] - Settings ({ startMonth, timezone }); null or missing parts use the defaults
+ * @returns {Object} - Complete settings
+ */
+export function resolveFiscalYearSettings(settings) {
+  return {
+    startMonth: settings?.startMonth ?? DEFAULT_FISCAL_YEAR.startMonth,
+    timezone: settings?.timezone ?? DEFAULT_FISCAL_YEAR.timezone
+  };
+}
+
+/**
+ * Gets the fiscal year a moment falls in, named after the calendar year the
+ * fiscal year starts in. With an April start, 2026-03-31 is in fiscal year
+ * 2025 and 2026-04-01 in fiscal year 2026.
+ * @param {Date} date - The moment
+ * @param {Object} [settings] - Fiscal year settings ({ startMonth: 1-12, timezone })
+ * @returns {number} - Four-digit fiscal year
+ */
+export function getFiscalYear(date, settings = DEFAULT_FISCAL_YEAR) {
+  const { startMonth, timezone } = resolveFiscalYearSettings(settings);
+
+  // Calendar year and month in the company's timezone
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: timezone, year: 'numeric', month: 'numeric' })
+    .formatToParts(date);
+  const year = parseInt(parts.find(part => part.type === 'year').value, 10);
+  const month = parseInt(parts.find(part => part.type === 'month').value, 10);
+
+  return month >= startMonth ? year : year - 1;
+}
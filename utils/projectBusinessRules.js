@@ -1,25 +1,27 @@
-import { validateProjectNumber } from './projectNumberUtils.js';
+import { parseProjectNumber, DEFAULT_PROJECT_NUMBER_FORMAT } from './projectNumberUtils.js';
+import { getEnvCustomFieldKeys } from '../services/configService.js';
 
 /**
  * Validates if a project can be created for a deal
  * @param {Object} deal - The Pipedrive deal object
+ * @param {Object} [fieldKeys] - Company custom field keys (configService.getCustomFieldKeys)
  * @returns {boolean} - Whether project creation is valid
  * @throws {Error} - If project creation is not valid
  */
-export function validateProjectCreation(deal) {
+export function validateProjectCreation(deal, fieldKeys = getEnvCustomFieldKeys()) {
   // Check for existing project
   if (deal.custom_fields && 
-      deal.custom_fields[process.env.PIPEDRIVE_PROJECT_NUMBER_CUSTOM_FIELD_KEY]) {
+      deal.custom_fields[fieldKeys.projectNumber]) {
     throw new Error('Deal already has an associated project');
   }
 
   // Check for department first
-  if (!deal[process.env.PIPEDRIVE_QUOTE_CUSTOM_DEPARTMENT]) {
+  if (!deal[fieldKeys.department]) {
     throw new Error('Department is required for project creation');
   }
 
   // Check for vessel name
-  if (!deal[process.env.PIPEDRIVE_QUOTE_CUSTOM_VESSEL_NAME] || deal[process.env.PIPEDRIVE_QUOTE_CUSTOM_VESSEL_NAME] === null) {
+  if (!deal[fieldKeys.vesselName] || deal[fieldKeys.vesselName] === null) {
     throw new Error('Vessel name is required for project creation');
   }
 
@@ -31,10 +33,12 @@ export function validateProjectCreation(deal) {
  * @param {string} projectNumber - The project number to validate
  * @param {Array} existingProjectNumbers - Array of existing project numbers
  * @param {Object} deal - The Pipedrive deal object
+ * @param {Object} [fieldKeys] - Company custom field keys (configService.getCustomFieldKeys)
+ * @param {Object} [format] - Company project number format (configService.getProjectNumberFormat)
  * @returns {boolean} - Whether the project number is valid
  * @throws {Error} - If project number is invalid or duplicate
  */
-export function validateProjectNumberAssignment(projectNumber, existingProjectNumbers = [], deal = null) {
+export function validateProjectNumberAssignment(projectNumber, existingProjectNumbers = [], deal = null, fieldKeys = getEnvCustomFieldKeys(), format = DEFAULT_PROJECT_NUMBER_FORMAT) {
   if (!projectNumber) {
     throw new Error('Project number is required');
   }
@@ -44,7 +48,8 @@ export function validateProjectNumberAssignment(projectNumber, existingProjectNu
   }
 
   // Validate format
-  if (!validateProjectNumber(projectNumber)) {
+  const parsed = parseProjectNumber(projectNumber, format);
+  if (!parsed) {
     throw new Error('Invalid project number format');
   }
 
@@ -59,8 +64,8 @@ export function validateProjectNumberAssignment(projectNumber, existingProjectNu
       throw new Error('Deal must be an object');
     }
 
-    const departmentCode = projectNumber.slice(0, 2);
-    const dealDepartment = deal[process.env.PIPEDRIVE_QUOTE_CUSTOM_DEPARTMENT];
+    const { departmentCode } = parsed;
+    const dealDepartment = deal[fieldKeys.department];
     
     if (!dealDepartment) {
       throw new Error('Deal department is required for project number validation');
@@ -84,10 +89,11 @@ export function validateProjectNumberAssignment(projectNumber, existingProjectNu
 /**
  * Validates deal data for project creation
  * @param {Object} deal - The Pipedrive deal object
+ * @param {Object} [fieldKeys] - Company custom field keys (configService.getCustomFieldKeys)
  * @returns {boolean} - Whether the deal is valid for project creation
  * @throws {Error} - If deal data is invalid
  */
-export function validateDealForProject(deal) {
+export function validateDealForProject(deal, fieldKeys = getEnvCustomFieldKeys()) {
   if (!deal) {
     throw new Error('Deal is required');
   }
@@ -123,11 +129,11 @@ export function validateDealForProject(deal) {
   }
 
   // Validate required custom fields
-  if (!deal[process.env.PIPEDRIVE_QUOTE_CUSTOM_DEPARTMENT]) {
+  if (!deal[fieldKeys.department]) {
     throw new Error('Department is required for project creation');
   }
 
-  if (!deal[process.env.PIPEDRIVE_QUOTE_CUSTOM_VESSEL_NAME] || deal[process.env.PIPEDRIVE_QUOTE_CUSTOM_VESSEL_NAME] === null) {
+  if (!deal[fieldKeys.vesselName] || deal[fieldKeys.vesselName] === null) {
     throw new Error('Vessel name is required for project creation');
   }
 
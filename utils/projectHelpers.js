@@ -22,8 +22,9 @@ import * as xeroApiService from '../services/xeroApiService.js';
 import { batchOperations } from '../services/batchOperationsService.js';
 import { getNextProjectNumber } from '../models/projectSequenceModel.js';
 import logger from '../lib/logger.js';
-import { validateProjectNumber } from './projectNumberUtils.js';
+import { isProjectNumber } from './projectNumberUtils.js';
 import { validateDealForProject } from './projectBusinessRules.js';
+import { getEnvCustomFieldKeys } from '../services/configService.js';
 
 /**
  * Validates and refreshes Pipedrive authentication tokens for a company
@@ -99,10 +100,11 @@ export function validateProjectCreationRequest(requestBody, req) {
  * @param {string} accessToken - Pipedrive access token
  * @param {string} dealId - Deal ID to fetch
  * @param {Object} req - Express request object for logging
+ * @param {Object} [fieldKeys] - Company custom field keys (configService.getCustomFieldKeys)
  * @returns {Promise<Object>} Deal details with department validation
  * @throws {Error} Throws error with status code for deal-related failures
  */
-export async function fetchAndValidateDeal(apiDomain, accessToken, dealId, req) {
+export async function fetchAndValidateDeal(apiDomain, accessToken, dealId, req, fieldKeys = getEnvCustomFieldKeys()) {
     const dealDetails = await pipedriveApiService.getDealDetails(apiDomain, accessToken, dealId);
     
     if (!dealDetails) {
@@ -113,7 +115,7 @@ export async function fetchAndValidateDeal(apiDomain, accessToken, dealId, req)
 
     // Apply business rules validation
     try {
-        validateDealForProject(dealDetails);
+        validateDealForProject(dealDetails, fieldKeys);
     } catch (validationError) {
         logger.warn('Deal failed business rules validation', { 
             dealId, 
@@ -125,7 +127,7 @@ export async function fetchAndValidateDeal(apiDomain, accessToken, dealId, req)
         throw error;
     }
 
-    const departmentKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_DEPARTMENT;
+    const departmentKey = fieldKeys.department;
     const departmentName = departmentKey ? dealDetails[departmentKey] : null;
     
     if (!departmentName) {
@@ -142,6 +144,7 @@ export async function fetchAndValidateDeal(apiDomain, accessToken, dealId, req)
 /**
  * Generates a project number for the deal
  * 
+ * @param {string} companyId - Pipedrive company ID whose departments are used
  * @param {string} dealId - Deal ID
  * @param {string} departmentName - Department name for project numbering
  * @param {string} existingProjectNumberToLink - Optional existing project number to link to
@@ -149,11 +152,12 @@ export async function fetchAndValidateDeal(apiDomain, accessToken, dealId, req)
  * @returns {Promise<string>} Generated or linked project number
  * @throws {Error} Throws error with status code 500 for generation failures
  */
-export async function generateProjectNumber(dealId, departmentName, existingProjectNumberToLink, req) {
+export async function generateProjectNumber(companyId, dealId, departmentName, existingProjectNumberToLink, req) {
     try {
-        // Validate existing project number if provided
+        // Validate existing project number if provided; it may predate a change
+        // to the company's project number format
         if (existingProjectNumberToLink) {
-            if (!validateProjectNumber(existingProjectNumberToLink)) {
+            if (!isProjectNumber(existingProjectNumberToLink)) {
                 logger.warn('Invalid existing project number format', {
                     dealId,
                     providedProjectNumber: existingProjectNumberToLink
@@ -165,13 +169,14 @@ export async function generateProjectNumber(dealId, departmentName, existingProj
         }
 
         const projectNumber = await getNextProjectNumber(
+            companyId,
             dealId, 
             departmentName, 
             existingProjectNumberToLink
         );
         
         // Validate generated project number
-        if (!validateProjectNumber(projectNumber)) {
+        if (!isProjectNumber(projectNumber)) {
             logger.error('Generated invalid project number', {
                 dealId,
                 departmentName,
@@ -315,15 +320,15 @@ export async function createOrFindXeroContact(accessToken, tenantId, dealDetails
  * @param {string} pipedriveApiDomain - Pipedrive API domain
  * @param {string} pipedriveAccessToken - Pipedrive access token
  * @param {Object} req - Express request object for logging and auth
+ * @param {string} [xeroTenantId] - Xero tenant routed for the deal's department (defaults to req.xeroAuth.tenantId)
  * @returns {Promise<Object>} Xero integration result
  */
-export async function handleXeroIntegration(companyId, dealDetails, projectNumber, dealId, pipedriveApiDomain, pipedriveAccessToken, req) {
+export async function handleXeroIntegration(companyId, dealDetails, projectNumber, dealId, pipedriveApiDomain, pipedriveAccessToken, req, xeroTenantId = req.xeroAuth.tenantId) {
     // Import the business service
     const xeroBusinessService = await import('../services/xeroBusinessService.js');
     
     // Xero auth is guaranteed by middleware
     let xeroAccessToken = req.xeroAuth.accessToken;
-    const xeroTenantId = req.xeroAuth.tenantId;
     
     // Check if Xero token needs refresh
     const xeroTokenData = await tokenService.getAuthToken(companyId, 'xero');
@@ -478,11 +483,12 @@ export async function fetchDealRelatedData(apiDomain, accessToken, dealDetails,
  * @param {string} dealId - Deal ID to update
  * @param {string} projectNumber - Project number to add to deal
  * @param {Object} req - Express request object for logging
+ * @param {Object} [fieldKeys] - Company custom field keys (configService.getCustomFieldKeys)
  * @returns {Promise<void>} Updates deal or logs warning on failure
  */
-export async function updateDealWithProjectNumber(apiDomain, accessToken, dealId, projectNumber, req) {
+export async function updateDealWithProjectNumber(apiDomain, accessToken, dealId, projectNumber, req, fieldKeys = getEnvCustomFieldKeys()) {
     try {
-        await pipedriveApiService.updateDealWithProjectNumber(apiDomain, accessToken, dealId, projectNumber);
+        await pipedriveApiService.updateDealWithProjectNumber(apiDomain, accessToken, dealId, projectNumber, fieldKeys.projectNumber);
         logger.info('Successfully updated deal with project number', { dealId, projectNumber });
     } catch (updateError) {
         logger.warn('Failed to update Pipedrive deal with project number', {
@@ -1,55 +1,142 @@
+/**
+ * Format of project numbers when a company has not configured one: DPTYYSSS
+ * (e.g. NY25001). A format is { prefix, separator, sequenceWidth, suffix } and
+ * numbers are built as prefix + DPT + separator + YY + separator + SEQ + suffix.
+ */
+export const DEFAULT_PROJECT_NUMBER_FORMAT = Object.freeze({
+  prefix: '',
+  separator: '',
+  sequenceWidth: 3,
+  suffix: ''
+});
+
+/** Separators allowed between the department code, year and sequence */
+export const PROJECT_NUMBER_SEPARATORS = ['', '-', '/', '.', '_'];
+
+/** Smallest and largest number of digits in the sequence */
+export const MIN_SEQUENCE_WIDTH = 3;
+export const MAX_SEQUENCE_WIDTH = 6;
+
+/** Prefixes and suffixes: up to 8 uppercase letters, digits or separators */
+export const PROJECT_NUMBER_AFFIX_PATTERN = /^[A-Z0-9._/-]{0,8}$/;
+
+/**
+ * Pattern every project number matches whatever its company's format, used by
+ * the deal_project_mappings validator
+ */
+export const PROJECT_NUMBER_STORAGE_PATTERN =
+  `^[A-Z0-9._/-]{0,8}[A-Z]{2}[._/-]?[0-9]{2}[._/-]?[0-9]{${MIN_SEQUENCE_WIDTH},${MAX_SEQUENCE_WIDTH}}[A-Z0-9._/-]{0,8}$`;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+
+/**
+ * Fills the unset parts of a format with the defaults
+ * @param {Object} [format] - Format ({ prefix, separator, sequenceWidth, suffix }); null or missing parts use the defaults
+ * @returns {Object} - Complete format
+ */
+export function resolveProjectNumberFormat(format) {
+  const resolved = { ...DEFAULT_PROJECT_NUMBER_FORMAT };
+  for (const key of Object.keys(resolved)) {
+    if (format?.[key] !== null && format?.[key] !== undefined) {
+      resolved[key] = format[key];
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Gets the largest sequence number a format can hold
+ * @param {Object} [format] - Project number format
+ * @returns {number} - Largest sequence (999 for 3 digits)
+ */
+export function getMaxSequence(format = DEFAULT_PROJECT_NUMBER_FORMAT) {
+  return 10 ** resolveProjectNumberFormat(format).sequenceWidth - 1;
+}
+
+/**
+ * Builds the regular expression matching the project numbers of a format
+ * @param {Object} format - Complete project number format
+ * @returns {RegExp} - Expression capturing department code, year and sequence
+ */
+function buildProjectNumberRegex({ prefix, separator, sequenceWidth, suffix }) {
+  const sep = escapeRegExp(separator);
+  return new RegExp(
+    `^${escapeRegExp(prefix)}([A-Z]{2})${sep}(\\d{2})${sep}(\\d{${sequenceWidth}})${escapeRegExp(suffix)}$`
+  );
+}
+
 /**
  * Validates a project number format
  * @param {string} projectNumber - The project number to validate
+ * @param {Object} [format] - The company's project number format
  * @returns {boolean} - Whether the project number is valid
  */
-export function validateProjectNumber(projectNumber) {
+export function validateProjectNumber(projectNumber, format = DEFAULT_PROJECT_NUMBER_FORMAT) {
   if (!projectNumber || typeof projectNumber !== 'string') {
     return false;
   }
-  
-  // Must match pattern: 2 uppercase letters + 2 digits + 3 digits
-  const projectNumberRegex = /^[A-Z]{2}\d{2}\d{3}$/;
-  
+
+  // Must match pattern: prefix + 2 uppercase letters + 2 digits + sequence digits + suffix
+  const projectNumberRegex = buildProjectNumberRegex(resolveProjectNumberFormat(format));
+
   return projectNumberRegex.test(projectNumber);
 }
 
+/**
+ * Checks that a value is a project number of any configurable format. Use it for
+ * numbers that may predate a change to the company's format.
+ * @param {string} projectNumber - The project number to check
+ * @returns {boolean} - Whether the value is a well-formed project number
+ */
+export function isProjectNumber(projectNumber) {
+  return typeof projectNumber === 'string' && new RegExp(PROJECT_NUMBER_STORAGE_PATTERN).test(projectNumber);
+}
+
 /**
  * Generates a project number from department code and sequence
  * @param {string} departmentCode - Two-letter department code
  * @param {number} sequence - Sequence number
+ * @param {Object} [format] - The company's project number format
+ * @param {number} [year] - Two-digit year; the current year when omitted
  * @returns {string} - Generated project number
- * @throws {Error} - If department code is invalid
+ * @throws {Error} - If department code is invalid or the sequence does not fit the format
  */
-export function generateProjectNumber(departmentCode, sequence) {
+export function generateProjectNumber(departmentCode, sequence, format = DEFAULT_PROJECT_NUMBER_FORMAT, year = new Date().getFullYear() % 100) {
   // Validate department code
   if (!/^[A-Z]{2}$/.test(departmentCode)) {
     throw new Error('Invalid department code');
   }
 
-  // Get current year
-  const currentYear = new Date().getFullYear().toString().slice(-2);
+  const { prefix, separator, sequenceWidth, suffix } = resolveProjectNumberFormat(format);
+
+  // A longer sequence would produce a number of the wrong length
+  if (!Number.isInteger(sequence) || sequence < 1 || sequence > getMaxSequence(format)) {
+    throw new Error(`Sequence ${sequence} does not fit in ${sequenceWidth} digits`);
+  }
 
-  // Format sequence with leading zeros
-  const formattedSequence = sequence.toString().padStart(3, '0');
+  // Format year and sequence with leading zeros
+  const formattedYear = String(year % 100).padStart(2, '0');
+  const formattedSequence = sequence.toString().padStart(sequenceWidth, '0');
 
   // Combine components
-  return `${departmentCode}${currentYear}${formattedSequence}`;
+  return `${prefix}${departmentCode}${separator}${formattedYear}${separator}${formattedSequence}${suffix}`;
 }
 
 /**
  * Parses a project number into its components
  * @param {string} projectNumber - The project number to parse
+ * @param {Object} [format] - The company's project number format
  * @returns {Object|null} - Parsed components or null if invalid
  */
-export function parseProjectNumber(projectNumber) {
-  if (!validateProjectNumber(projectNumber)) {
+export function parseProjectNumber(projectNumber, format = DEFAULT_PROJECT_NUMBER_FORMAT) {
+  if (!validateProjectNumber(projectNumber, format)) {
     return null;
   }
 
+  const [, departmentCode, year, sequence] = projectNumber.match(buildProjectNumberRegex(resolveProjectNumberFormat(format)));
   return {
-    departmentCode: projectNumber.slice(0, 2),
-    year: parseInt(projectNumber.slice(2, 4), 10),
-    sequence: parseInt(projectNumber.slice(4), 10)
+    departmentCode,
+    year: parseInt(year, 10),
+    sequence: parseInt(sequence, 10)
   };
-} 
\ No newline at end of file
+}
@@ -1,15 +1,17 @@
 import { validateLineItem, formatLineItem } from './quoteLineItemUtils.js';
+import { getEnvCustomFieldKeys } from '../services/configService.js';
 
 /**
  * Validates if a quote can be created for a deal
  * @param {Object} deal - The Pipedrive deal object
+ * @param {Object} [fieldKeys] - Company custom field keys (configService.getCustomFieldKeys)
  * @returns {boolean} - Whether quote creation is valid
  * @throws {Error} - If quote creation is not valid
  */
-export function validateQuoteCreation(deal) {
+export function validateQuoteCreation(deal, fieldKeys = getEnvCustomFieldKeys()) {
   // Check for existing quote
   if (deal.custom_fields && 
-      deal.custom_fields[process.env.PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY]) {
+      deal.custom_fields[fieldKeys.quoteNumber]) {
     throw new Error('Deal already has an associated quote');
   }
 
@@ -29,9 +31,12 @@ export function validateQuoteCreation(deal) {
 /**
  * Maps Pipedrive products to Xero line items
  * @param {Array} products - Array of Pipedrive products
- * @param {Object} options - Optional configuration {defaultTaxType, defaultAccountCode}
+ * @param {Object} options - Optional configuration {defaultTaxType, defaultAccountCode, taxTypesByRate, accountCodeRules, department}
+ *   taxTypesByRate maps a tax rate key (see toTaxRateKey) to the tenant's Xero TaxType
+ *   (xeroTaxRateService.getTaxTypesByRate); accountCodeRules and the deal's department
+ *   choose each line item's AccountCode (see resolveAccountCode)
  * @returns {Array} - Array of formatted Xero line items
- * @throws {Error} - If product data is invalid
+ * @throws {Error} - If product data is invalid or a product's tax rate has no mapped tax type
  */
 export function mapProductsToLineItems(products, options = {}) {
   if (!products) {
@@ -44,7 +49,10 @@ export function mapProductsToLineItems(products, options = {}) {
 
   const {
     defaultTaxType = process.env.XERO_DEFAULT_TAX_TYPE || 'NONE',
-    defaultAccountCode = process.env.XERO_DEFAULT_ACCOUNT_CODE || '200'
+    defaultAccountCode = process.env.XERO_DEFAULT_ACCOUNT_CODE || '200',
+    taxTypesByRate = {},
+    accountCodeRules = [],
+    department = null
   } = options;
 
   return products.map(product => {
@@ -57,38 +65,30 @@ export function mapProductsToLineItems(products, options = {}) {
     // Support discount_rate (legacy field)
     const discountRate = product.discount_rate !== undefined ? product.discount_rate : product.discountRate;
     
-    // Enhanced tax type determination with robust fallbacks
+    // Products without a tax percentage use the default tax type
     let taxType = defaultTaxType;
-    let taxRate = 0; // Default tax rate to 0 for safety
+    let taxRate = 0;
     
     if (product.tax !== undefined && product.tax !== null) {
       const productTaxRate = parseFloat(product.tax);
       
-      // Validate tax rate is a number
-      if (!isNaN(productTaxRate)) {
-        taxRate = productTaxRate;
-        
-        // If tax is 0 or negative, use tax-free type
-        if (productTaxRate <= 0) {
-          taxType = 'NONE'; // Most compatible tax-free option
-          taxRate = 0;
-        } else {
-          // Map positive tax rates to Xero tax types with fallback
-          const mappedTaxType = mapTaxRateToXeroType(productTaxRate);
-          if (mappedTaxType) {
-            taxType = mappedTaxType;
-          } else {
-            // Fallback: use NONE for unknown tax rates and log warning
-            console.warn(`Unknown tax rate ${productTaxRate}% for product ${product.name}, using NONE`);
-            taxType = 'NONE';
-            taxRate = 0; // Reset to 0 when falling back to NONE
-          }
-        }
+      if (isNaN(productTaxRate)) {
+        throw new Error(`Invalid tax value '${product.tax}' for product "${product.name}"`);
+      }
+      
+      if (productTaxRate <= 0) {
+        // Tax-free unless the company mapped 0% to a specific tax type
+        taxType = taxTypesByRate[toTaxRateKey(0)] || 'NONE';
       } else {
-        // Invalid tax value, use safe defaults
-        console.warn(`Invalid tax value '${product.tax}' for product ${product.name}, using 0%`);
-        taxType = 'NONE';
-        taxRate = 0;
+        const mappedTaxType = taxTypesByRate[toTaxRateKey(productTaxRate)];
+        if (!mappedTaxType) {
+          throw new Error(
+            `No Xero tax type is mapped for ${toTaxRateKey(productTaxRate)}% tax (product "${product.name}"). ` +
+            'Map this rate in the Xero tax rate settings.'
+          );
+        }
+        taxType = mappedTaxType;
+        taxRate = productTaxRate;
       }
     }
     
@@ -97,7 +97,7 @@ export function mapProductsToLineItems(products, options = {}) {
       description: product.name,
       quantity: product.quantity,
       unitAmount,
-      accountCode: product.account_code || defaultAccountCode,
+      accountCode: resolveAccountCode(product, accountCodeRules, department, defaultAccountCode),
       taxType: taxType,
       taxRate: taxRate // Explicitly include tax rate for clarity
     };
@@ -132,76 +132,46 @@ export function mapProductsToLineItems(products, options = {}) {
 }
 
 /**
- * Maps tax rate percentage to Xero tax type
- * This should be customized based on your Xero configuration
- * @param {number} taxRate - Tax rate percentage
- * @returns {string|null} - Xero tax type or null
+ * Chooses the Xero AccountCode of a Pipedrive deal product. The most specific
+ * matching rule wins: product ID, then the longest product code prefix, then
+ * product category, then the deal's department. Without a matching rule the
+ * product's own account_code or the default is used.
+ * @param {Object} product - Pipedrive deal product (product data under `product`)
+ * @param {Array} accountCodeRules - Rules ({ type, value, accountCode }); department rules
+ *   list the department's name and aliases in departmentNames
+ *   (xeroAccountCodeService.getLineItemAccountCodeRules)
+ * @param {string|null} department - The deal's department
+ * @param {string} defaultAccountCode - Account code when nothing else applies
+ * @returns {string} - Xero AccountCode
  */
-function mapTaxRateToXeroType(taxRate) {
-  // Ensure we're working with a number
-  const rate = parseFloat(taxRate);
-  if (isNaN(rate)) {
-    return null;
-  }
-  
-  // Round to nearest 0.1 to handle minor floating point differences
-  const roundedRate = Math.round(rate * 10) / 10;
-  
-  // Comprehensive tax mappings - adjust based on your Xero configuration
-  const taxMappings = {
-    // Common GST rates
-    '0': 'NONE',           // No tax
-    '5': 'OUTPUT',         // 5% GST
-    '7.5': 'OUTPUT',       // 7.5% GST
-    '10': 'OUTPUT',        // 10% GST (Australia, New Zealand)
-    '12.5': 'OUTPUT',      // 12.5% GST
-    '15': 'OUTPUT',        // 15% GST (New Zealand, South Africa)
-    
-    // Common VAT rates
-    '16': 'OUTPUT',        // 16% VAT
-    '17.5': 'OUTPUT',      // 17.5% VAT (UK historical)
-    '18': 'OUTPUT',        // 18% VAT
-    '19': 'OUTPUT',        // 19% VAT (Germany)
-    '20': 'OUTPUT',        // 20% VAT (UK, EU)
-    '21': 'OUTPUT',        // 21% VAT (Netherlands, Belgium)
-    '22': 'OUTPUT',        // 22% VAT
-    '23': 'OUTPUT',        // 23% VAT (Ireland)
-    '24': 'OUTPUT',        // 24% VAT
-    '25': 'OUTPUT',        // 25% VAT (Sweden, Denmark)
-    '27': 'OUTPUT',        // 27% VAT (Hungary)
-    
-    // Reduced rates
-    '3': 'OUTPUT',         // 3% reduced rate
-    '6': 'OUTPUT',         // 6% reduced rate
-    '9': 'OUTPUT',         // 9% reduced rate
-    '13': 'OUTPUT',        // 13% reduced rate
-    '14': 'OUTPUT',        // 14% reduced rate
-  };
-  
-  // First try exact match
-  const exactMatch = taxMappings[String(roundedRate)];
-  if (exactMatch) {
-    return exactMatch;
-  }
-  
-  // If no exact match, try to find closest standard rate
-  const standardRates = [0, 5, 7.5, 10, 12.5, 15, 16, 17.5, 18, 19, 20, 21, 22, 23, 24, 25, 27];
-  let closestRate = standardRates.reduce((prev, curr) => 
-    Math.abs(curr - roundedRate) < Math.abs(prev - roundedRate) ? curr : prev
-  );
-  
-  // Only use closest rate if it's within 1% difference
-  if (Math.abs(closestRate - roundedRate) <= 1) {
-    const closestMatch = taxMappings[String(closestRate)];
-    if (closestMatch) {
-      console.warn(`Tax rate ${roundedRate}% mapped to closest standard rate ${closestRate}% (${closestMatch})`);
-      return closestMatch;
-    }
-  }
-  
-  // If all else fails, return null to trigger fallback to NONE
-  console.warn(`No suitable tax mapping found for rate ${roundedRate}%, will use NONE`);
-  return null;
+export function resolveAccountCode(product, accountCodeRules = [], department = null, defaultAccountCode = process.env.XERO_DEFAULT_ACCOUNT_CODE || '200') {
+  const productId = product.product_id ?? product.product?.id;
+  const productCode = product.product_code ?? product.product?.code;
+  const category = product.product?.category ?? product.category;
+  const rulesOfType = type => accountCodeRules.filter(rule => rule.type === type);
+
+  const productRule = productId !== undefined && productId !== null &&
+    rulesOfType('product').find(rule => rule.value === String(productId));
+  const prefixRule = productCode &&
+    rulesOfType('productCodePrefix')
+      .filter(rule => String(productCode).startsWith(rule.value))
+      .sort((a, b) => b.value.length - a.value.length)[0];
+  const categoryRule = category !== undefined && category !== null && category !== '' &&
+    rulesOfType('category').find(rule => rule.value === String(category));
+  const departmentRule = department &&
+    rulesOfType('department').find(rule => (rule.departmentNames || [rule.value]).includes(department));
+
+  const rule = productRule || prefixRule || categoryRule || departmentRule;
+  return rule ? rule.accountCode : (product.account_code || defaultAccountCode);
+}
+
+/**
+ * Normalises a tax percentage for use as a mapping key (rounded to 2 decimals)
+ * @param {number|string} taxRate - Tax rate percentage
+ * @returns {string} - Key such as '20' or '12.5'
+ */
+export function toTaxRateKey(taxRate) {
+  return String(Math.round(parseFloat(taxRate) * 100) / 100);
 }
 
 /**
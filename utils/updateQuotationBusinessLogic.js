@@ -10,7 +10,10 @@
 
 import * as pipedriveApiService from '../services/pipedriveApiService.js';
 import * as xeroApiService from '../services/xeroApiService.js';
+import { assertRevenueAccountCodes } from '../services/xeroAccountCodeService.js';
+import { getDealDepartment } from '../services/xeroTenantRoutingService.js';
 import { mapProductsToLineItems } from './quoteBusinessRules.js';
+import { getEnvCustomFieldKeys } from '../services/configService.js';
 import logger from '../lib/logger.js';
 
 /**
@@ -21,10 +24,14 @@ import logger from '../lib/logger.js';
  * @param {string} xeroAccessToken - Xero access token
  * @param {string} xeroTenantId - Xero tenant ID
  * @param {number|string} dealId - Pipedrive deal ID
+ * @param {Object} [fieldKeys] - Company custom field keys (configService.getCustomFieldKeys)
+ * @param {Object} [taxTypesByRate] - Xero TaxType by tax rate key (xeroTaxRateService.getTaxTypesByRate)
+ * @param {Array<Object>} [accountCodeRules] - Account code rules (xeroAccountCodeService.getLineItemAccountCodeRules)
  * @returns {Promise<Object>} Result object with success status and details
- * @throws {Error} When validation fails or API calls fail
+ * @throws {Error} When validation fails, a product cannot be mapped to a line item, a line item
+ *   uses an account that is not an active revenue account, or API calls fail
  */
-export async function updateQuotationOnXero(pipedriveApiDomain, pipedriveAccessToken, xeroAccessToken, xeroTenantId, dealId) {
+export async function updateQuotationOnXero(pipedriveApiDomain, pipedriveAccessToken, xeroAccessToken, xeroTenantId, dealId, fieldKeys = getEnvCustomFieldKeys(), taxTypesByRate = {}, accountCodeRules = []) {
     // Input validation
     validateInputParameters(pipedriveApiDomain, pipedriveAccessToken, xeroAccessToken, xeroTenantId, dealId);
     
@@ -34,7 +41,7 @@ export async function updateQuotationOnXero(pipedriveApiDomain, pipedriveAccessT
         const dealData = await pipedriveApiService.getDealDetails(pipedriveApiDomain, pipedriveAccessToken, dealId);
         
         // Step 2: Extract quotation number from deal custom fields
-        const quotationNumber = extractQuotationNumber(dealData);
+        const quotationNumber = extractQuotationNumber(dealData, fieldKeys.quoteNumber);
         logger.info('Extracted quotation number from deal', { dealId, quotationNumber });
         
         // Step 3: Fetch deal products from Pipedrive
@@ -57,12 +64,24 @@ export async function updateQuotationOnXero(pipedriveApiDomain, pipedriveAccessT
         try {
             const mappingOptions = {
                 defaultTaxType: process.env.XERO_DEFAULT_TAX_TYPE || 'NONE',
-                defaultAccountCode: process.env.XERO_DEFAULT_ACCOUNT_CODE || '200'
+                defaultAccountCode: process.env.XERO_DEFAULT_ACCOUNT_CODE || '200',
+                taxTypesByRate,
+                accountCodeRules,
+                department: getDealDepartment(dealData, fieldKeys.department)
             };
             lineItems = mapProductsToLineItems(dealProducts, mappingOptions);
         } catch (mappingError) {
-            logger.warn('Product mapping failed, using empty line items', { error: mappingError.message });
-            lineItems = [];
+            // Updating with no line items would wipe the quote, so stop instead
+            logger.warn('Product mapping failed', { error: mappingError.message });
+            throw new Error(`Line item validation failed: ${mappingError.message}`);
+        }
+        
+        try {
+            await assertRevenueAccountCodes(xeroAccessToken, xeroTenantId, lineItems);
+        } catch (accountError) {
+            if (!accountError.statusCode) throw accountError;
+            logger.warn('Line items use invalid Xero accounts', { error: accountError.message });
+            throw new Error(`Line item validation failed: ${accountError.message}`);
         }
         
         logger.info('Transformed products to line items', { productCount: dealProducts.length, lineItemCount: lineItems.length });
@@ -135,11 +154,12 @@ function validateInputParameters(pipedriveApiDomain, pipedriveAccessToken, xeroA
  * Extracts quotation number from Pipedrive deal custom fields
  * 
  * @param {Object} dealData - Pipedrive deal data
+ * @param {string|null} quoteNumberFieldKey - The company's quote number field key
  * @returns {string} Quotation number
  * @throws {Error} When quotation number is not found
  */
-function extractQuotationNumber(dealData) {
-    const quotationCustomFieldKey = process.env.PIPEDRIVE_QUOTE_CUSTOM_FIELD_KEY || 'quotation_number';
+function extractQuotationNumber(dealData, quoteNumberFieldKey) {
+    const quotationCustomFieldKey = quoteNumberFieldKey || 'quotation_number';
     
     if (!dealData.custom_fields || !dealData.custom_fields[quotationCustomFieldKey]) {
         throw new Error('No quotation number found in deal custom fields');